@@ -4,24 +4,75 @@
  * Privacy-first AI conversation archive built with SolidJS
  */
 
-import { createSignal, Show } from 'solid-js';
+import { createSignal, Show, For } from 'solid-js';
 import { ConversationProvider } from './contexts/ConversationContext';
 import { BatchOperationsProvider } from './contexts/BatchOperationsContext';
-import { TagProvider } from './contexts/TagContext';
+import { TagProvider, useTags } from './contexts/TagContext';
+import { ProjectProvider, useProjects } from './contexts/ProjectContext';
 import { ThemeProvider, useTheme } from './contexts/ThemeContext';
 import { useBatchOperations } from './contexts/BatchOperationsContext';
 import { useConversations } from './contexts/ConversationContext';
 import ConversationList from './components/ConversationList';
 import MessageViewer from './components/MessageViewer';
+import ProjectSidebar from './components/ProjectSidebar';
+import ProjectViewer from './components/ProjectViewer';
 import UploadModal from './components/UploadModal';
+import ImportHistory from './components/ImportHistory';
+import { exportAllConversations } from './utils/exportUtils.js';
+import { exportSelectedMarkdown, exportStarredMarkdown, exportTagMarkdown } from './utils/markdownExportUtils.js';
+import { exportSelectedHtml } from './utils/htmlExportUtils.js';
+import { printConversations } from './utils/printUtils.js';
 
 function AppHeader() {
   const { theme, toggleTheme } = useTheme();
   const [uploadModalOpen, setUploadModalOpen] = createSignal(false);
+  const [historyOpen, setHistoryOpen] = createSignal(false);
+  const [backingUp, setBackingUp] = createSignal(false);
+  const [exporting, setExporting] = createSignal(false);
+  const { tags, reload: reloadTags } = useTags();
+
+  // Download everything as one file that restores through Upload
+  const handleBackup = async () => {
+    setBackingUp(true);
+    try {
+      const result = await exportAllConversations();
+      if (result.skippedConversations.length > 0) {
+        const titles = result.skippedConversations.map((skipped: { title: string | null; conversation_id: string | null }) =>
+          skipped.title || skipped.conversation_id || 'Untitled');
+        alert(`Backed up ${result.conversationCount} conversations. ${result.skippedConversations.length} could not be ` +
+          `backed up because they do not match the ConvoKeep schema: ${titles.join(', ')}`);
+      }
+    } catch (error: any) {
+      alert(`Backup failed: ${error.message}`);
+    } finally {
+      setBackingUp(false);
+    }
+  };
+
+  // Export the starred conversations or those with a tag, chosen from the menu
+  const handleExportMarkdown = async (e: Event) => {
+    const target = e.target as HTMLSelectElement;
+    const choice = target.value;
+    target.value = '';
+    if (!choice) return;
+
+    setExporting(true);
+    try {
+      if (choice === 'starred') {
+        await exportStarredMarkdown();
+      } else {
+        await exportTagMarkdown(choice.slice('tag:'.length));
+      }
+    } catch (error: any) {
+      alert(`Export failed: ${error.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
 
   return (
     <>
-      <header class="flex items-center justify-between px-6 py-4 bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700">
+      <header class="print:hidden flex items-center justify-between px-6 py-4 bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700">
         <div class="flex flex-col">
           <h1 class="text-2xl font-bold text-gray-900 dark:text-white">ConvoKeep</h1>
           <p class="text-sm text-gray-600 dark:text-gray-400">Privacy-first conversation archive</p>
@@ -37,6 +88,43 @@ function AppHeader() {
             📁 Upload
           </button>
 
+          <button
+            class="px-3 py-2 bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700
+                   text-gray-900 dark:text-gray-100 rounded-lg transition-colors
+                   focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2"
+            onClick={() => setHistoryOpen(true)}
+            aria-label="Import history"
+          >
+            🕘 History
+          </button>
+
+          <button
+            class="px-3 py-2 bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700
+                   text-gray-900 dark:text-gray-100 rounded-lg transition-colors disabled:opacity-50
+                   focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2"
+            onClick={handleBackup}
+            disabled={backingUp()}
+            aria-label="Back up all conversations"
+          >
+            {backingUp() ? '💾 Backing up...' : '💾 Back up'}
+          </button>
+
+          <select
+            class="px-3 py-2 bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700
+                   text-gray-900 dark:text-gray-100 rounded-lg transition-colors disabled:opacity-50
+                   focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2"
+            onFocus={reloadTags}
+            onChange={handleExportMarkdown}
+            disabled={exporting()}
+            aria-label="Export conversations as Markdown"
+          >
+            <option value="">{exporting() ? '📝 Exporting...' : '📝 Markdown'}</option>
+            <option value="starred">Starred conversations</option>
+            <For each={tags()}>
+              {(tag) => <option value={`tag:${tag.tag}`}>Tag: {tag.tag} ({tag.count})</option>}
+            </For>
+          </select>
+
           <button
             class="px-3 py-2 bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700
                    text-gray-900 dark:text-gray-100 rounded-lg transition-colors
@@ -53,14 +141,45 @@ function AppHeader() {
         isOpen={uploadModalOpen()}
         onClose={() => setUploadModalOpen(false)}
       />
+
+      <ImportHistory
+        isOpen={historyOpen()}
+        onClose={() => setHistoryOpen(false)}
+      />
     </>
   );
 }
 
 function BatchToolbar() {
-  const { selectionCount, deselectAll, deleteSelected, starSelected, archiveSelected } = useBatchOperations();
+  const { selectedIds, selectionCount, deselectAll, deleteSelected, starSelected, archiveSelected } = useBatchOperations();
   const { reload } = useConversations();
 
+  const handleExportMarkdown = async () => {
+    try {
+      await exportSelectedMarkdown(selectedIds());
+    } catch (error: any) {
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  // Offline HTML archive of the selection, to share or browse without ConvoKeep
+  const handleExportHtml = async () => {
+    try {
+      await exportSelectedHtml(selectedIds());
+    } catch (error: any) {
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  // Opens the print dialog, where "Save as PDF" is chosen as the printer
+  const handlePrint = async () => {
+    try {
+      await printConversations(selectedIds());
+    } catch (error: any) {
+      alert(`Printing failed: ${error.message}`);
+    }
+  };
+
   const handleDelete = async () => {
     await deleteSelected(reload);
   };
@@ -101,6 +220,36 @@ function BatchToolbar() {
             📦 Archive
           </button>
 
+          <button
+            class="px-3 py-1 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600
+                   text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600
+                   rounded text-sm font-medium transition-colors"
+            onClick={handleExportMarkdown}
+            aria-label="Export selected conversations as Markdown"
+          >
+            📝 Markdown
+          </button>
+
+          <button
+            class="px-3 py-1 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600
+                   text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600
+                   rounded text-sm font-medium transition-colors"
+            onClick={handleExportHtml}
+            aria-label="Export selected conversations as an HTML archive"
+          >
+            🌐 HTML
+          </button>
+
+          <button
+            class="px-3 py-1 bg-white dark:bg-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600
+                   text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600
+                   rounded text-sm font-medium transition-colors"
+            onClick={handlePrint}
+            aria-label="Print selected conversations or save them as PDF"
+          >
+            📄 Save as PDF
+          </button>
+
           <button
             class="px-3 py-1 bg-red-600 hover:bg-red-700 text-white
                    rounded text-sm font-medium transition-colors"
@@ -125,15 +274,25 @@ function BatchToolbar() {
 }
 
 function AppContent() {
+  const { projects, readerOpen } = useProjects();
+
   return (
-    <div class="flex h-[calc(100vh-73px)]">
-      <aside class="w-96 border-r border-gray-200 dark:border-gray-700 flex flex-col overflow-hidden">
+    <div class="flex h-[calc(100vh-73px)] print:block print:h-auto">
+      <Show when={projects().length > 0}>
+        <aside class="print:hidden w-56 border-r border-gray-200 dark:border-gray-700 flex flex-col overflow-hidden">
+          <ProjectSidebar />
+        </aside>
+      </Show>
+
+      <aside class="print:hidden w-96 border-r border-gray-200 dark:border-gray-700 flex flex-col overflow-hidden">
         <BatchToolbar />
         <ConversationList />
       </aside>
 
-      <main class="flex-1 overflow-hidden">
-        <MessageViewer />
+      <main class="flex-1 overflow-hidden print:overflow-visible">
+        <Show when={readerOpen()} fallback={<MessageViewer />}>
+          <ProjectViewer />
+        </Show>
       </main>
     </div>
   );
@@ -145,10 +304,12 @@ function App() {
       <ConversationProvider>
         <BatchOperationsProvider>
           <TagProvider>
-            <div class="h-screen bg-gray-50 dark:bg-gray-950 text-gray-900 dark:text-gray-100">
-              <AppHeader />
-              <AppContent />
-            </div>
+            <ProjectProvider>
+              <div class="h-screen print:h-auto bg-gray-50 dark:bg-gray-950 text-gray-900 dark:text-gray-100">
+                <AppHeader />
+                <AppContent />
+              </div>
+            </ProjectProvider>
           </TagProvider>
         </BatchOperationsProvider>
       </ConversationProvider>
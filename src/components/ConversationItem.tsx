@@ -49,7 +49,14 @@ export default function ConversationItem(props: ConversationItemProps) {
     const source = conversation.source?.toLowerCase() || '';
     const model = conversation.model?.toLowerCase() || '';
 
-    if (source.includes('chatgpt') || source.includes('gpt') || model.includes('gpt')) {
+    // Self-hosted front ends and API logs run other vendors' models, so name where they came from
+    if (source === 'api') {
+      return 'API';
+    } else if (source === 'openwebui') {
+      return 'Open WebUI';
+    } else if (source === 'librechat') {
+      return 'LibreChat';
+    } else if (source.includes('chatgpt') || source.includes('gpt') || model.includes('gpt')) {
       return 'ChatGPT';
     } else if (source.includes('claude') || model.includes('claude')) {
       return 'Claude';
@@ -30,7 +30,7 @@ export default function FilterBar() {
   };
 
   const hasActiveFilters = () =>
-    filters.starred || filters.archived || filters.source !== 'all' || filters.sortOrder !== 'newest';
+    filters.starred || filters.archived || filters.source !== 'all' || filters.sortOrder !== 'newest' || !!filters.project;
 
   return (
     <div class="p-4 space-y-4 border-b border-gray-200 dark:border-gray-700">
@@ -58,6 +58,10 @@ export default function FilterBar() {
             <option value="claude">Claude</option>
             <option value="gemini">Gemini</option>
             <option value="copilot">Copilot</option>
+            <option value="openwebui">Open WebUI</option>
+            <option value="librechat">LibreChat</option>
+            <option value="api">API logs</option>
+            <option value="transcript">Transcripts</option>
           </select>
         </div>
 
@@ -0,0 +1,199 @@
+/**
+ * Import History Component
+ *
+ * Lists past imports (file, size, format, when, and how many conversations
+ * each added or updated) and lets an import be undone, removing the
+ * conversations, attachments and projects it added. Below the list, how much
+ * storage the app uses and how much of it is attachments
+ */
+
+import { For, Show, createSignal, createEffect } from 'solid-js';
+import { useConversations } from '../contexts/ConversationContext';
+import { getImports, undoImport, getAttachmentStats } from '../database/index.js';
+import { formatters } from '../utils/formatUtils.js';
+import { formatBytes, getStorageStatus } from '../utils/storageQuotaUtils.js';
+
+export interface ImportRecord {
+  import_id: string;
+  file_name: string | null;
+  file_size: number | null;
+  file_hash: string | null;
+  format: string | null;
+  started_at: string;
+  completed_at: string;
+  undone_at: string | null;
+  conversations_added: string[];
+  conversations_updated: string[];
+  attachments_added: string[][];  // [conversation_id, asset_pointer] keys
+  projects_added: string[];
+  projects_updated: string[];
+}
+
+interface StorageStatus {
+  supported: boolean;
+  usageMB?: string;
+  quotaMB?: string;
+  attachmentCount: number;
+  attachmentsMB: string;
+}
+
+interface ImportHistoryProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+const plural = (count: number, word: string) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+export default function ImportHistory(props: ImportHistoryProps) {
+  const { reload } = useConversations();
+  const [imports, setImports] = createSignal<ImportRecord[]>([]);
+  const [loading, setLoading] = createSignal(false);
+  const [undoing, setUndoing] = createSignal<string | null>(null);
+  const [error, setError] = createSignal('');
+  const [storage, setStorage] = createSignal<StorageStatus | null>(null);
+
+  const loadImports = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setImports(await getImports());
+    } catch (err: any) {
+      console.error('[ImportHistory] Failed to load imports:', err);
+      setError(err.message || 'Failed to load the import history');
+    } finally {
+      setLoading(false);
+    }
+    loadStorage();
+  };
+
+  // Imports and undos change how much is stored, so this is reloaded with the list
+  const loadStorage = async () => {
+    try {
+      setStorage(await getStorageStatus(await getAttachmentStats()));
+    } catch (err) {
+      console.error('[ImportHistory] Failed to load storage usage:', err);
+      setStorage(null);
+    }
+  };
+
+  // Reload whenever the history is opened, since imports may have run since
+  createEffect(() => {
+    if (props.isOpen) {
+      loadImports();
+    }
+  });
+
+  const handleUndo = async (record: ImportRecord) => {
+    const added = record.conversations_added.length;
+    const confirmed = confirm(
+      `Remove the ${plural(added, 'conversation')} added by importing ${record.file_name || 'this file'}? ` +
+      'Conversations it updated are kept. This cannot be undone.'
+    );
+    if (!confirmed) return;
+
+    setUndoing(record.import_id);
+    setError('');
+    try {
+      const result = await undoImport(record.import_id);
+      console.log('[ImportHistory] Undid import:', result);
+      await reload();
+      await loadImports();
+    } catch (err: any) {
+      console.error('[ImportHistory] Undo failed:', err);
+      setError(err.message || 'Failed to undo the import');
+    } finally {
+      setUndoing(null);
+    }
+  };
+
+  return (
+    <Show when={props.isOpen}>
+      <div class="modal-overlay" onClick={() => props.onClose()}>
+        <div class="modal-content" onClick={(e) => e.stopPropagation()}>
+          <div class="modal-header">
+            <h2>Import History</h2>
+            <button class="modal-close" onClick={() => props.onClose()} aria-label="Close">
+              ×
+            </button>
+          </div>
+
+          <div class="modal-body">
+            <Show when={error()}>
+              <div class="error-message">
+                <strong>Error:</strong> {error()}
+              </div>
+            </Show>
+
+            <Show
+              when={imports().length > 0}
+              fallback={
+                <p class="text-sm text-gray-600 dark:text-gray-400">
+                  {loading() ? 'Loading...' : 'Nothing has been imported yet.'}
+                </p>
+              }
+            >
+              <ul class="space-y-2 max-h-96 overflow-y-auto" aria-label="Past imports">
+                <For each={imports()}>
+                  {(record) => (
+                    <li class="import-history-item text-sm border border-gray-200 dark:border-gray-700 rounded-md p-2">
+                      <div class="flex items-center justify-between gap-2">
+                        <span class="truncate font-medium" title={record.file_name || undefined}>
+                          {record.file_name || 'Unknown file'}
+                        </span>
+                        <Show
+                          when={!record.undone_at}
+                          fallback={
+                            <span class="shrink-0 text-gray-500 dark:text-gray-400">
+                              Undone {formatters.fullDate(record.undone_at)}
+                            </span>
+                          }
+                        >
+                          <button
+                            class="btn btn-secondary shrink-0"
+                            onClick={() => handleUndo(record)}
+                            disabled={undoing() !== null || record.conversations_added.length + record.projects_added.length === 0}
+                            aria-label={`Undo import of ${record.file_name || 'file'}`}
+                          >
+                            {undoing() === record.import_id ? 'Undoing...' : 'Undo'}
+                          </button>
+                        </Show>
+                      </div>
+                      <p class="text-gray-600 dark:text-gray-400">
+                        {formatters.fullDate(record.completed_at)}
+                        <Show when={record.file_size !== null}> · {formatBytes(record.file_size)}</Show>
+                        <Show when={record.format}> · {record.format}</Show>
+                      </p>
+                      <p class="text-gray-600 dark:text-gray-400">
+                        {record.conversations_added.length} added, {record.conversations_updated.length} updated
+                        <Show when={record.projects_added.length + record.projects_updated.length > 0}>
+                          , {plural(record.projects_added.length + record.projects_updated.length, 'project')}
+                        </Show>
+                      </p>
+                    </li>
+                  )}
+                </For>
+              </ul>
+            </Show>
+
+            <Show when={storage()}>
+              {(status) => (
+                <p class="mt-3 text-sm text-gray-600 dark:text-gray-400" aria-label="Storage usage">
+                  <Show when={status().supported}>
+                    {status().usageMB} MB of {status().quotaMB} MB used{' \u00b7 '}
+                  </Show>
+                  {plural(status().attachmentCount, 'attachment')} ({status().attachmentsMB} MB)
+                </p>
+              )}
+            </Show>
+          </div>
+
+          <div class="modal-footer">
+            <button class="btn btn-secondary" onClick={() => props.onClose()}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </Show>
+  );
+}
@@ -0,0 +1,148 @@
+/**
+ * Import Preview Component
+ *
+ * Lists the conversations found by a dry run, grouped by source, with
+ * whether each would be new, updated or unchanged, and lets conversations
+ * or whole sources be unticked before anything is written
+ */
+
+import { For, Show, createMemo, createEffect } from 'solid-js';
+import { createStore } from 'solid-js/store';
+import type { ImportQueueItem, ImportPreviewRow, ImportPreviewStatus } from './ImportQueue';
+
+interface PreviewEntry {
+  key: string;
+  itemId: number;
+  path: string;
+  row: ImportPreviewRow;
+}
+
+interface ImportPreviewProps {
+  items: ImportQueueItem[];
+  onImport: (selection: Record<number, number[]>) => void;
+  onDiscard: () => void;
+}
+
+const STATUS_CLASSES: Record<ImportPreviewStatus, string> = {
+  new: 'text-green-600 dark:text-green-400',
+  updated: 'text-blue-600 dark:text-blue-400',
+  unchanged: 'text-gray-500 dark:text-gray-400'
+};
+
+export default function ImportPreview(props: ImportPreviewProps) {
+  const entries = createMemo<PreviewEntry[]>(() =>
+    props.items.flatMap(item => (item.preview || []).map(row => ({
+      key: `${item.id}:${row.index}`,
+      itemId: item.id,
+      path: item.path,
+      row
+    })))
+  );
+
+  // Unchanged conversations start unticked; importing them would change nothing
+  const [selected, setSelected] = createStore<Record<string, boolean>>(
+    Object.fromEntries(entries().map(entry => [entry.key, entry.row.status !== 'unchanged']))
+  );
+
+  const groups = createMemo(() => {
+    const bySource = new Map<string, PreviewEntry[]>();
+    entries().forEach(entry => {
+      const source = entry.row.source || 'unknown';
+      if (!bySource.has(source)) bySource.set(source, []);
+      bySource.get(source)!.push(entry);
+    });
+    return Array.from(bySource, ([source, sourceEntries]) => ({ source, entries: sourceEntries }));
+  });
+
+  const selectedCount = () => entries().filter(entry => selected[entry.key]).length;
+  const showPaths = () => props.items.length > 1;
+
+  const countByStatus = (groupEntries: PreviewEntry[], status: ImportPreviewStatus) =>
+    groupEntries.filter(entry => entry.row.status === status).length;
+
+  const setGroup = (groupEntries: PreviewEntry[], value: boolean) => {
+    setSelected(Object.fromEntries(groupEntries.map(entry => [entry.key, value])));
+  };
+
+  const handleImport = () => {
+    const selection: Record<number, number[]> = {};
+    props.items.forEach(item => {
+      selection[item.id] = [];
+    });
+    entries().forEach(entry => {
+      if (selected[entry.key]) selection[entry.itemId].push(entry.row.index);
+    });
+    props.onImport(selection);
+  };
+
+  return (
+    <div class="import-preview mt-4 text-sm">
+      <p class="mb-2 text-gray-600 dark:text-gray-400">
+        {selectedCount()} of {entries().length} conversations selected. Nothing has been imported yet.
+      </p>
+
+      <div class="max-h-80 overflow-y-auto space-y-3">
+        <For each={groups()}>
+          {(group) => {
+            const groupSelected = () => group.entries.filter(entry => selected[entry.key]).length;
+
+            return (
+              <section class="import-preview-group">
+                <label class="flex items-center gap-2 font-medium">
+                  <input
+                    type="checkbox"
+                    checked={groupSelected() === group.entries.length}
+                    ref={(el) => createEffect(() => {
+                      el.indeterminate = groupSelected() > 0 && groupSelected() < group.entries.length;
+                    })}
+                    onChange={(e) => setGroup(group.entries, e.currentTarget.checked)}
+                    aria-label={`Import all ${group.source} conversations`}
+                  />
+                  <span>{group.source}</span>
+                  <span class="font-normal text-gray-500 dark:text-gray-400">
+                    {countByStatus(group.entries, 'new')} new, {countByStatus(group.entries, 'updated')} updated, {countByStatus(group.entries, 'unchanged')} unchanged
+                  </span>
+                </label>
+
+                <ul class="ml-6 mt-1 space-y-0.5">
+                  <For each={group.entries}>
+                    {(entry) => (
+                      <li>
+                        <label class="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={selected[entry.key]}
+                            onChange={(e) => setSelected(entry.key, e.currentTarget.checked)}
+                          />
+                          <span class="truncate flex-1" title={entry.row.title}>{entry.row.title}</span>
+                          <Show when={showPaths()}>
+                            <span class="shrink-0 text-gray-400 truncate max-w-[8rem]" title={entry.path}>{entry.path}</span>
+                          </Show>
+                          <span class="shrink-0 text-gray-500 dark:text-gray-400">
+                            {entry.row.message_count} msg
+                          </span>
+                          <span class={`import-preview-status shrink-0 ${STATUS_CLASSES[entry.row.status]}`}>
+                            {entry.row.status}
+                          </span>
+                        </label>
+                      </li>
+                    )}
+                  </For>
+                </ul>
+              </section>
+            );
+          }}
+        </For>
+      </div>
+
+      <div class="flex justify-end gap-2 mt-3">
+        <button class="btn btn-secondary" onClick={() => props.onDiscard()}>
+          Discard
+        </button>
+        <button class="btn btn-primary" onClick={handleImport} disabled={selectedCount() === 0}>
+          Import selected
+        </button>
+      </div>
+    </div>
+  );
+}
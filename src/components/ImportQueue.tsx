@@ -0,0 +1,225 @@
+/**
+ * Import Queue Component
+ *
+ * Lists the files queued in the upload modal with each file's status,
+ * progress and errors, and sums up the results once the queue is done,
+ * with a downloadable report of conversations that could not be imported
+ */
+
+import { For, Show } from 'solid-js';
+import { downloadImportErrorReport } from '../utils/importReportUtils.js';
+
+export interface ArchiveReport {
+  format: string;
+  used: string[];
+  skipped: string[];
+  projects?: unknown[];
+}
+
+export type ImportQueueStatus =
+  'queued' | 'previewing' | 'ready' | 'importing' | 'done' | 'failed' | 'canceled' | 'skipped';
+
+export type ImportPreviewStatus = 'new' | 'updated' | 'unchanged';
+
+export interface ImportPreviewRow {
+  index: number;  // Position in the file's conversation stream, stable across passes
+  conversation_id: string;
+  title: string;
+  source: string;
+  message_count: number;
+  status: ImportPreviewStatus;
+}
+
+// A conversation that could not be converted; the rest of its file still imports
+export interface ImportFailure {
+  index: number;  // Position of the record in its file
+  conversation_id: string | null;
+  title: string | null;
+  reason: string;
+  snippet: string;
+}
+
+export interface ImportQueueItem {
+  id: number;
+  file: File;
+  path: string;
+  status: ImportQueueStatus;
+  percent: number;
+  message: string;
+  newConversations: number;
+  updatedConversations: number;
+  unchangedConversations: number;
+  mergedConversations: number;    // Updates that kept local organisation, renames or messages
+  messagesAdded: number;
+  skippedConversations: number;
+  projects: number;
+  report: ArchiveReport | null;
+  failures: ImportFailure[];
+  preview: ImportPreviewRow[] | null;    // Conversations found by a preview pass
+  selection: number[] | null;           // Stream positions to import after a preview
+}
+
+export interface ImportQueueSummary {
+  files: number;
+  imported: number;
+  failed: number;
+  canceled: number;
+  skippedFiles: number;
+  newConversations: number;
+  updatedConversations: number;
+  unchangedConversations: number;
+  mergedConversations: number;
+  messagesAdded: number;
+  skippedConversations: number;
+  failedConversations: number;
+  projects: number;
+}
+
+type ImportQueueCount =
+  'newConversations' | 'updatedConversations' | 'unchangedConversations' | 'mergedConversations' |
+  'messagesAdded' | 'skippedConversations' | 'projects';
+
+/**
+ * Add up the results of every file in the queue
+ */
+export function summarizeQueue(items: ImportQueueItem[]): ImportQueueSummary {
+  const count = (status: ImportQueueStatus) => items.filter(item => item.status === status).length;
+  const sum = (field: ImportQueueCount) =>
+    items.reduce((total, item) => total + item[field], 0);
+
+  return {
+    files: items.length,
+    imported: count('done'),
+    failed: count('failed'),
+    canceled: count('canceled'),
+    skippedFiles: count('skipped'),
+    newConversations: sum('newConversations'),
+    updatedConversations: sum('updatedConversations'),
+    unchangedConversations: sum('unchangedConversations'),
+    mergedConversations: sum('mergedConversations'),
+    messagesAdded: sum('messagesAdded'),
+    skippedConversations: sum('skippedConversations'),
+    failedConversations: items.reduce((total, item) => total + item.failures.length, 0),
+    projects: sum('projects')
+  };
+}
+
+const plural = (count: number, word: string) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const STATUS_LABELS: Record<ImportQueueStatus, string> = {
+  queued: 'Queued',
+  previewing: 'Previewing',
+  ready: 'Ready to import',
+  importing: 'Importing',
+  done: 'Imported',
+  failed: 'Failed',
+  canceled: 'Canceled',
+  skipped: 'Skipped'
+};
+
+const STATUS_CLASSES: Record<ImportQueueStatus, string> = {
+  queued: 'text-gray-500 dark:text-gray-400',
+  previewing: 'text-blue-600 dark:text-blue-400',
+  ready: 'text-blue-600 dark:text-blue-400',
+  importing: 'text-blue-600 dark:text-blue-400',
+  done: 'text-green-600 dark:text-green-400',
+  failed: 'text-red-600 dark:text-red-400',
+  canceled: 'text-gray-500 dark:text-gray-400',
+  skipped: 'text-gray-500 dark:text-gray-400'
+};
+
+interface ImportQueueProps {
+  items: ImportQueueItem[];
+  showSummary: boolean;
+}
+
+export default function ImportQueue(props: ImportQueueProps) {
+  const summary = () => summarizeQueue(props.items);
+
+  const handleDownloadReport = () => {
+    downloadImportErrorReport(props.items.map(item => ({
+      path: item.path,
+      size: item.file.size,
+      failures: item.failures
+    })));
+  };
+
+  return (
+    <div class="import-queue mt-4">
+      <ul class="space-y-2" aria-label="Import queue">
+        <For each={props.items}>
+          {(item) => (
+            <li class="import-queue-item text-sm border border-gray-200 dark:border-gray-700 rounded-md p-2">
+              <div class="flex items-center justify-between gap-2">
+                <span class="truncate" title={item.path}>{item.path}</span>
+                <span class={`import-queue-status shrink-0 font-medium ${STATUS_CLASSES[item.status]}`}>
+                  {STATUS_LABELS[item.status]}
+                </span>
+              </div>
+
+              <Show when={item.status === 'importing' || item.status === 'previewing'}>
+                <div class="progress-bar mt-1">
+                  <div class="progress-fill" style={{ width: `${item.percent}%` }} />
+                </div>
+              </Show>
+
+              <Show when={item.message}>
+                <p class={item.status === 'failed' ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-400'}>
+                  {item.message}
+                </p>
+              </Show>
+
+              <Show when={item.failures.length > 0}>
+                <p class="import-failures text-amber-700 dark:text-amber-400">
+                  {plural(item.failures.length, 'conversation')} could not be imported: {item.failures[0].reason}
+                  <Show when={item.failures.length > 1}> (and {plural(item.failures.length - 1, 'other')})</Show>
+                </p>
+              </Show>
+
+              <Show when={item.report}>
+                {(report) => (
+                  <div class="archive-report text-gray-600 dark:text-gray-400">
+                    <p>Used: {report().used.join(', ')}</p>
+                    <Show when={report().skipped.length > 0}>
+                      <p>
+                        Skipped {plural(report().skipped.length, 'other file')}: {report().skipped.join(', ')}
+                      </p>
+                    </Show>
+                  </div>
+                )}
+              </Show>
+            </li>
+          )}
+        </For>
+      </ul>
+
+      <Show when={props.showSummary && props.items.length > 0}>
+        <div class="import-summary mt-4 text-sm" role="status">
+          <p class="font-medium">
+            {plural(summary().newConversations, 'new conversation')}, {summary().updatedConversations} updated, {summary().unchangedConversations} unchanged, {summary().skippedConversations} skipped
+            <Show when={summary().projects > 0}>, {plural(summary().projects, 'project')}</Show>
+          </p>
+          <Show when={summary().updatedConversations > 0}>
+            <p class="text-gray-600 dark:text-gray-400">
+              {summary().mergedConversations} merged with local tags, stars, renames or messages; {plural(summary().messagesAdded, 'new message')} added
+            </p>
+          </Show>
+          <p class="text-gray-600 dark:text-gray-400">
+            {summary().imported} of {plural(summary().files, 'file')} imported
+            <Show when={summary().failed > 0}>, {summary().failed} failed</Show>
+            <Show when={summary().canceled > 0}>, {summary().canceled} canceled</Show>
+            <Show when={summary().skippedFiles > 0}>, {summary().skippedFiles} skipped</Show>
+          </p>
+          <Show when={summary().failedConversations > 0}>
+            <p class="text-amber-700 dark:text-amber-400">
+              {plural(summary().failedConversations, 'conversation')} could not be imported.{' '}
+              <button class="underline hover:no-underline" onClick={handleDownloadReport}>
+                Download error report
+              </button>
+            </p>
+          </Show>
+        </div>
+      </Show>
+    </div>
+  );
+}
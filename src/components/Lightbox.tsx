@@ -0,0 +1,57 @@
+/**
+ * Lightbox Component
+ *
+ * Shows an image full size over the page; closes on Escape,
+ * the close button or a click on the backdrop
+ */
+
+import { Show, createEffect, onCleanup } from 'solid-js';
+
+interface LightboxProps {
+  src: string | null;
+  alt?: string;
+  onClose: () => void;
+}
+
+export default function Lightbox(props: LightboxProps) {
+  const handleKeyDown = (e: KeyboardEvent) => {
+    if (e.key === 'Escape') {
+      props.onClose();
+    }
+  };
+
+  createEffect(() => {
+    if (!props.src) return;
+
+    document.addEventListener('keydown', handleKeyDown);
+    onCleanup(() => {
+      document.removeEventListener('keydown', handleKeyDown);
+    });
+  });
+
+  return (
+    <Show when={props.src}>
+      <div
+        class="lightbox-overlay fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4"
+        role="dialog"
+        aria-modal="true"
+        aria-label={props.alt || 'Image preview'}
+        onClick={() => props.onClose()}
+      >
+        <button
+          class="lightbox-close absolute top-4 right-4 text-3xl leading-none text-white"
+          onClick={() => props.onClose()}
+          aria-label="Close"
+        >
+          ×
+        </button>
+        <img
+          class="lightbox-image max-h-full max-w-full rounded shadow-lg"
+          src={props.src!}
+          alt={props.alt || ''}
+          onClick={(e) => e.stopPropagation()}
+        />
+      </div>
+    </Show>
+  );
+}
@@ -0,0 +1,213 @@
+/**
+ * Message Block Component
+ *
+ * Renders one typed content block of a message (text, code cell,
+ * execution output, quote, browsing result, image, file, error,
+ * thinking, tool call or tool result)
+ */
+
+import { Switch, Match, Show, For } from 'solid-js';
+
+export interface ContentBlock {
+  type: string;
+  text?: string;
+  language?: string;
+  code?: string;
+  output?: string;
+  url?: string;
+  title?: string;
+  domain?: string;
+  name?: string;
+  asset_pointer?: string;
+  width?: number;
+  height?: number;
+  alt?: string;
+  mime_type?: string;
+  size_bytes?: number;
+  input?: unknown;
+  is_error?: boolean;
+  tool_use_id?: string;
+  citations?: { url: string; title?: string }[];
+}
+
+interface MessageBlockProps {
+  block: ContentBlock;
+  renderMarkdown: (content: string) => string;
+  getAttachmentUrl?: (assetPointer: string) => string | undefined;
+  onOpenImage?: (src: string, alt: string) => void;
+}
+
+// Only link out to web pages; anything else is shown as plain text
+const isSafeUrl = (url?: string): boolean => !!url && /^https?:\/\//i.test(url);
+
+// Pretty-print tool input/output; strings that hold JSON are reformatted too
+const formatJson = (value: unknown): string => {
+  if (typeof value === 'string') {
+    try {
+      return JSON.stringify(JSON.parse(value), null, 2);
+    } catch {
+      return value;
+    }
+  }
+  return JSON.stringify(value ?? {}, null, 2);
+};
+
+export default function MessageBlock(props: MessageBlockProps) {
+  const attachmentUrl = () =>
+    props.block.asset_pointer ? props.getAttachmentUrl?.(props.block.asset_pointer) : undefined;
+
+  return (
+    <Switch
+      fallback={
+        <>
+          <div class="message-block message-block-text" innerHTML={props.renderMarkdown(props.block.text || '')} />
+          <Show when={props.block.citations && props.block.citations.length > 0}>
+            <ul class="message-block-citations text-xs text-gray-500 dark:text-gray-400">
+              <For each={props.block.citations}>
+                {(citation) => (
+                  <li>
+                    <Show when={isSafeUrl(citation.url)} fallback={citation.title || citation.url}>
+                      <a href={citation.url} target="_blank" rel="noopener noreferrer">
+                        {citation.title || citation.url}
+                      </a>
+                    </Show>
+                  </li>
+                )}
+              </For>
+            </ul>
+          </Show>
+        </>
+      }
+    >
+      <Match when={props.block.type === 'code'}>
+        <div class="message-block message-block-code">
+          <div class="message-block-label text-xs font-medium text-gray-500 dark:text-gray-400">
+            Code{props.block.language ? ` · ${props.block.language}` : ''}
+          </div>
+          <div
+            innerHTML={props.renderMarkdown('```' + (props.block.language || '') + '\n' + (props.block.code || '') + '\n```')}
+          />
+        </div>
+      </Match>
+
+      <Match when={props.block.type === 'execution_output'}>
+        <div class="message-block message-block-output">
+          <div class="message-block-label text-xs font-medium text-gray-500 dark:text-gray-400">Output</div>
+          <pre class="message-block-output-text"><code>{props.block.output}</code></pre>
+        </div>
+      </Match>
+
+      <Match when={props.block.type === 'quote'}>
+        <blockquote class="message-block message-block-quote border-l-4 border-gray-300 dark:border-gray-600 pl-3">
+          <p class="message-block-quote-text">{props.block.text}</p>
+          <Show when={props.block.title || props.block.url}>
+            <footer class="message-block-quote-source text-xs text-gray-500 dark:text-gray-400">
+              <Show when={isSafeUrl(props.block.url)} fallback={props.block.title || props.block.url}>
+                <a href={props.block.url} target="_blank" rel="noopener noreferrer">
+                  {props.block.title || props.block.domain || props.block.url}
+                </a>
+              </Show>
+            </footer>
+          </Show>
+        </blockquote>
+      </Match>
+
+      <Match when={props.block.type === 'browsing'}>
+        <details class="message-block message-block-browsing">
+          <summary class="message-block-label text-xs font-medium text-gray-500 dark:text-gray-400">
+            Browsing result
+          </summary>
+          <div innerHTML={props.renderMarkdown(props.block.text || '')} />
+        </details>
+      </Match>
+
+      <Match when={props.block.type === 'image'}>
+        <Show
+          when={attachmentUrl()}
+          fallback={
+            <div
+              class="message-block message-block-image inline-flex items-center gap-2 px-3 py-2 rounded border border-dashed border-gray-300 dark:border-gray-600 text-sm text-gray-500 dark:text-gray-400"
+              title={props.block.alt || props.block.asset_pointer}
+            >
+              <span aria-hidden="true">🖼️</span>
+              <span>
+                Image
+                <Show when={props.block.width && props.block.height}>
+                  {` (${props.block.width}×${props.block.height})`}
+                </Show>
+              </span>
+            </div>
+          }
+        >
+          {(src) => (
+            <button
+              type="button"
+              class="message-block message-block-image-thumbnail block p-0 border-0 bg-transparent cursor-zoom-in"
+              onClick={() => props.onOpenImage?.(src(), props.block.alt || 'Image')}
+              aria-label="Open image"
+            >
+              <img
+                class="max-h-64 max-w-full rounded border border-gray-200 dark:border-gray-700"
+                src={src()}
+                alt={props.block.alt || 'Image'}
+                loading="lazy"
+              />
+            </button>
+          )}
+        </Show>
+      </Match>
+
+      <Match when={props.block.type === 'file'}>
+        <div class="message-block message-block-file inline-flex items-center gap-2 px-3 py-2 rounded border border-gray-300 dark:border-gray-600 text-sm">
+          <span aria-hidden="true">📎</span>
+          <Show when={attachmentUrl()} fallback={<span>{props.block.name}</span>}>
+            {(href) => (
+              <a href={href()} download={props.block.name}>
+                {props.block.name}
+              </a>
+            )}
+          </Show>
+        </div>
+      </Match>
+
+      <Match when={props.block.type === 'thinking'}>
+        <details class="message-block message-block-thinking">
+          <summary class="message-block-label text-xs font-medium text-gray-500 dark:text-gray-400">
+            Thinking
+          </summary>
+          <div class="text-gray-600 dark:text-gray-400" innerHTML={props.renderMarkdown(props.block.text || '')} />
+        </details>
+      </Match>
+
+      <Match when={props.block.type === 'tool_use'}>
+        <details class="message-block message-block-tool-use">
+          <summary class="message-block-label text-xs font-medium text-gray-500 dark:text-gray-400">
+            Tool call · {props.block.name}
+          </summary>
+          <pre class="message-block-tool-json"><code>{formatJson(props.block.input)}</code></pre>
+        </details>
+      </Match>
+
+      <Match when={props.block.type === 'tool_result'}>
+        <details class="message-block message-block-tool-result" classList={{ 'message-block-tool-error': !!props.block.is_error }}>
+          <summary
+            class="message-block-label text-xs font-medium"
+            classList={{
+              'text-gray-500 dark:text-gray-400': !props.block.is_error,
+              'text-red-700 dark:text-red-300': !!props.block.is_error,
+            }}
+          >
+            Tool result · {props.block.name}{props.block.is_error ? ' (error)' : ''}
+          </summary>
+          <pre class="message-block-tool-json"><code>{formatJson(props.block.output)}</code></pre>
+        </details>
+      </Match>
+
+      <Match when={props.block.type === 'error'}>
+        <div class="message-block message-block-error text-sm text-red-700 dark:text-red-300" role="note">
+          <span aria-hidden="true">⚠️</span> {props.block.name ? `${props.block.name}: ` : ''}{props.block.text}
+        </div>
+      </Match>
+    </Switch>
+  );
+}
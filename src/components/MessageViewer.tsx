@@ -4,21 +4,78 @@
  * Displays the messages of the currently selected conversation
  */
 
-import { Show, For, createSignal, onMount } from 'solid-js';
+import { Show, For, createSignal, createEffect, on, onMount, onCleanup } from 'solid-js';
 import { useConversations } from '../contexts/ConversationContext';
 import { createMarkdownRenderer } from '../utils/markdownUtils.js';
 import { formatters } from '../utils/formatUtils.js';
+import { getVisiblePath, getBranchKey } from '../utils/messageTreeUtils.js';
+import { getAttachmentsByConversation } from '../database/index.js';
+import { exportConversationMarkdown } from '../utils/markdownExportUtils.js';
+import { printConversations } from '../utils/printUtils.js';
+import MessageBlock, { ContentBlock } from './MessageBlock';
+import Lightbox from './Lightbox';
 
 interface Message {
+  id?: string;
   role: string;
   content: string;
+  blocks?: ContentBlock[];
   timestamp?: string | number;
   model?: string;
+  parent_id?: string | null;
+  sibling_index?: number;
+  sibling_count?: number;
+  is_active?: boolean;
 }
 
 export default function MessageViewer() {
-  const { currentConversation } = useConversations();
+  const { currentConversation, renameConversation } = useConversations();
   const [markdownRenderer, setMarkdownRenderer] = createSignal<any>(null);
+  const [branchSelections, setBranchSelections] = createSignal<Record<string, number>>({});
+
+  const [attachmentUrls, setAttachmentUrls] = createSignal<Map<string, string>>(new Map());
+  const [lightboxImage, setLightboxImage] = createSignal<{ src: string; alt: string } | null>(null);
+
+  // Start every conversation on its active branch
+  createEffect(on(currentConversation, () => setBranchSelections({})));
+
+  const revokeAttachmentUrls = () => {
+    attachmentUrls().forEach(url => URL.revokeObjectURL(url));
+    setAttachmentUrls(new Map());
+  };
+
+  // Load the images and files stored for the selected conversation
+  createEffect(on(currentConversation, async (conversation) => {
+    revokeAttachmentUrls();
+    setLightboxImage(null);
+    if (!conversation?.conversation_id) return;
+
+    try {
+      const attachments = await getAttachmentsByConversation(conversation.conversation_id);
+      if (currentConversation()?.conversation_id !== conversation.conversation_id) return;
+
+      const urls = new Map<string, string>();
+      attachments.forEach((attachment: { asset_pointer: string; blob: Blob }) => {
+        if (attachment.blob) {
+          urls.set(attachment.asset_pointer, URL.createObjectURL(attachment.blob));
+        }
+      });
+      setAttachmentUrls(urls);
+    } catch (error) {
+      console.error('Error loading attachments:', error);
+    }
+  }));
+
+  onCleanup(revokeAttachmentUrls);
+
+  const visibleMessages = (): Message[] =>
+    getVisiblePath(currentConversation()?.messages || [], branchSelections());
+
+  const switchBranch = (message: Message, offset: number) => {
+    const count = message.sibling_count || 1;
+    const next = ((message.sibling_index || 0) + offset + count) % count;
+    setBranchSelections(prev => ({ ...prev, [getBranchKey(message)]: next }));
+  };
 
   onMount(async () => {
     // Initialize markdown renderer
@@ -50,6 +107,30 @@ export default function MessageViewer() {
     return 'message-other';
   };
 
+  // Ask for a new title; re-imports keep a local rename
+  const handleRename = (conversationId: string, currentTitle: string) => {
+    const title = prompt('Rename conversation', currentTitle)?.trim();
+    if (title && title !== currentTitle) {
+      renameConversation(conversationId, title);
+    }
+  };
+
+  const handleExportMarkdown = async (conversationId: string) => {
+    try {
+      await exportConversationMarkdown(conversationId);
+    } catch (error: any) {
+      alert(`Export failed: ${error.message}`);
+    }
+  };
+
+  const handlePrint = async (conversationId: string) => {
+    try {
+      await printConversations([conversationId]);
+    } catch (error: any) {
+      alert(`Printing failed: ${error.message}`);
+    }
+  };
+
   const getRoleLabel = (role: string): string => {
     const normalizedRole = role.toLowerCase();
     if (normalizedRole.includes('user') || normalizedRole.includes('human')) {
@@ -78,7 +159,33 @@ export default function MessageViewer() {
           <>
             {/* Conversation Header */}
             <div class="conversation-header">
-              <h1 class="conversation-title">{conversation().title}</h1>
+              <div class="flex items-start gap-2">
+                <h1 class="conversation-title">{conversation().title}</h1>
+                <button
+                  class="conversation-rename shrink-0 mt-1 px-1 text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-200"
+                  onClick={() => handleRename(conversation().conversation_id, conversation().title)}
+                  aria-label="Rename conversation"
+                  title="Rename conversation"
+                >
+                  ✏️
+                </button>
+                <button
+                  class="conversation-export-markdown shrink-0 mt-1 px-1 text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-200"
+                  onClick={() => handleExportMarkdown(conversation().conversation_id)}
+                  aria-label="Export as Markdown"
+                  title="Export as Markdown"
+                >
+                  ⬇️
+                </button>
+                <button
+                  class="conversation-print shrink-0 mt-1 px-1 text-sm text-gray-500 hover:text-gray-800 dark:hover:text-gray-200"
+                  onClick={() => handlePrint(conversation().conversation_id)}
+                  aria-label="Print or save as PDF"
+                  title="Print or save as PDF"
+                >
+                  🖨️
+                </button>
+              </div>
               <div class="conversation-metadata">
                 <span class="conversation-source">
                   {conversation().source || 'Unknown Source'}
@@ -106,8 +213,8 @@ export default function MessageViewer() {
                   </div>
                 }
               >
-                <For each={conversation().messages}>
-                  {(message: Message, index) => (
+                <For each={visibleMessages()}>
+                  {(message: Message) => (
                     <div class={`message ${getRoleClass(message.role)}`}>
                       <div class="message-header">
                         <span class="message-role">{getRoleLabel(message.role)}</span>
@@ -116,11 +223,50 @@ export default function MessageViewer() {
                             {formatters.fullDate(message.timestamp)}
                           </span>
                         )}
+                        <Show when={(message.sibling_count || 1) > 1}>
+                          <span class="message-branch-switcher inline-flex items-center gap-1 ml-2 text-xs text-gray-500 dark:text-gray-400" role="group" aria-label="Message versions">
+                            <button
+                              class="message-branch-prev px-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700"
+                              onClick={() => switchBranch(message, -1)}
+                              aria-label="Previous version"
+                            >
+                              ‹
+                            </button>
+                            <span class="message-branch-position">
+                              {(message.sibling_index || 0) + 1}/{message.sibling_count}
+                            </span>
+                            <button
+                              class="message-branch-next px-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700"
+                              onClick={() => switchBranch(message, 1)}
+                              aria-label="Next version"
+                            >
+                              ›
+                            </button>
+                          </span>
+                        </Show>
                       </div>
-                      <div
-                        class="message-content"
-                        innerHTML={renderMessage(message.content)}
-                      />
+                      <Show
+                        when={message.blocks && message.blocks.length > 0}
+                        fallback={
+                          <div
+                            class="message-content"
+                            innerHTML={renderMessage(message.content)}
+                          />
+                        }
+                      >
+                        <div class="message-content">
+                          <For each={message.blocks}>
+                            {(block) => (
+                              <MessageBlock
+                                block={block}
+                                renderMarkdown={renderMessage}
+                                getAttachmentUrl={(assetPointer) => attachmentUrls().get(assetPointer)}
+                                onOpenImage={(src, alt) => setLightboxImage({ src, alt })}
+                              />
+                            )}
+                          </For>
+                        </div>
+                      </Show>
                     </div>
                   )}
                 </For>
@@ -129,6 +275,12 @@ export default function MessageViewer() {
           </>
         )}
       </Show>
+
+      <Lightbox
+        src={lightboxImage()?.src || null}
+        alt={lightboxImage()?.alt}
+        onClose={() => setLightboxImage(null)}
+      />
     </div>
   );
 }
@@ -0,0 +1,78 @@
+/**
+ * Project Sidebar Component
+ *
+ * Lists projects (e.g. Claude Projects) to filter the conversation list by,
+ * with the selected project's instructions and knowledge documents
+ */
+
+import { For, Show } from 'solid-js';
+import { useProjects } from '../contexts/ProjectContext';
+
+export default function ProjectSidebar() {
+  const { projects, selectedProject, openDocument, readerOpen, selectProject, showProject, showDocument } = useProjects();
+
+  const itemClass = (active: boolean) =>
+    `w-full text-left px-3 py-1.5 rounded-md text-sm truncate transition-colors ${
+      active
+        ? 'bg-blue-500 text-white'
+        : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800'
+    }`;
+
+  return (
+    <nav class="project-sidebar flex flex-col h-full overflow-y-auto p-3 bg-white dark:bg-gray-900" aria-label="Projects">
+      <h2 class="px-3 mb-2 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+        Projects
+      </h2>
+
+      <button
+        class={itemClass(!selectedProject())}
+        onClick={() => selectProject(null)}
+        aria-pressed={!selectedProject()}
+      >
+        All conversations
+      </button>
+
+      <For each={projects()}>
+        {(project) => {
+          const isSelected = () => selectedProject()?.project_id === project.project_id;
+
+          return (
+            <div class="mt-1">
+              <button
+                class={itemClass(isSelected())}
+                onClick={() => selectProject(project.project_id)}
+                aria-pressed={isSelected()}
+                title={project.description || project.name}
+              >
+                📁 {project.name}
+              </button>
+
+              <Show when={isSelected()}>
+                <div class="ml-4 mt-1 space-y-0.5">
+                  <button
+                    class={itemClass(readerOpen() && !openDocument())}
+                    onClick={() => showProject(project.project_id)}
+                  >
+                    📝 Instructions
+                  </button>
+
+                  <For each={project.docs || []}>
+                    {(doc) => (
+                      <button
+                        class={itemClass(openDocument()?.doc_id === doc.doc_id)}
+                        onClick={() => showDocument(doc)}
+                        title={doc.filename}
+                      >
+                        📄 {doc.filename}
+                      </button>
+                    )}
+                  </For>
+                </div>
+              </Show>
+            </div>
+          );
+        }}
+      </For>
+    </nav>
+  );
+}
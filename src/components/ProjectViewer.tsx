@@ -0,0 +1,86 @@
+/**
+ * Project Viewer Component
+ *
+ * Shows the selected project's description and custom instructions,
+ * or one of its knowledge documents, in the reader pane
+ */
+
+import { Show } from 'solid-js';
+import { useProjects } from '../contexts/ProjectContext';
+import { createMarkdownRenderer } from '../utils/markdownUtils.js';
+import { formatters } from '../utils/formatUtils.js';
+
+export default function ProjectViewer() {
+  const { selectedProject, openDocument, closeReader } = useProjects();
+
+  // Imported documents are untrusted; the renderer escapes HTML
+  const markdownRenderer = createMarkdownRenderer();
+
+  const renderContent = (content: string): string => {
+    try {
+      return markdownRenderer.render(content);
+    } catch (error) {
+      console.error('Error rendering markdown:', error);
+      return '';
+    }
+  };
+
+  return (
+    <div class="message-viewer project-viewer">
+      <Show when={selectedProject()}>
+        {(project) => (
+          <>
+            <div class="conversation-header">
+              <button
+                class="text-sm text-blue-600 dark:text-blue-400 hover:underline mb-2"
+                onClick={closeReader}
+              >
+                ← Back to conversation
+              </button>
+              <h1 class="conversation-title">
+                {openDocument() ? openDocument()!.filename : project().name}
+              </h1>
+              <div class="conversation-metadata">
+                <span class="conversation-source">{project().source || 'Unknown Source'}</span>
+                <span class="separator">•</span>
+                <span>{openDocument() ? `Document in ${project().name}` : 'Project'}</span>
+                <Show when={!openDocument() && project().created_at}>
+                  <span class="separator">•</span>
+                  <span class="conversation-date">{formatters.fullDate(project().created_at)}</span>
+                </Show>
+              </div>
+            </div>
+
+            <div class="messages-container">
+              <Show
+                when={openDocument()}
+                fallback={
+                  <>
+                    <Show when={project().description}>
+                      <section class="project-description mb-6">
+                        <h2 class="text-sm font-semibold text-gray-500 dark:text-gray-400 mb-2">Description</h2>
+                        <p>{project().description}</p>
+                      </section>
+                    </Show>
+
+                    <section class="project-prompt">
+                      <h2 class="text-sm font-semibold text-gray-500 dark:text-gray-400 mb-2">Instructions</h2>
+                      <Show
+                        when={project().prompt}
+                        fallback={<p class="text-gray-500 dark:text-gray-400">This project has no custom instructions.</p>}
+                      >
+                        <div class="message-content" innerHTML={renderContent(project().prompt!)} />
+                      </Show>
+                    </section>
+                  </>
+                }
+              >
+                {(doc) => <div class="message-content project-document" innerHTML={renderContent(doc().content)} />}
+              </Show>
+            </div>
+          </>
+        )}
+      </Show>
+    </div>
+  );
+}
@@ -1,13 +1,58 @@
 /**
  * Upload Modal Component
  *
- * Handles file uploads for conversation exports
+ * Handles file uploads for conversation exports. Several files, or whole
+ * folders, can be dropped at once; they are imported one after another,
+ * optionally after a preview (dry run) in which conversations can be unticked
  */
 
 import { Show, createSignal } from 'solid-js';
+import { createStore } from 'solid-js/store';
 import { useConversations } from '../contexts/ConversationContext';
-import { processFile } from '../fileProcessor/index.js';
-import { storeConversations } from '../database/index.js';
+import { importFile, isSupportedFile, parseSpeakerRoles } from '../fileProcessor/index.js';
+import {
+  storeConversations,
+  storeProjects,
+  compareConversations,
+  beginImport,
+  commitImport,
+  rollbackImport,
+  findImportsByHash
+} from '../database/index.js';
+import { collectDroppedFiles, collectPickedFiles } from '../utils/fileDropUtils.js';
+import { hashFile } from '../utils/fileHashUtils.js';
+import { formatters } from '../utils/formatUtils.js';
+import { getVisibleMessageCount } from '../utils/messageTreeUtils.js';
+import ImportQueue, { ImportQueueItem, ImportPreviewRow, ImportFailure } from './ImportQueue';
+import ImportPreview from './ImportPreview';
+
+interface ImportProgress {
+  phase: 'reading' | 'extracting' | 'parsing';
+  percent: number;
+  bytesRead: number;
+  totalBytes: number;
+  conversations: number;
+}
+
+interface ImportedConversation {
+  conversation_id: string;
+  title?: string;
+  source?: string;
+  messages?: unknown[];
+}
+
+interface CollectedFile {
+  file: File;
+  path: string;
+}
+
+type MergeStrategy = 'merge' | 'replace';
+
+// A question shown in the modal while the queue waits for the answer
+interface ImportPrompt {
+  message: string;
+  answer: (importAgain: boolean) => void;
+}
 
 interface UploadModalProps {
   isOpen: boolean;
@@ -17,77 +62,392 @@ interface UploadModalProps {
 export default function UploadModal(props: UploadModalProps) {
   const { reload } = useConversations();
   const [uploading, setUploading] = createSignal(false);
-  const [progress, setProgress] = createSignal(0);
-  const [status, setStatus] = createSignal('');
+  const [finished, setFinished] = createSignal(false);
   const [error, setError] = createSignal('');
   const [dragActive, setDragActive] = createSignal(false);
+  const [canceling, setCanceling] = createSignal(false);
+  const [previewFirst, setPreviewFirst] = createSignal(false);
+  const [mergeStrategy, setMergeStrategy] = createSignal<MergeStrategy>('merge');
+  const [conversationKey, setConversationKey] = createSignal('');
+  const [speakerMapping, setSpeakerMapping] = createSignal('');
+  const [pastedText, setPastedText] = createSignal('');
+  const [importPrompt, setImportPrompt] = createSignal<ImportPrompt | null>(null);
+  const [queue, setQueue] = createStore<ImportQueueItem[]>([]);
+
+  const previewItems = () => queue.filter(item => item.status === 'ready');
 
   let fileInputRef: HTMLInputElement | undefined;
+  let folderInputRef: HTMLInputElement | undefined;
+  let abortController: AbortController | null = null;
+  let nextItemId = 1;
+
+  const formatMB = (bytes: number) => (bytes / (1024 * 1024)).toFixed(1);
+
+  // Describe where the streaming import is, e.g. "Parsing... 12.0 of 480.3 MB, 250 conversations"
+  const describeProgress = (update: ImportProgress) => {
+    if (update.phase === 'extracting') {
+      return 'Opening archive...';
+    }
+
+    const label = update.phase === 'reading' ? 'Reading' : 'Parsing';
+    const count = update.conversations > 0
+      ? `, ${update.conversations} conversation${update.conversations > 1 ? 's' : ''}`
+      : '';
+    return `${label}... ${formatMB(update.bytesRead)} of ${formatMB(update.totalBytes)} MB${count}`;
+  };
 
   const handleClose = () => {
     if (!uploading()) {
       props.onClose();
       // Reset state
-      setProgress(0);
-      setStatus('');
+      setQueue([]);
+      setFinished(false);
       setError('');
     }
   };
 
-  const handleFileSelect = async (files: FileList | null) => {
-    if (!files || files.length === 0) return;
-
-    const file = files[0];
-    await processFileUpload(file);
+  const updateItem = (id: number, changes: Partial<ImportQueueItem>) => {
+    setQueue(item => item.id === id, changes);
   };
 
-  const processFileUpload = async (file: File) => {
-    setUploading(true);
+  // A ConvoKeep backup is restored as it was saved, so it replaces the stored copies
+  // (tags, stars and archive state included) whatever strategy is chosen
+  const strategyFor = (id: number, chosen: MergeStrategy): MergeStrategy =>
+    queue.find(entry => entry.id === id)?.report?.format === 'convokeep' ? 'replace' : chosen;
+
+  // Add files to the queue and start it if it is not already running
+  const enqueueFiles = (files: CollectedFile[]) => {
+    // Unsupported files found inside dropped folders (images, chat.html assets) are left out;
+    // unsupported files picked directly are listed as skipped
+    const items: ImportQueueItem[] = files
+      .filter(({ file, path }) => !file.name.startsWith('.') && (isSupportedFile(file.name) || !path.includes('/')))
+      .map(({ file, path }) => ({
+        id: nextItemId++,
+        file,
+        path,
+        status: isSupportedFile(file.name) ? 'queued' : 'skipped',
+        percent: 0,
+        message: isSupportedFile(file.name) ? '' : 'Unsupported file type',
+        newConversations: 0,
+        updatedConversations: 0,
+        unchangedConversations: 0,
+        mergedConversations: 0,
+        messagesAdded: 0,
+        skippedConversations: 0,
+        projects: 0,
+        report: null,
+        failures: [],
+        preview: null,
+        selection: null
+      }));
+
+    if (items.length === 0) {
+      setError('No conversation exports found in the dropped files');
+      return;
+    }
+
     setError('');
-    setProgress(0);
-    setStatus('Reading file...');
 
-    try {
-      console.log('[Upload] Starting file processing:', file.name);
+    // A new drop after the queue finished starts a fresh queue
+    if (finished()) {
+      setQueue([]);
+      setFinished(false);
+    }
 
-      // Process the file
-      const conversations = await processFile(file);
-      console.log('[Upload] Processed conversations:', conversations?.length || 0);
+    setQueue(current => [...current, ...items]);
 
-      if (!conversations || conversations.length === 0) {
-        throw new Error('No conversations found in file');
-      }
+    if (!uploading()) {
+      runQueue();
+    }
+  };
 
-      setStatus(`Found ${conversations.length} conversation${conversations.length > 1 ? 's' : ''}. Storing...`);
-      setProgress(50);
+  const handleFileSelect = (files: FileList | null) => {
+    if (!files || files.length === 0) return;
+    enqueueFiles(collectPickedFiles(files));
+  };
 
-      // Store conversations
-      console.log('[Upload] Storing conversations to database...');
-      const result = await storeConversations(conversations, (percent: number) => {
-        setProgress(50 + (percent / 2)); // Map 0-100 to 50-100
-      });
+  // Pasted transcripts are imported like an uploaded Markdown file
+  const handlePasteImport = () => {
+    const text = pastedText().trim();
+    if (!text) return;
+
+    const name = 'Pasted transcript.md';
+    enqueueFiles([{ file: new File([text], name, { type: 'text/markdown' }), path: name }]);
+    setPastedText('');
+  };
 
-      console.log('[Upload] Store result:', result);
+  // Import queued files one at a time until the queue is empty or canceled
+  const runQueue = async () => {
+    setUploading(true);
+    setCanceling(false);
 
-      setProgress(100);
-      setStatus(`Successfully imported ${result.totalStored} conversations!`);
+    try {
+      let item = queue.find(entry => entry.status === 'queued');
+      while (item) {
+        // Files ticked in a preview are imported; new files are previewed first if asked
+        if (previewFirst() && !item.selection) {
+          await previewQueueItem(item);
+        } else {
+          await importQueueItem(item);
+        }
+
+        if (canceling()) {
+          setQueue(entry => entry.status === 'queued', { status: 'canceled', message: 'Not imported' });
+        }
+        item = queue.find(entry => entry.status === 'queued');
+      }
 
       // Reload conversations and wait for it to complete
-      console.log('[Upload] Reloading conversations list...');
-      await reload();
-      console.log('[Upload] Reload complete');
+      if (queue.some(entry => entry.status === 'done')) {
+        console.log('[Upload] Reloading conversations list...');
+        await reload();
+        console.log('[Upload] Reload complete');
+      }
+    } finally {
+      abortController = null;
+      setCanceling(false);
+      setUploading(false);
+      setFinished(true);
+    }
 
-      // Wait a bit for UI to update, then close
+    // A single successful file closes the modal as before; otherwise the summary stays up
+    if (queue.length === 1 && queue[0].status === 'done') {
       setTimeout(() => {
         console.log('[Upload] Closing modal');
         handleClose();
       }, 1500);
+    }
+  };
+
+  // Stop the running import and the rest of the queue; the running import is rolled back
+  const handleCancel = () => {
+    if (!abortController || canceling()) return;
+    setCanceling(true);
+    abortController.abort();
+    importPrompt()?.answer(false);
+  };
+
+  // Ask whether to import a file again, in the modal rather than a blocking dialog
+  const askImportAgain = (message: string) => new Promise<boolean>(resolve => {
+    setImportPrompt({
+      message,
+      answer: (importAgain) => {
+        setImportPrompt(null);
+        resolve(importAgain);
+      }
+    });
+  });
+
+  // Dry run: convert the file and compare it with the database without writing anything
+  const previewQueueItem = async (item: ImportQueueItem) => {
+    const { id, file } = item;
+    updateItem(id, { status: 'previewing', message: 'Reading file...' });
+
+    const controller = new AbortController();
+    abortController = controller;
+    const rows: ImportPreviewRow[] = [];
+    const failures: ImportFailure[] = [];
+
+    try {
+      await importFile(file, {
+        signal: controller.signal,
+        conversationKey: conversationKey().trim(),
+        speakerRoles: parseSpeakerRoles(speakerMapping()),
+        onBatch: async (conversations: ImportedConversation[]) => {
+          const statuses = await compareConversations(conversations, strategyFor(id, mergeStrategy()));
+          conversations.forEach((conversation, offset) => {
+            rows.push({
+              index: rows.length,
+              conversation_id: conversation.conversation_id,
+              title: conversation.title || 'Untitled Conversation',
+              source: conversation.source || 'unknown',
+              message_count: getVisibleMessageCount(conversation.messages),
+              status: statuses[offset]
+            });
+          });
+        },
+        onProgress: (update: ImportProgress) => {
+          if (controller.signal.aborted) return;
+          updateItem(id, { percent: update.percent, message: describeProgress(update) });
+        },
+        onReport: (report: ImportQueueItem['report']) => updateItem(id, { report }),
+        onFailure: (failure: ImportFailure) => failures.push(failure)
+      });
+
+      updateItem(id, {
+        status: 'ready',
+        percent: 100,
+        message: `${rows.length} conversation${rows.length === 1 ? '' : 's'} found`,
+        preview: rows,
+        failures
+      });
     } catch (err: any) {
-      console.error('[Upload] Error:', err);
-      setError(err.message || 'Failed to process file');
-      setStatus('');
+      const canceled = controller.signal.aborted;
+      if (!canceled) {
+        console.error('[Upload] Preview error:', err);
+      }
+      updateItem(id, {
+        status: canceled ? 'canceled' : 'failed',
+        message: canceled ? 'Preview canceled' : err.message || 'Failed to process file',
+        failures: canceled ? [] : failures
+      });
     } finally {
-      setUploading(false);
+      abortController = null;
+    }
+  };
+
+  // Import what was ticked in the preview
+  const handleImportSelection = (selection: Record<number, number[]>) => {
+    previewItems().forEach(item => {
+      const positions = selection[item.id] || [];
+      if (positions.length === 0) {
+        updateItem(item.id, {
+          status: 'skipped',
+          message: 'Nothing selected',
+          skippedConversations: item.preview?.length || 0,
+          preview: null
+        });
+      } else {
+        updateItem(item.id, { status: 'queued', message: '', percent: 0, selection: positions, preview: null });
+      }
+    });
+
+    setFinished(false);
+    if (queue.some(item => item.status === 'queued')) {
+      runQueue();
+    } else {
+      setFinished(true);
+    }
+  };
+
+  const handleDiscardPreview = () => {
+    previewItems().forEach(item => {
+      updateItem(item.id, { status: 'canceled', message: 'Preview discarded', preview: null, report: null });
+    });
+  };
+
+  const importQueueItem = async (item: ImportQueueItem) => {
+    const { id, file } = item;
+    updateItem(id, { status: 'importing', message: 'Reading file...', failures: [] });
+
+    const controller = new AbortController();
+    abortController = controller;
+    let importId: string | null = null;
+    // Conversations that could not be converted; the rest of the file still imports
+    const failures: ImportFailure[] = [];
+    const counts = { newConversations: 0, updatedConversations: 0, unchangedConversations: 0, mergedConversations: 0, messagesAdded: 0 };
+    const strategy = mergeStrategy();
+
+    // After a preview only the ticked stream positions are stored
+    const selection = item.selection ? new Set(item.selection) : null;
+    let position = 0;
+    let skippedConversations = 0;
+    const sources = new Set<string>();
+
+    try {
+      console.log('[Upload] Starting file processing:', file.name);
+
+      // The same file imported before (under any name) is only imported again if confirmed
+      const fileHash = await hashFile(file);
+      const earlier = fileHash ? await findImportsByHash(fileHash) : [];
+      if (earlier.length > 0) {
+        const when = formatters.fullDate(earlier[0].completed_at);
+        updateItem(id, { message: 'Already imported' });
+        if (!(await askImportAgain(`${item.path} was already imported on ${when}. Import it again?`))) {
+          updateItem(id, controller.signal.aborted
+            ? { status: 'canceled', message: 'Import canceled' }
+            : { status: 'skipped', message: `Already imported on ${when}` });
+          return;
+        }
+      }
+
+      // Every write is journaled under the import ID so a cancel or failure can undo it
+      importId = await beginImport({ file_name: item.path, file_size: file.size, file_hash: fileHash });
+
+      // Stream the file (in a worker where available) and store each batch as it arrives
+      await importFile(file, {
+        signal: controller.signal,
+        conversationKey: conversationKey().trim(),
+        speakerRoles: parseSpeakerRoles(speakerMapping()),
+        onBatch: async (conversations: ImportedConversation[]) => {
+          let batch = conversations;
+          if (selection) {
+            batch = conversations.filter((_conversation, offset) => selection.has(position + offset));
+            position += conversations.length;
+            skippedConversations += conversations.length - batch.length;
+            if (batch.length === 0) return;
+          }
+          batch.forEach(conversation => {
+            if (conversation.source) sources.add(conversation.source);
+          });
+
+          const result = await storeConversations(batch, undefined, { importId, signal: controller.signal, mergeStrategy: strategyFor(id, strategy) });
+          (Object.keys(counts) as (keyof typeof counts)[]).forEach(field => {
+            counts[field] += result[field] || 0;
+          });
+        },
+        onProgress: (update: ImportProgress) => {
+          if (controller.signal.aborted) return;
+          updateItem(id, { percent: update.percent, message: describeProgress(update) });
+        },
+        onReport: (report: ImportQueueItem['report']) => updateItem(id, { report }),
+        onFailure: (failure: ImportFailure) => failures.push(failure)
+      });
+
+      // Store projects from multi-file exports (Claude data export)
+      const report = queue.find(entry => entry.id === id)?.report;
+      const projectCount = await storeProjects(report?.projects || [], importId);
+
+      // A cancel that arrives after the last batch still undoes the import
+      controller.signal.throwIfAborted();
+      await commitImport(importId, { format: report?.format || Array.from(sources).join(', ') || null });
+
+      console.log('[Upload] Imported', file.name, { ...counts, projectCount });
+      updateItem(id, {
+        status: 'done',
+        percent: 100,
+        message: `${counts.newConversations} new, ${counts.updatedConversations} updated` +
+          (counts.unchangedConversations > 0 ? `, ${counts.unchangedConversations} unchanged` : '') +
+          (skippedConversations > 0 ? `, ${skippedConversations} skipped` : '') +
+          (failures.length > 0 ? `, ${failures.length} failed` : '') +
+          (projectCount > 0 ? `, ${projectCount} project${projectCount > 1 ? 's' : ''}` : '') +
+          (counts.mergedConversations > 0 ? `. Kept local changes in ${counts.mergedConversations}` : ''),
+        ...counts,
+        skippedConversations,
+        projects: projectCount,
+        failures
+      });
+    } catch (err: any) {
+      const canceled = controller.signal.aborted;
+      if (!canceled) {
+        console.error('[Upload] Error:', err);
+      }
+
+      // Undo whatever this import stored before it stopped
+      let rollbackFailed = false;
+      if (importId) {
+        updateItem(id, { message: 'Rolling back...' });
+        try {
+          const rollback = await rollbackImport(importId);
+          console.log('[Upload] Rolled back import:', rollback);
+        } catch (rollbackError) {
+          console.error('[Upload] Rollback failed:', rollbackError);
+          rollbackFailed = true;
+        }
+      }
+
+      const reason = canceled ? 'Import canceled' : err.message || 'Failed to process file';
+      updateItem(id, {
+        status: canceled ? 'canceled' : 'failed',
+        message: rollbackFailed
+          ? `${reason}, and some changes could not be rolled back`
+          : canceled ? 'Import canceled. No changes were kept.' : reason,
+        skippedConversations: skippedConversations + (rollbackFailed ? 0 : counts.newConversations + counts.updatedConversations),
+        report: null,
+        failures: canceled ? [] : failures
+      });
+    } finally {
+      abortController = null;
     }
   };
 
@@ -108,13 +468,18 @@ export default function UploadModal(props: UploadModalProps) {
     e.stopPropagation();
   };
 
-  const handleDrop = (e: DragEvent) => {
+  const handleDrop = async (e: DragEvent) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
 
-    if (e.dataTransfer?.files && e.dataTransfer.files.length > 0) {
-      handleFileSelect(e.dataTransfer.files);
+    if (!e.dataTransfer || canceling()) return;
+
+    try {
+      enqueueFiles(await collectDroppedFiles(e.dataTransfer));
+    } catch (err: any) {
+      console.error('[Upload] Error reading dropped files:', err);
+      setError(err.message || 'Failed to read the dropped files');
     }
   };
 
@@ -122,6 +487,11 @@ export default function UploadModal(props: UploadModalProps) {
     fileInputRef?.click();
   };
 
+  const handleClickFolder = (e: MouseEvent) => {
+    e.stopPropagation();
+    folderInputRef?.click();
+  };
+
   return (
     <Show when={props.isOpen}>
       <div class="modal-overlay" onClick={handleClose}>
@@ -139,47 +509,121 @@ export default function UploadModal(props: UploadModalProps) {
           </div>
 
           <div class="modal-body">
-            <Show
-              when={!uploading()}
-              fallback={
-                <div class="upload-progress">
-                  <div class="progress-bar">
-                    <div
-                      class="progress-fill"
-                      style={{ width: `${progress()}%` }}
-                    />
-                  </div>
-                  <p class="progress-status">{status()}</p>
-                </div>
-              }
+            <div
+              class="upload-dropzone"
+              classList={{ active: dragActive() }}
+              onDragEnter={handleDragEnter}
+              onDragLeave={handleDragLeave}
+              onDragOver={handleDragOver}
+              onDrop={handleDrop}
+              onClick={handleClickUpload}
             >
-              <div
-                class="upload-dropzone"
-                classList={{ active: dragActive() }}
-                onDragEnter={handleDragEnter}
-                onDragLeave={handleDragLeave}
-                onDragOver={handleDragOver}
-                onDrop={handleDrop}
-                onClick={handleClickUpload}
+              <div class="upload-icon">📁</div>
+              <p class="upload-text">
+                Drag and drop your conversation export files or folders here
+              </p>
+              <p class="upload-subtext">
+                or click to browse, or{' '}
+                <button class="text-blue-600 dark:text-blue-400 hover:underline" onClick={handleClickFolder}>
+                  choose a folder
+                </button>
+              </p>
+              <p class="upload-formats">
+                Supported: ChatGPT (.zip, .json, chat.html, saved share pages), Claude (.zip, .json, .txt, saved share pages), Gemini Takeout (.zip, .json, .html), Copilot (.csv, .json), Open WebUI (.json), LibreChat (.json), OpenAI and Anthropic API logs (.jsonl), transcripts (.txt, .md), ConvoKeep backups (.json)
+              </p>
+            </div>
+
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".zip,.json,.jsonl,.ndjson,.txt,.md,.markdown,.html,.htm,.csv"
+              multiple
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                handleFileSelect(e.target.files);
+                e.target.value = '';
+              }}
+            />
+
+            <input
+              ref={(el) => {
+                folderInputRef = el;
+                el.webkitdirectory = true;
+              }}
+              type="file"
+              style={{ display: 'none' }}
+              onChange={(e) => {
+                handleFileSelect(e.target.files);
+                e.target.value = '';
+              }}
+            />
+
+            <label class="flex items-center gap-2 mt-3 text-sm">
+              <input
+                type="checkbox"
+                checked={previewFirst()}
+                onChange={(e) => setPreviewFirst(e.currentTarget.checked)}
+              />
+              Preview before importing
+            </label>
+
+            <label class="flex items-center gap-2 mt-2 text-sm">
+              When a conversation already exists:
+              <select
+                class="border border-gray-300 dark:border-gray-600 rounded px-1 py-0.5 bg-transparent"
+                value={mergeStrategy()}
+                onChange={(e) => setMergeStrategy(e.currentTarget.value as MergeStrategy)}
               >
-                <div class="upload-icon">📁</div>
-                <p class="upload-text">
-                  Drag and drop your conversation export file here
-                </p>
-                <p class="upload-subtext">or click to browse</p>
-                <p class="upload-formats">
-                  Supported: ChatGPT (.zip, .json), Claude (.json, .txt)
-                </p>
-              </div>
+                <option value="merge">Merge (keep tags, stars, renames and local messages)</option>
+                <option value="replace">Replace with the imported copy</option>
+              </select>
+            </label>
+            <p class="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              ConvoKeep backups always replace the stored copies, restoring their tags, stars and archive state.
+            </p>
 
+            <label class="flex items-center gap-2 mt-2 text-sm">
+              Group API log lines by field:
               <input
-                ref={fileInputRef}
-                type="file"
-                accept=".zip,.json,.txt"
-                style={{ display: 'none' }}
-                onChange={(e) => handleFileSelect(e.target.files)}
+                type="text"
+                class="border border-gray-300 dark:border-gray-600 rounded px-1 py-0.5 bg-transparent"
+                placeholder="e.g. metadata.session_id"
+                value={conversationKey()}
+                onInput={(e) => setConversationKey(e.currentTarget.value)}
+                title="Leave empty to group lines by matching their message histories"
               />
-            </Show>
+            </label>
+
+            <label class="flex items-center gap-2 mt-2 text-sm">
+              Transcript speakers:
+              <input
+                type="text"
+                class="border border-gray-300 dark:border-gray-600 rounded px-1 py-0.5 bg-transparent"
+                placeholder="e.g. Alice=user, HAL=assistant"
+                value={speakerMapping()}
+                onInput={(e) => setSpeakerMapping(e.currentTarget.value)}
+                title="Speaker labels to recognise besides User, Human, Assistant, ChatGPT, Claude and the like"
+              />
+            </label>
+
+            <details class="mt-2 text-sm">
+              <summary class="cursor-pointer">Paste a transcript</summary>
+              <textarea
+                class="w-full mt-2 h-32 border border-gray-300 dark:border-gray-600 rounded p-2 bg-transparent font-mono text-xs"
+                placeholder={'**User:** ...\n**Assistant:** ...'}
+                aria-label="Transcript text"
+                value={pastedText()}
+                onInput={(e) => setPastedText(e.currentTarget.value)}
+              />
+              <button
+                type="button"
+                class="btn btn-secondary mt-1"
+                disabled={!pastedText().trim()}
+                onClick={handlePasteImport}
+              >
+                Import pasted transcript
+              </button>
+            </details>
 
             <Show when={error()}>
               <div class="error-message">
@@ -187,19 +631,52 @@ export default function UploadModal(props: UploadModalProps) {
               </div>
             </Show>
 
-            <Show when={status() && !uploading()}>
-              <div class="success-message">{status()}</div>
+            <Show when={importPrompt()}>
+              {(prompt) => (
+                <div class="mt-4 p-3 text-sm border border-gray-300 dark:border-gray-600 rounded" role="alertdialog" aria-label="File already imported">
+                  <p>{prompt().message}</p>
+                  <div class="flex justify-end gap-2 mt-3">
+                    <button class="btn btn-secondary" onClick={() => prompt().answer(false)}>
+                      Skip
+                    </button>
+                    <button class="btn btn-primary" onClick={() => prompt().answer(true)}>
+                      Import again
+                    </button>
+                  </div>
+                </div>
+              )}
+            </Show>
+
+            <Show when={queue.length > 0}>
+              <ImportQueue items={queue} showSummary={finished() && previewItems().length === 0} />
+            </Show>
+
+            <Show when={!uploading() && previewItems().length > 0}>
+              <ImportPreview
+                items={previewItems()}
+                onImport={handleImportSelection}
+                onDiscard={handleDiscardPreview}
+              />
             </Show>
           </div>
 
           <div class="modal-footer">
-            <button
-              class="btn btn-secondary"
-              onClick={handleClose}
-              disabled={uploading()}
+            <Show
+              when={uploading()}
+              fallback={
+                <button class="btn btn-secondary" onClick={handleClose}>
+                  Close
+                </button>
+              }
             >
-              {uploading() ? 'Please wait...' : 'Close'}
-            </button>
+              <button
+                class="btn btn-secondary"
+                onClick={handleCancel}
+                disabled={canceling()}
+              >
+                {canceling() ? 'Canceling...' : 'Cancel import'}
+              </button>
+            </Show>
           </div>
         </div>
       </div>
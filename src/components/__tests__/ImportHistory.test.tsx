@@ -0,0 +1,78 @@
+import { render, screen, fireEvent, waitFor } from '@solidjs/testing-library';
+import { describe, it, expect, vi } from 'vitest';
+import ImportHistory from '../ImportHistory';
+import { ConversationProvider } from '../../contexts/ConversationContext';
+import { getImports, undoImport, getAttachmentStats } from '../../database/index.js';
+
+const record = (overrides = {}) => ({
+  import_id: 'import_1',
+  file_name: 'conversations.json',
+  file_size: 2048,
+  file_hash: 'abc',
+  format: 'chatgpt',
+  started_at: '2024-03-01T12:00:00Z',
+  completed_at: '2024-03-01T12:01:00Z',
+  undone_at: null,
+  conversations_added: ['c1', 'c2'],
+  conversations_updated: ['c3'],
+  attachments_added: [],
+  projects_added: [],
+  projects_updated: [],
+  ...overrides,
+});
+
+vi.mock('../../database/index.js', () => ({
+  initDb: vi.fn(async () => {}),
+  getConversations: vi.fn(async () => ({ conversations: [], pagination: { totalPages: 1, totalConversations: 0 } })),
+  updateConversationMetadata: vi.fn(),
+  getConversationById: vi.fn(async () => null),
+  getImports: vi.fn(async () => []),
+  getAttachmentStats: vi.fn(async () => ({ count: 0, totalBytes: 0 })),
+  undoImport: vi.fn(async () => ({ conversationsRemoved: 2, attachmentsRemoved: 0, projectsRemoved: 0 })),
+}));
+
+describe('ImportHistory Component', () => {
+  const renderWithProvider = (isOpen = true) => {
+    return render(() => (
+      <ConversationProvider>
+        <ImportHistory isOpen={isOpen} onClose={() => {}} />
+      </ConversationProvider>
+    ));
+  };
+
+  it('lists past imports with what they added and updated', async () => {
+    vi.mocked(getImports).mockResolvedValueOnce([record()]);
+    renderWithProvider();
+
+    expect(await screen.findByText('conversations.json')).toBeTruthy();
+    expect(screen.getByText(/2 added, 1 updated/)).toBeTruthy();
+    expect(screen.getByText(/chatgpt/)).toBeTruthy();
+  });
+
+  it('shows how many attachments are stored and their size', async () => {
+    vi.mocked(getAttachmentStats).mockResolvedValueOnce({ count: 3, totalBytes: 1.5 * 1024 * 1024 });
+    renderWithProvider();
+
+    const usage = await screen.findByLabelText('Storage usage');
+    expect(usage.textContent).toContain('3 attachments (1.50 MB)');
+  });
+
+  it('says when nothing has been imported', async () => {
+    renderWithProvider();
+    expect(await screen.findByText('Nothing has been imported yet.')).toBeTruthy();
+  });
+
+  it('undoes an import once confirmed', async () => {
+    vi.mocked(getImports)
+      .mockResolvedValueOnce([record()])
+      .mockResolvedValueOnce([record({ undone_at: '2024-03-02T09:00:00Z' })]);
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+    renderWithProvider();
+    fireEvent.click(await screen.findByLabelText('Undo import of conversations.json'));
+
+    await waitFor(() => expect(screen.getByText(/^Undone/)).toBeTruthy());
+    expect(undoImport).toHaveBeenCalledWith('import_1');
+    confirmSpy.mockRestore();
+  });
+});
@@ -0,0 +1,62 @@
+import { render, screen, fireEvent } from '@solidjs/testing-library';
+import { describe, it, expect, vi } from 'vitest';
+import ImportPreview from '../ImportPreview';
+import type { ImportQueueItem, ImportPreviewRow } from '../ImportQueue';
+
+const row = (index: number, source: string, status: ImportPreviewRow['status']): ImportPreviewRow => ({
+  index,
+  conversation_id: `conv-${index}`,
+  title: `Chat ${index}`,
+  source,
+  message_count: 4,
+  status,
+});
+
+const item: ImportQueueItem = {
+  id: 7,
+  file: new File(['[]'], 'export.json'),
+  path: 'export.json',
+  status: 'ready',
+  percent: 100,
+  message: '',
+  newConversations: 0,
+  updatedConversations: 0,
+  unchangedConversations: 0,
+  mergedConversations: 0,
+  messagesAdded: 0,
+  skippedConversations: 0,
+  projects: 0,
+  report: null,
+  failures: [],
+  preview: [row(0, 'chatgpt', 'new'), row(1, 'chatgpt', 'updated'), row(2, 'claude', 'new'), row(3, 'claude', 'unchanged')],
+  selection: null,
+};
+
+describe('ImportPreview Component', () => {
+  it('groups conversations by source with their status', () => {
+    render(() => <ImportPreview items={[item]} onImport={() => {}} onDiscard={() => {}} />);
+
+    expect(screen.getByText('chatgpt')).toBeTruthy();
+    expect(screen.getByText('1 new, 1 updated, 0 unchanged')).toBeTruthy();
+    expect(screen.getByText('1 new, 0 updated, 1 unchanged')).toBeTruthy();
+    expect(screen.getByText('3 of 4 conversations selected. Nothing has been imported yet.')).toBeTruthy();
+  });
+
+  it('imports the ticked conversations, leaving unchanged and unticked sources out', () => {
+    const onImport = vi.fn();
+    render(() => <ImportPreview items={[item]} onImport={onImport} onDiscard={() => {}} />);
+
+    fireEvent.click(screen.getByLabelText('Import all chatgpt conversations'));
+    fireEvent.click(screen.getByText('Import selected'));
+
+    expect(onImport).toHaveBeenCalledWith({ 7: [2] });
+  });
+
+  it('can be discarded', () => {
+    const onDiscard = vi.fn();
+    render(() => <ImportPreview items={[item]} onImport={() => {}} onDiscard={onDiscard} />);
+
+    fireEvent.click(screen.getByText('Discard'));
+    expect(onDiscard).toHaveBeenCalled();
+  });
+});
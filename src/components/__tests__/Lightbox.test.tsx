@@ -0,0 +1,27 @@
+import { render, screen, fireEvent } from '@solidjs/testing-library';
+import { describe, it, expect, vi } from 'vitest';
+import Lightbox from '../Lightbox';
+
+describe('Lightbox Component', () => {
+  it('renders nothing without an image', () => {
+    const { container } = render(() => <Lightbox src={null} onClose={() => {}} />);
+    expect(container.querySelector('.lightbox-overlay')).toBeFalsy();
+  });
+
+  it('shows the image full size', () => {
+    render(() => <Lightbox src="blob:image-1" alt="Chart" onClose={() => {}} />);
+    expect((screen.getByAltText('Chart') as HTMLImageElement).src).toBe('blob:image-1');
+  });
+
+  it('closes on Escape and backdrop click but not on the image', () => {
+    const onClose = vi.fn();
+    const { container } = render(() => <Lightbox src="blob:image-1" alt="Chart" onClose={onClose} />);
+
+    fireEvent.click(screen.getByAltText('Chart'));
+    expect(onClose).not.toHaveBeenCalled();
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    fireEvent.click(container.querySelector('.lightbox-overlay')!);
+    expect(onClose).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,96 @@
+import { render, screen, fireEvent } from '@solidjs/testing-library';
+import { describe, it, expect, vi } from 'vitest';
+import MessageBlock, { ContentBlock } from '../MessageBlock';
+
+describe('MessageBlock Component', () => {
+  const renderMarkdown = (content: string) => `<p>${content}</p>`;
+
+  const renderBlock = (block: ContentBlock) =>
+    render(() => <MessageBlock block={block} renderMarkdown={renderMarkdown} />);
+
+  it('renders text blocks through the markdown renderer', () => {
+    const { container } = renderBlock({ type: 'text', text: 'Hello' });
+    expect(container.querySelector('.message-block-text')?.innerHTML).toBe('<p>Hello</p>');
+  });
+
+  it('labels code cells with their language', () => {
+    renderBlock({ type: 'code', language: 'python', code: 'print(1)' });
+    expect(screen.getByText('Code · python')).toBeTruthy();
+  });
+
+  it('shows execution output as preformatted text', () => {
+    const { container } = renderBlock({ type: 'execution_output', output: '<b>1</b>' });
+    expect(screen.getByText('Output')).toBeTruthy();
+    expect(container.querySelector('pre')?.textContent).toBe('<b>1</b>');
+  });
+
+  it('links quotes to their source', () => {
+    renderBlock({ type: 'quote', text: 'Quoted text', url: 'https://example.com', title: 'Example' });
+    const link = screen.getByText('Example') as HTMLAnchorElement;
+    expect(link.href).toBe('https://example.com/');
+  });
+
+  it('does not link unsafe quote sources', () => {
+    const { container } = renderBlock({ type: 'quote', text: 'Quoted', url: 'javascript:alert(1)' });
+    expect(container.querySelector('a')).toBeFalsy();
+  });
+
+  it('renders a placeholder for images', () => {
+    renderBlock({ type: 'image', asset_pointer: 'file-service://file-1', width: 512, height: 256 });
+    expect(screen.getByText(/Image \(512×256\)/)).toBeTruthy();
+  });
+
+  it('shows a thumbnail for stored images and opens it', () => {
+    const onOpenImage = vi.fn();
+    render(() => (
+      <MessageBlock
+        block={{ type: 'image', asset_pointer: 'file-service://file-1' }}
+        renderMarkdown={renderMarkdown}
+        getAttachmentUrl={(pointer) => (pointer === 'file-service://file-1' ? 'blob:file-1' : undefined)}
+        onOpenImage={onOpenImage}
+      />
+    ));
+
+    fireEvent.click(screen.getByLabelText('Open image'));
+    expect(onOpenImage).toHaveBeenCalledWith('blob:file-1', 'Image');
+  });
+
+  it('links stored uploads for download', () => {
+    render(() => (
+      <MessageBlock
+        block={{ type: 'file', asset_pointer: 'file-service://file-2', name: 'notes.pdf' }}
+        renderMarkdown={renderMarkdown}
+        getAttachmentUrl={() => 'blob:file-2'}
+      />
+    ));
+
+    expect(screen.getByText('notes.pdf').getAttribute('download')).toBe('notes.pdf');
+  });
+
+  it('renders system errors', () => {
+    renderBlock({ type: 'error', name: 'tool_error', text: 'Timed out' });
+    expect(screen.getByText(/tool_error: Timed out/)).toBeTruthy();
+  });
+
+  it('collapses thinking behind a summary', () => {
+    const { container } = renderBlock({ type: 'thinking', text: 'Let me think' });
+    const details = container.querySelector('details.message-block-thinking');
+    expect(details?.querySelector('summary')?.textContent).toContain('Thinking');
+    expect(details?.hasAttribute('open')).toBe(false);
+  });
+
+  it('pretty-prints tool call input and tool result output', () => {
+    const { container } = render(() => (
+      <>
+        <MessageBlock block={{ type: 'tool_use', name: 'search', input: { query: 'x' } }} renderMarkdown={renderMarkdown} />
+        <MessageBlock block={{ type: 'tool_result', name: 'search', output: '{"hits":1}', is_error: true }} renderMarkdown={renderMarkdown} />
+      </>
+    ));
+
+    const blocks = container.querySelectorAll('pre.message-block-tool-json');
+    expect(screen.getByText('Tool call · search')).toBeTruthy();
+    expect(screen.getByText(/Tool result · search \(error\)/)).toBeTruthy();
+    expect(blocks[0].textContent).toBe('{\n  "query": "x"\n}');
+    expect(blocks[1].textContent).toBe('{\n  "hits": 1\n}');
+  });
+});
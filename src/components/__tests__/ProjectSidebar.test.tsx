@@ -0,0 +1,28 @@
+import { render, screen } from '@solidjs/testing-library';
+import { describe, it, expect } from 'vitest';
+import ProjectSidebar from '../ProjectSidebar';
+import { ConversationProvider } from '../../contexts/ConversationContext';
+import { ProjectProvider } from '../../contexts/ProjectContext';
+
+describe('ProjectSidebar Component', () => {
+  const renderWithProviders = () => {
+    return render(() => (
+      <ConversationProvider>
+        <ProjectProvider>
+          <ProjectSidebar />
+        </ProjectProvider>
+      </ConversationProvider>
+    ));
+  };
+
+  it('renders a projects navigation', () => {
+    renderWithProviders();
+    expect(screen.getByRole('navigation', { name: 'Projects' })).toBeTruthy();
+  });
+
+  it('shows all conversations as the default selection', () => {
+    renderWithProviders();
+    const allButton = screen.getByText('All conversations');
+    expect(allButton.getAttribute('aria-pressed')).toBe('true');
+  });
+});
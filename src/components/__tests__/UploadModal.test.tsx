@@ -1,7 +1,32 @@
-import { render, screen, fireEvent } from '@solidjs/testing-library';
+import { render, screen, fireEvent, waitFor } from '@solidjs/testing-library';
 import { describe, it, expect, vi } from 'vitest';
 import UploadModal from '../UploadModal';
 import { ConversationProvider } from '../../contexts/ConversationContext';
+import { importFile } from '../../fileProcessor/index.js';
+import { rollbackImport, commitImport, storeConversations, findImportsByHash } from '../../database/index.js';
+
+vi.mock('../../fileProcessor/index.js', async (importOriginal) => ({
+  ...(await importOriginal<Record<string, unknown>>()),
+  importFile: vi.fn(),
+}));
+
+vi.mock('../../utils/fileHashUtils.js', () => ({
+  hashFile: vi.fn(async (file: File) => `hash-of-${file.name}`),
+}));
+
+vi.mock('../../database/index.js', () => ({
+  initDb: vi.fn(async () => {}),
+  getConversations: vi.fn(async () => ({ conversations: [], pagination: { totalPages: 1, totalConversations: 0 } })),
+  updateConversationMetadata: vi.fn(),
+  getConversationById: vi.fn(async () => null),
+  storeConversations: vi.fn(async (batch: unknown[]) => ({ totalStored: batch.length, newConversations: batch.length, updatedConversations: 0 })),
+  storeProjects: vi.fn(async () => 0),
+  beginImport: vi.fn(async () => 'import_1'),
+  commitImport: vi.fn(async () => {}),
+  rollbackImport: vi.fn(async () => ({ restored: 0, removed: 1 })),
+  compareConversations: vi.fn(async (batch: unknown[]) => batch.map(() => 'new')),
+  findImportsByHash: vi.fn(async () => []),
+}));
 
 describe('UploadModal Component', () => {
   const mockOnClose = vi.fn();
@@ -51,7 +76,7 @@ describe('UploadModal Component', () => {
     const { container } = renderWithProvider(true);
     const fileInput = container.querySelector('input[type="file"]') as HTMLInputElement;
     expect(fileInput).toBeTruthy();
-    expect(fileInput.accept).toBe('.zip,.json,.txt');
+    expect(fileInput.accept).toBe('.zip,.json,.jsonl,.ndjson,.txt,.md,.markdown,.html,.htm,.csv');
   });
 
   it('file input is hidden', () => {
@@ -77,4 +102,181 @@ describe('UploadModal Component', () => {
     const modalContent = container.querySelector('.modal-content');
     expect(modalContent).toBeTruthy();
   });
+
+  it('cancels a running import and rolls it back', async () => {
+    // Store one batch, then wait until the import is canceled
+    vi.mocked(importFile).mockImplementation(async (_file: File, handlers: any) => {
+      await handlers.onBatch([{ conversation_id: 'c1' }]);
+      await new Promise((_resolve, reject) => {
+        if (handlers.signal.aborted) reject(handlers.signal.reason);
+        handlers.signal.addEventListener('abort', () => reject(handlers.signal.reason));
+      });
+    });
+
+    const { container } = renderWithProvider(true);
+    const fileInput = container.querySelector('input[type="file"]') as HTMLInputElement;
+    const file = new File(['[]'], 'conversations.json', { type: 'application/json' });
+    fireEvent.change(fileInput, { target: { files: [file] } });
+
+    const cancelButton = await screen.findByText('Cancel import');
+    fireEvent.click(cancelButton);
+
+    await waitFor(() => expect(screen.getByText(/import canceled/i)).toBeTruthy());
+    expect(rollbackImport).toHaveBeenCalledWith('import_1');
+    expect(commitImport).not.toHaveBeenCalled();
+  });
+
+  it('imports several files in turn and sums up the results', async () => {
+    vi.mocked(importFile).mockImplementation(async (file: File, handlers: any) => {
+      if (file.name === 'broken.json') {
+        throw new Error('Invalid JSON format');
+      }
+      await handlers.onBatch([{ conversation_id: 'c1' }, { conversation_id: 'c2' }]);
+      return { totalConversations: 2 };
+    });
+
+    const { container } = renderWithProvider(true);
+    const fileInput = container.querySelector('input[type="file"]') as HTMLInputElement;
+    expect(fileInput.multiple).toBe(true);
+
+    const files = [
+      new File(['[]'], 'conversations.json', { type: 'application/json' }),
+      new File(['{'], 'broken.json', { type: 'application/json' }),
+      new File(['x'], 'notes.pdf', { type: 'application/pdf' }),
+    ];
+    fireEvent.change(fileInput, { target: { files } });
+
+    const summary = await screen.findByRole('status');
+    expect(summary.textContent).toContain('2 new conversations, 0 updated, 0 unchanged, 0 skipped');
+    expect(summary.textContent).toContain('1 of 3 files imported, 1 failed, 1 skipped');
+    expect(screen.getByText('Invalid JSON format')).toBeTruthy();
+    expect(screen.getByText('Unsupported file type')).toBeTruthy();
+  });
+
+  it('previews a file without storing it, then imports only the ticked conversations', async () => {
+    vi.mocked(storeConversations).mockClear();
+    vi.mocked(importFile).mockImplementation(async (_file: File, handlers: any) => {
+      await handlers.onBatch([
+        { conversation_id: 'c1', title: 'First', source: 'chatgpt', messages: [] },
+        { conversation_id: 'c2', title: 'Second', source: 'chatgpt', messages: [] },
+      ]);
+      return { totalConversations: 2 };
+    });
+
+    const { container } = renderWithProvider(true);
+    fireEvent.click(screen.getByLabelText('Preview before importing'));
+
+    const fileInput = container.querySelector('input[type="file"]') as HTMLInputElement;
+    fireEvent.change(fileInput, { target: { files: [new File(['[]'], 'conversations.json')] } });
+
+    await screen.findByText('Import selected');
+    expect(storeConversations).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('First').previousElementSibling as HTMLElement);
+    fireEvent.click(screen.getByText('Import selected'));
+
+    await waitFor(() => expect(storeConversations).toHaveBeenCalledTimes(1));
+    expect(vi.mocked(storeConversations).mock.calls[0][0]).toEqual([
+      { conversation_id: 'c2', title: 'Second', source: 'chatgpt', messages: [] },
+    ]);
+  });
+
+  it('restores a ConvoKeep backup over the stored copies whatever strategy is chosen', async () => {
+    vi.mocked(storeConversations).mockClear();
+    vi.mocked(importFile).mockImplementation(async (_file: File, handlers: any) => {
+      handlers.onReport({ format: 'convokeep', used: ['backup.json'], skipped: [], projects: [] });
+      await handlers.onBatch([{ conversation_id: 'c1', title: 'First', source: 'chatgpt', messages: [] }]);
+      return { totalConversations: 1 };
+    });
+
+    const { container } = renderWithProvider(true);
+    const fileInput = container.querySelector('input[type="file"]') as HTMLInputElement;
+    fireEvent.change(fileInput, { target: { files: [new File(['{}'], 'backup.json')] } });
+
+    await waitFor(() => expect(storeConversations).toHaveBeenCalledTimes(1));
+    expect(vi.mocked(storeConversations).mock.calls[0][2]).toMatchObject({ mergeStrategy: 'replace' });
+  });
+
+  it('asks before importing a file that was imported before', async () => {
+    vi.mocked(importFile).mockClear();
+    vi.mocked(findImportsByHash).mockResolvedValueOnce([
+      { import_id: 'import_0', file_name: 'old-name.json', completed_at: '2024-03-01T12:00:00Z' },
+    ]);
+
+    const { container } = renderWithProvider(true);
+    const fileInput = container.querySelector('input[type="file"]') as HTMLInputElement;
+    fireEvent.change(fileInput, { target: { files: [new File(['[]'], 'conversations.json')] } });
+
+    const prompt = await screen.findByRole('alertdialog');
+    expect(prompt.textContent).toContain('conversations.json was already imported on');
+    fireEvent.click(screen.getByText('Skip'));
+
+    await waitFor(() => expect(screen.getByText(/^Already imported on/)).toBeTruthy());
+    expect(screen.queryByRole('alertdialog')).toBeNull();
+    expect(importFile).not.toHaveBeenCalled();
+  });
+
+  it('imports a file again when asked to from the prompt', async () => {
+    vi.mocked(importFile).mockClear();
+    vi.mocked(findImportsByHash).mockResolvedValueOnce([
+      { import_id: 'import_0', file_name: 'old-name.json', completed_at: '2024-03-01T12:00:00Z' },
+    ]);
+
+    const { container } = renderWithProvider(true);
+    const fileInput = container.querySelector('input[type="file"]') as HTMLInputElement;
+    fireEvent.change(fileInput, { target: { files: [new File(['[]'], 'conversations.json')] } });
+
+    fireEvent.click(await screen.findByText('Import again'));
+
+    await waitFor(() => expect(importFile).toHaveBeenCalledTimes(1));
+  });
+
+  it('lists conversations that could not be imported and offers an error report', async () => {
+    vi.mocked(importFile).mockImplementation(async (_file: File, handlers: any) => {
+      handlers.onFailure({ index: 1, conversation_id: 'c2', title: null, reason: 'Missing title', snippet: '{}' });
+      await handlers.onBatch([{ conversation_id: 'c1' }, { conversation_id: 'c3' }]);
+      return { totalConversations: 2, failedConversations: 1 };
+    });
+
+    const { container } = renderWithProvider(true);
+    const fileInput = container.querySelector('input[type="file"]') as HTMLInputElement;
+    fireEvent.change(fileInput, {
+      target: { files: [new File(['[]'], 'a.json'), new File(['[]'], 'b.json')] },
+    });
+
+    const summary = await screen.findByRole('status');
+    expect(summary.textContent).toContain('2 conversations could not be imported.');
+    expect(screen.getAllByText(/1 conversation could not be imported: Missing title/)).toHaveLength(2);
+
+    const createObjectURL = vi.fn(() => 'blob:report');
+    Object.assign(URL, { createObjectURL, revokeObjectURL: vi.fn() });
+    fireEvent.click(screen.getByText('Download error report'));
+
+    const blob = (createObjectURL.mock.calls[0] as unknown as [Blob])[0];
+    const text = await new Promise<string>(resolve => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result as string);
+      reader.readAsText(blob);
+    });
+    const report = JSON.parse(text);
+    expect(report.failure_count).toBe(2);
+    expect(report.files.map((file: { file: string }) => file.file)).toEqual(['a.json', 'b.json']);
+  });
+
+  it('imports a pasted transcript with the typed speaker mapping', async () => {
+    vi.mocked(importFile).mockImplementation(async (_file: File, handlers: any) => {
+      await handlers.onBatch([{ conversation_id: 't1', source: 'transcript' }]);
+      return { totalConversations: 1 };
+    });
+
+    renderWithProvider(true);
+    fireEvent.input(screen.getByPlaceholderText('e.g. Alice=user, HAL=assistant'), { target: { value: 'Ana=user' } });
+    fireEvent.input(screen.getByLabelText('Transcript text'), { target: { value: 'Ana: Hi\nBot: Hello' } });
+    fireEvent.click(screen.getByText('Import pasted transcript'));
+
+    await waitFor(() => expect(importFile).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'Pasted transcript.md' }),
+      expect.objectContaining({ speakerRoles: { Ana: 'user' } })
+    ));
+  });
 });
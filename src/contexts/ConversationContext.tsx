@@ -33,6 +33,7 @@ interface Filters {
   starred: boolean;
   archived: boolean;
   tag: string | null;
+  project: string | null;
   searchQuery: string;
 }
 
@@ -58,6 +59,7 @@ interface ConversationContextValue {
   toggleStar: (id: string) => Promise<void>;
   toggleArchive: (id: string) => Promise<void>;
   updateTags: (id: string, tags: string[]) => Promise<void>;
+  renameConversation: (id: string, title: string) => Promise<void>;
 }
 
 const ConversationContext = createContext<ConversationContextValue>();
@@ -78,6 +80,7 @@ export function ConversationProvider(props: { children: JSX.Element }) {
     starred: false,
     archived: false,
     tag: null,
+    project: null,
     searchQuery: ''
   });
 
@@ -118,6 +121,7 @@ export function ConversationProvider(props: { children: JSX.Element }) {
         starred: filters.starred || undefined,
         archived: filters.archived || undefined,
         tag: filters.tag || undefined,
+        project: filters.project || undefined,
         searchQuery: filters.searchQuery || undefined,
         limit: pagination.perPage
       });
@@ -176,6 +180,7 @@ export function ConversationProvider(props: { children: JSX.Element }) {
       starred: false,
       archived: false,
       tag: null,
+      project: null,
       searchQuery: ''
     });
     setPagination('currentPage', 1);
@@ -251,6 +256,21 @@ export function ConversationProvider(props: { children: JSX.Element }) {
     }
   };
 
+  // Rename a conversation; re-imports keep a local rename
+  const renameConversation = async (id: string, title: string) => {
+    try {
+      await updateConversationMetadata(id, { title });
+      await reload();
+
+      if (currentConversationId() === id) {
+        const updated = await getConversationById(id);
+        setCurrentConversation(updated);
+      }
+    } catch (error) {
+      console.error('Failed to rename conversation:', error);
+    }
+  };
+
   const value: ConversationContextValue = {
     conversations,
     currentConversation,
@@ -265,7 +285,8 @@ export function ConversationProvider(props: { children: JSX.Element }) {
     reload,
     toggleStar,
     toggleArchive,
-    updateTags
+    updateTags,
+    renameConversation
   };
 
   return (
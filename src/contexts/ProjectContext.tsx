@@ -0,0 +1,136 @@
+/**
+ * Project Context
+ *
+ * Manages projects (collections such as Claude Projects), the project filter
+ * and which project overview or knowledge document is open in the reader
+ */
+
+import { createContext, useContext, createSignal, createEffect, on, JSX, Accessor } from 'solid-js';
+import { getProjects } from '../database/index.js';
+import { useConversations } from './ConversationContext';
+
+export interface ProjectDocument {
+  doc_id: string;
+  filename: string;
+  content: string;
+  created_at?: string | null;
+}
+
+export interface Project {
+  project_id: string;
+  name: string;
+  description?: string;
+  prompt?: string;
+  docs?: ProjectDocument[];
+  created_at?: string;
+  updated_at?: string;
+  source?: string;
+}
+
+interface ProjectContextValue {
+  projects: Accessor<Project[]>;
+  loading: Accessor<boolean>;
+  selectedProject: Accessor<Project | null>;
+  openDocument: Accessor<ProjectDocument | null>;
+  readerOpen: Accessor<boolean>;
+  reload: () => Promise<void>;
+  selectProject: (projectId: string | null) => void;
+  showProject: (projectId: string) => void;
+  showDocument: (doc: ProjectDocument) => void;
+  closeReader: () => void;
+}
+
+const ProjectContext = createContext<ProjectContextValue>();
+
+export function ProjectProvider(props: { children: JSX.Element }) {
+  const { filters, setFilter, conversations, currentConversationId } = useConversations();
+  const [projects, setProjects] = createSignal<Project[]>([]);
+  const [loading, setLoading] = createSignal(false);
+  const [openDocument, setOpenDocument] = createSignal<ProjectDocument | null>(null);
+  const [readerOpen, setReaderOpen] = createSignal(false);
+
+  // Load all projects
+  const loadProjects = async () => {
+    setLoading(true);
+    try {
+      setProjects(await getProjects());
+    } catch (error) {
+      console.error('Failed to load projects:', error);
+      setProjects([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const closeReader = () => {
+    setReaderOpen(false);
+    setOpenDocument(null);
+  };
+
+  // Reload whenever the conversation list changes (e.g. after an import)
+  createEffect(on(conversations, () => {
+    loadProjects();
+  }));
+
+  // Opening a conversation, or clearing the project filter, closes the project view
+  createEffect(on(currentConversationId, () => closeReader(), { defer: true }));
+  createEffect(on(() => filters.project, (projectId) => {
+    if (!projectId) closeReader();
+  }, { defer: true }));
+
+  const selectedProject = () =>
+    projects().find(project => project.project_id === filters.project) || null;
+
+  // Reload projects
+  const reload = async () => {
+    await loadProjects();
+  };
+
+  // Filter the conversation list by project (null shows all conversations)
+  const selectProject = (projectId: string | null) => {
+    setFilter('project', projectId);
+    closeReader();
+  };
+
+  // Show a project's description and instructions in the reader
+  const showProject = (projectId: string) => {
+    if (filters.project !== projectId) {
+      setFilter('project', projectId);
+    }
+    setOpenDocument(null);
+    setReaderOpen(true);
+  };
+
+  // Show one of the selected project's knowledge documents in the reader
+  const showDocument = (doc: ProjectDocument) => {
+    setOpenDocument(doc);
+    setReaderOpen(true);
+  };
+
+  const value: ProjectContextValue = {
+    projects,
+    loading,
+    selectedProject,
+    openDocument,
+    readerOpen,
+    reload,
+    selectProject,
+    showProject,
+    showDocument,
+    closeReader
+  };
+
+  return (
+    <ProjectContext.Provider value={value}>
+      {props.children}
+    </ProjectContext.Provider>
+  );
+}
+
+export function useProjects() {
+  const context = useContext(ProjectContext);
+  if (!context) {
+    throw new Error('useProjects must be used within ProjectProvider');
+  }
+  return context;
+}
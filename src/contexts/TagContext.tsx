@@ -12,7 +12,7 @@ import {
 } from '../database/index.js';
 
 interface TagInfo {
-  name: string;
+  tag: string;
   count: number;
 }
 
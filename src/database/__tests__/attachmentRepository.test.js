@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { AttachmentRepository } from '../attachmentRepository.js';
+import { DB_CONFIG } from '../dbConfig.js';
+import { createFakeDbConnector } from '../../test/fakeDbConnector.js';
+
+const attachment = (conversationId, bytes) => ({
+  asset_pointer: 'file-service://file-shared',
+  conversation_id: conversationId,
+  message_id: 'm1',
+  file_name: 'chart.png',
+  blob: new Blob([bytes]),
+});
+
+describe('AttachmentRepository', () => {
+  it('keeps a copy of a shared asset for each conversation', async () => {
+    const connector = createFakeDbConnector();
+    const repository = new AttachmentRepository(connector, DB_CONFIG);
+
+    await repository.storeAttachments([attachment('c1', 'one')]);
+    await repository.storeAttachments([attachment('c2', 'two')], 'import_1');
+
+    expect(await repository.getAttachmentsByConversation('c1')).toHaveLength(1);
+    expect(await repository.getAttachmentsByConversation('c2')).toHaveLength(1);
+
+    expect(await repository.deleteAttachmentsByConversation(['c1'])).toBe(1);
+    expect(await repository.getAttachmentsByConversation('c1')).toEqual([]);
+    expect((await repository.getAttachmentsByConversation('c2'))[0].blob.size).toBe(3);
+  });
+
+  it('journals each copy under its conversation, so a rollback leaves the other alone', async () => {
+    const connector = createFakeDbConnector();
+    const repository = new AttachmentRepository(connector, DB_CONFIG);
+
+    await repository.storeAttachments([attachment('c1', 'one')]);
+    await repository.storeAttachments([attachment('c2', 'two')], 'import_1');
+
+    const entries = Array.from(connector.stores[DB_CONFIG.stores.importJournal].records.values());
+    expect(entries.map(entry => [entry.key, entry.previous])).toEqual([[['c2', 'file-service://file-shared'], null]]);
+
+    await repository.restoreAttachments(entries);
+    expect(await repository.getAttachmentsByConversation('c2')).toEqual([]);
+    expect(await repository.getAttachmentsByConversation('c1')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { mergeConversation, resolveMergeStrategy } from '../conversationMerger.js';
+
+const message = (id, minute, content = id) => ({
+  id,
+  role: 'user',
+  content,
+  created_at: `2024-05-01T10:${String(minute).padStart(2, '0')}:00Z`
+});
+
+const stored = {
+  id: 'db-1',
+  conversation_id: 'c-1',
+  title: 'Old title',
+  created_at: '2024-05-01T10:00:00Z',
+  updated_at: '2024-05-01T10:05:00Z',
+  source: 'chatgpt',
+  model: 'gpt-4o',
+  messages: [message('m1', 0), message('m2', 5)],
+  metadata: {},
+  tags: ['work'],
+  starred: true,
+  archived: false
+};
+
+const imported = (overrides = {}) => ({
+  conversation_id: 'c-1',
+  title: 'New title',
+  created_at: '2024-05-01T10:00:00Z',
+  updated_at: '2024-05-01T10:10:00Z',
+  source: 'chatgpt',
+  model: 'gpt-4o',
+  messages: [message('m1', 0), message('m2', 5), message('m3', 10)],
+  metadata: {},
+  ...overrides
+});
+
+describe('mergeConversation', () => {
+  it('keeps local tags, stars and archive state', () => {
+    const { conversation, stats } = mergeConversation(stored, imported());
+
+    expect(conversation.id).toBe('db-1');
+    expect(conversation.tags).toEqual(['work']);
+    expect(conversation.starred).toBe(true);
+    expect(conversation.archived).toBe(false);
+    expect(stats.organizationKept).toBe(true);
+  });
+
+  it('appends new messages and keeps messages only the stored copy has', () => {
+    const { conversation, stats } = mergeConversation(
+      { ...stored, messages: [...stored.messages, message('local', 7)] },
+      imported()
+    );
+
+    expect(conversation.messages.map(m => m.id)).toEqual(['m1', 'm2', 'local', 'm3']);
+    expect(stats.messagesAdded).toBe(1);
+    expect(stats.messagesKept).toBe(1);
+  });
+
+  it('repositions siblings and keeps the imported active branch when kept messages fork', () => {
+    const reply = (id, minute, parentId, isActive, siblingIndex, siblingCount) => ({
+      ...message(id, minute),
+      parent_id: parentId,
+      is_active: isActive,
+      sibling_index: siblingIndex,
+      sibling_count: siblingCount
+    });
+    const forked = {
+      ...stored,
+      messages: [reply('m1', 0, null, true, 0, 1), reply('m2a', 5, 'm1', false, 0, 2), reply('m2b', 6, 'm1', true, 1, 2)]
+    };
+    // The export no longer has the older answer, but continues the newer one
+    const { conversation } = mergeConversation(forked, imported({
+      messages: [reply('m1', 0, null, true, 0, 1), reply('m2b', 6, 'm1', true, 0, 1), reply('m3', 10, 'm2b', true, 0, 1)]
+    }));
+
+    expect(conversation.messages.map(m => [m.id, m.sibling_index, m.sibling_count, m.is_active])).toEqual([
+      ['m1', 0, 1, true],
+      ['m2a', 0, 2, false],
+      ['m2b', 1, 2, true],
+      ['m3', 0, 1, true]
+    ]);
+  });
+
+  it('takes the title of a newer copy unless the conversation was renamed', () => {
+    expect(mergeConversation(stored, imported()).conversation.title).toBe('New title');
+
+    const renamed = { ...stored, title: 'My name', metadata: { title_edited: true } };
+    const { conversation, stats } = mergeConversation(renamed, imported());
+    expect(conversation.title).toBe('My name');
+    expect(conversation.metadata.title_edited).toBe(true);
+    expect(stats.titleKept).toBe(true);
+  });
+
+  it('keeps the stored title and update time when the import is older', () => {
+    const { conversation } = mergeConversation(stored, imported({ updated_at: '2024-05-01T10:01:00Z' }));
+
+    expect(conversation.title).toBe('Old title');
+    expect(conversation.updated_at).toBe(stored.updated_at);
+  });
+
+  it('compares the source update time, which local edits leave alone', () => {
+    const tagged = { ...stored, updated_at: '2024-05-02T09:00:00Z', source_updated_at: stored.updated_at };
+
+    const newer = mergeConversation(tagged, imported());
+    expect(newer.conversation.title).toBe('New title');
+    expect(newer.conversation.source_updated_at).toBe('2024-05-01T10:10:00Z');
+    expect(newer.conversation.updated_at).toBe(tagged.updated_at);
+
+    const { id: _id, tags: _tags, starred: _starred, archived: _archived, ...exported } = stored;
+    expect(mergeConversation(tagged, exported).changed).toBe(false);
+  });
+
+  it('reports no change when the import matches the stored copy', () => {
+    const { id: _id, tags: _tags, starred: _starred, archived: _archived, ...exported } = stored;
+
+    expect(mergeConversation(stored, exported).changed).toBe(false);
+    expect(mergeConversation(stored, imported()).changed).toBe(true);
+  });
+
+  it('replaces the stored copy with the replace strategy', () => {
+    const { conversation, stats } = mergeConversation(
+      { ...stored, messages: [...stored.messages, message('local', 7)] },
+      imported(),
+      'replace'
+    );
+
+    expect(conversation.tags).toBeUndefined();
+    expect(conversation.messages.map(m => m.id)).toEqual(['m1', 'm2', 'm3']);
+    expect(stats.messagesKept).toBe(0);
+  });
+
+  it('rejects unknown strategies', () => {
+    expect(() => resolveMergeStrategy('overwrite')).toThrow('Unknown merge strategy');
+  });
+});
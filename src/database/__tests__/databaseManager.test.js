@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { DatabaseManager } from '../databaseManager.js';
+import { DB_CONFIG } from '../dbConfig.js';
+import { createFakeDbConnector } from '../../test/fakeDbConnector.js';
+
+// The Web Locks API, shared by every manager as it is by every tab of an origin
+function createLocks() {
+  const held = new Set();
+  return {
+    async request(name, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      if (held.has(name)) {
+        if (options.ifAvailable) return callback(null);
+        throw new Error(`Lock ${name} is held; waiting for it is not faked`);
+      }
+      held.add(name);
+      try {
+        return await callback({ name });
+      } finally {
+        held.delete(name);
+      }
+    },
+  };
+}
+
+// A manager whose connection is replaced by an in-memory database
+function createConnectedManager(connector) {
+  const manager = new DatabaseManager();
+  const { createTransaction, getObjectStore } = connector;
+  Object.assign(manager.dbConnector, { connect: async () => {}, createTransaction, getObjectStore });
+  return manager;
+}
+
+// A manager whose connection and repositories are replaced by mocks
+function createManager({ journaledImports, committedImports }) {
+  const manager = new DatabaseManager();
+  manager.dbConnector.connect = vi.fn(async () => {});
+  manager.importJournalRepo.getImportIds = vi.fn(async () => journaledImports);
+  manager.importJournalRepo.getEntries = vi.fn(async (importId) => [
+    { entry_id: `${importId}:conversation:c1`, import_id: importId, kind: 'conversation', key: 'c1', previous: null },
+  ]);
+  manager.importJournalRepo.deleteEntries = vi.fn(async () => 1);
+  manager.importHistoryRepo.getImportById = vi.fn(async (importId) =>
+    committedImports.includes(importId) ? { import_id: importId } : null
+  );
+  manager.attachmentRepo.restoreAttachments = vi.fn(async () => 0);
+  manager.projectRepo.restoreProjects = vi.fn(async () => 0);
+  manager.conversationRepo.restoreConversations = vi.fn(async () => ({ restored: 0, removed: 1 }));
+  return manager;
+}
+
+describe('DatabaseManager', () => {
+  beforeEach(() => {
+    Object.defineProperty(navigator, 'locks', { value: createLocks(), configurable: true });
+  });
+
+  afterEach(() => {
+    delete navigator.locks;
+  });
+
+  it('rolls back imports left in the journal on init', async () => {
+    const manager = createManager({ journaledImports: ['import_1', 'import_2'], committedImports: ['import_2'] });
+
+    await manager.init();
+
+    // import_1 never reached the history: what it wrote is undone
+    expect(manager.conversationRepo.restoreConversations).toHaveBeenCalledTimes(1);
+    expect(manager.conversationRepo.restoreConversations.mock.calls[0][0][0]).toMatchObject({ import_id: 'import_1', key: 'c1' });
+    // import_2 was committed before its journal was dropped: only the journal goes
+    expect(manager.importJournalRepo.deleteEntries.mock.calls.map(([importId]) => importId)).toEqual(['import_1', 'import_2']);
+  });
+
+  it('keeps the journal when recovery fails, so it is retried on the next start', async () => {
+    const manager = createManager({ journaledImports: ['import_1'], committedImports: [] });
+    manager.conversationRepo.restoreConversations.mockRejectedValueOnce(new Error('Transaction error'));
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await manager.init();
+
+    expect(manager.isInitialized).toBe(true);
+    expect(manager.importJournalRepo.deleteEntries).not.toHaveBeenCalled();
+    expect(errorSpy).toHaveBeenCalled();
+    errorSpy.mockRestore();
+  });
+
+  it('rolls back an interrupted import recorded in the database journal', async () => {
+    const connector = createFakeDbConnector();
+    const { stores } = connector;
+    const manager = createConnectedManager(connector);
+
+    const put = (store, record) => stores[store].records.set(JSON.stringify(record[stores[store].keyPath]), record);
+    const previous = { id: 7, conversation_id: 'c1', title: 'Before the import', messages: [] };
+    put(DB_CONFIG.stores.conversations, { id: 7, conversation_id: 'c1', title: 'Half imported', messages: [] });
+    put(DB_CONFIG.stores.conversations, { id: 8, conversation_id: 'c2', title: 'Added', messages: [] });
+    put(DB_CONFIG.stores.importJournal, { entry_id: 'import_1:conversation:c1', import_id: 'import_1', kind: 'conversation', key: 'c1', previous });
+    put(DB_CONFIG.stores.importJournal, { entry_id: 'import_1:conversation:c2', import_id: 'import_1', kind: 'conversation', key: 'c2', previous: null });
+
+    await manager.init();
+
+    expect(Array.from(stores[DB_CONFIG.stores.conversations].records.values())).toEqual([previous]);
+    expect(stores[DB_CONFIG.stores.importJournal].records.size).toBe(0);
+  });
+
+  it('leaves an import running in another tab alone', async () => {
+    const connector = createFakeDbConnector();
+    const { stores } = connector;
+    const importingTab = createConnectedManager(connector);
+    const importId = await importingTab.beginImport({ source: 'chatgpt' });
+
+    await importingTab.conversationRepo.storeConversations(
+      [{ conversation_id: 'c1', title: 'Importing', messages: [] }],
+      null,
+      { importId }
+    );
+    expect(stores[DB_CONFIG.stores.importJournal].records.size).toBe(1);
+
+    const openedTab = createConnectedManager(connector);
+    expect(await openedTab.recoverInterruptedImports()).toEqual([]);
+    expect(stores[DB_CONFIG.stores.conversations].records.size).toBe(1);
+    expect(stores[DB_CONFIG.stores.importJournal].records.size).toBe(1);
+
+    // Once the import finishes its lock is free, and only the journal cleanup is left
+    await importingTab.rollbackImport(importId);
+    expect(stores[DB_CONFIG.stores.conversations].records.size).toBe(0);
+    expect(await openedTab.recoverInterruptedImports()).toEqual([]);
+  });
+
+  it('rolls back nothing without the Web Locks API', async () => {
+    delete navigator.locks;
+    const manager = createManager({ journaledImports: ['import_1'], committedImports: [] });
+
+    expect(await manager.recoverInterruptedImports()).toEqual([]);
+    expect(manager.importJournalRepo.getImportIds).not.toHaveBeenCalled();
+  });
+});
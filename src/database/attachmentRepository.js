@@ -0,0 +1,223 @@
+/**
+ * Attachment Repository Module
+ *
+ * Handles storing, retrieving, and removing images and files
+ * imported alongside conversations (e.g. from ChatGPT ZIP exports).
+ */
+
+import { journalWrite } from './importJournalRepository.js';
+
+export class AttachmentRepository {
+  /**
+   * @param {DbConnector} dbConnector - Database connector
+   * @param {Object} config - Database configuration
+   */
+  constructor(dbConnector, config) {
+    this.dbConnector = dbConnector;
+    this.config = config;
+  }
+
+  /**
+   * Store attachments, replacing any with the same conversation and asset pointer.
+   * Another conversation's copy of the same asset is left alone
+   * @param {Array} attachments - Attachment records with a blob
+   * @param {string|null} importId - Import to journal the writes under
+   * @returns {Promise<number>} Number of attachments stored
+   */
+  async storeAttachments(attachments, importId = null) {
+    if (!attachments || attachments.length === 0) {
+      return 0;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.dbConnector.createTransaction(
+        importId
+          ? [this.config.stores.attachments, this.config.stores.importJournal]
+          : this.config.stores.attachments,
+        'readwrite'
+      );
+
+      const store = transaction.objectStore(this.config.stores.attachments);
+      const journalStore = importId ? transaction.objectStore(this.config.stores.importJournal) : null;
+
+      transaction.oncomplete = () => {
+        resolve(attachments.length);
+      };
+
+      transaction.onerror = (event) => {
+        reject(new Error(`Transaction error: ${event.target.error}`));
+      };
+
+      transaction.onabort = (event) => {
+        reject(new Error(`Transaction aborted: ${event.target.error || 'Unknown error'}`));
+      };
+
+      attachments.forEach(attachment => {
+        const record = {
+          ...attachment,
+          stored_at: new Date().toISOString()
+        };
+
+        if (!journalStore) {
+          store.put(record);
+          return;
+        }
+
+        const key = [attachment.conversation_id, attachment.asset_pointer];
+        const getRequest = store.get(key);
+
+        getRequest.onsuccess = () => {
+          journalWrite(journalStore, importId, 'attachment', key, getRequest.result);
+          store.put(record);
+        };
+      });
+    });
+  }
+
+  /**
+   * Undo an import's writes from its journal entries
+   * @param {Array} entries - Journal entries of kind 'attachment'
+   * @returns {Promise<number>} Number of attachments restored or removed
+   */
+  async restoreAttachments(entries) {
+    if (!entries || entries.length === 0) {
+      return 0;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.dbConnector.createTransaction(
+        this.config.stores.attachments,
+        'readwrite'
+      );
+
+      const store = transaction.objectStore(this.config.stores.attachments);
+
+      transaction.oncomplete = () => {
+        resolve(entries.length);
+      };
+
+      transaction.onerror = (event) => {
+        reject(new Error(`Transaction error: ${event.target.error}`));
+      };
+
+      entries.forEach(entry => {
+        if (entry.previous) {
+          store.put(entry.previous);
+        } else {
+          store.delete(entry.key);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get all attachments belonging to a conversation
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Array>} Attachment records
+   */
+  async getAttachmentsByConversation(conversationId) {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.attachments);
+      const request = store.index('by_conversation_id').getAll(conversationId);
+
+      request.onsuccess = () => {
+        resolve(request.result || []);
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error getting attachments: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Delete all attachments belonging to the given conversations
+   * @param {string[]} conversationIds - Conversation IDs
+   * @returns {Promise<number>} Number of attachments deleted
+   */
+  async deleteAttachmentsByConversation(conversationIds) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.dbConnector.createTransaction(
+        this.config.stores.attachments,
+        'readwrite'
+      );
+
+      const store = transaction.objectStore(this.config.stores.attachments);
+      const index = store.index('by_conversation_id');
+
+      let deletedCount = 0;
+
+      transaction.oncomplete = () => {
+        resolve(deletedCount);
+      };
+
+      transaction.onerror = (event) => {
+        reject(new Error(`Transaction error: ${event.target.error}`));
+      };
+
+      conversationIds.forEach(conversationId => {
+        const keysRequest = index.getAllKeys(conversationId);
+
+        keysRequest.onsuccess = () => {
+          keysRequest.result.forEach(key => {
+            store.delete(key);
+            deletedCount++;
+          });
+        };
+      });
+    });
+  }
+
+  /**
+   * Remove every attachment
+   * @returns {Promise<void>}
+   */
+  async clearAttachments() {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(
+        this.config.stores.attachments,
+        'readwrite'
+      );
+
+      const request = store.clear();
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error clearing attachments: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Count stored attachments and the space they take up
+   * @returns {Promise<Object>} { count, totalBytes }
+   */
+  async getAttachmentStats() {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.attachments);
+      const request = store.openCursor();
+
+      let count = 0;
+      let totalBytes = 0;
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+
+        if (cursor) {
+          count++;
+          totalBytes += cursor.value.size_bytes || cursor.value.blob?.size || 0;
+          cursor.continue();
+        } else {
+          resolve({ count, totalBytes });
+        }
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error reading attachments: ${event.target.error}`));
+      };
+    });
+  }
+}
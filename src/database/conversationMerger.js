@@ -0,0 +1,189 @@
+/**
+ * Conversation Merger Module
+ *
+ * Works out what a re-imported conversation becomes when it meets the stored
+ * copy, so re-importing an export does not wipe local organisation (tags,
+ * stars, archive state, renames) or messages only the stored copy has.
+ */
+
+import { BaseConverter } from '../schemaConverter/formatConverters/baseConverter.js';
+import { generateUniqueId } from '../utils/idUtils.js';
+
+// Only its message tree helpers are used, so merged branches are marked as on import
+const treeConverter = new BaseConverter(generateUniqueId);
+
+// Strategies for conversations that already exist
+export const MERGE_STRATEGIES = {
+  // Keep local organisation and renames, append new messages by message ID
+  merge: { keepOrganization: true, appendMessages: true, keepLocalTitle: true },
+  // Replace the stored copy with the imported one
+  replace: { keepOrganization: false, appendMessages: false, keepLocalTitle: false }
+};
+
+export const DEFAULT_MERGE_STRATEGY = 'merge';
+
+// Fields set locally in ConvoKeep rather than by the export
+const ORGANIZATION_FIELDS = ['tags', 'starred', 'archived'];
+
+/**
+ * Resolve a strategy name or partial options object to full options
+ * @param {string|Object} strategy - 'merge', 'replace' or { keepOrganization, appendMessages, keepLocalTitle }
+ * @returns {Object} - Merge options
+ */
+export function resolveMergeStrategy(strategy = DEFAULT_MERGE_STRATEGY) {
+  if (typeof strategy === 'string') {
+    const options = MERGE_STRATEGIES[strategy];
+    if (!options) {
+      throw new Error(`Unknown merge strategy: ${strategy}`);
+    }
+    return options;
+  }
+
+  return { ...MERGE_STRATEGIES[DEFAULT_MERGE_STRATEGY], ...strategy };
+}
+
+/**
+ * Merge an imported conversation into the stored copy
+ * @param {Object} existing - Stored conversation (with its database ID)
+ * @param {Object} incoming - Imported conversation in the unified schema
+ * @param {string|Object} strategy - Merge strategy
+ * @returns {Object} - { conversation, changed, stats } where stats holds
+ *   { organizationKept, titleKept, messagesAdded, messagesKept }
+ */
+export function mergeConversation(existing, incoming, strategy = DEFAULT_MERGE_STRATEGY) {
+  const options = resolveMergeStrategy(strategy);
+  const merged = { ...incoming, id: existing.id, source_updated_at: sourceUpdatedAt(incoming) };
+  const stats = { organizationKept: false, titleKept: false, messagesAdded: 0, messagesKept: 0 };
+
+  if (options.keepOrganization) {
+    ORGANIZATION_FIELDS.forEach(field => {
+      if (field in existing) {
+        merged[field] = existing[field];
+      }
+    });
+    stats.organizationKept = (existing.tags || []).length > 0 || Boolean(existing.starred) || Boolean(existing.archived);
+  }
+
+  const existingMessages = existing.messages || [];
+  const incomingMessages = incoming.messages || [];
+  const existingIds = new Set(existingMessages.map(message => message.id).filter(Boolean));
+  const incomingIds = new Set(incomingMessages.map(message => message.id).filter(Boolean));
+
+  stats.messagesAdded = incomingMessages.filter(message => !message.id || !existingIds.has(message.id)).length;
+
+  if (options.appendMessages) {
+    // Messages the export no longer has (e.g. older exports of a branch) stay
+    const localOnly = existingMessages.filter(message => message.id && !incomingIds.has(message.id));
+    if (localOnly.length > 0) {
+      merged.messages = rebuildMessageTree(orderMessages([...incomingMessages, ...localOnly]), incomingMessages);
+      stats.messagesKept = localOnly.length;
+    }
+  }
+
+  if (options.keepLocalTitle) {
+    const renamed = Boolean(existing.metadata?.title_edited);
+
+    // A local rename wins; otherwise the newer copy's title does. Local edits
+    // bump updated_at, so the copies are compared by when their source changed
+    const sourceOlder = isEarlier(sourceUpdatedAt(incoming), sourceUpdatedAt(existing));
+    if (renamed || sourceOlder) {
+      merged.title = existing.title;
+      stats.titleKept = merged.title !== incoming.title;
+    }
+    if (renamed) {
+      merged.metadata = { ...(incoming.metadata || {}), title_edited: true };
+    }
+    if (sourceOlder) {
+      merged.source_updated_at = sourceUpdatedAt(existing);
+    }
+    if (isEarlier(incoming.updated_at, existing.updated_at)) {
+      merged.updated_at = existing.updated_at;
+    }
+  }
+
+  return {
+    conversation: merged,
+    // Conversations stored without a source update time are compared as if they had one
+    changed: stableStringify(merged) !== stableStringify({ ...existing, source_updated_at: sourceUpdatedAt(existing) }),
+    stats
+  };
+}
+
+/**
+ * Get when a conversation last changed at its source. Stored conversations
+ * record it in source_updated_at; imported ones only have updated_at
+ * @param {Object} conversation - Conversation
+ * @returns {string|undefined} - ISO date string
+ */
+function sourceUpdatedAt(conversation) {
+  return conversation.source_updated_at ?? conversation.updated_at;
+}
+
+/**
+ * Check whether one update time is before another
+ * @param {string} a - ISO date string
+ * @param {string} b - ISO date string
+ * @returns {boolean} - True if both are dates and a is earlier
+ */
+function isEarlier(a, b) {
+  const aTime = Date.parse(a);
+  const bTime = Date.parse(b);
+  return !Number.isNaN(aTime) && !Number.isNaN(bTime) && aTime < bTime;
+}
+
+/**
+ * Order merged messages by creation time when every message has one,
+ * otherwise keep the imported order with kept messages at the end
+ * @param {Array} messages - Merged messages
+ * @returns {Array} - Ordered messages
+ */
+function orderMessages(messages) {
+  const times = messages.map(message => Date.parse(message.created_at));
+  if (times.some(time => Number.isNaN(time))) {
+    return messages;
+  }
+
+  return messages
+    .map((message, position) => ({ message, position, time: times[position] }))
+    .sort((a, b) => a.time - b.time || a.position - b.position)
+    .map(entry => entry.message);
+}
+
+/**
+ * Recompute sibling positions and the active branch of merged messages, since
+ * kept messages can add forks; the export's active branch stays active
+ * @param {Array} messages - Ordered merged messages
+ * @param {Array} incomingMessages - Imported messages
+ * @returns {Array} - Copies of the messages with sibling_index, sibling_count
+ *   and is_active set, or the messages unchanged when they carry no tree
+ */
+function rebuildMessageTree(messages, incomingMessages) {
+  if (!messages.some(message => 'parent_id' in message)) {
+    return messages;
+  }
+
+  const active = incomingMessages.filter(message => message.is_active);
+  const leaf = active.find(message => !active.some(child => child.parent_id === message.id));
+  const rebuilt = messages.map(message => ({ ...message }));
+
+  treeConverter.markActiveBranch(rebuilt, leaf?.id);
+  treeConverter.assignSiblingPositions(rebuilt);
+  return rebuilt;
+}
+
+/**
+ * Serialize a value with object keys sorted, for comparing records
+ * @param {*} value - Value to serialize
+ * @returns {string} - JSON text
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (_key, item) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return item;
+    }
+    return Object.keys(item).sort().reduce((sorted, key) => {
+      sorted[key] = item[key];
+      return sorted;
+    }, {});
+  });
+}
@@ -6,6 +6,19 @@
 
 import { processConversations } from '../schemaConverter/index.js';
 import { generateUniqueId } from '../utils/idUtils.js';
+import { getVisibleMessageCount } from '../utils/messageTreeUtils.js';
+import { journalWrite } from './importJournalRepository.js';
+import { mergeConversation, DEFAULT_MERGE_STRATEGY } from './conversationMerger.js';
+
+// Per-import statistics summed across batches
+const STORE_STAT_FIELDS = [
+  'newConversations',
+  'updatedConversations',
+  'unchangedConversations',
+  'mergedConversations',
+  'messagesAdded',
+  'messagesKept'
+];
 
 export class ConversationRepository {
   /**
@@ -21,9 +34,20 @@ export class ConversationRepository {
    * Store conversations in the database
    * @param {Array|Object} conversations - Conversations to store
    * @param {Function} progressCallback - Optional callback for progress updates
-   * @returns {Promise<Object>} Results of the storage operation
+   * @param {Object} options - Import options
+   * @param {string} options.importId - Journal every write under this import so it can be rolled back
+   * @param {AbortSignal} options.signal - Stops storing between batches when aborted
+   * @param {string|Object} options.mergeStrategy - How conversations that already exist are
+   *   updated (see conversationMerger.js); defaults to keeping local organisation and messages
+   * @returns {Promise<Object>} Results of the storage operation: totalStored, newConversations,
+   *   updatedConversations, unchangedConversations, mergedConversations (updates that kept
+   *   local data), messagesAdded and messagesKept
    */
-  async storeConversations(conversations, progressCallback = null) {
+  async storeConversations(conversations, progressCallback = null, {
+    importId = null,
+    signal = null,
+    mergeStrategy = DEFAULT_MERGE_STRATEGY
+  } = {}) {
     // Ensure we have an array
     if (!Array.isArray(conversations)) {
       conversations = [conversations];
@@ -37,11 +61,8 @@ export class ConversationRepository {
     const unifiedConversations = processConversations(conversations);
     
     
-    // Track stats about new vs. updated conversations
-    let stats = {
-      newConversations: 0,
-      updatedConversations: 0
-    };
+    // Track stats about new, updated and merged conversations
+    const stats = Object.fromEntries(STORE_STAT_FIELDS.map(field => [field, 0]));
     
     // Process in batches to avoid memory issues with large datasets
     const BATCH_SIZE = this.config.batchSize;
@@ -50,15 +71,19 @@ export class ConversationRepository {
     
     // Loop through batches
     for (let i = 0; i < totalConversations; i += BATCH_SIZE) {
+      // Stop before the next batch if the import was canceled
+      signal?.throwIfAborted();
+
       const batch = unifiedConversations.slice(i, i + BATCH_SIZE);
       
       // Process this batch
-      const batchStats = await this._storeBatch(batch);
+      const batchStats = await this._storeBatch(batch, importId, mergeStrategy);
       
       // Update stats
       if (batchStats) {
-        stats.newConversations += batchStats.newConversations || 0;
-        stats.updatedConversations += batchStats.updatedConversations || 0;
+        STORE_STAT_FIELDS.forEach(field => {
+          stats[field] += batchStats[field] || 0;
+        });
       }
       
       // Update progress
@@ -72,29 +97,34 @@ export class ConversationRepository {
     
     return {
       totalStored: processed,
-      newConversations: stats.newConversations,
-      updatedConversations: stats.updatedConversations
+      ...stats
     };
   }
   
   /**
    * Store a batch of conversations
    * @param {Array} batch - Batch of conversations to store
+   * @param {string|null} importId - Import to journal the writes under
+   * @param {string|Object} mergeStrategy - How existing conversations are updated
    * @returns {Promise<Object>} Statistics about the operation
    */
-  async _storeBatch(batch) {
+  async _storeBatch(batch, importId = null, mergeStrategy = DEFAULT_MERGE_STRATEGY) {
     return new Promise((resolve, reject) => {
-      // Get transaction and store
+      // Get transaction and store; journaled imports write to the journal in the same transaction
       const transaction = this.dbConnector.createTransaction(
-        this.config.stores.conversations,
+        importId
+          ? [this.config.stores.conversations, this.config.stores.importJournal]
+          : this.config.stores.conversations,
         'readwrite'
       );
 
       const store = transaction.objectStore(this.config.stores.conversations);
+      const journalStore = importId ? transaction.objectStore(this.config.stores.importJournal) : null;
 
       // Track statistics for this batch
       let newCount = 0;
       let updateCount = 0;
+      const mergeStats = { unchangedConversations: 0, mergedConversations: 0, messagesAdded: 0, messagesKept: 0 };
 
       // Track pending operations to prevent transaction from completing prematurely
       let pendingOperations = 0;
@@ -104,7 +134,8 @@ export class ConversationRepository {
       transaction.oncomplete = () => {
         resolve({
           newConversations: newCount,
-          updatedConversations: updateCount
+          updatedConversations: updateCount,
+          ...mergeStats
         });
       };
 
@@ -142,15 +173,32 @@ export class ConversationRepository {
         getRequest.onsuccess = () => {
           const existingConversation = getRequest.result;
 
-          if (existingConversation) {
+          // Merge with the stored copy; nothing is written when the merge changes nothing
+          const merge = existingConversation
+            ? mergeConversation(existingConversation, conversation, mergeStrategy)
+            : null;
+
+          if (merge && !merge.changed) {
+            mergeStats.unchangedConversations++;
+            pendingOperations--;
+            return;
+          }
+
+          if (journalStore) {
+            journalWrite(journalStore, importId, 'conversation', conversation.conversation_id, existingConversation);
+          }
+
+          if (merge) {
             // Update existing conversation
             updateCount++;
+            mergeStats.messagesAdded += merge.stats.messagesAdded;
+            mergeStats.messagesKept += merge.stats.messagesKept;
+            if (merge.stats.organizationKept || merge.stats.titleKept || merge.stats.messagesKept > 0) {
+              mergeStats.mergedConversations++;
+            }
 
-            // Update while preserving the original database ID
-            const updateRequest = store.put({
-              ...conversation,
-              id: existingConversation.id
-            });
+            // The merged record keeps the original database ID
+            const updateRequest = store.put(merge.conversation);
 
             updateRequest.onsuccess = () => {
               pendingOperations--;
@@ -165,7 +213,8 @@ export class ConversationRepository {
             // Add new conversation
             newCount++;
 
-            const addRequest = store.add(conversation);
+            // Re-imports compare this rather than updated_at, which local edits bump
+            const addRequest = store.add({ source_updated_at: conversation.updated_at, ...conversation });
 
             addRequest.onsuccess = () => {
               pendingOperations--;
@@ -225,8 +274,8 @@ export class ConversationRepository {
         
         // If countOnly, use efficient counting
         if (settings.countOnly) {
-          // If no source filter, use direct count for maximum efficiency
-          if (settings.source === 'all') {
+          // If no source or project filter, use direct count for maximum efficiency
+          if (settings.source === 'all' && settings.project === undefined) {
             const countRequest = store.count();
 
             countRequest.onsuccess = () => {
@@ -262,9 +311,11 @@ export class ConversationRepository {
             const matchesArchived = settings.archived === undefined || conversation.archived === settings.archived;
             const matchesTag = settings.tag === undefined ||
               (conversation.tags && conversation.tags.includes(settings.tag));
+            const matchesProject = settings.project === undefined ||
+              conversation.metadata?.project_uuid === settings.project;
 
             // Include in count if it matches all filters
-            if (matchesSource && matchesStarred && matchesArchived && matchesTag) {
+            if (matchesSource && matchesStarred && matchesArchived && matchesTag && matchesProject) {
               // For count, we only need IDs
               allResults.push({
                 conversation_id: conversation.conversation_id
@@ -323,9 +374,11 @@ export class ConversationRepository {
           const matchesArchived = settings.archived === undefined || conversation.archived === settings.archived;
           const matchesTag = settings.tag === undefined ||
             (conversation.tags && conversation.tags.includes(settings.tag));
+          const matchesProject = settings.project === undefined ||
+            conversation.metadata?.project_uuid === settings.project;
 
           // Include in results if it matches all filters
-          if (matchesSource && matchesStarred && matchesArchived && matchesTag) {
+          if (matchesSource && matchesStarred && matchesArchived && matchesTag && matchesProject) {
             if (skipCount < settings.offset) {
               skipCount++;
             } else if (results.length < settings.limit) {
@@ -366,11 +419,12 @@ export class ConversationRepository {
       updated_at: conversation.updated_at,
       source: conversation.source,
       model: conversation.model,
-      messageCount: conversation.messages ? conversation.messages.length : 0,
+      messageCount: getVisibleMessageCount(conversation.messages),
       // Organization fields (v3)
       tags: conversation.tags || [],
       starred: conversation.starred || false,
       archived: conversation.archived || false,
+      project_id: conversation.metadata?.project_uuid || null,
     };
   }
   
@@ -436,6 +490,43 @@ export class ConversationRepository {
     return source === sourceFilter;
   }
   
+  /**
+   * Compare conversations against the stored copies without writing anything
+   * A conversation is 'unchanged' when merging it into the stored copy would
+   * change nothing, 'updated' when it would and 'new' when there is no stored copy.
+   * @param {Array} conversations - Conversations in the unified schema
+   * @param {string|Object} mergeStrategy - Merge strategy the import would use
+   * @returns {Promise<Array>} Status per conversation, in the same order
+   */
+  async compareConversations(conversations, mergeStrategy = DEFAULT_MERGE_STRATEGY) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.dbConnector.createTransaction(this.config.stores.conversations);
+      const index = transaction.objectStore(this.config.stores.conversations).index('by_conversation_id');
+      const statuses = new Array(conversations.length).fill('new');
+
+      transaction.oncomplete = () => {
+        resolve(statuses);
+      };
+
+      transaction.onerror = (event) => {
+        reject(new Error(`Error comparing conversations: ${event.target.error}`));
+      };
+
+      conversations.forEach((conversation, position) => {
+        if (!conversation.conversation_id) return;
+
+        const getRequest = index.get(conversation.conversation_id);
+
+        getRequest.onsuccess = () => {
+          const existing = getRequest.result;
+          if (existing) {
+            statuses[position] = mergeConversation(existing, conversation, mergeStrategy).changed ? 'updated' : 'unchanged';
+          }
+        };
+      });
+    });
+  }
+
   /**
    * Clear all data from the database
    * @returns {Promise<void>}
@@ -504,9 +595,33 @@ export class ConversationRepository {
   }
 
   /**
-   * Update conversation metadata (tags, starred, archived)
+   * Get full conversations in database key order, one page at a time
+   * @param {number|null} afterKey - Key of the last conversation of the previous page
+   * @param {number} count - Page size
+   * @returns {Promise<Array>} Up to count full conversations
+   */
+  async getConversationPage(afterKey = null, count = this.config.batchSize) {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.conversations);
+      const range = afterKey === null ? null : IDBKeyRange.lowerBound(afterKey, true);
+      const request = store.getAll(range, count);
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error retrieving conversations: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Update conversation metadata (tags, starred, archived, title)
+   * A local rename is flagged so re-imports keep it; re-imports compare
+   * source_updated_at, which local edits leave alone.
    * @param {string} conversationId - The conversation ID
-   * @param {Object} updates - Fields to update (tags, starred, archived)
+   * @param {Object} updates - Fields to update (tags, starred, archived, title)
    * @returns {Promise<Object>} Updated conversation
    */
   async updateConversationMetadata(conversationId, updates) {
@@ -529,6 +644,10 @@ export class ConversationRepository {
         if ('archived' in updates) {
           conversation.archived = updates.archived;
         }
+        if ('title' in updates) {
+          conversation.title = updates.title;
+          conversation.metadata = { ...(conversation.metadata || {}), title_edited: true };
+        }
 
         // Update timestamp
         conversation.updated_at = new Date().toISOString();
@@ -699,6 +818,61 @@ export class ConversationRepository {
     });
   }
 
+  /**
+   * Undo an import's writes from its journal entries
+   * Conversations it replaced are put back; conversations it added are deleted.
+   * @param {Array} entries - Journal entries of kind 'conversation'
+   * @returns {Promise<Object>} { restored, removed }
+   */
+  async restoreConversations(entries) {
+    if (!entries || entries.length === 0) {
+      return { restored: 0, removed: 0 };
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.dbConnector.createTransaction(
+        this.config.stores.conversations,
+        'readwrite'
+      );
+
+      const store = transaction.objectStore(this.config.stores.conversations);
+      const index = store.index('by_conversation_id');
+
+      let restored = 0;
+      let removed = 0;
+
+      transaction.oncomplete = () => {
+        resolve({ restored, removed });
+      };
+
+      transaction.onerror = (event) => {
+        reject(new Error(`Transaction error: ${event.target.error}`));
+      };
+
+      transaction.onabort = (event) => {
+        reject(new Error(`Transaction aborted: ${event.target.error || 'Unknown error'}`));
+      };
+
+      entries.forEach(entry => {
+        if (entry.previous) {
+          // The previous record keeps its internal database ID
+          store.put(entry.previous);
+          restored++;
+          return;
+        }
+
+        const getRequest = index.get(entry.key);
+
+        getRequest.onsuccess = () => {
+          if (getRequest.result) {
+            store.delete(getRequest.result.id);
+            removed++;
+          }
+        };
+      });
+    });
+  }
+
   /**
    * Get conversations by tags
    * @param {string[]} tags - Array of tags to filter by
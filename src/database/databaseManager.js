@@ -7,6 +7,14 @@
 import { DB_CONFIG } from './dbConfig.js';
 import { DbConnector } from './dbConnector.js';
 import { ConversationRepository } from './conversationRepository.js';
+import { AttachmentRepository } from './attachmentRepository.js';
+import { ProjectRepository } from './projectRepository.js';
+import { ImportJournalRepository } from './importJournalRepository.js';
+import { ImportHistoryRepository } from './importHistoryRepository.js';
+import { generateUniqueId } from '../utils/idUtils.js';
+
+// Each running import holds a Web Lock with this prefix and its import ID, in whichever tab runs it
+const IMPORT_LOCK_PREFIX = 'convokeep-import:';
 
 /**
  * Main class for coordinating database operations
@@ -16,6 +24,15 @@ export class DatabaseManager {
     // Create dependencies
     this.dbConnector = new DbConnector(DB_CONFIG);
     this.conversationRepo = new ConversationRepository(this.dbConnector, DB_CONFIG);
+    this.attachmentRepo = new AttachmentRepository(this.dbConnector, DB_CONFIG);
+    this.projectRepo = new ProjectRepository(this.dbConnector, DB_CONFIG);
+    this.importJournalRepo = new ImportJournalRepository(this.dbConnector, DB_CONFIG);
+    this.importHistoryRepo = new ImportHistoryRepository(this.dbConnector, DB_CONFIG);
+
+    // Details of imports that have begun but not yet been committed, by import ID
+    this.pendingImports = new Map();
+    // Releases the lock each of those imports holds, by import ID
+    this.importLocks = new Map();
 
     // Track initialization state
     this.isInitialized = false;
@@ -40,6 +57,8 @@ export class DatabaseManager {
       // Set initialized flag
       this.isInitialized = true;
 
+      await this.recoverInterruptedImports();
+
       // Return the database connection
       return this.dbConnector.getConnection();
     } catch (error) {
@@ -48,6 +67,52 @@ export class DatabaseManager {
     }
   }
 
+  /**
+   * Roll back imports that were interrupted by a closed tab or a crash. Their
+   * details were only held in memory, but their journal entries remain; an
+   * import that made it into the history only lost its journal cleanup.
+   * An import whose lock is held is still running in another tab and is left
+   * alone. Without the Web Locks API the two cannot be told apart, so nothing
+   * is rolled back.
+   * @returns {Promise<string[]>} IDs of the imports rolled back
+   */
+  async recoverInterruptedImports() {
+    const rolledBack = [];
+    const locks = globalThis.navigator?.locks;
+    if (!locks) {
+      return rolledBack;
+    }
+
+    try {
+      const importIds = await this.importJournalRepo.getImportIds();
+
+      for (const importId of importIds) {
+        if (this.pendingImports.has(importId)) continue;
+
+        // Holding the lock while recovering also keeps two tabs opening at once from both doing it
+        await locks.request(IMPORT_LOCK_PREFIX + importId, { ifAvailable: true }, async (lock) => {
+          if (!lock) return;
+
+          if (await this.importHistoryRepo.getImportById(importId)) {
+            await this.importJournalRepo.deleteEntries(importId);
+          } else {
+            await this.rollbackImport(importId);
+            rolledBack.push(importId);
+          }
+        });
+      }
+
+      if (rolledBack.length > 0) {
+        console.log('Rolled back interrupted imports:', rolledBack);
+      }
+    } catch (error) {
+      // The journal is kept, so recovery is tried again on the next start
+      console.error('Failed to roll back interrupted imports:', error);
+    }
+
+    return rolledBack;
+  }
+
   /**
    * Request persistent storage to prevent automatic data eviction
    * Should be called when user first uploads data for better UX
@@ -95,18 +160,51 @@ export class DatabaseManager {
    * Store conversations in the database
    * @param {Array|Object} conversations - Conversations to store
    * @param {Function} progressCallback - Optional callback for progress updates
+   * @param {Object} options - { importId, signal, mergeStrategy }; writes are journaled under
+   *   importId so they can be undone with rollbackImport
    * @returns {Promise<Object>} Results of the storage operation
    */
-  async storeConversations(conversations, progressCallback) {
+  async storeConversations(conversations, progressCallback, options = {}) {
     // Ensure database is initialized
     if (!this.isInitialized) {
       await this.init();
     }
     
+    // Split off bundled attachments; they live in their own store
+    const attachments = [];
+    const conversationList = (Array.isArray(conversations) ? conversations : [conversations])
+      .map(conversation => {
+        if (!conversation || !Array.isArray(conversation.attachments)) {
+          return conversation;
+        }
+        const { attachments: conversationAttachments, ...rest } = conversation;
+        attachments.push(...conversationAttachments);
+        return rest;
+      });
+
     // Store conversations
-    return this.conversationRepo.storeConversations(conversations, progressCallback);
+    const result = await this.conversationRepo.storeConversations(conversationList, progressCallback, options);
+
+    // Store attachments once their conversations exist
+    result.attachmentsStored = await this.attachmentRepo.storeAttachments(attachments, options.importId);
+
+    return result;
   }
   
+  /**
+   * Compare conversations against the stored copies without writing anything
+   * @param {Array} conversations - Conversations in the unified schema
+   * @param {string|Object} mergeStrategy - Merge strategy the import would use
+   * @returns {Promise<Array>} 'new', 'updated' or 'unchanged' per conversation
+   */
+  async compareConversations(conversations, mergeStrategy) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return this.conversationRepo.compareConversations(conversations, mergeStrategy);
+  }
+
   /**
    * Get conversations with filtering options
    * @param {Object} options - Query options
@@ -150,6 +248,35 @@ export class DatabaseManager {
     };
   }
   
+  /**
+   * Read every full conversation (messages, metadata and organisation fields)
+   * a page at a time, so exports never hold the whole archive at once
+   * @param {Function} onPage - Called with each page of conversations; awaited before the next page is read
+   * @param {number} pageSize - Conversations per page
+   * @returns {Promise<number>} Number of conversations read
+   */
+  async forEachConversationPage(onPage, pageSize = DB_CONFIG.batchSize) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    let afterKey = null;
+    let total = 0;
+
+    while (true) {
+      const page = await this.conversationRepo.getConversationPage(afterKey, pageSize);
+      if (page.length === 0) break;
+
+      total += page.length;
+      await onPage(page);
+
+      if (page.length < pageSize) break;
+      afterKey = page[page.length - 1].id;
+    }
+
+    return total;
+  }
+
   /**
    * Get a conversation by ID
    * @param {string} conversationId - The conversation ID
@@ -176,6 +303,10 @@ export class DatabaseManager {
     }
     
     // Clear the database
+    await this.attachmentRepo.clearAttachments();
+    await this.projectRepo.clearProjects();
+    await this.importJournalRepo.clearJournal();
+    await this.importHistoryRepo.clearImports();
     return this.conversationRepo.clearDatabase();
   }
   
@@ -194,9 +325,9 @@ export class DatabaseManager {
   }
 
   /**
-   * Update conversation metadata (tags, starred, archived)
+   * Update conversation metadata (tags, starred, archived, title)
    * @param {string} conversationId - The conversation ID
-   * @param {Object} updates - Fields to update (tags, starred, archived)
+   * @param {Object} updates - Fields to update (tags, starred, archived, title)
    * @returns {Promise<Object>} Updated conversation
    */
   async updateConversationMetadata(conversationId, updates) {
@@ -231,9 +362,35 @@ export class DatabaseManager {
       await this.init();
     }
 
+    await this.attachmentRepo.deleteAttachmentsByConversation(conversationIds);
     return this.conversationRepo.bulkDeleteConversations(conversationIds);
   }
 
+  /**
+   * Get the images and files stored for a conversation
+   * @param {string} conversationId - The conversation ID
+   * @returns {Promise<Array>} Attachment records
+   */
+  async getAttachmentsByConversation(conversationId) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return this.attachmentRepo.getAttachmentsByConversation(conversationId);
+  }
+
+  /**
+   * Get attachment count and total size
+   * @returns {Promise<Object>} { count, totalBytes }
+   */
+  async getAttachmentStats() {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return this.attachmentRepo.getAttachmentStats();
+  }
+
   /**
    * Get conversations by tags
    * @param {string[]} tags - Array of tags to filter by
@@ -286,4 +443,215 @@ export class DatabaseManager {
 
     return this.conversationRepo.deleteTag(tag);
   }
+
+  /**
+   * Store projects (collections with instructions and knowledge documents)
+   * @param {Array} projects - Projects in the unified schema
+   * @param {string} importId - Optional import to journal the writes under
+   * @returns {Promise<number>} Number of projects stored
+   */
+  async storeProjects(projects, importId) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return this.projectRepo.storeProjects(projects, importId);
+  }
+
+  /**
+   * Get all projects
+   * @returns {Promise<Array>} Projects sorted by name
+   */
+  async getProjects() {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return this.projectRepo.getProjects();
+  }
+
+  /**
+   * Get a project by ID
+   * @param {string} projectId - The project ID
+   * @returns {Promise<Object>} The project
+   */
+  async getProjectById(projectId) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return this.projectRepo.getProjectById(projectId);
+  }
+
+  /**
+   * Start tracking an import so its writes can be rolled back
+   * @param {Object} details - What is imported: { file_name, file_size, file_hash, format }
+   * @returns {Promise<string>} The import ID to pass to storeConversations and storeProjects
+   */
+  async beginImport(details = {}) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    const importId = generateUniqueId('import');
+    this.pendingImports.set(importId, { ...details, started_at: new Date().toISOString() });
+    await this.holdImportLock(importId);
+
+    return importId;
+  }
+
+  /**
+   * Hold the import's lock until it is committed or rolled back, so tabs
+   * opened meanwhile can tell it is still running
+   * @param {string} importId - The import ID
+   * @returns {Promise<void>} Resolves once the lock is held
+   */
+  async holdImportLock(importId) {
+    const locks = globalThis.navigator?.locks;
+    if (!locks) return;
+
+    await new Promise(acquired => {
+      locks.request(IMPORT_LOCK_PREFIX + importId, () => {
+        acquired();
+        return new Promise(release => this.importLocks.set(importId, release));
+      });
+    });
+  }
+
+  /**
+   * Let go of an import's lock once it has finished
+   * @param {string} importId - The import ID
+   */
+  releaseImportLock(importId) {
+    this.importLocks.get(importId)?.();
+    this.importLocks.delete(importId);
+  }
+
+  /**
+   * Keep everything an import wrote, record it in the import history and discard its journal
+   * @param {string} importId - The import ID
+   * @param {Object} details - Details only known once the import ran (e.g. format)
+   * @returns {Promise<Object>} The import record
+   */
+  async commitImport(importId, details = {}) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    // The journal says what the import added (no previous record) and what it updated
+    const entries = await this.importJournalRepo.getEntries(importId);
+    const keys = (kind, added) => entries
+      .filter(entry => entry.kind === kind && (entry.previous === null) === added)
+      .map(entry => entry.key);
+
+    const record = await this.importHistoryRepo.saveImport({
+      file_name: null,
+      file_size: null,
+      file_hash: null,
+      format: null,
+      ...this.pendingImports.get(importId),
+      ...details,
+      import_id: importId,
+      completed_at: new Date().toISOString(),
+      undone_at: null,
+      conversations_added: keys('conversation', true),
+      conversations_updated: keys('conversation', false),
+      attachments_added: keys('attachment', true),
+      projects_added: keys('project', true),
+      projects_updated: keys('project', false)
+    });
+
+    this.pendingImports.delete(importId);
+    await this.importJournalRepo.deleteEntries(importId);
+    this.releaseImportLock(importId);
+
+    return record;
+  }
+
+  /**
+   * Undo everything an import wrote: conversations, attachments and projects
+   * it replaced are restored and the ones it added are removed
+   * @param {string} importId - The import ID
+   * @returns {Promise<Object>} { restored, removed } conversation counts
+   */
+  async rollbackImport(importId) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    const entries = await this.importJournalRepo.getEntries(importId);
+    const ofKind = (kind) => entries.filter(entry => entry.kind === kind);
+
+    // Attachments go first, while the conversations they belong to still exist
+    await this.attachmentRepo.restoreAttachments(ofKind('attachment'));
+    await this.projectRepo.restoreProjects(ofKind('project'));
+    const result = await this.conversationRepo.restoreConversations(ofKind('conversation'));
+
+    // The journal is only dropped once everything is restored, so a failed rollback can be retried
+    await this.importJournalRepo.deleteEntries(importId);
+    this.pendingImports.delete(importId);
+    this.releaseImportLock(importId);
+
+    return result;
+  }
+
+  /**
+   * Get the import history
+   * @returns {Promise<Array>} Import records, newest first
+   */
+  async getImports() {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    return this.importHistoryRepo.getImports();
+  }
+
+  /**
+   * Find earlier imports of the same file
+   * @param {string} fileHash - SHA-256 of the file contents
+   * @returns {Promise<Array>} Import records that have not been undone, newest first
+   */
+  async findImportsByHash(fileHash) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    const imports = await this.importHistoryRepo.findImportsByHash(fileHash);
+    return imports.filter(record => !record.undone_at);
+  }
+
+  /**
+   * Remove everything a committed import introduced: the conversations,
+   * attachments and projects it added. Conversations and projects it
+   * updated are left as they are now.
+   * @param {string} importId - The import ID
+   * @returns {Promise<Object>} { conversationsRemoved, attachmentsRemoved, projectsRemoved }
+   */
+  async undoImport(importId) {
+    if (!this.isInitialized) {
+      await this.init();
+    }
+
+    const record = await this.importHistoryRepo.getImportById(importId);
+    if (!record) {
+      throw new Error(`Import not found: ${importId}`);
+    }
+    if (record.undone_at) {
+      throw new Error('This import has already been undone');
+    }
+
+    // Undoing an addition is the same as rolling back a journal entry with no previous record
+    const added = (kind, keys) => (keys || []).map(key => ({ kind, key, previous: null }));
+
+    const attachmentsRemoved =
+      await this.attachmentRepo.restoreAttachments(added('attachment', record.attachments_added)) +
+      await this.attachmentRepo.deleteAttachmentsByConversation(record.conversations_added || []);
+    const projectsRemoved = await this.projectRepo.restoreProjects(added('project', record.projects_added));
+    const { removed } = await this.conversationRepo.restoreConversations(added('conversation', record.conversations_added));
+
+    await this.importHistoryRepo.saveImport({ ...record, undone_at: new Date().toISOString() });
+
+    return { conversationsRemoved: removed, attachmentsRemoved, projectsRemoved };
+  }
 }
@@ -7,9 +7,13 @@
 
 export const DB_CONFIG = {
   name: 'convokeep-db',
-  version: 3,  // Incremented for organization features
+  version: 8,  // Incremented to key attachments by conversation and asset pointer
   stores: {
-    conversations: 'conversations'
+    conversations: 'conversations',
+    attachments: 'attachments',
+    projects: 'projects',
+    importJournal: 'import_journal',
+    imports: 'imports'
   },
   indexes: [
     { name: 'by_conversation_id', keyPath: 'conversation_id', unique: true },
@@ -23,6 +27,22 @@ export const DB_CONFIG = {
     { name: 'by_archived', keyPath: 'archived', unique: false },
     { name: 'by_tags', keyPath: 'tags', unique: false, multiEntry: true }
   ],
+  // Attachments (v4) are keyed by their conversation and the asset pointer its messages
+  // reference (v8), so conversations sharing an asset each keep their own copy
+  attachmentKeyPath: ['conversation_id', 'asset_pointer'],
+  attachmentIndexes: [
+    { name: 'by_conversation_id', keyPath: 'conversation_id', unique: false },
+    { name: 'by_message_id', keyPath: 'message_id', unique: false }
+  ],
+  // Import journal entries (v6) record what an import replaced, so it can be rolled back
+  importJournalIndexes: [
+    { name: 'by_import_id', keyPath: 'import_id', unique: false }
+  ],
+  // Import history (v7): one record per committed import
+  importIndexes: [
+    { name: 'by_file_hash', keyPath: 'file_hash', unique: false },
+    { name: 'by_started_at', keyPath: 'started_at', unique: false }
+  ],
   batchSize: 50,  // Number of items to process in a batch
   searchFuzzyThreshold: 0.7  // Threshold for fuzzy search matching
 };
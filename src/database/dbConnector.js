@@ -81,6 +81,59 @@ export class DbConnector {
         this._migrateToV3(store);
       }
     }
+
+    // Create attachments store (v4) if it doesn't exist
+    if (!db.objectStoreNames.contains(this.config.stores.attachments)) {
+      this._createAttachmentStore(db);
+    } else if (oldVersion < 8 && event && event.target && event.target.transaction) {
+      console.log('Migrating database to v8: Keying attachments by conversation');
+      this._migrateToV8(db, event.target.transaction);
+    }
+
+    // Create projects store (v5) if it doesn't exist
+    if (!db.objectStoreNames.contains(this.config.stores.projects)) {
+      db.createObjectStore(this.config.stores.projects, { keyPath: 'project_id' });
+    }
+
+    // Create import journal store (v6) if it doesn't exist
+    if (!db.objectStoreNames.contains(this.config.stores.importJournal)) {
+      const journalStore = db.createObjectStore(this.config.stores.importJournal, { keyPath: 'entry_id' });
+      this._createIndexes(journalStore, this.config.importJournalIndexes);
+    }
+
+    // Create import history store (v7) if it doesn't exist
+    if (!db.objectStoreNames.contains(this.config.stores.imports)) {
+      const importStore = db.createObjectStore(this.config.stores.imports, { keyPath: 'import_id' });
+      this._createIndexes(importStore, this.config.importIndexes);
+    }
+  }
+
+  /**
+   * Create the attachments store with its indexes
+   * @param {IDBDatabase} db - The database connection
+   * @returns {IDBObjectStore} The new store
+   */
+  _createAttachmentStore(db) {
+    const attachmentStore = db.createObjectStore(this.config.stores.attachments, { keyPath: this.config.attachmentKeyPath });
+    this._createIndexes(attachmentStore, this.config.attachmentIndexes);
+    return attachmentStore;
+  }
+
+  /**
+   * Migrate to v8: attachments were keyed by asset pointer alone. A key path
+   * cannot be changed, so the store is recreated and its records copied over
+   * @param {IDBDatabase} db - The database connection
+   * @param {IDBTransaction} transaction - The upgrade transaction
+   */
+  _migrateToV8(db, transaction) {
+    const request = transaction.objectStore(this.config.stores.attachments).getAll();
+
+    request.onsuccess = () => {
+      db.deleteObjectStore(this.config.stores.attachments);
+      const attachmentStore = this._createAttachmentStore(db);
+      request.result.forEach(attachment => attachmentStore.put(attachment));
+      console.log(`Migration to v8 complete: ${request.result.length} attachments`);
+    };
   }
 
   /**
@@ -126,9 +179,10 @@ export class DbConnector {
   /**
    * Create indexes for a store
    * @param {IDBObjectStore} store - The object store
+   * @param {Array} indexes - Index definitions (defaults to the conversation indexes)
    */
-  _createIndexes(store) {
-    this.config.indexes.forEach(index => {
+  _createIndexes(store, indexes = this.config.indexes) {
+    indexes.forEach(index => {
       store.createIndex(index.name, index.keyPath, { unique: index.unique });
     });
   }
@@ -0,0 +1,122 @@
+/**
+ * Import History Repository Module
+ *
+ * Keeps a record of every committed import: the file it came from (name,
+ * size, content hash), the detected format, when it ran and which
+ * conversations, attachments and projects it added or updated. The record
+ * is what lets an import be recognised when the same file comes back, and
+ * undone later.
+ */
+
+export class ImportHistoryRepository {
+  /**
+   * @param {DbConnector} dbConnector - Database connector
+   * @param {Object} config - Database configuration
+   */
+  constructor(dbConnector, config) {
+    this.dbConnector = dbConnector;
+    this.config = config;
+  }
+
+  /**
+   * Store or replace an import record
+   * @param {Object} record - Import record keyed by import_id
+   * @returns {Promise<Object>} The stored record
+   */
+  async saveImport(record) {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.imports, 'readwrite');
+      const request = store.put(record);
+
+      request.onsuccess = () => {
+        resolve(record);
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error saving import record: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Get every import record, newest first
+   * @returns {Promise<Array>} Import records
+   */
+  async getImports() {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.imports);
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const imports = request.result || [];
+        imports.sort((a, b) => (b.started_at || '').localeCompare(a.started_at || ''));
+        resolve(imports);
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error getting import history: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Get an import record by ID
+   * @param {string} importId - The import ID
+   * @returns {Promise<Object|null>} The import record
+   */
+  async getImportById(importId) {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.imports);
+      const request = store.get(importId);
+
+      request.onsuccess = () => {
+        resolve(request.result || null);
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error getting import record: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Find imports of a file by its content hash
+   * @param {string} fileHash - SHA-256 of the file contents
+   * @returns {Promise<Array>} Import records for that file, newest first
+   */
+  async findImportsByHash(fileHash) {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.imports);
+      const request = store.index('by_file_hash').getAll(fileHash);
+
+      request.onsuccess = () => {
+        const imports = request.result || [];
+        imports.sort((a, b) => (b.started_at || '').localeCompare(a.started_at || ''));
+        resolve(imports);
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error finding imports: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Remove every import record
+   * @returns {Promise<void>}
+   */
+  async clearImports() {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.imports, 'readwrite');
+      const request = store.clear();
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error clearing import history: ${event.target.error}`));
+      };
+    });
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Import Journal Repository Module
+ *
+ * Records what each import wrote, keyed by import ID, so a canceled or
+ * failed import can be rolled back. Each entry holds the record the import
+ * replaced (or null when it added a new one); entries are written in the
+ * same transaction as the data they describe.
+ */
+
+/**
+ * Journal a write made by an import, keeping the earliest previous value
+ * Must be called before the write, inside a transaction that includes the journal store.
+ * @param {IDBObjectStore} journalStore - The import journal store
+ * @param {string} importId - The import making the write
+ * @param {string} kind - What is written: 'conversation', 'attachment' or 'project'
+ * @param {string|Array<string>} key - Conversation ID, [conversation ID, asset pointer] or project ID
+ * @param {Object|null} previous - The record being replaced, or null for a new one
+ */
+export function journalWrite(journalStore, importId, kind, key, previous) {
+  const entryId = `${importId}:${kind}:${key}`;
+  const getRequest = journalStore.get(entryId);
+
+  getRequest.onsuccess = () => {
+    // Written earlier in this import; the first snapshot is the one to restore
+    if (getRequest.result) return;
+
+    journalStore.put({
+      entry_id: entryId,
+      import_id: importId,
+      kind,
+      key,
+      previous: previous || null
+    });
+  };
+}
+
+export class ImportJournalRepository {
+  /**
+   * @param {DbConnector} dbConnector - Database connector
+   * @param {Object} config - Database configuration
+   */
+  constructor(dbConnector, config) {
+    this.dbConnector = dbConnector;
+    this.config = config;
+  }
+
+  /**
+   * Get the journal entries of an import
+   * @param {string} importId - The import ID
+   * @returns {Promise<Array>} Entries { entry_id, import_id, kind, key, previous }
+   */
+  async getEntries(importId) {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.importJournal);
+      const request = store.index('by_import_id').getAll(importId);
+
+      request.onsuccess = () => {
+        resolve(request.result || []);
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error getting import journal: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Get the IDs of imports that still have journal entries. The journal only
+   * holds imports that are running or were interrupted, so it is small
+   * @returns {Promise<string[]>} Import IDs, each listed once
+   */
+  async getImportIds() {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.importJournal);
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        resolve(Array.from(new Set((request.result || []).map(entry => entry.import_id))));
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error reading import journal: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Remove the journal entries of an import (once committed or rolled back)
+   * @param {string} importId - The import ID
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async deleteEntries(importId) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.dbConnector.createTransaction(
+        this.config.stores.importJournal,
+        'readwrite'
+      );
+
+      const store = transaction.objectStore(this.config.stores.importJournal);
+
+      let deletedCount = 0;
+
+      transaction.oncomplete = () => {
+        resolve(deletedCount);
+      };
+
+      transaction.onerror = (event) => {
+        reject(new Error(`Transaction error: ${event.target.error}`));
+      };
+
+      const keysRequest = store.index('by_import_id').getAllKeys(importId);
+
+      keysRequest.onsuccess = () => {
+        keysRequest.result.forEach(key => {
+          store.delete(key);
+          deletedCount++;
+        });
+      };
+    });
+  }
+
+  /**
+   * Remove every journal entry
+   * @returns {Promise<void>}
+   */
+  async clearJournal() {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(
+        this.config.stores.importJournal,
+        'readwrite'
+      );
+
+      const request = store.clear();
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error clearing import journal: ${event.target.error}`));
+      };
+    });
+  }
+}
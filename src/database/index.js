@@ -22,10 +22,21 @@ export async function initDb() {
  * Store conversations in the database
  * @param {Array|Object} conversations - Conversations to store
  * @param {Function} progressCallback - Optional callback for progress updates
+ * @param {Object} options - { importId, signal, mergeStrategy }; writes are journaled under importId
  * @returns {Promise<Object>} Results of the storage operation
  */
-export async function storeConversations(conversations, progressCallback) {
-  return dbManager.storeConversations(conversations, progressCallback);
+export async function storeConversations(conversations, progressCallback, options) {
+  return dbManager.storeConversations(conversations, progressCallback, options);
+}
+
+/**
+ * Compare conversations against the stored copies without writing anything (import preview)
+ * @param {Array} conversations - Conversations in the unified schema
+ * @param {string|Object} mergeStrategy - Merge strategy the import would use
+ * @returns {Promise<Array>} 'new', 'updated' or 'unchanged' per conversation
+ */
+export async function compareConversations(conversations, mergeStrategy) {
+  return dbManager.compareConversations(conversations, mergeStrategy);
 }
 
 /**
@@ -37,6 +48,16 @@ export async function getConversations(options) {
   return dbManager.getConversations(options);
 }
 
+/**
+ * Read every full conversation a page at a time (for backups)
+ * @param {Function} onPage - Called with each page of conversations; awaited before the next page is read
+ * @param {number} pageSize - Optional number of conversations per page
+ * @returns {Promise<number>} Number of conversations read
+ */
+export async function forEachConversationPage(onPage, pageSize) {
+  return dbManager.forEachConversationPage(onPage, pageSize);
+}
+
 /**
  * Get a conversation by ID
  * @param {string} conversationId - The conversation ID
@@ -72,9 +93,9 @@ export async function requestPersistentStorage() {
 }
 
 /**
- * Update conversation metadata (tags, starred, archived)
+ * Update conversation metadata (tags, starred, archived, title)
  * @param {string} conversationId - The conversation ID
- * @param {Object} updates - Fields to update (tags, starred, archived)
+ * @param {Object} updates - Fields to update (tags, starred, archived, title)
  * @returns {Promise<Object>} Updated conversation
  */
 export async function updateConversationMetadata(conversationId, updates) {
@@ -136,3 +157,101 @@ export async function renameTag(oldTag, newTag) {
 export async function deleteTag(tag) {
   return dbManager.deleteTag(tag);
 }
+
+/**
+ * Get the images and files stored for a conversation
+ * @param {string} conversationId - The conversation ID
+ * @returns {Promise<Array>} Attachment records
+ */
+export async function getAttachmentsByConversation(conversationId) {
+  return dbManager.getAttachmentsByConversation(conversationId);
+}
+
+/**
+ * Get attachment count and total size
+ * @returns {Promise<Object>} { count, totalBytes }
+ */
+export async function getAttachmentStats() {
+  return dbManager.getAttachmentStats();
+}
+
+/**
+ * Store projects (collections with instructions and knowledge documents)
+ * @param {Array} projects - Projects in the unified schema
+ * @param {string} importId - Optional import to journal the writes under
+ * @returns {Promise<number>} Number of projects stored
+ */
+export async function storeProjects(projects, importId) {
+  return dbManager.storeProjects(projects, importId);
+}
+
+/**
+ * Get all projects
+ * @returns {Promise<Array>} Projects sorted by name
+ */
+export async function getProjects() {
+  return dbManager.getProjects();
+}
+
+/**
+ * Get a project by ID
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} The project
+ */
+export async function getProjectById(projectId) {
+  return dbManager.getProjectById(projectId);
+}
+
+/**
+ * Start tracking an import so its writes can be rolled back
+ * @param {Object} details - What is imported: { file_name, file_size, file_hash, format }
+ * @returns {Promise<string>} The import ID
+ */
+export async function beginImport(details) {
+  return dbManager.beginImport(details);
+}
+
+/**
+ * Keep everything an import wrote and record it in the import history
+ * @param {string} importId - The import ID
+ * @param {Object} details - Details only known once the import ran (e.g. format)
+ * @returns {Promise<Object>} The import record
+ */
+export async function commitImport(importId, details) {
+  return dbManager.commitImport(importId, details);
+}
+
+/**
+ * Undo everything an import wrote (after a cancel or an error)
+ * @param {string} importId - The import ID
+ * @returns {Promise<Object>} { restored, removed } conversation counts
+ */
+export async function rollbackImport(importId) {
+  return dbManager.rollbackImport(importId);
+}
+
+/**
+ * Get the import history
+ * @returns {Promise<Array>} Import records, newest first
+ */
+export async function getImports() {
+  return dbManager.getImports();
+}
+
+/**
+ * Find earlier imports of the same file
+ * @param {string} fileHash - SHA-256 of the file contents
+ * @returns {Promise<Array>} Import records that have not been undone, newest first
+ */
+export async function findImportsByHash(fileHash) {
+  return dbManager.findImportsByHash(fileHash);
+}
+
+/**
+ * Remove the conversations, attachments and projects an import added
+ * @param {string} importId - The import ID
+ * @returns {Promise<Object>} { conversationsRemoved, attachmentsRemoved, projectsRemoved }
+ */
+export async function undoImport(importId) {
+  return dbManager.undoImport(importId);
+}
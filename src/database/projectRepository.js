@@ -0,0 +1,169 @@
+/**
+ * Project Repository Module
+ *
+ * Handles storing and retrieving projects (collections of conversations
+ * with their own instructions and knowledge documents, e.g. Claude Projects).
+ */
+
+import { journalWrite } from './importJournalRepository.js';
+
+export class ProjectRepository {
+  /**
+   * @param {DbConnector} dbConnector - Database connector
+   * @param {Object} config - Database configuration
+   */
+  constructor(dbConnector, config) {
+    this.dbConnector = dbConnector;
+    this.config = config;
+  }
+
+  /**
+   * Store projects, replacing any with the same project ID
+   * @param {Array} projects - Projects in the unified schema
+   * @param {string|null} importId - Import to journal the writes under
+   * @returns {Promise<number>} Number of projects stored
+   */
+  async storeProjects(projects, importId = null) {
+    if (!projects || projects.length === 0) {
+      return 0;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.dbConnector.createTransaction(
+        importId
+          ? [this.config.stores.projects, this.config.stores.importJournal]
+          : this.config.stores.projects,
+        'readwrite'
+      );
+
+      const store = transaction.objectStore(this.config.stores.projects);
+      const journalStore = importId ? transaction.objectStore(this.config.stores.importJournal) : null;
+
+      transaction.oncomplete = () => {
+        resolve(projects.length);
+      };
+
+      transaction.onerror = (event) => {
+        reject(new Error(`Transaction error: ${event.target.error}`));
+      };
+
+      transaction.onabort = (event) => {
+        reject(new Error(`Transaction aborted: ${event.target.error || 'Unknown error'}`));
+      };
+
+      projects.forEach(project => {
+        if (!journalStore) {
+          store.put(project);
+          return;
+        }
+
+        const getRequest = store.get(project.project_id);
+
+        getRequest.onsuccess = () => {
+          journalWrite(journalStore, importId, 'project', project.project_id, getRequest.result);
+          store.put(project);
+        };
+      });
+    });
+  }
+
+  /**
+   * Undo an import's writes from its journal entries
+   * @param {Array} entries - Journal entries of kind 'project'
+   * @returns {Promise<number>} Number of projects restored or removed
+   */
+  async restoreProjects(entries) {
+    if (!entries || entries.length === 0) {
+      return 0;
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.dbConnector.createTransaction(
+        this.config.stores.projects,
+        'readwrite'
+      );
+
+      const store = transaction.objectStore(this.config.stores.projects);
+
+      transaction.oncomplete = () => {
+        resolve(entries.length);
+      };
+
+      transaction.onerror = (event) => {
+        reject(new Error(`Transaction error: ${event.target.error}`));
+      };
+
+      entries.forEach(entry => {
+        if (entry.previous) {
+          store.put(entry.previous);
+        } else {
+          store.delete(entry.key);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get all projects, sorted by name
+   * @returns {Promise<Array>} Projects
+   */
+  async getProjects() {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.projects);
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const projects = request.result || [];
+        projects.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        resolve(projects);
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error getting projects: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Get a project by ID
+   * @param {string} projectId - The project ID
+   * @returns {Promise<Object>} The project
+   */
+  async getProjectById(projectId) {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(this.config.stores.projects);
+      const request = store.get(projectId);
+
+      request.onsuccess = () => {
+        resolve(request.result);
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error retrieving project: ${event.target.error}`));
+      };
+    });
+  }
+
+  /**
+   * Remove every project
+   * @returns {Promise<void>}
+   */
+  async clearProjects() {
+    return new Promise((resolve, reject) => {
+      const store = this.dbConnector.getObjectStore(
+        this.config.stores.projects,
+        'readwrite'
+      );
+
+      const request = store.clear();
+
+      request.onsuccess = () => {
+        resolve();
+      };
+
+      request.onerror = (event) => {
+        reject(new Error(`Error clearing projects: ${event.target.error}`));
+      };
+    });
+  }
+}
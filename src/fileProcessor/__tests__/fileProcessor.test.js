@@ -0,0 +1,214 @@
+import { describe, it, expect } from 'vitest';
+import { streamFile, processFile } from '../fileProcessor.js';
+
+const claudeConversation = (index) => ({
+  uuid: `claude-${index}`,
+  name: `Chat ${index}`,
+  created_at: '2024-07-01T10:00:00Z',
+  updated_at: '2024-07-01T10:05:00Z',
+  chat_messages: [
+    { uuid: `m${index}-1`, sender: 'human', text: 'Hello [there]', created_at: '2024-07-01T10:00:00Z' },
+    { uuid: `m${index}-2`, sender: 'assistant', text: 'Hi!', created_at: '2024-07-01T10:00:05Z' },
+  ],
+});
+
+const jsonFile = (data, name = 'conversations.json') =>
+  new File([JSON.stringify(data)], name, { type: 'application/json' });
+
+describe('streamFile', () => {
+  it('hands conversations over in batches with progress', async () => {
+    const batches = [];
+    const progress = [];
+
+    const result = await streamFile(jsonFile([1, 2, 3, 4, 5].map(claudeConversation)), {
+      batchSize: 2,
+      onBatch: async (batch) => {
+        batches.push(batch.map(conversation => conversation.conversation_id));
+      },
+      onProgress: (update) => progress.push(update),
+    });
+
+    expect(result).toEqual({ totalConversations: 5, failedConversations: 0 });
+    expect(batches).toEqual([['claude-1', 'claude-2'], ['claude-3', 'claude-4'], ['claude-5']]);
+
+    const last = progress[progress.length - 1];
+    expect(last).toMatchObject({ phase: 'parsing', percent: 100, conversations: 5 });
+    expect(last.bytesRead).toBe(last.totalBytes);
+  });
+
+  it('still parses single conversations that are not arrays', async () => {
+    const conversations = await processFile(jsonFile(claudeConversation(1)));
+    expect(conversations).toHaveLength(1);
+    expect(conversations[0].messages).toHaveLength(2);
+  });
+
+  it('rejects unsupported and empty files', async () => {
+    await expect(streamFile(new File(['x'], 'notes.pdf'))).rejects.toThrow('Unsupported file type');
+    await expect(streamFile(jsonFile([]))).rejects.toThrow('No valid conversations found');
+  });
+
+  it('stops with the abort reason when canceled', async () => {
+    const controller = new AbortController();
+    const batches = [];
+
+    const result = streamFile(jsonFile([1, 2, 3, 4].map(claudeConversation)), {
+      batchSize: 1,
+      signal: controller.signal,
+      onBatch: (batch) => {
+        batches.push(batch);
+        controller.abort();
+      },
+    });
+
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(batches).toHaveLength(1);
+  });
+
+  it('reports conversations that cannot be converted and imports the rest', async () => {
+    const untitledBackup = {
+      conversation_id: 'ck-2',
+      source: 'convokeep',
+      created_at: '2024-07-01T10:00:00Z',
+      messages: []
+    };
+    const failures = [];
+    const imported = [];
+
+    const result = await streamFile(jsonFile([claudeConversation(1), untitledBackup, claudeConversation(3)]), {
+      onBatch: (batch) => imported.push(...batch.map(conversation => conversation.conversation_id)),
+      onFailure: (failure) => failures.push(failure),
+    });
+
+    expect(result).toEqual({ totalConversations: 2, failedConversations: 1 });
+    expect(imported).toEqual(['claude-1', 'claude-3']);
+    expect(failures).toEqual([{
+      index: 1,
+      conversation_id: 'ck-2',
+      title: null,
+      reason: 'ConvoKeep conversation missing title',
+      snippet: JSON.stringify(untitledBackup),
+    }]);
+  });
+
+  it('fails the file with the first reason when no conversation converts', async () => {
+    await expect(streamFile(jsonFile([{ conversation_id: 'x', source: 'convokeep', created_at: 'now', messages: [] }])))
+      .rejects.toThrow('None of the 1 conversations in the file could be imported: ConvoKeep conversation missing title');
+  });
+
+  it('says where a file stops being valid JSON', async () => {
+    const file = new File(['{\n  "conversations": [\n    {,\n  ]\n}'], 'export.json');
+    await expect(streamFile(file)).rejects.toThrow(/Failed to parse conversation data: .*line 3, column 6/);
+  });
+
+  it('imports JSONL API request logs, grouped by the conversation key', async () => {
+    const line = (session, content) => JSON.stringify({
+      session,
+      request: { model: 'gpt-4o', messages: [{ role: 'user', content }] },
+      response: { model: 'gpt-4o', choices: [{ message: { role: 'assistant', content: 'Done.' } }] },
+    });
+    const file = new File([[line('s1', 'One'), '', line('s1', 'Two'), line('s2', 'Three')].join('\n')], 'requests.jsonl');
+
+    const conversations = [];
+    await streamFile(file, { onBatch: batch => conversations.push(...batch), conversationKey: 'session' });
+
+    expect(conversations.map(conversation => conversation.metadata.conversation_key)).toEqual(['s1', 's2']);
+    expect(conversations[0].model).toBe('gpt-4o');
+  });
+
+  it('groups the chat lines of a mixed JSONL log and reports the other lines by line number', async () => {
+    const chat = (content) => JSON.stringify({
+      request: { model: 'gpt-4o', messages: [{ role: 'user', content }] },
+      response: { model: 'gpt-4o', choices: [{ message: { role: 'assistant', content: 'Done.' } }] },
+    });
+    const embeddings = JSON.stringify({
+      request: { model: 'text-embedding-3-small', input: 'Hello' },
+      response: { data: [{ embedding: [0.1, 0.2] }] },
+    });
+    const file = new File([[chat('One'), '', embeddings, chat('Two')].join('\n')], 'requests.jsonl');
+
+    const conversations = [];
+    const failures = [];
+    const result = await streamFile(file, {
+      onBatch: batch => conversations.push(...batch),
+      onFailure: failure => failures.push(failure),
+    });
+
+    expect(conversations).toHaveLength(2);
+    expect(conversations.every(conversation => conversation.source === 'api')).toBe(true);
+    expect(conversations.map(conversation => conversation.messages[0].content)).toEqual(['One', 'Two']);
+    expect(failures).toHaveLength(1);
+    expect(failures[0].reason).toMatch(/^Line 3 does not match the api log format/);
+    expect(result).toEqual({ totalConversations: 2, failedConversations: 1 });
+  });
+
+  it('imports Markdown and plain-text transcripts with a speaker mapping', async () => {
+    const markdown = new File(['### Human\nHi there\n\n### Assistant\nHello!'], 'greeting.md');
+    const [conversation] = await processFile(markdown);
+
+    expect(conversation).toMatchObject({ title: 'greeting', source: 'transcript' });
+    expect(conversation.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+
+    const conversations = [];
+    const text = new File(['Ana: Ready?\nBot: Yes.'], 'notes.txt');
+    await streamFile(text, { onBatch: batch => conversations.push(...batch), speakerRoles: { Ana: 'user' } });
+    expect(conversations[0].messages.map(message => message.content)).toEqual(['Ready?', 'Yes.']);
+  });
+
+  it('imports saved Claude share pages as Claude conversations', async () => {
+    const page = new File([
+      '<html><head><title>Haiku help | Claude</title></head><body>'
+      + '<div data-testid="user-message"><p>Write a haiku</p></div>'
+      + '<div class="font-claude-message"><p>Leaves fall</p></div></body></html>',
+    ], 'Haiku help.htm');
+    const [conversation] = await processFile(page);
+
+    expect(conversation).toMatchObject({ title: 'Haiku help', source: 'claude', model: 'claude-unknown' });
+    expect(conversation.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+  });
+
+  it('says when a transcript has no recognisable speakers', async () => {
+    await expect(streamFile(new File(['Just some notes'], 'notes.txt'))).rejects.toThrow('No speaker turns found');
+  });
+
+  it('restores a ConvoKeep backup with its projects, and rejects invalid backups', async () => {
+    const backup = {
+      version: '2.0',
+      source: 'convokeep',
+      exported_at: '2024-08-01T00:00:00.000Z',
+      projects: [{ project_id: 'p-1', name: 'Research' }],
+      conversations: [{
+        conversation_id: 'ck-1',
+        title: 'Kept',
+        created_at: '2024-07-01T10:00:00Z',
+        source: 'claude',
+        tags: ['work'],
+        starred: true,
+        messages: [],
+      }],
+      conversation_count: 1,
+    };
+    const reports = [];
+    const conversations = [];
+
+    await streamFile(jsonFile(backup, 'convokeep-backup.json'), {
+      onBatch: batch => conversations.push(...batch),
+      onReport: report => reports.push(report),
+    });
+
+    expect(conversations[0]).toMatchObject({ conversation_id: 'ck-1', tags: ['work'], starred: true });
+    expect(reports).toEqual([{ format: 'convokeep', used: ['convokeep-backup.json'], skipped: [], projects: backup.projects }]);
+
+    // Backups without projects are reported too, so the import can restore them in place
+    reports.length = 0;
+    await streamFile(jsonFile({ ...backup, projects: [] }, 'convokeep-backup.json'), { onReport: report => reports.push(report) });
+    expect(reports).toEqual([{ format: 'convokeep', used: ['convokeep-backup.json'], skipped: [], projects: [] }]);
+
+    await expect(streamFile(jsonFile({ ...backup, conversation_count: 2 })))
+      .rejects.toThrow('Invalid ConvoKeep backup: Conversation count mismatch: expected 2, found 1');
+  });
+
+  it('says which JSONL line is not valid JSON', async () => {
+    const file = new File(['{"request": {}}\n{oops\n'], 'requests.jsonl');
+    await expect(streamFile(file)).rejects.toThrow(/Failed to parse line 2/);
+  });
+});
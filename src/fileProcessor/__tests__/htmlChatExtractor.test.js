@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { HtmlChatExtractor } from '../htmlChatExtractor.js';
+
+const extractor = new HtmlChatExtractor();
+
+const chatGptConversation = {
+  title: 'Trip ideas',
+  create_time: 1719828000,
+  mapping: {
+    root: { id: 'root', message: null, parent: null, children: ['a'] },
+    a: {
+      id: 'a',
+      parent: 'root',
+      children: [],
+      message: { id: 'a', author: { role: 'user' }, content: { content_type: 'text', parts: ['Where to go? [a] "b" {c}'] } },
+    },
+  },
+};
+
+describe('HtmlChatExtractor', () => {
+  it('reads the conversations chat.html embeds, with brackets inside strings', () => {
+    const html = `<!DOCTYPE html><html><body><div id="root"></div><script>
+      var jsonData = ${JSON.stringify([chatGptConversation])};
+      function render() {}
+    </script></body></html>`;
+
+    expect(extractor.isChatHtml(html)).toBe(true);
+    expect(extractor.extract(html)).toEqual([chatGptConversation]);
+  });
+
+  it('reads the conversation from a ChatGPT share page payload', () => {
+    const payload = {
+      props: { pageProps: { serverResponse: { data: { ...chatGptConversation, model: { slug: 'gpt-4o' } } } } },
+    };
+    const html = `<html><head><title>ChatGPT - Trip ideas</title></head><body>
+      <script id="__NEXT_DATA__" type="application/json">${JSON.stringify(payload)}</script></body></html>`;
+
+    const [conversation] = extractor.extract(html);
+    expect(conversation.title).toBe('Trip ideas');
+    expect(conversation.default_model_slug).toBe('gpt-4o');
+  });
+
+  it('falls back to the rendered ChatGPT messages', () => {
+    const html = `<html><head><title>ChatGPT - Trip ideas</title>
+      <link rel="canonical" href="https://chatgpt.com/share/abc-123"></head><body>
+      <div data-message-author-role="user"><div class="whitespace-pre-wrap">Where to go?</div></div>
+      <div data-message-author-role="assistant"><div class="markdown"><p>Try <strong>Lisbon</strong>.</p></div></div>
+    </body></html>`;
+
+    const [record] = extractor.extract(html, { fileName: 'share.html' });
+    expect(record).toMatchObject({
+      format: 'transcript',
+      source: 'chatgpt',
+      conversation_id: 'chatgpt_share_abc-123',
+      title: 'Trip ideas',
+      url: 'https://chatgpt.com/share/abc-123',
+    });
+    expect(record.messages.map(message => message.role)).toEqual(['user', 'assistant']);
+    expect(record.messages[1].content).toBe('Try **Lisbon**.');
+  });
+
+  it('reads the rendered messages of a Claude share page', () => {
+    const html = `<html><head><title>Haiku help | Claude</title></head><body>
+      <div data-testid="user-message"><p>Write a haiku</p></div>
+      <div class="font-claude-message pr-4"><div><p>Leaves fall</p></div></div>
+    </body></html>`;
+
+    const [record] = extractor.extract(html);
+    expect(record).toMatchObject({ source: 'claude', title: 'Haiku help' });
+    expect(record.conversation_id).toBeUndefined();
+    expect(record.messages).toEqual([
+      { speaker: 'user', role: 'user', content: 'Write a haiku' },
+      { speaker: 'assistant', role: 'assistant', content: 'Leaves fall' },
+    ]);
+  });
+
+  it('leaves other HTML pages alone', () => {
+    expect(extractor.isChatHtml('<html><body><p>Hello</p></body></html>')).toBe(false);
+    expect(extractor.isChatHtml('{"jsonData": 1}')).toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { StreamingJsonParser } from '../streamingJsonParser.js';
+
+// Feed text to a fresh parser in pieces of the given size
+const parseInChunks = (text, size) => {
+  const parser = new StreamingJsonParser();
+  const items = [];
+  for (let i = 0; i < text.length; i += size) {
+    items.push(...parser.write(text.slice(i, i + size)));
+  }
+  parser.end();
+  return items;
+};
+
+describe('StreamingJsonParser', () => {
+  const data = [
+    { id: 1, title: 'Brackets ] and } in "strings"', tags: ['a', 'b'] },
+    { id: 2, text: 'Escaped \\" quote and back\\\\slash', nested: { list: [[1], [2, { x: null }]] } },
+    { id: 3, text: 'Unicode ✓ and emoji 🎉' },
+  ];
+  const text = '\uFEFF  ' + JSON.stringify(data, null, 2) + '\n';
+
+  it('returns every element whatever the chunk size', () => {
+    for (const size of [1, 2, 3, 7, 64, text.length]) {
+      expect(parseInChunks(text, size)).toEqual(data);
+    }
+  });
+
+  it('returns elements as soon as they are complete', () => {
+    const parser = new StreamingJsonParser();
+    expect(parser.write('[{"id":1},{"id"')).toEqual([{ id: 1 }]);
+    expect(parser.write(':2}]')).toEqual([{ id: 2 }]);
+    parser.end();
+  });
+
+  it('handles primitive elements and empty arrays', () => {
+    expect(parseInChunks('[1, "two", true, null, 5]', 3)).toEqual([1, 'two', true, null, 5]);
+    expect(parseInChunks('[ ]', 1)).toEqual([]);
+  });
+
+  it('detects whether text starts a JSON array', () => {
+    expect(StreamingJsonParser.startsWithArray('\uFEFF \n[{')).toBe(true);
+    expect(StreamingJsonParser.startsWithArray('{"id": 1}')).toBe(false);
+    expect(StreamingJsonParser.startsWithArray('   ')).toBe(false);
+  });
+
+  it('reports truncated, malformed and non-array input', () => {
+    expect(() => parseInChunks('[{"id": 1}, {"id"', 4)).toThrow('Unexpected end of JSON data');
+    expect(() => parseInChunks('', 4)).toThrow('Empty JSON data');
+    expect(() => parseInChunks('[{"id": 1}, {id: 2}]', 4)).toThrow('Invalid JSON in item 2');
+    expect(() => parseInChunks('{"id": 1}', 4)).toThrow('Expected a JSON array');
+    expect(() => parseInChunks('[1] 2', 4)).toThrow('Unexpected data after the end');
+  });
+});
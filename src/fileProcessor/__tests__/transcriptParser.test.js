@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { TranscriptParser, parseSpeakerRoles } from '../transcriptParser.js';
+
+const parse = (text, options) => new TranscriptParser().parse(text, options);
+const turns = (result) => result.messages.map(message => [message.role, message.content]);
+
+describe('TranscriptParser', () => {
+  it('reads bold speaker labels with the message on the same line', () => {
+    const result = parse('**User:** What is 2+2?\n\n**Assistant:** 4.\nAnything else?');
+
+    expect(turns(result)).toEqual([['user', 'What is 2+2?'], ['assistant', '4.\nAnything else?']]);
+  });
+
+  it('reads heading turns, the title and model above them, and drops separators', () => {
+    const text = [
+      '# Trip planning',
+      '**Model:** gpt-4o',
+      '',
+      '#### You:',
+      'Plan a weekend in Rome',
+      '',
+      '---',
+      '',
+      '#### ChatGPT:',
+      '## Day one',
+      'Colosseum.',
+    ].join('\n');
+
+    const result = parse(text);
+
+    expect(result).toMatchObject({ title: 'Trip planning', model: 'gpt-4o' });
+    expect(turns(result)).toEqual([['user', 'Plan a weekend in Rome'], ['assistant', '## Day one\nColosseum.']]);
+    expect(result.messages[1].speaker).toBe('ChatGPT');
+  });
+
+  it('reads plain "Human:" transcripts and copied "said:" turns, ignoring labels in code', () => {
+    const result = parse('Human: Show a log line\nAssistant: ```\nUser: admin\n```\nHuman: Thanks');
+
+    expect(turns(result)).toEqual([
+      ['user', 'Show a log line'],
+      ['assistant', '```\nUser: admin\n```'],
+      ['user', 'Thanks'],
+    ]);
+    expect(turns(parse('You said:\nThanks\nChatGPT said:\nAny time.'))).toEqual([
+      ['user', 'Thanks'],
+      ['assistant', 'Any time.'],
+    ]);
+  });
+
+  it('only starts turns in the label style of the first turn', () => {
+    const text = [
+      '**User:** Why does the health check fail?',
+      '',
+      '**Assistant:** Check the status line:',
+      '',
+      'Response: 200 OK',
+      'Content-Type: text/plain',
+      '',
+      'Q: is it cached?',
+      'A: depends on the headers.',
+      '',
+      '**User:** Thanks',
+    ].join('\n');
+
+    expect(turns(parse(text))).toEqual([
+      ['user', 'Why does the health check fail?'],
+      ['assistant', 'Check the status line:\n\nResponse: 200 OK\nContent-Type: text/plain\n\nQ: is it cached?\nA: depends on the headers.'],
+      ['user', 'Thanks'],
+    ]);
+  });
+
+  it('leaves unknown labels in the message unless they are mapped', () => {
+    const text = '🧑 Alice: Open the pod bay doors\nHAL: I am afraid I cannot do that.\nNote: this is a film quote';
+
+    expect(parse(text).messages).toHaveLength(0);
+    expect(turns(parse(text, { speakerRoles: { alice: 'user', HAL: 'assistant' } }))).toEqual([
+      ['user', 'Open the pod bay doors'],
+      ['assistant', 'I am afraid I cannot do that.\nNote: this is a film quote'],
+    ]);
+  });
+
+  it('parses a typed speaker mapping, skipping unknown roles', () => {
+    expect(parseSpeakerRoles('Alice=user, HAL: assistant\nNarrator=robot')).toEqual({ Alice: 'user', HAL: 'assistant' });
+  });
+});
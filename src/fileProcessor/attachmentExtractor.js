@@ -0,0 +1,132 @@
+/**
+ * AttachmentExtractor Module
+ *
+ * Specialized for pulling images and uploaded files out of ChatGPT ZIP exports.
+ * Matches the asset pointers referenced by converted messages against the
+ * files bundled next to conversations.json and attaches them as blobs.
+ */
+
+// Bundled assets are named after their file-service id, e.g. "file-AbC123-photo.png"
+const ASSET_FILE_NAME = /^(file[-_][A-Za-z0-9]+)/;
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  json: 'application/json',
+};
+
+export class AttachmentExtractor {
+  /**
+   * Attach bundled files to the conversations that reference them
+   * Each matched conversation gets an `attachments` array of
+   * { asset_pointer, conversation_id, message_id, file_name, mime_type, size_bytes, blob }
+   * @param {Object} zipData - JSZip object containing extracted zip data
+   * @param {Array} conversations - Conversations in the unified schema
+   * @returns {Promise<number>} - Number of attachments found
+   */
+  async extractAttachments(zipData, conversations) {
+    const assetFiles = this.indexAssetFiles(zipData);
+    if (assetFiles.size === 0) return 0;
+
+    let found = 0;
+
+    for (const conversation of conversations) {
+      const attachments = [];
+      const seen = new Set();
+
+      for (const { message_id, asset_pointer } of this.getAssetReferences(conversation)) {
+        if (seen.has(asset_pointer)) continue;
+        seen.add(asset_pointer);
+
+        const file = assetFiles.get(this.getAssetId(asset_pointer));
+        if (!file) continue;
+
+        const blob = await file.async('blob');
+        const fileName = file.name.split('/').pop();
+        const mimeType = this.getMimeType(fileName);
+
+        attachments.push({
+          asset_pointer,
+          conversation_id: conversation.conversation_id,
+          message_id,
+          file_name: fileName,
+          mime_type: mimeType,
+          size_bytes: blob.size,
+          blob: mimeType && blob.type !== mimeType ? new Blob([blob], { type: mimeType }) : blob,
+        });
+      }
+
+      if (attachments.length > 0) {
+        conversation.attachments = attachments;
+        found += attachments.length;
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Index the archive's asset files by their file-service id
+   * @param {Object} zipData - JSZip object containing extracted zip data
+   * @returns {Map} - Map of asset id to JSZip file entry
+   */
+  indexAssetFiles(zipData) {
+    const assetFiles = new Map();
+
+    Object.values(zipData.files).forEach(file => {
+      if (file.dir) return;
+
+      const match = file.name.split('/').pop().match(ASSET_FILE_NAME);
+      if (match && !assetFiles.has(match[1])) {
+        assetFiles.set(match[1], file);
+      }
+    });
+
+    return assetFiles;
+  }
+
+  /**
+   * List the asset pointers referenced by a conversation's image and file blocks
+   * @param {Object} conversation - Conversation in the unified schema
+   * @returns {Array} - Array of { message_id, asset_pointer }
+   */
+  getAssetReferences(conversation) {
+    const references = [];
+
+    (conversation.messages || []).forEach(message => {
+      (message.blocks || []).forEach(block => {
+        if ((block.type === 'image' || block.type === 'file') && block.asset_pointer) {
+          references.push({ message_id: message.id, asset_pointer: block.asset_pointer });
+        }
+      });
+    });
+
+    return references;
+  }
+
+  /**
+   * Strip the scheme from an asset pointer ("file-service://file-abc" -> "file-abc")
+   * @param {string} assetPointer - Asset pointer from a content block
+   * @returns {string} - Asset id
+   */
+  getAssetId(assetPointer) {
+    return assetPointer.includes('://') ? assetPointer.split('://').pop() : assetPointer;
+  }
+
+  /**
+   * Guess a MIME type from a file name
+   * @param {string} fileName - File name with extension
+   * @returns {string} - MIME type, or an empty string when unknown
+   */
+  getMimeType(fileName) {
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    return MIME_TYPES[extension] || '';
+  }
+}
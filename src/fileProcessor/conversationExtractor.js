@@ -5,15 +5,28 @@
  * Handles finding, extracting, and parsing conversation data.
  */
 
+import { decodeHtmlEntities } from '../utils/markdownUtils.js';
+import { isConvoKeepBackup, upgradeBackup } from '../utils/importUtils.js';
+import { CsvParser } from './csvParser.js';
+import { TranscriptParser } from './transcriptParser.js';
+import { HtmlChatExtractor } from './htmlChatExtractor.js';
+
+// Google Takeout location of the Gemini (formerly Bard) activity log
+const GEMINI_ACTIVITY_PATH = /(^|\/)My Activity\/(Gemini Apps|Bard)\/MyActivity\.(json|html)$/i;
+
+// Files in Claude's data export; ChatGPT bundles use user.json (singular) instead
+const CLAUDE_BUNDLE_FILES = ['conversations.json', 'users.json', 'projects.json'];
+
 export class ConversationExtractor {
   /**
    * Extract conversations.json file from the zip data
+   * Falls back to the Gemini activity log for Google Takeout archives
    * @param {Object} zipData - JSZip object containing extracted zip data
-   * @returns {Promise<string>} - Promise resolving to JSON text
+   * @returns {Promise<string>} - Promise resolving to JSON (or activity HTML) text
    */
   async extractConversationsJson(zipData) {
     // Look for conversations.json or similar files
-    const conversationsFile = zipData.files['conversations.json'];
+    const conversationsFile = zipData.files['conversations.json'] || this.findGeminiActivityFile(zipData);
     
     if (!conversationsFile) {
       throw new Error('conversations.json not found in the archive');
@@ -28,23 +41,268 @@ export class ConversationExtractor {
     
     return jsonText;
   }
+
+  /**
+   * Check whether a ZIP is a Claude data export
+   * (conversations.json alongside users.json and/or projects.json)
+   * @param {Object} zipData - JSZip object containing extracted zip data
+   * @returns {boolean} - True if the archive has the Claude bundle layout
+   */
+  isClaudeBundle(zipData) {
+    return Boolean(zipData.files['conversations.json'])
+      && Boolean(zipData.files['users.json'] || zipData.files['projects.json']);
+  }
+
+  /**
+   * Extract a Claude data export: conversations, users and projects.
+   * Conversations get their account's name and their project's name attached.
+   * @param {Object} zipData - JSZip object containing extracted zip data
+   * @returns {Promise<Object>} - { conversations, users, projects, report }
+   *   where report lists the archive files that were used and skipped
+   */
+  async extractClaudeBundle(zipData) {
+    const extras = await this.readClaudeBundleExtras(zipData);
+    const conversations = this.parseConversations(await this.extractConversationsJson(zipData));
+
+    conversations.forEach(conversation => this.enrichClaudeConversation(conversation, extras));
+
+    return {
+      conversations,
+      users: extras.users,
+      projects: extras.projects,
+      report: extras.report
+    };
+  }
+
+  /**
+   * Read the users and projects that accompany a Claude data export,
+   * so conversations can be enriched one at a time while streaming
+   * @param {Object} zipData - JSZip object containing extracted zip data
+   * @returns {Promise<Object>} - { users, projects, usersByUuid, projectsByUuid, report }
+   */
+  async readClaudeBundleExtras(zipData) {
+    const usersData = await this.readJsonArray(zipData, 'users.json');
+    const projectsData = await this.readJsonArray(zipData, 'projects.json');
+    const users = usersData || [];
+    const projects = projectsData || [];
+
+    // Files that were missing or unreadable count as skipped
+    const readable = { 'conversations.json': true, 'users.json': !!usersData, 'projects.json': !!projectsData };
+    const used = CLAUDE_BUNDLE_FILES.filter(name => readable[name]);
+    const skipped = Object.keys(zipData.files)
+      .filter(path => !zipData.files[path].dir && !used.includes(path));
+
+    return {
+      users,
+      projects,
+      usersByUuid: new Map(users.map(user => [user.uuid, user])),
+      projectsByUuid: new Map(projects.map(project => [project.uuid, project])),
+      report: { format: 'claude', used, skipped }
+    };
+  }
+
+  /**
+   * Attach account and project names from a Claude bundle to one conversation
+   * @param {Object} conversation - Raw Claude conversation (modified in place)
+   * @param {Object} extras - Result of readClaudeBundleExtras
+   */
+  enrichClaudeConversation(conversation, extras) {
+    const { users, usersByUuid, projectsByUuid } = extras;
+
+    // Single-user exports may omit the account reference
+    const user = usersByUuid.get(conversation.account?.uuid) || (users.length === 1 ? users[0] : null);
+    if (user) {
+      conversation.account = {
+        ...conversation.account,
+        uuid: conversation.account?.uuid || user.uuid,
+        full_name: user.full_name,
+        email_address: user.email_address
+      };
+    }
+
+    const projectUuid = conversation.project_uuid || conversation.project?.uuid;
+    const project = projectsByUuid.get(projectUuid);
+    if (project) {
+      conversation.project = { uuid: project.uuid, name: project.name };
+    }
+  }
+
+  /**
+   * Read an optional JSON array file from the archive
+   * @param {Object} zipData - JSZip object containing extracted zip data
+   * @param {string} path - Path of the file in the archive
+   * @returns {Promise<Array|null>} - Parsed array, or null if missing or invalid
+   */
+  async readJsonArray(zipData, path) {
+    const file = zipData.files[path];
+    if (!file) {
+      return null;
+    }
+
+    try {
+      const data = JSON.parse(await file.async('string'));
+      return Array.isArray(data) ? data : [data];
+    } catch (error) {
+      console.warn(`Could not parse ${path}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the Gemini activity log in a Google Takeout archive
+   * Prefers the JSON variant when both are present
+   * @param {Object} zipData - JSZip object containing extracted zip data
+   * @returns {Object|null} - JSZip file entry or null
+   */
+  findGeminiActivityFile(zipData) {
+    const candidates = Object.keys(zipData.files)
+      .filter(path => GEMINI_ACTIVITY_PATH.test(path))
+      .sort((a, b) => Number(a.endsWith('.html')) - Number(b.endsWith('.html')));
+
+    return candidates.length > 0 ? zipData.files[candidates[0]] : null;
+  }
   
   /**
    * Parse JSON text and extract conversations
    * @param {string} jsonText - JSON string containing conversation data
+   * @param {string} fileName - Name of the file the text came from
+   * @param {Object} options - Parsing options
+   * @param {Function} options.onBackup - Called with a ConvoKeep backup's envelope
+   *   ({ version, exported_at, projects }) when the text is one
    * @returns {Array} - Array of raw conversation objects
    */
-  parseConversations(jsonText) {
+  parseConversations(jsonText, fileName = '', { onBackup } = {}) {
+    // Takeout can deliver My Activity as HTML instead of JSON
+    if (this.isActivityHtml(jsonText)) {
+      const activities = this.parseActivityHtml(jsonText);
+
+      if (activities.length === 0) {
+        throw new Error('No Gemini activity found in the HTML file');
+      }
+
+      return activities;
+    }
+
+    // chat.html from ChatGPT exports and saved ChatGPT or Claude share pages
+    const htmlChatExtractor = new HtmlChatExtractor();
+    if (htmlChatExtractor.isChatHtml(jsonText)) {
+      return htmlChatExtractor.extract(jsonText, { fileName });
+    }
+
+    let rawData;
     try {
       // Parse JSON
-      const rawData = JSON.parse(jsonText);
-      
-      // Extract conversations based on structure
-      return this.getRawConversations(rawData);
+      rawData = JSON.parse(jsonText);
     } catch (error) {
       console.error('Error parsing JSON:', error);
-      throw new Error('Failed to parse conversation data');
+      throw new Error(`Failed to parse conversation data: ${this.describeJsonError(error, jsonText)}`);
+    }
+
+    // ConvoKeep backups are checked as a whole before anything is restored
+    // and upgraded to the current schema version
+    if (isConvoKeepBackup(rawData)) {
+      const backup = upgradeBackup(rawData);
+      if (onBackup) {
+        onBackup({ version: rawData.version, exported_at: backup.exported_at, projects: backup.projects || [] });
+      }
+      return backup.conversations;
     }
+
+    // Extract conversations based on structure
+    return this.getRawConversations(rawData);
+  }
+
+  /**
+   * Describe a JSON syntax error with the line and column it occurred at
+   * @param {SyntaxError} error - Error thrown by JSON.parse
+   * @param {string} jsonText - The text that failed to parse
+   * @returns {string} - e.g. "Unexpected token } in JSON at position 812 (line 30, column 5)"
+   */
+  describeJsonError(error, jsonText) {
+    const message = error.message;
+    const match = /at position (\d+)/.exec(message);
+    if (!match || /line \d+/.test(message)) {
+      return message;
+    }
+
+    const before = jsonText.slice(0, Number(match[1]));
+    const line = before.split('\n').length;
+    const column = before.length - before.lastIndexOf('\n');
+
+    return `${message} (line ${line}, column ${column})`;
+  }
+  
+  /**
+   * Check whether a text file holds a transcript rather than JSON or HTML
+   * @param {string} text - File content
+   * @returns {boolean} - True if it does not start like JSON or markup
+   */
+  isTranscriptText(text) {
+    return !/^[\s\uFEFF]*[[{<]/.test(text);
+  }
+
+  /**
+   * Parse a plain-text or Markdown transcript into a raw transcript record
+   * @param {string} text - Transcript text
+   * @param {Object} options - { fileName, lastModified, speakerRoles } (see TranscriptParser.parse)
+   * @returns {Object} - { format: 'transcript', title, model, file_name, created_at, messages }
+   */
+  parseTranscript(text, { fileName = '', lastModified = null, speakerRoles = {} } = {}) {
+    const transcript = new TranscriptParser().parse(text, { speakerRoles });
+
+    if (transcript.messages.length === 0) {
+      throw new Error('No speaker turns found in the transcript. Add the labels it uses to the speaker mapping.');
+    }
+
+    return {
+      format: 'transcript',
+      ...transcript,
+      file_name: fileName,
+      created_at: lastModified,
+    };
+  }
+
+  /**
+   * Parse JSON Lines text (e.g. an API request log) into raw records
+   * @param {string} text - One JSON value per line; blank lines are ignored
+   * @param {Array<number>} lineNumbers - Optional: filled with the line number of each parsed record
+   * @returns {Array} - Array of parsed lines
+   */
+  parseJsonLines(text, lineNumbers = []) {
+    const records = [];
+
+    text.split('\n').forEach((line, index) => {
+      const trimmed = line.replace(/^\uFEFF/, '').trim();
+      if (!trimmed) return;
+
+      try {
+        records.push(JSON.parse(trimmed));
+        lineNumbers.push(index + 1);
+      } catch (error) {
+        throw new Error(`Failed to parse line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    if (records.length === 0) {
+      throw new Error('No lines found in the JSONL file');
+    }
+
+    return records;
+  }
+
+  /**
+   * Parse CSV text (e.g. a Copilot privacy dashboard export) into raw records
+   * @param {string} csvText - CSV string containing one message per row
+   * @returns {Array} - Array of row objects keyed by column name
+   */
+  parseCsvRecords(csvText) {
+    const records = new CsvParser().parse(csvText);
+
+    if (records.length === 0) {
+      throw new Error('No rows found in the CSV file');
+    }
+
+    return records;
   }
   
   /**
@@ -69,10 +327,74 @@ export class ConversationExtractor {
     // If it's a single conversation object, wrap it in an array
     if (typeof rawData === 'object' && 
         (rawData.mapping || 
-        (rawData.chat_messages && Array.isArray(rawData.chat_messages)))) {
+        (rawData.chat_messages && Array.isArray(rawData.chat_messages)) ||
+        Array.isArray(rawData.messages) ||
+        Array.isArray(rawData.messagesTree) ||
+        (rawData.chat || rawData).history)) {
       return [rawData];
     }
     
     throw new Error('Unable to extract conversations from file format');
   }
+
+  /**
+   * Check whether text is a Google Takeout "My Activity" HTML page
+   * @param {string} text - File content
+   * @returns {boolean} - True if it looks like My Activity HTML
+   */
+  isActivityHtml(text) {
+    return /^\s*</.test(text) && text.includes('outer-cell') && text.includes('content-cell');
+  }
+
+  /**
+   * Parse a Google Takeout "My Activity" HTML page into activity records
+   * shaped like the JSON variant ({ header, title, time, safeHtmlItem }).
+   * Uses string parsing rather than DOMParser so it also runs off the main thread.
+   * @param {string} html - My Activity HTML
+   * @returns {Array} - Array of activity records
+   */
+  parseActivityHtml(html) {
+    const cells = html.split(/<div class="outer-cell[^"]*">/).slice(1);
+
+    return cells.map(cell => {
+      const headerMatch = cell.match(/<p class="mdl-typography--title">([\s\S]*?)<br\s*\/?>/);
+      // Responses can contain their own divs, so read up to the next cell
+      const contentMatch = cell.match(/<div class="content-cell[^"]*mdl-typography--body-1">([\s\S]*?)<\/div>\s*<div class="content-cell/)
+        || cell.match(/<div class="content-cell[^"]*mdl-typography--body-1">([\s\S]*?)<\/div>/);
+
+      if (!contentMatch) {
+        return null;
+      }
+
+      // Content cell layout: "<action> <prompt><br><timestamp><br><response html>"
+      const [titleHtml = '', timeHtml = '', ...responseParts] = contentMatch[1].split(/<br\s*\/?>/);
+      const responseHtml = responseParts.join('<br>').trim();
+      const time = this.parseActivityTime(decodeHtmlEntities(timeHtml.replace(/<[^>]+>/g, '')));
+
+      return {
+        header: headerMatch ? decodeHtmlEntities(headerMatch[1].trim()) : '',
+        title: decodeHtmlEntities(titleHtml.replace(/<[^>]+>/g, '')).trim(),
+        time: time,
+        safeHtmlItem: responseHtml ? [{ html: responseHtml }] : []
+      };
+    }).filter(activity => activity && activity.time);
+  }
+
+  /**
+   * Parse the human-readable timestamp used in My Activity HTML
+   * (e.g. "Jan 5, 2025, 10:11:12 AM PST")
+   * @param {string} value - Timestamp text
+   * @returns {string|null} - ISO timestamp or null if unparseable
+   */
+  parseActivityTime(value) {
+    const cleaned = value.replace(/[\u202f\u00a0]/g, ' ').trim();
+    let date = new Date(cleaned);
+
+    // Timezone abbreviations other than US ones are not understood by Date
+    if (isNaN(date.getTime())) {
+      date = new Date(cleaned.replace(/\s+[A-Z]{2,5}$/, ''));
+    }
+
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
 }
@@ -0,0 +1,98 @@
+/**
+ * CsvParser Module
+ *
+ * Specialized for parsing CSV exports (e.g. the Microsoft privacy dashboard).
+ * Handles quoted fields, escaped quotes, embedded newlines and a leading BOM.
+ */
+
+export class CsvParser {
+  /**
+   * Parse CSV text into an array of records keyed by the header row
+   * @param {string} text - CSV text
+   * @returns {Array<Object>} - Array of row objects
+   */
+  parse(text) {
+    // Normalize line endings up front so quoted multi-line fields use \n too
+    const rows = this.parseRows(text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'));
+
+    if (rows.length < 2) {
+      return [];
+    }
+
+    const headers = rows[0].map(header => header.trim());
+
+    return rows.slice(1)
+      .filter(row => row.some(value => value.trim() !== ''))
+      .map(row => {
+        const record = {};
+        headers.forEach((header, index) => {
+          record[header] = row[index] !== undefined ? row[index] : '';
+        });
+        return record;
+      });
+  }
+
+  /**
+   * Split CSV text into rows of raw field values
+   * @param {string} text - CSV text
+   * @returns {Array<Array<string>>} - Rows of fields
+   */
+  parseRows(text) {
+    const delimiter = this.detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n') {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Guess the delimiter from the header line (comma, semicolon or tab)
+   * @param {string} text - CSV text
+   * @returns {string} - Delimiter character
+   */
+  detectDelimiter(text) {
+    const headerLine = text.split('\n', 1)[0] || '';
+    const candidates = [',', ';', '\t'];
+
+    return candidates.reduce((best, candidate) =>
+      headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+    , ',');
+  }
+}
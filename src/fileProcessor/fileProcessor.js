@@ -1,76 +1,350 @@
 /**
  * Core FileProcessor Module
- * 
+ *
  * Orchestrates the file extraction process using more specialized components.
- * Handles progress updates and delegates specific tasks to other modules.
+ * Streams files through reading, unzipping, parsing and conversion so large
+ * exports are handed over in batches instead of being held in memory at once.
+ * Runs on the main thread or inside the import worker (see importWorker.js).
  */
 
-import { processConversations } from '../schemaConverter/index.js';
+import { processConversations, convertSafely, processProjects, needsGrouping } from '../schemaConverter/index.js';
 import { FileReader } from './fileReader.js';
 import { ZipExtractor } from './zipExtractor.js';
 import { ConversationExtractor } from './conversationExtractor.js';
+import { AttachmentExtractor } from './attachmentExtractor.js';
+import { StreamingJsonParser } from './streamingJsonParser.js';
+
+// File types that can be imported
+export const SUPPORTED_EXTENSIONS = ['zip', 'dms', 'json', 'jsonl', 'ndjson', 'csv', 'html', 'htm', 'txt', 'md', 'markdown'];
+
+// Number of converted conversations handed over at a time
+const BATCH_SIZE = 50;
+
+// Share of overall progress spent reading a ZIP before its contents are parsed
+const ZIP_READ_SHARE = 40;
 
 /**
- * Process an uploaded file and extract conversation data
- * Supports both ZIP files (ChatGPT bulk exports) and JSON files (Claude, single conversations)
+ * Get the lower-cased extension of a file name
+ * @param {string} fileName - The file name
+ * @returns {string} - Extension without the dot
+ */
+function getFileExtension(fileName) {
+  return fileName.split('.').pop().toLowerCase();
+}
+
+/**
+ * Check whether a file can be imported, judging by its extension
+ * @param {string} fileName - The file name
+ * @returns {boolean} - True for supported file types
+ */
+export function isSupportedFile(fileName) {
+  return fileName.includes('.') && SUPPORTED_EXTENSIONS.includes(getFileExtension(fileName));
+}
+
+/**
+ * Stream an uploaded file and emit its conversations in batches
+ * Supports ZIP files (ChatGPT bulk exports, Claude data exports, Google Takeout), JSON files (Claude, single conversations)
+ * Google Takeout "My Activity" HTML pages (Gemini), saved chat pages (ChatGPT chat.html, ChatGPT and Claude share pages), CSV message exports (Copilot),
+ * JSONL API request logs (OpenAI chat completions, Anthropic Messages) and
+ * plain-text or Markdown transcripts (.txt files that are not JSON, .md files).
+ * Top-level JSON arrays are parsed incrementally; other layouts are parsed once fully read.
  * @param {File} file - The uploaded file
- * @param {Function} progressCallback - Callback for progress updates (0-100)
- * @returns {Promise<Array>} - Promise resolving to an array of conversations
+ * @param {Object} handlers - Callbacks for the import
+ * @param {Function} handlers.onBatch - Called with each array of unified conversations;
+ *   may return a promise, which is awaited before more of the file is processed
+ * @param {Function} handlers.onProgress - Called with { phase, percent, bytesRead, totalBytes, conversations }
+ *   where phase is 'reading', 'extracting' or 'parsing'
+ * @param {Function} handlers.onReport - Called with { format, used, skipped, projects } for
+ *   multi-file exports (Claude data export): the archive files read and skipped,
+ *   and the projects converted to the unified project schema; and for ConvoKeep
+ *   backups (format 'convokeep'), before their first batch
+ * @param {Function} handlers.onFailure - Called with { index, conversation_id, title, reason, snippet }
+ *   for each conversation that cannot be converted; the rest of the file still imports
+ * @param {string} handlers.conversationKey - Dot path to the field that identifies the conversation
+ *   of an API log line (e.g. 'metadata.session_id'); without it lines are grouped by message history
+ * @param {Object} handlers.speakerRoles - Extra transcript speaker labels and their roles,
+ *   e.g. { Alice: 'user', HAL: 'assistant' }
+ * @param {number} handlers.batchSize - Conversations per batch
+ * @param {AbortSignal} handlers.signal - Cancels the import; the promise rejects with the abort reason
+ * @returns {Promise<Object>} - Resolves to { totalConversations, failedConversations }
  */
-export async function processFile(file, progressCallback = () => {}) {
-  try {
-    progressCallback(5);
+export async function streamFile(file, {
+  onBatch = () => {},
+  onProgress = () => {},
+  onReport = () => {},
+  onFailure = () => {},
+  conversationKey = '',
+  speakerRoles = {},
+  batchSize = BATCH_SIZE,
+  signal = null
+} = {}) {
+  // Get file extension to determine processing method
+  const fileExtension = getFileExtension(file.name);
+  const isZip = fileExtension === 'zip' || fileExtension === 'dms';
+  const isCsv = fileExtension === 'csv';
+  const isJsonLines = fileExtension === 'jsonl' || fileExtension === 'ndjson';
+  const isMarkdown = fileExtension === 'md' || fileExtension === 'markdown';
+
+  if (!isSupportedFile(file.name)) {
+    throw new Error(`Unsupported file type: .${fileExtension}. Please upload a .zip, .json, .jsonl, .csv, .html, .txt, or .md file.`);
+  }
+
+  // Create components
+  const fileReader = new FileReader();
+  const conversationExtractor = new ConversationExtractor();
+  const attachmentExtractor = new AttachmentExtractor();
+
+  const totalBytes = file.size;
+  let bytesRead = 0;
+  let zipData = null;
+  let claudeExtras = null;
+
+  // Converted conversations waiting to be handed over
+  let batch = [];
+  let totalConversations = 0;
+  // Conversations that could not be converted are reported and left out
+  const failures = [];
+  const reportFailure = (failure) => {
+    failures.push(failure);
+    onFailure(failure);
+  };
+  // Log rows (Gemini activity, Copilot messages, API log lines) are grouped once everything is read
+  let groupedRecords = null;
+  let recordCount = 0;
+  // Line of each record in a JSONL file, so skipped log lines can be reported by line
+  const lineNumbers = [];
+
+  const reportProgress = (phase) => {
+    // Every step reports progress, so this is where a cancel takes effect
+    signal?.throwIfAborted();
+
+    const ratio = totalBytes > 0 ? bytesRead / totalBytes : 1;
+    let percent = ratio * 100;
+    if (isZip) {
+      percent = phase === 'reading' ? ratio * ZIP_READ_SHARE
+        : phase === 'extracting' ? ZIP_READ_SHARE
+          : ZIP_READ_SHARE + ratio * (100 - ZIP_READ_SHARE);
+    }
+
+    onProgress({
+      phase,
+      percent: Math.floor(percent),
+      bytesRead,
+      totalBytes,
+      conversations: totalConversations
+    });
+  };
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+
+    const conversations = batch;
+    batch = [];
+
+    // Attach images and uploads bundled in the archive (ChatGPT exports)
+    if (zipData) {
+      await attachmentExtractor.extractAttachments(zipData, conversations);
+    }
+
+    signal?.throwIfAborted();
+    totalConversations += conversations.length;
+    await onBatch(conversations);
+  };
+
+  const addConversations = async (conversations) => {
+    for (const conversation of conversations) {
+      batch.push(conversation);
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+  };
+
+  const addRecords = async (records) => {
+    for (const record of records) {
+      if (recordCount++ === 0 && needsGrouping(record)) {
+        groupedRecords = [];
+      }
 
-    // Get file extension to determine processing method
-    const fileExtension = file.name.split('.').pop().toLowerCase();
+      if (groupedRecords) {
+        groupedRecords.push(record);
+        continue;
+      }
 
-    // Create components
-    const fileReader = new FileReader();
-    const conversationExtractor = new ConversationExtractor();
+      if (claudeExtras && record && typeof record === 'object') {
+        conversationExtractor.enrichClaudeConversation(record, claudeExtras);
+      }
 
-    let jsonText;
+      // A conversation that fails to convert is reported; the rest of the file carries on
+      const conversation = convertSafely(record, recordCount - 1, reportFailure);
+      if (conversation) {
+        await addConversations([conversation]);
+      }
+    }
+  };
+
+  // Text is parsed incrementally when it is a top-level JSON array,
+  // otherwise collected and parsed once complete
+  let head = '';
+  let parser = null;
+  let bufferedChunks = null;
+
+  const writeText = async (text) => {
+    if (parser) {
+      return addRecords(parser.write(text));
+    }
+    if (bufferedChunks) {
+      bufferedChunks.push(text);
+      return;
+    }
 
-    // Handle JSON files directly (Claude exports, single ChatGPT conversations, ConvoKeep backups)
-    if (fileExtension === 'json' || fileExtension === 'txt') {
-      progressCallback(10);
+    head += text;
+    if (!/[^\s\uFEFF]/.test(head)) return;
 
-      // Read as text instead of ArrayBuffer
-      jsonText = await fileReader.readAsText(file);
-      progressCallback(50);
+    if (!isCsv && !isJsonLines && !isMarkdown && StreamingJsonParser.startsWithArray(head)) {
+      parser = new StreamingJsonParser();
+      const start = head;
+      head = '';
+      return addRecords(parser.write(start));
+    }
 
-    } else if (fileExtension === 'zip' || fileExtension === 'dms') {
-      // Handle ZIP files (ChatGPT bulk exports)
-      const zipExtractor = new ZipExtractor();
+    bufferedChunks = [head];
+    head = '';
+  };
 
-      // Step 1: Read the file as ArrayBuffer
-      progressCallback(10);
-      const fileData = await fileReader.readAsArrayBuffer(file);
+  const endText = async () => {
+    if (parser) {
+      parser.end();
+      return;
+    }
 
-      // Step 2: Extract the zip content
-      progressCallback(30);
-      const zipData = await zipExtractor.extractZip(fileData);
+    const text = bufferedChunks ? bufferedChunks.join('') : head;
+    bufferedChunks = null;
 
-      // Step 3: Extract conversations JSON from zip
-      progressCallback(50);
-      jsonText = await conversationExtractor.extractConversationsJson(zipData);
+    await addRecords(parseText(text));
+  };
 
-    } else {
-      throw new Error(`Unsupported file type: .${fileExtension}. Please upload a .zip, .json, or .txt file.`);
+  const parseText = (text) => {
+    if (isCsv) {
+      return conversationExtractor.parseCsvRecords(text);
+    }
+    if (isJsonLines) {
+      return conversationExtractor.parseJsonLines(text, lineNumbers);
     }
+    if (isMarkdown || (fileExtension === 'txt' && conversationExtractor.isTranscriptText(text))) {
+      return [conversationExtractor.parseTranscript(text, {
+        fileName: file.name,
+        lastModified: file.lastModified,
+        speakerRoles
+      })];
+    }
+    return conversationExtractor.parseConversations(text, file.name, {
+      // Backups are reported before their conversations, which are restored
+      // in place of the stored copies, along with their projects
+      onBackup: ({ projects }) => {
+        onReport({ format: 'convokeep', used: [file.name], skipped: [], projects });
+      }
+    });
+  };
+
+  if (isZip) {
+    // Handle ZIP files (ChatGPT bulk exports, Claude data exports, Google Takeout)
+    const zipExtractor = new ZipExtractor();
+
+    // Step 1: Read the archive; JSZip needs all of it to find its entries
+    const zipBytes = new Uint8Array(totalBytes);
+    reportProgress('reading');
+    await fileReader.readInChunks(file, (chunk, read) => {
+      zipBytes.set(chunk, read - chunk.length);
+      bytesRead = read;
+      reportProgress('reading');
+    });
+
+    // Step 2: Open the zip
+    reportProgress('extracting');
+    zipData = await zipExtractor.extractZip(zipBytes.buffer);
 
-    // Step 4: Parse the JSON and extract raw conversations
-    progressCallback(70);
-    const rawConversations = conversationExtractor.parseConversations(jsonText);
+    // Claude exports bundle users and projects next to the conversations
+    if (conversationExtractor.isClaudeBundle(zipData)) {
+      claudeExtras = await conversationExtractor.readClaudeBundleExtras(zipData);
+      onReport({ ...claudeExtras.report, projects: processProjects(claudeExtras.projects) });
+    }
 
-    if (!rawConversations || !rawConversations.length) {
-      throw new Error('No valid conversations found in the file');
+    // Exports trimmed down to the chat.html viewer still carry every conversation
+    const conversationsFile = zipData.files['conversations.json']
+      || conversationExtractor.findGeminiActivityFile(zipData)
+      || zipData.files['chat.html'];
+    if (!conversationsFile) {
+      throw new Error('conversations.json not found in the archive');
     }
 
-    progressCallback(80);
+    // Step 3: Stream the conversations file out of the archive
+    bytesRead = 0;
+    await zipExtractor.streamFile(conversationsFile, async (text, percent) => {
+      await writeText(text);
+      bytesRead = Math.round(totalBytes * (percent / 100));
+      reportProgress('parsing');
+    });
+  } else {
+    // Handle JSON files (Claude exports, single ChatGPT conversations, ConvoKeep backups),
+    // Gemini My Activity HTML, CSV message exports (Copilot privacy dashboard), JSONL API logs and transcripts
+    const decoder = new TextDecoder('utf-8');
+
+    await fileReader.readInChunks(file, async (chunk, read) => {
+      await writeText(decoder.decode(chunk, { stream: true }));
+      bytesRead = read;
+      reportProgress('parsing');
+    });
+    await writeText(decoder.decode());
+  }
+
+  // Step 4: Finish parsing and convert anything that had to wait for the whole file
+  await endText();
 
-    // Step 5: Convert to unified schema
-    const conversations = processConversations(rawConversations);
+  if (groupedRecords) {
+    await addConversations(processConversations(groupedRecords, reportFailure, { conversationKey, lineNumbers }));
+  }
+
+  await flush();
+
+  if (totalConversations === 0) {
+    throw new Error(failures.length > 0
+      ? `None of the ${failures.length} conversations in the file could be imported: ${failures[0].reason}`
+      : 'No valid conversations found in the file');
+  }
+
+  bytesRead = totalBytes;
+  reportProgress('parsing');
+
+  return { totalConversations, failedConversations: failures.length };
+}
+
+/**
+ * Process an uploaded file and extract conversation data
+ * Collects every batch from streamFile; prefer importFile for large exports.
+ * @param {File} file - The uploaded file
+ * @param {Function} progressCallback - Callback for progress updates (0-100)
+ * @param {Function} reportCallback - Called with { format, used, skipped, projects } for
+ *   multi-file exports (Claude data export)
+ * @param {Object} options - Import options
+ * @param {string} options.conversationKey - Field that identifies the conversation of an API log line
+ * @param {Object} options.speakerRoles - Extra transcript speaker labels and their roles
+ * @returns {Promise<Array>} - Promise resolving to an array of conversations
+ */
+export async function processFile(file, progressCallback = () => {}, reportCallback = () => {}, options = {}) {
+  try {
+    const conversations = [];
 
+    await streamFile(file, {
+      onBatch: (batch) => {
+        conversations.push(...batch);
+      },
+      onProgress: (progress) => progressCallback(progress.percent),
+      onReport: reportCallback,
+      conversationKey: options.conversationKey,
+      speakerRoles: options.speakerRoles,
+      onFailure: (failure) => console.warn(`Skipped conversation ${failure.index}:`, failure.reason)
+    });
 
     progressCallback(100);
     return conversations;
@@ -79,4 +353,3 @@ export async function processFile(file, progressCallback = () => {}) {
     throw error;
   }
 }
-
@@ -3,8 +3,12 @@
  * 
  * Specialized for handling file reading operations.
  * Provides methods to read files in different formats.
+ * Uses the global FileReader so it also works inside the import worker.
  */
 
+// Read large files 4 MB at a time
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
 export class FileReader {
   /**
    * Read a file as ArrayBuffer
@@ -13,7 +17,7 @@ export class FileReader {
    */
   readAsArrayBuffer(file) {
     return new Promise((resolve, reject) => {
-      const reader = new window.FileReader();
+      const reader = new globalThis.FileReader();
 
       reader.onload = function (event) {
         resolve(event.target.result);
@@ -34,7 +38,7 @@ export class FileReader {
    */
   readAsText(file) {
     return new Promise((resolve, reject) => {
-      const reader = new window.FileReader();
+      const reader = new globalThis.FileReader();
 
       reader.onload = function (event) {
         resolve(event.target.result);
@@ -55,7 +59,7 @@ export class FileReader {
    */
   readAsDataURL(file) {
     return new Promise((resolve, reject) => {
-      const reader = new window.FileReader();
+      const reader = new globalThis.FileReader();
 
       reader.onload = function (event) {
         resolve(event.target.result);
@@ -68,4 +72,24 @@ export class FileReader {
       reader.readAsDataURL(file);
     });
   }
+
+  /**
+   * Read a file in slices, so progress can be reported and
+   * the whole file never has to be decoded at once
+   * @param {Blob} file - The file to read
+   * @param {Function} onChunk - Called with (Uint8Array, bytesRead) for each slice;
+   *   may return a promise, which is awaited before the next slice is read
+   * @param {number} chunkSize - Slice size in bytes
+   * @returns {Promise<void>}
+   */
+  async readInChunks(file, onChunk, chunkSize = CHUNK_SIZE) {
+    for (let offset = 0; offset < file.size; offset += chunkSize) {
+      const slice = file.slice(offset, Math.min(offset + chunkSize, file.size));
+      const buffer = typeof slice.arrayBuffer === 'function'
+        ? await slice.arrayBuffer()
+        : await this.readAsArrayBuffer(slice);
+
+      await onChunk(new Uint8Array(buffer), Math.min(offset + chunkSize, file.size));
+    }
+  }
 }
@@ -0,0 +1,277 @@
+/**
+ * HtmlChatExtractor Module
+ *
+ * Specialized for saved chat pages: the chat.html viewer in ChatGPT exports,
+ * ChatGPT share pages and Claude share pages saved from the browser.
+ * Conversation data embedded in the page (chat.html's jsonData, a share
+ * page's Next.js or Remix payload) is used when present; otherwise the
+ * rendered messages are read from the page's markup.
+ * Uses string parsing rather than DOMParser so it also runs off the main thread.
+ */
+
+import { decodeHtmlEntities, htmlToMarkdown } from '../utils/markdownUtils.js';
+
+// Script payloads that carry the conversation in ChatGPT pages
+const JSON_DATA_PATTERN = /(?:var|let|const)\s+jsonData\s*=\s*/;
+const NEXT_DATA_PATTERN = /<script[^>]*id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/i;
+const REMIX_CONTEXT_PATTERN = /window\.__remixContext\s*=\s*/;
+
+// Elements that hold one rendered message, and the role each stands for
+const MESSAGE_ELEMENT_PATTERN = new RegExp([
+  '<[a-z][\\w-]*\\s[^>]*?(?:',
+  'data-message-author-role=["\'](user|assistant|system|tool)["\']', // ChatGPT
+  '|(data-testid=["\']user-message["\'])', // Claude, user
+  '|(class=["\'][^"\']*\\bfont-claude-(?:message|response)\\b[^"\']*["\'])', // Claude, assistant
+  ')[^>]*>',
+].join(''), 'gi');
+
+// Titles pages give themselves when the conversation has none
+const APP_TITLE_PATTERN = /^\s*(?:ChatGPT\s*[-|\u2013]\s*)?(.*?)(?:\s*[-|\u2013]\s*(?:ChatGPT|Claude))?\s*$/;
+
+export class HtmlChatExtractor {
+  /**
+   * Check whether an HTML page is a saved chat this extractor can read
+   * @param {string} html - Page content
+   * @returns {boolean} - True for chat.html and ChatGPT or Claude share pages
+   */
+  isChatHtml(html) {
+    return /^[\s\uFEFF]*</.test(html) && (
+      JSON_DATA_PATTERN.test(html)
+      || NEXT_DATA_PATTERN.test(html)
+      || REMIX_CONTEXT_PATTERN.test(html)
+      || /data-message-author-role=|data-testid=["']user-message["']|font-claude-(?:message|response)/.test(html)
+    );
+  }
+
+  /**
+   * Extract the conversations from a saved chat page
+   * @param {string} html - Page content
+   * @param {Object} options - { fileName }
+   * @returns {Array} - ChatGPT conversations (with a mapping) from embedded data, or one
+   *   transcript record ({ format: 'transcript', source, ... }) read from the markup
+   */
+  extract(html, { fileName = '' } = {}) {
+    const embedded = this.extractEmbeddedConversations(html);
+    if (embedded.length > 0) {
+      return embedded;
+    }
+
+    const messages = this.extractRenderedMessages(html);
+    if (messages.length === 0) {
+      throw new Error('No conversation found in the HTML page');
+    }
+
+    const source = messages.some(message => message.source === 'claude') ? 'claude' : 'chatgpt';
+    const url = this.findPageUrl(html);
+    const shareId = (/\/share\/([\w-]+)/.exec(url) || [])[1];
+
+    return [{
+      format: 'transcript',
+      source,
+      conversation_id: shareId ? `${source}_share_${shareId}` : undefined,
+      title: this.findTitle(html),
+      model: '',
+      file_name: fileName,
+      url,
+      messages: messages.map(({ role, content }) => ({ speaker: role, role, content })),
+    }];
+  }
+
+  /**
+   * Read conversations from data embedded in the page's scripts
+   * @param {string} html - Page content
+   * @returns {Array} - ChatGPT conversations, empty if the page embeds none
+   */
+  extractEmbeddedConversations(html) {
+    const payloads = [];
+
+    // chat.html: var jsonData = [ ...conversations.json... ];
+    const jsonData = JSON_DATA_PATTERN.exec(html);
+    if (jsonData) {
+      payloads.push(this.readJsonValue(html, jsonData.index + jsonData[0].length));
+    }
+
+    const nextData = NEXT_DATA_PATTERN.exec(html);
+    if (nextData) {
+      payloads.push(this.parseJson(decodeHtmlEntities(nextData[1])));
+    }
+
+    const remixContext = REMIX_CONTEXT_PATTERN.exec(html);
+    if (remixContext) {
+      payloads.push(this.readJsonValue(html, remixContext.index + remixContext[0].length));
+    }
+
+    return payloads
+      .flatMap(payload => this.findConversations(payload))
+      .map(conversation => (typeof conversation.model === 'object' && conversation.model?.slug && !conversation.default_model_slug
+        ? { ...conversation, default_model_slug: conversation.model.slug }
+        : conversation));
+  }
+
+  /**
+   * Find the ChatGPT conversations (objects with a message mapping) in a parsed payload
+   * @param {*} payload - Parsed JSON
+   * @returns {Array} - Conversations, in the order they appear
+   */
+  findConversations(payload) {
+    const conversations = [];
+    const stack = [payload];
+
+    while (stack.length > 0) {
+      const value = stack.pop();
+      if (!value || typeof value !== 'object') continue;
+
+      if (!Array.isArray(value) && value.mapping && typeof value.mapping === 'object'
+        && (value.title !== undefined || value.create_time !== undefined)) {
+        conversations.push(value);
+        continue;
+      }
+
+      // Push in reverse so the stack visits values in document order
+      const children = Array.isArray(value) ? value : Object.values(value);
+      for (let index = children.length - 1; index >= 0; index--) {
+        stack.push(children[index]);
+      }
+    }
+
+    return conversations;
+  }
+
+  /**
+   * Read the rendered messages from the page markup, in page order
+   * @param {string} html - Page content
+   * @returns {Array} - Array of { role, content, source }
+   */
+  extractRenderedMessages(html) {
+    const messages = [];
+    let consumedTo = 0;
+    let match;
+
+    MESSAGE_ELEMENT_PATTERN.lastIndex = 0;
+    while ((match = MESSAGE_ELEMENT_PATTERN.exec(html)) !== null) {
+      // Skip markers nested inside a message already read
+      if (match.index < consumedTo) continue;
+
+      const element = this.readElement(html, match.index, match[0].length);
+      consumedTo = element.end;
+
+      const content = htmlToMarkdown(element.inner);
+      if (!content) continue;
+
+      messages.push({
+        role: match[1] ? match[1].toLowerCase() : match[2] ? 'user' : 'assistant',
+        content,
+        source: match[1] ? 'chatgpt' : 'claude',
+      });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Read an element's inner HTML by matching its closing tag
+   * @param {string} html - Page content
+   * @param {number} start - Index of the element's opening tag
+   * @param {number} openTagLength - Length of the opening tag
+   * @returns {Object} - { inner, end } with end the index after the closing tag
+   */
+  readElement(html, start, openTagLength) {
+    const tagName = /^<([a-z][\w-]*)/i.exec(html.slice(start, start + openTagLength))[1];
+    const tagPattern = new RegExp(`<(/?)${tagName}\\b[^>]*?(/?)>`, 'gi');
+    const innerStart = start + openTagLength;
+    let depth = 1;
+    let match;
+
+    tagPattern.lastIndex = innerStart;
+    while ((match = tagPattern.exec(html)) !== null) {
+      if (match[1]) {
+        depth--;
+      } else if (!match[2]) {
+        depth++;
+      }
+
+      if (depth === 0) {
+        return { inner: html.slice(innerStart, match.index), end: match.index + match[0].length };
+      }
+    }
+
+    // Unclosed element: read to the end of the page
+    return { inner: html.slice(innerStart), end: html.length };
+  }
+
+  /**
+   * Read a JSON object or array that starts at an index in a script
+   * @param {string} text - Page content
+   * @param {number} start - Index at (or whitespace before) the opening bracket
+   * @returns {*} - Parsed value, or null if it is not valid JSON
+   */
+  readJsonValue(text, start) {
+    let index = start;
+    while (/\s/.test(text[index] || '')) index++;
+    if (text[index] !== '{' && text[index] !== '[') return null;
+
+    let depth = 0;
+    let inString = false;
+    for (let position = index; position < text.length; position++) {
+      const char = text[position];
+
+      if (inString) {
+        if (char === '\\') {
+          position++;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) {
+          return this.parseJson(text.slice(index, position + 1));
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse JSON, returning null for invalid text
+   * @param {string} text - JSON text
+   * @returns {*} - Parsed value or null
+   */
+  parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      console.warn('Could not parse data embedded in the HTML page:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the conversation title in the page head
+   * @param {string} html - Page content
+   * @returns {string} - Title without the app name, or an empty string
+   */
+  findTitle(html) {
+    const ogTitle = /<meta[^>]*property=["']og:title["'][^>]*content=["']([^"']*)["']/i.exec(html);
+    const titleTag = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+    const raw = decodeHtmlEntities((ogTitle || titleTag || [])[1] || '').trim();
+    const title = APP_TITLE_PATTERN.exec(raw)[1].trim();
+
+    return /^(ChatGPT|Claude)$/i.test(title) ? '' : title;
+  }
+
+  /**
+   * Find the address the page was saved from
+   * @param {string} html - Page content
+   * @returns {string} - Canonical or Open Graph URL, or an empty string
+   */
+  findPageUrl(html) {
+    const match = /<link[^>]*rel=["']canonical["'][^>]*href=["']([^"']+)["']/i.exec(html)
+      || /<meta[^>]*property=["']og:url["'][^>]*content=["']([^"']+)["']/i.exec(html);
+    return match ? decodeHtmlEntities(match[1]) : '';
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * ImportClient Module
+ *
+ * Main-thread side of the streaming import. Runs streamFile inside the
+ * import worker when Web Workers are available, and on the main thread
+ * otherwise (e.g. in tests), with the same callbacks either way.
+ */
+
+import { streamFile } from './fileProcessor.js';
+
+/**
+ * Import a file, handing its conversations over in batches
+ * @param {File} file - The uploaded file
+ * @param {Object} handlers - Same callbacks as streamFile
+ * @param {Function} handlers.onBatch - Called with each batch of unified conversations;
+ *   the next batch is not produced until the returned promise settles
+ * @param {Function} handlers.onProgress - Called with { phase, percent, bytesRead, totalBytes, conversations }
+ * @param {Function} handlers.onReport - Called with { format, used, skipped, projects }
+ * @param {Function} handlers.onFailure - Called with { index, conversation_id, title, reason, snippet }
+ *   for each conversation that could not be converted
+ * @param {string} handlers.conversationKey - Field that identifies the conversation of an API log line
+ * @param {Object} handlers.speakerRoles - Extra transcript speaker labels and their roles
+ * @param {AbortSignal} handlers.signal - Cancels the import; the promise rejects with the abort reason
+ * @returns {Promise<Object>} - Resolves to { totalConversations, failedConversations }
+ */
+export function importFile(file, handlers = {}) {
+  if (typeof Worker === 'undefined') {
+    return streamFile(file, handlers);
+  }
+
+  const {
+    onBatch = () => {},
+    onProgress = () => {},
+    onReport = () => {},
+    onFailure = () => {},
+    conversationKey = '',
+    speakerRoles = {},
+    signal = null
+  } = handlers;
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const worker = new Worker(new URL('./importWorker.js', import.meta.url), { type: 'module' });
+    let finished = false;
+
+    const finish = (callback, value) => {
+      if (finished) return;
+      finished = true;
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+
+    // The worker cannot see the signal; stopping it is enough
+    const onAbort = () => finish(reject, signal.reason);
+    signal?.addEventListener('abort', onAbort);
+
+    worker.onmessage = async (event) => {
+      const message = event.data;
+
+      switch (message.type) {
+        case 'progress':
+          onProgress(message.progress);
+          break;
+        case 'report':
+          onReport(message.report);
+          break;
+        case 'failure':
+          onFailure(message.failure);
+          break;
+        case 'batch':
+          try {
+            await onBatch(message.conversations);
+            if (!finished) worker.postMessage({ type: 'ack' });
+          } catch (error) {
+            finish(reject, error);
+          }
+          break;
+        case 'done':
+          finish(resolve, message.result);
+          break;
+        case 'error':
+          finish(reject, new Error(message.message));
+          break;
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish(reject, new Error(event.message || 'Import worker failed'));
+    };
+
+    worker.postMessage({ type: 'start', file, conversationKey, speakerRoles });
+  });
+}
@@ -0,0 +1,52 @@
+/**
+ * Import Worker
+ *
+ * Runs the streaming import (reading, unzipping, parsing and conversion)
+ * off the main thread. Each batch of conversations is posted to the page,
+ * and the worker waits for the page to acknowledge it (once stored)
+ * before carrying on, so memory use stays flat however large the export.
+ *
+ * Messages in:  { type: 'start', file, conversationKey, speakerRoles } | { type: 'ack' }
+ * Messages out: { type: 'progress', progress } | { type: 'report', report }
+ *               | { type: 'batch', conversations } | { type: 'failure', failure }
+ *               | { type: 'done', result } | { type: 'error', message }
+ */
+
+import { streamFile } from './fileProcessor.js';
+
+let acknowledgeBatch = null;
+
+self.onmessage = async (event) => {
+  const { type, file, conversationKey, speakerRoles } = event.data || {};
+
+  if (type === 'ack') {
+    if (acknowledgeBatch) {
+      const acknowledge = acknowledgeBatch;
+      acknowledgeBatch = null;
+      acknowledge();
+    }
+    return;
+  }
+
+  if (type !== 'start') {
+    return;
+  }
+
+  try {
+    const result = await streamFile(file, {
+      onBatch: (conversations) => new Promise(resolve => {
+        acknowledgeBatch = resolve;
+        self.postMessage({ type: 'batch', conversations });
+      }),
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+      onReport: (report) => self.postMessage({ type: 'report', report }),
+      onFailure: (failure) => self.postMessage({ type: 'failure', failure }),
+      conversationKey,
+      speakerRoles
+    });
+
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || 'Failed to process file' });
+  }
+};
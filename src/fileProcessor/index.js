@@ -5,5 +5,7 @@
  * It serves as a facade to the various components needed for file handling.
  */
 
-// Re-export directly from the implementation file
-export { processFile } from './fileProcessor.js';
+// Re-export directly from the implementation files
+export { processFile, streamFile, isSupportedFile, SUPPORTED_EXTENSIONS } from './fileProcessor.js';
+export { importFile } from './importClient.js';
+export { parseSpeakerRoles, DEFAULT_SPEAKER_ROLES } from './transcriptParser.js';
@@ -0,0 +1,167 @@
+/**
+ * StreamingJsonParser Module
+ *
+ * Incremental parser for exports whose top level is a JSON array
+ * (ChatGPT and Claude conversations.json, Gemini MyActivity.json).
+ * Text is written in chunks and each array element is returned as soon
+ * as it is complete, so only one conversation is held as text at a time.
+ */
+
+const WHITESPACE = /\s/;
+const QUOTE_OR_BACKSLASH = /["\\]/g;
+
+export class StreamingJsonParser {
+  constructor() {
+    this.started = false;   // Seen the opening '['
+    this.finished = false;  // Seen the closing ']'
+    this.depth = 0;         // Nesting depth; 1 means between top-level elements
+    this.inString = false;
+    this.escaped = false;
+    this.inElement = false;
+    this.buffer = '';       // Text of the element carried over from earlier chunks
+    this.itemCount = 0;
+  }
+
+  /**
+   * Check whether text starts a JSON array (ignoring whitespace and BOM)
+   * @param {string} text - Beginning of the file
+   * @returns {boolean} - True if the first significant character is '['
+   */
+  static startsWithArray(text) {
+    const match = text.match(/^[\s\uFEFF]*(\S)/);
+    return Boolean(match) && match[1] === '[';
+  }
+
+  /**
+   * Feed the next chunk of text
+   * @param {string} chunk - Next piece of the JSON text
+   * @returns {Array} - Elements completed by this chunk
+   */
+  write(chunk) {
+    const items = [];
+    let segmentStart = this.inElement ? 0 : -1;
+
+    const startElement = (index) => {
+      this.inElement = true;
+      this.buffer = '';
+      segmentStart = index;
+    };
+
+    const endElement = (index) => {
+      const text = this.buffer + chunk.slice(segmentStart, index);
+      this.buffer = '';
+      this.inElement = false;
+      segmentStart = -1;
+      items.push(this.parseElement(text));
+    };
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+          continue;
+        }
+
+        // Skip straight to the next quote or backslash; message text is mostly strings
+        QUOTE_OR_BACKSLASH.lastIndex = i;
+        const match = QUOTE_OR_BACKSLASH.exec(chunk);
+        if (!match) {
+          break;
+        }
+
+        i = match.index;
+        if (chunk[i] === '\\') {
+          this.escaped = true;
+        } else {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (!this.started) {
+        if (char === '[') {
+          this.started = true;
+          this.depth = 1;
+        } else if (!WHITESPACE.test(char) && char !== '\uFEFF') {
+          throw new Error('Expected a JSON array at the top level');
+        }
+        continue;
+      }
+
+      if (this.finished) {
+        if (!WHITESPACE.test(char)) {
+          throw new Error('Unexpected data after the end of the JSON array');
+        }
+        continue;
+      }
+
+      if (this.depth === 1 && !this.inElement) {
+        if (char === ']') {
+          this.finished = true;
+          this.depth = 0;
+          continue;
+        }
+        if (char === ',' || WHITESPACE.test(char)) {
+          continue;
+        }
+        startElement(i);
+      }
+
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{' || char === '[') {
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        this.depth--;
+
+        if (this.depth === 1) {
+          // An object or array element just closed
+          endElement(i + 1);
+        } else if (this.depth === 0) {
+          // The top-level array closed right after a primitive element
+          endElement(i);
+          this.finished = true;
+        }
+      } else if (char === ',' && this.depth === 1) {
+        // A primitive element (number, string, literal) ended
+        endElement(i);
+      }
+    }
+
+    if (this.inElement && segmentStart !== -1) {
+      this.buffer += chunk.slice(segmentStart);
+    }
+
+    return items;
+  }
+
+  /**
+   * Signal the end of input
+   * @throws {Error} If the array was never opened or closed
+   */
+  end() {
+    if (!this.started) {
+      throw new Error('Empty JSON data');
+    }
+    if (!this.finished) {
+      throw new Error('Unexpected end of JSON data');
+    }
+  }
+
+  /**
+   * Parse the text of one array element
+   * @param {string} text - JSON text of the element
+   * @returns {*} - Parsed element
+   */
+  parseElement(text) {
+    this.itemCount++;
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON in item ${this.itemCount}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * TranscriptParser Module
+ *
+ * Specialized for parsing plain-text and Markdown chat transcripts, such as
+ * pasted conversations or the files written by "export chat" browser
+ * extensions. A turn starts at a line naming a known speaker, e.g.
+ * "**User:** ...", "### Assistant", "ChatGPT said:" or "Human: ...";
+ * everything up to the next turn is that speaker's message. The first turn
+ * sets the label style for the rest of the transcript, so a "Q:" or
+ * "Response:" line inside a "**User:**" transcript stays in the message.
+ */
+
+// Speaker labels (lower-cased, without emoji or markup) and the roles they map to
+export const DEFAULT_SPEAKER_ROLES = {
+  user: 'user',
+  human: 'user',
+  you: 'user',
+  me: 'user',
+  prompt: 'user',
+  question: 'user',
+  q: 'user',
+  assistant: 'assistant',
+  ai: 'assistant',
+  chatgpt: 'assistant',
+  gpt: 'assistant',
+  'gpt-4': 'assistant',
+  'gpt-4o': 'assistant',
+  claude: 'assistant',
+  gemini: 'assistant',
+  bard: 'assistant',
+  copilot: 'assistant',
+  bing: 'assistant',
+  bot: 'assistant',
+  response: 'assistant',
+  answer: 'assistant',
+  a: 'assistant',
+  system: 'system',
+};
+
+const ROLES = ['user', 'assistant', 'system'];
+
+// Lines that can start a turn; the first group is the speaker label,
+// the optional second the start of the message. Each pattern is one label style
+const TURN_PATTERNS = [
+  /^\*\*(.+?):\*\*\s*(.*)$/, // **User:** text
+  /^\*\*(.+?)\*\*:\s*(.*)$/, // **User**: text
+  /^#{1,6}\s+(.+?):?\s*$/, // ### Human or #### You:
+  /^(.+?) said:\s*(.*)$/i, // ChatGPT said: (copied from the ChatGPT page)
+  /^([^\s:#>*`|-][^:]{0,30}):\s*(.*)$/, // Human: text
+];
+
+// Horizontal rules extensions put between turns
+const SEPARATOR = /^\s*(-{3,}|\*{3,}|_{3,})\s*$/;
+
+// Details some extensions write above the first turn
+const HEADER_FIELDS = {
+  model: /^\**model\**:\**\s*(.+)$/i,
+};
+
+export class TranscriptParser {
+  /**
+   * Parse a transcript into role-tagged messages
+   * @param {string} text - Transcript text
+   * @param {Object} options - Parsing options
+   * @param {Object} options.speakerRoles - Extra speaker labels and their roles ('user',
+   *   'assistant' or 'system'), e.g. { Alice: 'user', HAL: 'assistant' }; override the defaults
+   * @returns {Object} - { title, model, messages: [{ speaker, role, content }] }
+   */
+  parse(text, { speakerRoles = {} } = {}) {
+    const roles = { ...DEFAULT_SPEAKER_ROLES, ...normalizeSpeakerRoles(speakerRoles) };
+    const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+    const messages = [];
+    let current = null;
+    let title = '';
+    let model = '';
+    let inFence = false;
+    // Index of the turn pattern the first turn used; later turns must use it too
+    let style = null;
+
+    lines.forEach(line => {
+      // Speaker labels inside code blocks are part of the message
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+      }
+
+      const turn = inFence ? null : this.matchTurn(line, roles, style);
+      if (turn) {
+        style = turn.style;
+        // A message can open a code block on the label's line
+        inFence = /^(```|~~~)/.test(turn.rest);
+        current = { speaker: turn.speaker, role: turn.role, lines: turn.rest ? [turn.rest] : [] };
+        messages.push(current);
+        return;
+      }
+
+      if (current) {
+        current.lines.push(line);
+        return;
+      }
+
+      // Above the first turn: the title and details such as the model
+      const heading = /^#\s+(.+)$/.exec(line);
+      if (heading && !title) {
+        title = heading[1].trim();
+      }
+      const modelMatch = HEADER_FIELDS.model.exec(line.trim());
+      if (modelMatch && !model) {
+        model = modelMatch[1].replace(/\*+/g, '').trim();
+      }
+    });
+
+    return {
+      title,
+      model,
+      messages: messages
+        .map(message => ({ speaker: message.speaker, role: message.role, content: this.trimMessage(message.lines) }))
+        .filter(message => message.content !== ''),
+    };
+  }
+
+  /**
+   * Check whether a line starts a turn by a known speaker
+   * @param {string} line - Transcript line
+   * @param {Object} roles - Speaker labels and their roles
+   * @param {number|null} style - Index of the only turn pattern to accept, or null for any
+   * @returns {Object|null} - { speaker, role, rest, style }, or null
+   */
+  matchTurn(line, roles, style = null) {
+    for (const [index, pattern] of TURN_PATTERNS.entries()) {
+      if (style !== null && index !== style) continue;
+
+      const match = pattern.exec(line.trim());
+      if (!match) continue;
+
+      const speaker = cleanLabel(match[1]);
+      const role = roles[speaker.toLowerCase()];
+      if (role) {
+        return { speaker, role, rest: (match[2] || '').trim(), style: index };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Join a message's lines, dropping surrounding blank lines and separators
+   * @param {Array<string>} lines - Message lines
+   * @returns {string} - Message text
+   */
+  trimMessage(lines) {
+    let start = 0;
+    let end = lines.length;
+
+    while (start < end && (lines[start].trim() === '' || SEPARATOR.test(lines[start]))) start++;
+    while (end > start && (lines[end - 1].trim() === '' || SEPARATOR.test(lines[end - 1]))) end--;
+
+    return lines.slice(start, end).join('\n');
+  }
+}
+
+/**
+ * Parse a speaker mapping typed as text, e.g. "Alice=user, HAL: assistant"
+ * @param {string} text - Comma- or newline-separated label=role pairs
+ * @returns {Object} - Speaker labels and their roles; pairs with an unknown role are left out
+ */
+export function parseSpeakerRoles(text) {
+  const speakerRoles = {};
+
+  String(text || '').split(/[,\n]/).forEach(pair => {
+    const match = /^\s*(.+?)\s*[=:]\s*(\w+)\s*$/.exec(pair);
+    if (match && ROLES.includes(match[2].toLowerCase())) {
+      speakerRoles[match[1]] = match[2].toLowerCase();
+    }
+  });
+
+  return speakerRoles;
+}
+
+/**
+ * Lower-case the labels of a speaker mapping and drop unknown roles
+ * @param {Object} speakerRoles - Speaker labels and their roles
+ * @returns {Object} - Normalized mapping
+ */
+function normalizeSpeakerRoles(speakerRoles) {
+  const normalized = {};
+
+  Object.entries(speakerRoles || {}).forEach(([label, role]) => {
+    const value = String(role).toLowerCase();
+    if (ROLES.includes(value)) {
+      normalized[cleanLabel(label).toLowerCase()] = value;
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Strip emoji, markup and stray punctuation from a speaker label
+ * @param {string} label - Label as written, e.g. "🧑 **User**"
+ * @returns {string} - Label, e.g. "User"
+ */
+function cleanLabel(label) {
+  return label.replace(/[^\p{L}\p{N}\s.\-_]/gu, '').replace(/\s+/g, ' ').trim();
+}
@@ -40,4 +40,43 @@ export class ZipExtractor {
     
     return await file.async(format);
   }
+
+  /**
+   * Stream a file out of a zip object as decoded text chunks
+   * Decompression pauses while each chunk is being handled.
+   * @param {Object} zipFile - JSZip file entry
+   * @param {Function} onChunk - Called with (text, percent); may return a promise
+   * @returns {Promise<void>} - Resolves once every chunk has been handled
+   */
+  streamFile(zipFile, onChunk) {
+    return new Promise((resolve, reject) => {
+      const stream = zipFile.internalStream('string');
+      let pending = Promise.resolve();
+      let failed = false;
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        stream.pause();
+        reject(error);
+      };
+
+      stream
+        .on('data', (chunk, metadata) => {
+          stream.pause();
+          pending = pending
+            .then(() => onChunk(chunk, metadata.percent))
+            .then(() => {
+              if (!failed) stream.resume();
+            }, fail);
+        })
+        .on('error', fail)
+        .on('end', () => {
+          pending.then(() => {
+            if (!failed) resolve();
+          }, fail);
+        })
+        .resume();
+    });
+  }
 }
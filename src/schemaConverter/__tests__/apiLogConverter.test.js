@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { processConversations } from '../index.js';
+import { getVisiblePath } from '../../utils/messageTreeUtils.js';
+
+const openAiLine = (messages, reply, overrides = {}) => ({
+  timestamp: '2024-09-01T12:00:00.000Z',
+  request: { model: 'gpt-4o-mini', messages },
+  response: {
+    id: `chatcmpl-${messages.length}`,
+    model: 'gpt-4o-mini-2024-07-18',
+    choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 20, completion_tokens: 5, total_tokens: 25 },
+  },
+  ...overrides,
+});
+
+const system = { role: 'system', content: 'You are terse.' };
+const ask = (content) => ({ role: 'user', content });
+const answer = (content) => ({ role: 'assistant', content });
+
+describe('API request log conversion', () => {
+  it('collapses successive turns into one conversation by matching histories', () => {
+    const lines = [
+      openAiLine([system, ask('Capital of France?')], 'Paris.'),
+      openAiLine([system, ask('Capital of Spain?')], 'Madrid.'),
+      openAiLine([system, ask('Capital of France?'), answer('Paris.'), ask('Population?')], 'About 2 million.',
+        { timestamp: '2024-09-01T12:01:00.000Z' }),
+    ];
+
+    const conversations = processConversations(lines);
+
+    expect(conversations).toHaveLength(2);
+    const [france, spain] = conversations;
+    expect(france.messages.map(message => message.content))
+      .toEqual(['You are terse.', 'Capital of France?', 'Paris.', 'Population?', 'About 2 million.']);
+    expect(spain.messages).toHaveLength(3);
+    expect(france).toMatchObject({
+      title: 'Capital of France?',
+      source: 'api',
+      model: 'gpt-4o-mini-2024-07-18',
+      created_at: '2024-09-01T12:00:00.000Z',
+      updated_at: '2024-09-01T12:01:00.000Z',
+    });
+    expect(france.metadata).toMatchObject({
+      provider: 'openai',
+      system_prompt: 'You are terse.',
+      request_count: 2,
+      usage: { input_tokens: 40, output_tokens: 10 },
+    });
+    expect(france.messages[2].metadata.usage).toEqual({ input_tokens: 20, output_tokens: 5 });
+  });
+
+  it('groups by a configured conversation key', () => {
+    const lines = [
+      openAiLine([ask('Hi')], 'Hello!', { metadata: { session: 'a' } }),
+      openAiLine([ask('Unrelated')], 'Sure.', { metadata: { session: 'a' } }),
+      openAiLine([ask('Hi')], 'Hey.', { metadata: { session: 'b' } }),
+    ];
+
+    const conversations = processConversations(lines, null, { conversationKey: 'metadata.session' });
+
+    expect(conversations).toHaveLength(2);
+    expect(conversations[0].metadata.conversation_key).toBe('a');
+    expect(conversations[0].messages.filter(message => message.parent_id === null)).toHaveLength(2);
+  });
+
+  it('keeps regenerated answers as branches, the latest one active', () => {
+    const lines = [
+      openAiLine([ask('Name a colour')], 'Red.'),
+      openAiLine([ask('Name a colour')], 'Blue.'),
+    ];
+
+    const [conversation] = processConversations(lines);
+    const answers = conversation.messages.filter(message => message.role === 'assistant');
+
+    expect(conversation.messages).toHaveLength(3);
+    expect(answers.map(message => [message.content, message.sibling_index, message.sibling_count]))
+      .toEqual([['Red.', 0, 2], ['Blue.', 1, 2]]);
+    expect(getVisiblePath(conversation.messages).map(message => message.content)).toEqual(['Name a colour', 'Blue.']);
+  });
+
+  it('reads Anthropic Messages API lines with their system prompt, thinking and tools', () => {
+    const request = {
+      model: 'claude-sonnet-4-20250514',
+      system: [{ type: 'text', text: 'Answer with tools.' }],
+      messages: [{ role: 'user', content: 'Weather in Oslo?' }],
+    };
+    const reply = [
+      { type: 'thinking', thinking: 'Call the tool.', signature: 'sig' },
+      { type: 'tool_use', id: 'toolu_1', name: 'weather', input: { city: 'Oslo' } },
+    ];
+    const lines = [
+      {
+        request,
+        response: { id: 'msg_1', type: 'message', role: 'assistant', model: 'claude-sonnet-4-20250514', content: reply,
+          stop_reason: 'tool_use', usage: { input_tokens: 30, output_tokens: 12 } },
+      },
+      {
+        request: {
+          ...request,
+          messages: [
+            ...request.messages,
+            { role: 'assistant', content: [reply[1]] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '4°C' }] },
+          ],
+        },
+        response: { id: 'msg_2', type: 'message', role: 'assistant', model: 'claude-sonnet-4-20250514',
+          content: [{ type: 'text', text: 'It is 4°C.' }], stop_reason: 'end_turn', usage: { input_tokens: 50, output_tokens: 8 } },
+      },
+    ];
+
+    const [conversation] = processConversations(lines);
+
+    expect(conversation.model).toBe('claude-sonnet-4-20250514');
+    expect(conversation.metadata).toMatchObject({ provider: 'anthropic', system_prompt: 'Answer with tools.' });
+    expect(conversation.messages.map(message => message.role)).toEqual(['system', 'user', 'assistant', 'user', 'assistant']);
+    expect(conversation.messages[2].blocks.map(block => block.type)).toEqual(['thinking', 'tool_use']);
+    expect(conversation.messages[2].metadata).toMatchObject({ stop_reason: 'tool_use', usage: { input_tokens: 30, output_tokens: 12 } });
+    expect(conversation.messages[3].blocks[0]).toMatchObject({ type: 'tool_result', output: '4°C' });
+  });
+
+  it('produces stable ids across imports', () => {
+    const lines = [openAiLine([ask('Hi')], 'Hello!')];
+    const first = processConversations(lines)[0];
+    const second = processConversations(lines)[0];
+
+    expect(second.conversation_id).toBe(first.conversation_id);
+    expect(second.messages.map(message => message.id)).toEqual(first.messages.map(message => message.id));
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import { processConversations } from '../index.js';
+import { getVisiblePath, getVisibleMessageCount } from '../../utils/messageTreeUtils.js';
+import { AttachmentExtractor } from '../../fileProcessor/attachmentExtractor.js';
+
+const node = (id, parent, children, role, text, createTime) => ({
+  id,
+  parent,
+  children,
+  message: role
+    ? { id, author: { role }, content: { content_type: 'text', parts: [text] }, create_time: createTime }
+    : null,
+});
+
+// root -> q1 -> (a1, a1-regen); q1 was later edited into q1-edit -> a2
+const branchedConversation = {
+  id: 'conv-branches',
+  title: 'Branches',
+  create_time: 1700000000,
+  update_time: 1700000500,
+  current_node: 'a2',
+  mapping: {
+    root: node('root', null, ['q1', 'q1-edit']),
+    q1: node('q1', 'root', ['a1', 'a1-regen'], 'user', 'First question', 1700000001),
+    a1: node('a1', 'q1', [], 'assistant', 'First answer', 1700000002),
+    'a1-regen': node('a1-regen', 'q1', [], 'assistant', 'Regenerated answer', 1700000003),
+    'q1-edit': node('q1-edit', 'root', ['a2'], 'user', 'Edited question', 1700000004),
+    a2: node('a2', 'q1-edit', [], 'assistant', 'Answer to edit', 1700000005),
+  },
+};
+
+describe('ChatGPT branch preservation', () => {
+  it('keeps every node with parent ids and sibling positions', () => {
+    const [conversation] = processConversations(branchedConversation);
+    const byId = Object.fromEntries(conversation.messages.map(message => [message.id, message]));
+
+    expect(conversation.messages).toHaveLength(5);
+    expect(byId.q1).toMatchObject({ parent_id: null, sibling_index: 0, sibling_count: 2 });
+    expect(byId['q1-edit']).toMatchObject({ parent_id: null, sibling_index: 1, sibling_count: 2 });
+    expect(byId['a1-regen']).toMatchObject({ parent_id: 'q1', sibling_index: 1, sibling_count: 2 });
+    expect(byId.a2).toMatchObject({ parent_id: 'q1-edit', sibling_count: 1 });
+  });
+
+  it('marks the current_node path as active', () => {
+    const [conversation] = processConversations(branchedConversation);
+    const active = conversation.messages.filter(message => message.is_active).map(message => message.id);
+
+    expect(active).toEqual(['q1-edit', 'a2']);
+    expect(conversation.metadata.current_node).toBe('a2');
+  });
+
+  it('shows the active path by default and follows selected branches', () => {
+    const [conversation] = processConversations(branchedConversation);
+
+    expect(getVisiblePath(conversation.messages).map(message => message.id)).toEqual(['q1-edit', 'a2']);
+    expect(getVisiblePath(conversation.messages, { '': 0, q1: 0 }).map(message => message.id))
+      .toEqual(['q1', 'a1']);
+  });
+
+  it('counts only the messages on the active path', () => {
+    const [conversation] = processConversations(branchedConversation);
+
+    expect(conversation.messages.length).toBeGreaterThan(2);
+    expect(getVisibleMessageCount(conversation.messages)).toBe(2);
+    expect(getVisibleMessageCount([{ id: 'm1', role: 'user', content: 'Hi' }])).toBe(1);
+    expect(getVisibleMessageCount(undefined)).toBe(0);
+  });
+
+  it('leaves messages without tree information untouched', () => {
+    const messages = [{ id: 'm1', role: 'user', content: 'Hi' }];
+    expect(getVisiblePath(messages)).toBe(messages);
+  });
+});
+
+describe('ChatGPT content parts', () => {
+  const convert = (message) => {
+    const [conversation] = processConversations({
+      id: 'conv-parts',
+      title: 'Parts',
+      current_node: 'm1',
+      mapping: { m1: { id: 'm1', parent: null, children: [], message: { id: 'm1', ...message } } },
+    });
+    return conversation.messages[0];
+  };
+
+  it('maps code and execution output to typed blocks', () => {
+    const code = convert({ author: { role: 'assistant' }, recipient: 'python', content: { content_type: 'code', language: 'unknown', text: 'print(2)' } });
+    const output = convert({ author: { role: 'tool' }, content: { content_type: 'execution_output', text: '2' } });
+
+    expect(code.blocks).toEqual([{ type: 'code', language: 'python', code: 'print(2)' }]);
+    expect(code.content).toBe('```python\nprint(2)\n```');
+    expect(output.blocks).toEqual([{ type: 'execution_output', output: '2' }]);
+  });
+
+  it('keeps image pointers from multimodal parts instead of [object Object]', () => {
+    const message = convert({
+      author: { role: 'user' },
+      content: {
+        content_type: 'multimodal_text',
+        parts: [{ content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-1', width: 10, height: 20 }, 'What is this?'],
+      },
+    });
+
+    expect(message.blocks[0]).toMatchObject({ type: 'image', asset_pointer: 'file-service://file-1' });
+    expect(message.content).toBe('[Image]\nWhat is this?');
+  });
+
+  it('maps quotes and system errors', () => {
+    const quote = convert({ author: { role: 'tool' }, content: { content_type: 'tether_quote', url: 'https://a.b', title: 'A', text: 'quoted' } });
+    const error = convert({ author: { role: 'tool' }, content: { content_type: 'system_error', name: 'Err', text: 'boom' } });
+
+    expect(quote.blocks[0]).toMatchObject({ type: 'quote', url: 'https://a.b', text: 'quoted' });
+    expect(error.blocks[0]).toMatchObject({ type: 'error', name: 'Err', text: 'boom' });
+  });
+});
+
+describe('ChatGPT attachments', () => {
+  const upload = {
+    id: 'conv-files',
+    title: 'Files',
+    current_node: 'm1',
+    mapping: {
+      m1: {
+        id: 'm1',
+        parent: null,
+        children: [],
+        message: {
+          id: 'm1',
+          author: { role: 'user' },
+          content: {
+            content_type: 'multimodal_text',
+            parts: [{ content_type: 'image_asset_pointer', asset_pointer: 'file-service://file-img1' }, 'Compare these'],
+          },
+          metadata: {
+            attachments: [
+              { id: 'file-img1', name: 'photo.png' },
+              { id: 'file-doc2', name: 'report.pdf', mime_type: 'application/pdf', size: 3 },
+            ],
+          },
+        },
+      },
+    },
+  };
+
+  it('maps uploads without an image part to file blocks', () => {
+    const [conversation] = processConversations(upload);
+    const blocks = conversation.messages[0].blocks;
+
+    expect(blocks.map(block => block.type)).toEqual(['image', 'text', 'file']);
+    expect(blocks[2]).toMatchObject({ asset_pointer: 'file-service://file-doc2', name: 'report.pdf' });
+    expect(conversation.messages[0].content).toContain('[File: report.pdf]');
+  });
+
+  it('links bundled files to the messages that reference them', async () => {
+    const [conversation] = processConversations(upload);
+    const entry = (name, data) => ({ name, dir: false, async: async () => new Blob([data]) });
+    const zipData = {
+      files: {
+        'conversations.json': entry('conversations.json', '[]'),
+        'file-img1-photo.png': entry('file-img1-photo.png', 'png'),
+        'file-doc2-report.pdf': entry('file-doc2-report.pdf', 'pdf'),
+        'dalle-generations/file-unused-x.webp': entry('dalle-generations/file-unused-x.webp', 'webp'),
+      },
+    };
+
+    const found = await new AttachmentExtractor().extractAttachments(zipData, [conversation]);
+
+    expect(found).toBe(2);
+    expect(conversation.attachments[0]).toMatchObject({
+      asset_pointer: 'file-service://file-img1',
+      conversation_id: 'conv-files',
+      message_id: 'm1',
+      file_name: 'file-img1-photo.png',
+      mime_type: 'image/png',
+      size_bytes: 3,
+    });
+    expect(conversation.attachments[1].mime_type).toBe('application/pdf');
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { processConversations, processProjects } from '../index.js';
+import { ConversationExtractor } from '../../fileProcessor/conversationExtractor.js';
+
+const entry = (name, data) => ({ name, dir: false, async: async () => JSON.stringify(data) });
+
+const claudeConversation = {
+  uuid: 'claude-1',
+  name: 'Project chat',
+  created_at: '2024-07-01T10:00:00Z',
+  updated_at: '2024-07-01T10:05:00Z',
+  account: { uuid: 'user-1' },
+  project_uuid: 'proj-1',
+  chat_messages: [
+    { uuid: 'm1', sender: 'human', text: 'Hello', created_at: '2024-07-01T10:00:00Z' },
+    { uuid: 'm2', sender: 'assistant', text: 'Hi!', created_at: '2024-07-01T10:00:05Z' },
+  ],
+};
+
+describe('Claude data export bundle', () => {
+  const zipData = {
+    files: {
+      'conversations.json': entry('conversations.json', [claudeConversation]),
+      'users.json': entry('users.json', [{ uuid: 'user-1', full_name: 'Sam Doe', email_address: 'sam@example.com' }]),
+      'projects.json': entry('projects.json', [{ uuid: 'proj-1', name: 'Research' }]),
+      'notes.txt': entry('notes.txt', 'ignored'),
+    },
+  };
+
+  it('recognises the bundle layout but not ChatGPT exports', () => {
+    const extractor = new ConversationExtractor();
+    const chatGptZip = { files: { 'conversations.json': {}, 'user.json': {}, 'chat.html': {} } };
+
+    expect(extractor.isClaudeBundle(zipData)).toBe(true);
+    expect(extractor.isClaudeBundle(chatGptZip)).toBe(false);
+  });
+
+  it('attaches account and project names and reports used files', async () => {
+    const bundle = await new ConversationExtractor().extractClaudeBundle(zipData);
+    const [conversation] = processConversations(bundle.conversations);
+
+    expect(conversation.source).toBe('claude');
+    expect(conversation.metadata).toMatchObject({
+      account_uuid: 'user-1',
+      account_name: 'Sam Doe',
+      account_email: 'sam@example.com',
+      project_uuid: 'proj-1',
+      project_name: 'Research',
+    });
+    expect(bundle.report).toEqual({
+      format: 'claude',
+      used: ['conversations.json', 'users.json', 'projects.json'],
+      skipped: ['notes.txt'],
+    });
+  });
+
+  it('skips unreadable optional files', async () => {
+    const broken = {
+      files: {
+        'conversations.json': entry('conversations.json', [claudeConversation]),
+        'users.json': { name: 'users.json', dir: false, async: async () => '{not json' },
+      },
+    };
+
+    const bundle = await new ConversationExtractor().extractClaudeBundle(broken);
+
+    expect(bundle.conversations).toHaveLength(1);
+    expect(bundle.report.used).toEqual(['conversations.json']);
+    expect(bundle.report.skipped).toEqual(['users.json']);
+  });
+});
+
+describe('Claude projects', () => {
+  it('converts projects with their instructions and knowledge docs', () => {
+    const [project] = processProjects([{
+      uuid: 'proj-1',
+      name: 'Research',
+      description: 'Papers and notes',
+      prompt_template: 'Answer in British English.',
+      created_at: '2024-06-01T00:00:00Z',
+      docs: [{ uuid: 'doc-1', filename: 'notes.md', content: '# Notes', created_at: '2024-06-02T00:00:00Z' }],
+    }]);
+
+    expect(project).toMatchObject({
+      project_id: 'proj-1',
+      name: 'Research',
+      description: 'Papers and notes',
+      prompt: 'Answer in British English.',
+      source: 'claude',
+      docs: [{ doc_id: 'doc-1', filename: 'notes.md', content: '# Notes' }],
+    });
+  });
+
+  it('ignores non-array input', () => {
+    expect(processProjects(undefined)).toEqual([]);
+  });
+});
+
+describe('Claude content blocks', () => {
+  it('keeps thinking, tool calls, tool results and citations', () => {
+    const [conversation] = processConversations({
+      uuid: 'claude-tools',
+      name: 'Tools',
+      chat_messages: [{
+        uuid: 'm1',
+        sender: 'assistant',
+        text: 'It is sunny.',
+        content: [
+          { type: 'thinking', thinking: 'Check the weather first.' },
+          { type: 'tool_use', id: 'tu-1', name: 'web_search', input: { query: 'weather' } },
+          { type: 'tool_result', tool_use_id: 'tu-1', name: 'web_search', content: [{ type: 'text', text: 'Sunny, 21C' }] },
+          {
+            type: 'text',
+            text: 'It is sunny.',
+            citations: [{ details: { type: 'web_search_citation', url: 'https://weather.example', title: 'Forecast' } }],
+          },
+        ],
+      }],
+    });
+
+    const [message] = conversation.messages;
+
+    expect(message.content).toBe('It is sunny.');
+    expect(message.blocks).toEqual([
+      { type: 'thinking', text: 'Check the weather first.' },
+      { type: 'tool_use', name: 'web_search', tool_use_id: 'tu-1', input: { query: 'weather' } },
+      { type: 'tool_result', name: 'web_search', tool_use_id: 'tu-1', output: 'Sunny, 21C', is_error: false },
+      { type: 'text', text: 'It is sunny.', citations: [{ url: 'https://weather.example', title: 'Forecast' }] },
+    ]);
+  });
+
+  it('adds the message text as a block when the content has no text item', () => {
+    const [conversation] = processConversations({
+      uuid: 'claude-text-only',
+      name: 'Text field',
+      chat_messages: [{
+        uuid: 'm1',
+        sender: 'assistant',
+        text: 'Here is the forecast.',
+        content: [{ type: 'tool_use', id: 'tu-1', name: 'web_search', input: { query: 'weather' } }],
+      }],
+    });
+
+    expect(conversation.messages[0].blocks).toEqual([
+      { type: 'tool_use', name: 'web_search', tool_use_id: 'tu-1', input: { query: 'weather' } },
+      { type: 'text', text: 'Here is the forecast.' },
+    ]);
+  });
+
+  it('leaves plain text messages without blocks', () => {
+    const [conversation] = processConversations(claudeConversation);
+    expect(conversation.messages[0].blocks).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { ConverterRegistry } from '../converterRegistry.js';
+import {
+  processConversations,
+  registerConverter,
+  unregisterConverter,
+  detectFormat,
+  needsGrouping,
+  getConverterNames
+} from '../index.js';
+
+const toUnified = (source) => (record) => ({
+  conversation_id: record.id,
+  title: record.subject || 'Untitled',
+  created_at: '2024-01-01T00:00:00.000Z',
+  updated_at: '2024-01-01T00:00:00.000Z',
+  source,
+  model: '',
+  messages: (record.lines || []).map((text, index) => ({ id: `${record.id}-${index}`, role: 'user', content: text })),
+  metadata: {}
+});
+
+describe('ConverterRegistry', () => {
+  it('picks the most confident converter, earlier registrations winning ties', () => {
+    const registry = new ConverterRegistry();
+    registry.register({ name: 'loose', detect: () => 0.3, convert: () => ({}) });
+    registry.register({ name: 'strict', detect: record => (record.kind === 'strict' ? 0.9 : 0), convert: () => ({}) });
+    registry.register({ name: 'same', detect: () => 0.3, convert: () => ({}) });
+
+    expect(registry.detect({ kind: 'strict' }).name).toBe('strict');
+    expect(registry.detect({ kind: 'other' }).name).toBe('loose');
+  });
+
+  it('treats booleans as certain or no match and ignores detectors that throw', () => {
+    const registry = new ConverterRegistry();
+    registry.register({ name: 'broken', detect: () => { throw new Error('boom'); }, convert: () => ({}) });
+    registry.register({ name: 'yes', detect: () => true, convert: () => ({}) });
+
+    expect(registry.detect({})).toMatchObject({ name: 'yes', confidence: 1 });
+  });
+
+  it('rejects incomplete and duplicate converters', () => {
+    const registry = new ConverterRegistry();
+    registry.register({ name: 'one', detect: () => 1, convert: () => ({}) });
+
+    expect(() => registry.register({ name: '', detect: () => 1, convert: () => ({}) })).toThrow('needs a name');
+    expect(() => registry.register({ name: 'two', detect: () => 1 })).toThrow('detect and convert');
+    expect(() => registry.register({ name: 'one', detect: () => 1, convert: () => ({}) })).toThrow('already registered');
+  });
+});
+
+describe('registerConverter', () => {
+  afterEach(() => {
+    unregisterConverter('notes-app');
+    unregisterConverter('pager');
+  });
+
+  it('lists the built-in formats', () => {
+    expect(getConverterNames()).toEqual(['convokeep', 'chatgpt', 'claude', 'openwebui', 'librechat', 'gemini', 'copilot', 'api', 'transcript', 'generic']);
+  });
+
+  it('converts a registered format through the normal pipeline', () => {
+    registerConverter({
+      name: 'notes-app',
+      detect: record => (record.app === 'notes' ? 0.8 : 0),
+      convert: toUnified('notes-app')
+    });
+
+    const record = { app: 'notes', id: 'n-1', subject: 'Groceries', lines: ['milk', 'eggs'] };
+    expect(detectFormat(record)).toBe('notes-app');
+
+    const [conversation] = processConversations([record]);
+    expect(conversation).toMatchObject({ conversation_id: 'n-1', title: 'Groceries', source: 'notes-app' });
+    expect(conversation.messages).toHaveLength(2);
+  });
+
+  it('leaves built-in formats alone and stops matching once unregistered', () => {
+    const unregister = registerConverter({ name: 'notes-app', detect: () => 0.5, convert: toUnified('notes-app') });
+    const claudeRecord = { uuid: 'c-1', name: 'Chat', chat_messages: [] };
+
+    expect(detectFormat(claudeRecord)).toBe('claude');
+    expect(detectFormat({ app: 'notes' })).toBe('notes-app');
+
+    unregister();
+    expect(detectFormat({ app: 'notes' })).toBe('generic');
+  });
+
+  it('groups registered log formats before converting', () => {
+    registerConverter({
+      name: 'pager',
+      detect: record => (Array.isArray(record.lines) && record.id?.startsWith('page-') ? 1 : 0),
+      convert: toUnified('pager'),
+      isLogRecord: record => typeof record.page === 'string',
+      detectLog: records => records.every(record => typeof record.page === 'string'),
+      group: records => [{ id: `page-${records[0].page}`, lines: records.map(record => record.text) }]
+    });
+
+    const rows = [{ page: 'a', text: 'hello' }, { page: 'a', text: 'world' }];
+    expect(needsGrouping(rows[0])).toBe(true);
+
+    const conversations = processConversations(rows);
+    expect(conversations).toHaveLength(1);
+    expect(conversations[0]).toMatchObject({ conversation_id: 'page-a', source: 'pager' });
+  });
+});
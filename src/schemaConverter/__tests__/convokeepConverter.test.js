@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { processConversations, detectFormat } from '../index.js';
+import { createBackupRecord } from '../../utils/exportUtils.js';
+import { FileReader } from '../../fileProcessor/fileReader.js';
+
+// A conversation as stored: database key, organisation fields and a local rename
+const stored = {
+  id: 42,
+  conversation_id: 'conv-1',
+  title: 'Renamed locally',
+  created_at: '2024-07-01T10:00:00.000Z',
+  updated_at: '2024-07-01T10:05:00.000Z',
+  source: 'chatgpt',
+  model: 'gpt-4o',
+  tags: ['work', 'regex'],
+  starred: true,
+  archived: false,
+  messages: [
+    {
+      id: 'm1',
+      role: 'user',
+      content: 'Look at this',
+      blocks: [{ type: 'image', asset_pointer: 'file-service://file-abc' }],
+      created_at: '2024-07-01T10:00:00.000Z',
+      parent_id: null,
+      sibling_index: 0,
+      sibling_count: 1,
+      is_active: true,
+      metadata: {},
+    },
+  ],
+  metadata: { title_edited: true, project_uuid: 'p-1' },
+};
+
+const attachment = {
+  asset_pointer: 'file-service://file-abc',
+  conversation_id: 'conv-1',
+  message_id: 'm1',
+  file_name: 'file-abc.png',
+  mime_type: 'image/png',
+  size_bytes: 4,
+  blob: new Blob([new Uint8Array([137, 80, 78, 71])], { type: 'image/png' }),
+  stored_at: '2024-07-02T00:00:00.000Z',
+};
+
+describe('ConvoKeepConverter', () => {
+  it('round-trips a backed-up conversation with its organisation fields and attachments', async () => {
+    const record = JSON.parse(JSON.stringify(await createBackupRecord(stored, [attachment])));
+
+    expect(record.id).toBeUndefined();
+    expect(record.attachments[0].data).toBe('iVBORw==');
+    expect(detectFormat(record)).toBe('convokeep');
+
+    const [restored] = processConversations([record]);
+    const { attachments, ...conversation } = restored;
+    const { id, ...content } = stored;
+
+    expect(conversation).toEqual(content);
+    expect(attachments).toHaveLength(1);
+    expect(attachments[0]).toMatchObject({ asset_pointer: 'file-service://file-abc', mime_type: 'image/png', size_bytes: 4 });
+    expect(Array.from(new Uint8Array(await new FileReader().readAsArrayBuffer(attachments[0].blob)))).toEqual([137, 80, 78, 71]);
+
+    // Storing converts again; the restored record passes through unchanged
+    expect(processConversations([restored])[0]).toEqual(restored);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { processConversations } from '../index.js';
+import { ConversationExtractor } from '../../fileProcessor/conversationExtractor.js';
+
+describe('Copilot export conversion', () => {
+  const csv = [
+    '﻿Conversation Id,Conversation Title,Time,Author,Message',
+    'c-1,Trip ideas,2024-06-01T09:00:00Z,User,"Where should I go, in June?"',
+    'c-1,Trip ideas,2024-06-01T09:00:05Z,Bot,"Try Lisbon.',
+    'It has ""great"" weather."',
+    'c-2,,2024-06-02T12:00:00Z,User,Summarise this email',
+    'c-2,,2024-06-02T12:00:03Z,Copilot,Here is a summary.',
+  ].join('\r\n');
+
+  it('parses quoted CSV rows', () => {
+    const rows = new ConversationExtractor().parseCsvRecords(csv);
+
+    expect(rows).toHaveLength(4);
+    expect(rows[0]['Conversation Id']).toBe('c-1');
+    expect(rows[1].Message).toBe('Try Lisbon.\nIt has "great" weather.');
+  });
+
+  it('groups rows into copilot conversations with roles and titles', () => {
+    const rows = new ConversationExtractor().parseCsvRecords(csv);
+    const conversations = processConversations(rows);
+
+    expect(conversations).toHaveLength(2);
+    expect(conversations[0]).toMatchObject({
+      conversation_id: 'c-1',
+      title: 'Trip ideas',
+      source: 'copilot',
+      created_at: '2024-06-01T09:00:00.000Z',
+      updated_at: '2024-06-01T09:00:05.000Z',
+    });
+    expect(conversations[0].messages.map(message => message.role)).toEqual(['user', 'assistant']);
+    expect(conversations[1].title).toBe('Summarise this email');
+  });
+
+  it('converts JSON conversations with message rows', () => {
+    const [conversation] = processConversations([{
+      conversationId: 'json-1',
+      title: 'From JSON',
+      messages: [
+        { author: 'user', text: 'Hello', createdAt: '2024-06-03T08:00:00Z' },
+        { author: 'bot', text: 'Hi there', createdAt: '2024-06-03T08:00:01Z' },
+      ],
+    }]);
+
+    expect(conversation.source).toBe('copilot');
+    expect(conversation.conversation_id).toBe('json-1');
+    expect(conversation.messages[1]).toMatchObject({ role: 'assistant', content: 'Hi there' });
+  });
+});
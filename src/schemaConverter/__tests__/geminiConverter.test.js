@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { processConversations } from '../index.js';
+import { ConversationExtractor } from '../../fileProcessor/conversationExtractor.js';
+
+describe('Gemini Takeout conversion', () => {
+  const activities = [
+    {
+      header: 'Gemini Apps',
+      title: 'Prompted What is IndexedDB?',
+      time: '2024-05-01T10:00:00.000Z',
+      products: ['Gemini Apps'],
+      safeHtmlItem: [{ html: '<p>A <strong>browser</strong> database.</p>' }],
+    },
+    {
+      header: 'Gemini Apps',
+      title: 'Prompted Show an example',
+      time: '2024-05-01T10:05:00.000Z',
+      products: ['Gemini Apps'],
+      safeHtmlItem: [{ html: '<pre><code class="language-js">indexedDB.open(&quot;db&quot;)</code></pre>' }],
+    },
+    {
+      header: 'Gemini Apps',
+      title: 'Prompted Plan a trip',
+      time: '2024-05-03T09:00:00.000Z',
+      products: ['Gemini Apps'],
+      safeHtmlItem: [{ html: '<ul><li>Day one</li><li>Day two</li></ul>' }],
+    },
+    {
+      header: 'Gemini Apps',
+      title: 'Used Gemini Apps',
+      time: '2024-05-03T09:01:00.000Z',
+      products: ['Gemini Apps'],
+    },
+  ];
+
+  it('groups activity entries into conversations tagged as gemini', () => {
+    const conversations = processConversations(activities);
+
+    expect(conversations).toHaveLength(2);
+    expect(conversations.every(conversation => conversation.source === 'gemini')).toBe(true);
+    expect(conversations[0].title).toBe('What is IndexedDB?');
+    expect(conversations[0].messages.map(message => message.role))
+      .toEqual(['user', 'assistant', 'user', 'assistant']);
+  });
+
+  it('converts response HTML to markdown', () => {
+    const [first] = processConversations(activities);
+
+    expect(first.messages[1].content).toBe('A **browser** database.');
+    expect(first.messages[3].content).toBe('```js\nindexedDB.open("db")\n```');
+  });
+
+  it('produces stable conversation ids across imports', () => {
+    const firstRun = processConversations(activities).map(conversation => conversation.conversation_id);
+    const secondRun = processConversations(activities).map(conversation => conversation.conversation_id);
+
+    expect(secondRun).toEqual(firstRun);
+  });
+
+  it('parses the My Activity HTML variant', () => {
+    const html = `<html><body><div class="mdl-grid">
+      <div class="outer-cell mdl-cell mdl-cell--12-col mdl-shadow--2dp"><div class="mdl-grid">
+        <div class="header-cell mdl-cell mdl-cell--12-col"><p class="mdl-typography--title">Gemini Apps<br></p></div>
+        <div class="content-cell mdl-cell mdl-cell--6-col mdl-typography--body-1">Prompted&nbsp;Tell me a joke<br>May 1, 2024, 10:00:00 AM UTC<br><p>Why did the <em>database</em> cross the road?</p></div>
+        <div class="content-cell mdl-cell mdl-cell--6-col mdl-typography--body-1 mdl-typography--text-right"></div>
+      </div></div>
+    </div></body></html>`;
+
+    const extractor = new ConversationExtractor();
+    const records = extractor.parseConversations(html);
+    const [conversation] = processConversations(records);
+
+    expect(records).toHaveLength(1);
+    expect(records[0].time).toBe('2024-05-01T10:00:00.000Z');
+    expect(conversation.source).toBe('gemini');
+    expect(conversation.messages[0].content).toBe('Tell me a joke');
+    expect(conversation.messages[1].content).toBe('Why did the *database* cross the road?');
+  });
+});
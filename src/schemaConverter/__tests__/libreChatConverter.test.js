@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { processConversations, detectFormat } from '../index.js';
+import { getVisiblePath } from '../../utils/messageTreeUtils.js';
+
+const ROOT = '00000000-0000-0000-0000-000000000000';
+
+const message = (messageId, parentMessageId, overrides = {}) => ({
+  messageId,
+  parentMessageId,
+  conversationId: 'lc-1',
+  sender: 'User',
+  text: '',
+  isCreatedByUser: true,
+  createdAt: '2024-08-01T09:00:00.000Z',
+  ...overrides,
+});
+
+// The prompt was edited, so the first answer and the edited prompt are siblings
+const flatExport = {
+  conversationId: 'lc-1',
+  title: 'Regex question',
+  endpoint: 'openAI',
+  exportAt: '2024-08-02T00:00:00.000Z',
+  branches: true,
+  recursive: false,
+  options: { model: 'gpt-4o', endpoint: 'openAI' },
+  messages: [
+    message('m1', ROOT, { text: 'Match an email?' }),
+    message('m2', 'm1', { sender: 'GPT-4o', isCreatedByUser: false, model: 'gpt-4o', text: 'Use a library.', createdAt: '2024-08-01T09:00:05.000Z' }),
+    message('m3', ROOT, { text: 'Match an email with a regex?', createdAt: '2024-08-01T09:01:00.000Z' }),
+    message('m4', 'm3', {
+      sender: 'GPT-4o',
+      isCreatedByUser: false,
+      model: 'gpt-4o',
+      createdAt: '2024-08-01T09:01:05.000Z',
+      content: [
+        { type: 'think', think: 'Keep it simple.' },
+        { type: 'text', text: { value: 'Try `\\S+@\\S+`.' } },
+        { type: 'tool_call', tool_call: { id: 'call-1', name: 'regex_test', args: '{"pattern":"\\\\S+@\\\\S+"}', output: 'matched' } },
+      ],
+    }),
+  ],
+};
+
+describe('LibreChat conversion', () => {
+  it('is detected ahead of Copilot, whose columns it shares', () => {
+    expect(detectFormat(flatExport)).toBe('librechat');
+  });
+
+  it('sets the source, model and dates', () => {
+    const [conversation] = processConversations([flatExport]);
+
+    expect(conversation).toMatchObject({
+      conversation_id: 'lc-1',
+      title: 'Regex question',
+      source: 'librechat',
+      model: 'gpt-4o',
+      created_at: '2024-08-01T09:00:00.000Z',
+      updated_at: '2024-08-01T09:01:05.000Z',
+    });
+    expect(conversation.messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant']);
+  });
+
+  it('keeps edits as branches and shows the latest one', () => {
+    const [conversation] = processConversations([flatExport]);
+    const byId = Object.fromEntries(conversation.messages.map(message => [message.id, message]));
+
+    expect(byId.m1).toMatchObject({ parent_id: null, sibling_index: 0, sibling_count: 2, is_active: false });
+    expect(byId.m3).toMatchObject({ parent_id: null, sibling_index: 1, sibling_count: 2, is_active: true });
+    expect(byId.m4).toMatchObject({ parent_id: 'm3', is_active: true });
+    expect(getVisiblePath(conversation.messages).map(message => message.id)).toEqual(['m3', 'm4']);
+  });
+
+  it('maps content parts onto thinking, text and tool blocks', () => {
+    const [conversation] = processConversations([flatExport]);
+    const answer = conversation.messages.find(message => message.id === 'm4');
+
+    expect(answer.blocks.map(block => block.type)).toEqual(['thinking', 'text', 'tool_use', 'tool_result']);
+    expect(answer.blocks[3]).toMatchObject({ name: 'regex_test', tool_use_id: 'call-1', output: 'matched' });
+  });
+
+  it('flattens the nested messages of a branch-including export', () => {
+    const [first, second, third, fourth] = flatExport.messages;
+    const nested = {
+      ...flatExport,
+      recursive: true,
+      messages: [{ ...first, children: [second] }, { ...third, children: [fourth] }],
+    };
+
+    const [conversation] = processConversations([nested]);
+    expect(conversation.messages.map(message => message.id)).toEqual(['m1', 'm2', 'm3', 'm4']);
+    expect(conversation.messages.find(message => message.id === 'm4').parent_id).toBe('m3');
+  });
+});
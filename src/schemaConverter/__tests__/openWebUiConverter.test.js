@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { processConversations, detectFormat } from '../index.js';
+import { ConversationExtractor } from '../../fileProcessor/conversationExtractor.js';
+import { getVisiblePath } from '../../utils/messageTreeUtils.js';
+
+// An answer regenerated once; the chat was left on the second answer
+const openWebUiChat = {
+  id: 'owui-1',
+  user_id: 'user-1',
+  title: 'Sourdough help',
+  created_at: 1717200000,
+  updated_at: 1717200300,
+  archived: false,
+  pinned: true,
+  meta: { tags: [{ name: 'baking' }] },
+  chat: {
+    id: '',
+    title: 'Sourdough help',
+    models: ['llama3.1:8b'],
+    history: {
+      currentId: 'a2',
+      messages: {
+        u1: { id: 'u1', parentId: null, childrenIds: ['a1', 'a2'], role: 'user', content: 'Why is my starter flat?', timestamp: 1717200000 },
+        a1: { id: 'a1', parentId: 'u1', childrenIds: [], role: 'assistant', content: 'It may be too cold.', model: 'llama3.1:8b', timestamp: 1717200010 },
+        a2: {
+          id: 'a2',
+          parentId: 'u1',
+          childrenIds: [],
+          role: 'assistant',
+          content: '<details type="reasoning" done="true">\n<summary>Thought for 2 seconds</summary>\n> Check feeding ratio\n</details>\nFeed it more often.',
+          model: 'llama3.1:8b',
+          timestamp: 1717200300,
+        },
+      },
+    },
+  },
+};
+
+describe('Open WebUI conversion', () => {
+  it('is detected ahead of the other formats', () => {
+    expect(detectFormat(openWebUiChat)).toBe('openwebui');
+    expect(detectFormat(openWebUiChat.chat)).toBe('openwebui');
+  });
+
+  it('sets the source, model and chat details', () => {
+    const [conversation] = processConversations([openWebUiChat]);
+
+    expect(conversation).toMatchObject({
+      conversation_id: 'owui-1',
+      title: 'Sourdough help',
+      source: 'openwebui',
+      model: 'llama3.1:8b',
+      created_at: '2024-06-01T00:00:00.000Z',
+    });
+    expect(conversation.metadata).toMatchObject({ current_node: 'a2', pinned: true, tags: ['baking'] });
+  });
+
+  it('keeps regenerated answers as branches and follows the current message', () => {
+    const [conversation] = processConversations([openWebUiChat]);
+    const byId = Object.fromEntries(conversation.messages.map(message => [message.id, message]));
+
+    expect(conversation.messages.map(message => message.id)).toEqual(['u1', 'a1', 'a2']);
+    expect(byId.a1).toMatchObject({ parent_id: 'u1', sibling_index: 0, sibling_count: 2, is_active: false });
+    expect(byId.a2).toMatchObject({ parent_id: 'u1', sibling_index: 1, sibling_count: 2, is_active: true });
+    expect(getVisiblePath(conversation.messages).map(message => message.id)).toEqual(['u1', 'a2']);
+  });
+
+  it('moves inline reasoning into a thinking block', () => {
+    const [conversation] = processConversations([openWebUiChat]);
+    const answer = conversation.messages.find(message => message.id === 'a2');
+
+    expect(answer.blocks).toEqual([
+      { type: 'thinking', text: 'Check feeding ratio' },
+      { type: 'text', text: 'Feed it more often.' },
+    ]);
+    expect(answer.content).toBe('Feed it more often.');
+  });
+
+  it('reads a single exported chat object', () => {
+    const [raw] = new ConversationExtractor().parseConversations(JSON.stringify(openWebUiChat));
+    expect(raw.id).toBe('owui-1');
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { SCHEMA_VERSION, BACKUP_SCHEMA, validateSchema, validateConversation, normalizeConversation } from '../unifiedSchema.js';
+import { processConversations } from '../index.js';
+import { migrateBackup, getSchemaVersion } from '../schemaMigrations.js';
+import { validateConvoKeepBackup } from '../../utils/importUtils.js';
+
+const conversation = (overrides = {}) => ({
+  conversation_id: 'conv-1',
+  title: 'Trip ideas',
+  created_at: '2024-07-01T10:00:00.000Z',
+  updated_at: '2024-07-01T10:05:00.000Z',
+  source: 'chatgpt',
+  model: 'gpt-4o',
+  messages: [{ id: 'm1', role: 'user', content: 'Where to?', blocks: [{ type: 'text', text: 'Where to?' }] }],
+  metadata: {},
+  ...overrides,
+});
+
+// What version 1.0 exports looked like: stored records with their database key
+const versionOneBackup = {
+  version: '1.0',
+  source: 'convokeep',
+  exported_at: '2024-08-01T00:00:00.000Z',
+  conversation_count: 1,
+  schema_version: 3,
+  conversations: [{
+    ...conversation({ metadata: undefined }),
+    id: 7,
+    tags: ['travel'],
+    messages: [{ id: 'm1', role: 'user', content: null }],
+  }],
+};
+
+describe('unified schema', () => {
+  it('accepts current conversations and extra fields converters add', () => {
+    expect(validateConversation(conversation({ starred: true, tags: ['travel'], custom: { anything: 1 } }))).toEqual([]);
+  });
+
+  it('reports where a conversation breaks the schema', () => {
+    const broken = conversation({
+      created_at: 'yesterday',
+      starred: 'yes',
+      messages: [{ id: 'm1', content: 'Hi' }, { id: 'm2', role: 'assistant', content: 'Hello', blocks: [{}] }],
+    });
+
+    expect(validateConversation(broken)).toEqual([
+      'conversation.created_at: not a valid date',
+      'conversation.messages[0]: missing "role"',
+      'conversation.messages[1].blocks[0]: missing "type"',
+      'conversation.starred: expected boolean',
+    ]);
+  });
+
+  it('checks the backup envelope and stops after the error limit', () => {
+    const backup = { version: 'two', source: 'elsewhere', conversations: [{}, {}, {}] };
+    const errors = validateSchema(backup, BACKUP_SCHEMA, { maxErrors: 4 });
+
+    expect(errors).toEqual([
+      'version: does not match ^\\d+\\.\\d+$',
+      'source: expected "convokeep"',
+      'conversations[0]: missing "conversation_id"',
+      'conversations[0]: missing "title"',
+    ]);
+  });
+
+  it('normalizes converter output to the schema on import', () => {
+    const [imported] = processConversations({
+      id: 1234,
+      title: 'Notes',
+      created_at: '2024-07-01T10:00:00.000Z',
+      messages: [
+        { id: 'm1', role: '', content: 'Hello' },
+        { id: 'm2', role: 'assistant', content: { type: 'text', text: 'Hi' } },
+      ],
+    });
+
+    expect(imported.conversation_id).toBe('1234');
+    expect(imported.messages.map(message => [message.role, message.content])).toEqual([['unknown', 'Hello'], ['assistant', 'Hi']]);
+    expect(validateConversation(imported)).toEqual([]);
+  });
+
+  it('returns conversations that already fit the schema unchanged', () => {
+    const valid = conversation();
+    expect(normalizeConversation(valid)).toBe(valid);
+  });
+});
+
+describe('schema migrations', () => {
+  it('reads the schema version from the version string', () => {
+    expect(getSchemaVersion(versionOneBackup)).toBe(1);
+    expect(getSchemaVersion({ version: `${SCHEMA_VERSION}.0` })).toBe(SCHEMA_VERSION);
+    expect(getSchemaVersion({})).toBeNaN();
+  });
+
+  it('upgrades version 1.0 backups to the current schema', () => {
+    const { backup, fromVersion } = migrateBackup(versionOneBackup);
+
+    expect(fromVersion).toBe(1);
+    expect(backup).toMatchObject({ version: '2.0', schema_version: 2, projects: [] });
+    expect(backup.conversations[0].id).toBeUndefined();
+    expect(backup.conversations[0]).toMatchObject({ tags: ['travel'], metadata: {} });
+    expect(backup.conversations[0].messages[0].content).toBe('');
+    expect(validateSchema(backup, BACKUP_SCHEMA)).toEqual([]);
+
+    // The backup as read is left alone
+    expect(versionOneBackup.conversations[0].id).toBe(7);
+  });
+
+  it('leaves current backups as they are and refuses newer ones', () => {
+    const current = { version: '2.0', source: 'convokeep', conversations: [conversation()] };
+    expect(migrateBackup(current).backup).toBe(current);
+
+    expect(() => migrateBackup({ ...current, version: '3.0' }))
+      .toThrow('This backup uses schema version 3; this version of ConvoKeep reads up to 2');
+  });
+
+  it('validates backups after upgrading them', () => {
+    const validation = validateConvoKeepBackup(versionOneBackup);
+    expect(validation).toMatchObject({ isValid: true, schemaVersion: 1, errors: [] });
+    expect(validation.backup.version).toBe('2.0');
+
+    const listItems = { ...versionOneBackup, conversations: [{ ...versionOneBackup.conversations[0], messages: undefined }] };
+    expect(validateConvoKeepBackup(listItems)).toMatchObject({
+      isValid: false,
+      errors: ['conversations[0]: missing "messages"'],
+      backup: null,
+    });
+  });
+});
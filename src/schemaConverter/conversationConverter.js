@@ -2,43 +2,287 @@
  * ConversationConverter Module
  * 
  * Main class for converting conversations to a unified schema.
- * Uses a format detector and specialized converters for each format.
+ * Uses a format detector and specialized converters for each format; the
+ * built-in converters are registered in a ConverterRegistry next to any
+ * registered by other modules.
  */
 
 import { generateUniqueId } from '../utils/idUtils.js';
 import { FormatDetector } from './formatDetector.js';
+import { ConverterRegistry } from './converterRegistry.js';
 import { ChatGptConverter } from './formatConverters/chatGptConverter.js';
 import { ClaudeConverter } from './formatConverters/claudeConverter.js';
 import { GenericConverter } from './formatConverters/genericConverter.js';
 import { ConvoKeepConverter } from './formatConverters/convokeepConverter.js';
+import { GeminiConverter } from './formatConverters/geminiConverter.js';
+import { CopilotConverter } from './formatConverters/copilotConverter.js';
+import { OpenWebUiConverter } from './formatConverters/openWebUiConverter.js';
+import { LibreChatConverter } from './formatConverters/libreChatConverter.js';
+import { ApiLogConverter } from './formatConverters/apiLogConverter.js';
+import { TranscriptConverter } from './formatConverters/transcriptConverter.js';
+import { normalizeConversation } from './unifiedSchema.js';
+
+// Confidence of the built-in formats. Their checks rarely overlap; the
+// values keep the order the checks used to run in, ConvoKeep backups first
+// and the generic fallback last. Ties go to the earlier registration.
+const BUILT_IN_CONFIDENCE = {
+  convokeep: 1,
+  chatgpt: 0.9,
+  claude: 0.9,
+  openwebui: 0.9,
+  librechat: 0.9,
+  gemini: 0.8,
+  copilot: 0.7,
+  api: 0.9,
+  transcript: 0.9,
+  generic: 0.01
+};
+
+// Characters of a failed record kept in the error report
+const SNIPPET_LENGTH = 500;
 
 /**
  * Main class to handle conversation format conversion
  */
 export class ConversationConverter {
   constructor() {
-    this.formatDetector = new FormatDetector();
+    this.registry = new ConverterRegistry();
+    this.formatDetector = new FormatDetector(this.registry);
     this.converters = {
       chatgpt: new ChatGptConverter(generateUniqueId),
       claude: new ClaudeConverter(generateUniqueId),
+      gemini: new GeminiConverter(generateUniqueId),
+      copilot: new CopilotConverter(generateUniqueId),
+      openwebui: new OpenWebUiConverter(generateUniqueId),
+      librechat: new LibreChatConverter(generateUniqueId),
+      api: new ApiLogConverter(generateUniqueId),
+      transcript: new TranscriptConverter(generateUniqueId),
       convokeep: new ConvoKeepConverter(generateUniqueId),
       generic: new GenericConverter(generateUniqueId)
     };
+
+    this._registerBuiltIns();
+  }
+
+  /**
+   * Register the built-in converters
+   */
+  _registerBuiltIns() {
+    const detector = this.formatDetector;
+    const { chatgpt, claude, openwebui, librechat, gemini, copilot, api, transcript, convokeep, generic } = this.converters;
+    const scored = (name, check) => (record) => (check(record) ? BUILT_IN_CONFIDENCE[name] : 0);
+
+    this.registry.register({
+      name: 'convokeep',
+      detect: scored('convokeep', record => detector.isConvoKeepFormat(record)),
+      convert: record => convokeep.convert(record)
+    });
+    this.registry.register({
+      name: 'chatgpt',
+      detect: scored('chatgpt', record => detector.isChatGptFormat(record)),
+      convert: record => chatgpt.convert(record)
+    });
+    this.registry.register({
+      name: 'claude',
+      detect: scored('claude', record => detector.isClaudeFormat(record)),
+      convert: record => claude.convert(record)
+    });
+    this.registry.register({
+      name: 'openwebui',
+      detect: scored('openwebui', record => detector.isOpenWebUiFormat(record)),
+      convert: record => openwebui.convert(record)
+    });
+    this.registry.register({
+      name: 'librechat',
+      detect: scored('librechat', record => detector.isLibreChatFormat(record)),
+      convert: record => librechat.convert(record)
+    });
+    // Gemini activity logs hold prompt/response pairs, not conversations
+    this.registry.register({
+      name: 'gemini',
+      detect: scored('gemini', record => detector.isGeminiFormat(record)),
+      convert: record => gemini.convert(record),
+      isLogRecord: record => detector.isGeminiActivity(record),
+      detectLog: records => detector.isGeminiActivityLog(records),
+      group: records => gemini.groupActivities(records)
+    });
+    // Copilot exports hold one row per message
+    this.registry.register({
+      name: 'copilot',
+      detect: scored('copilot', record => detector.isCopilotFormat(record)),
+      convert: record => copilot.convert(record),
+      isLogRecord: record => detector.isCopilotMessageRow(record),
+      detectLog: records => detector.isCopilotMessageLog(records),
+      group: records => copilot.groupRows(records)
+    });
+    // API request logs hold one request/response pair per line
+    this.registry.register({
+      name: 'api',
+      detect: scored('api', record => detector.isApiLogThread(record)),
+      convert: record => api.convert(record),
+      isLogRecord: record => detector.isApiLogRecord(record),
+      detectLog: records => detector.isApiLog(records),
+      group: (records, options) => api.groupRecords(records, options)
+    });
+    this.registry.register({
+      name: 'transcript',
+      detect: scored('transcript', record => detector.isTranscriptFormat(record)),
+      convert: record => transcript.convert(record)
+    });
+    this.registry.register({
+      name: 'generic',
+      detect: scored('generic', record => Boolean(record) && typeof record === 'object'),
+      convert: record => generic.convert(record)
+    });
+  }
+
+  /**
+   * Register a converter for another export format
+   * @param {Object} definition - { name, detect, convert } and optionally
+   *   { isLogRecord, detectLog, group } for formats with one record per message;
+   *   see ConverterRegistry.register
+   * @returns {Function} - Unregisters the converter
+   */
+  registerConverter(definition) {
+    return this.registry.register(definition);
+  }
+
+  /**
+   * Remove a registered converter
+   * @param {string} name - Format identifier
+   * @returns {boolean} - True if a converter was removed
+   */
+  unregisterConverter(name) {
+    return this.registry.unregister(name);
   }
   
   /**
    * Process a batch of conversations and convert them to unified schema
    * @param {Array|Object} conversations - Array of conversations or single conversation
+   * @param {Function} onFailure - Optional: called with a failure (see describeFailure) for each
+   *   conversation that cannot be converted, which is then left out. Without it the first failure throws.
+   * @param {Object} options - Grouping options passed to log converters
+   * @param {string} options.conversationKey - Field that identifies the conversation of an API log line
+   * @param {Array<number>} options.lineNumbers - Line of each record in its file (JSONL), for failures
    * @returns {Array} - Array of unified conversations
    */
-  processConversations(conversations) {
+  processConversations(conversations, onFailure = null, options = {}) {
     // Handle single conversation case
     if (!Array.isArray(conversations)) {
-      return [this.convertToUnifiedSchema(conversations)];
+      return onFailure
+        ? [this.convertSafely(conversations, 0, onFailure)].filter(Boolean)
+        : [this.convertToUnifiedSchema(conversations)];
+    }
+
+    // Logs (Gemini activity, Copilot message rows, API request logs) are grouped into conversations first
+    const logConverter = this.registry.detectLog(conversations);
+    if (logConverter) {
+      conversations = logConverter.group(this.takeLogRecords(conversations, logConverter, onFailure, options), options);
     }
     
     // Process array of conversations
-    return conversations.map(conversation => this.convertToUnifiedSchema(conversation));
+    if (!onFailure) {
+      return conversations.map(conversation => this.convertToUnifiedSchema(conversation));
+    }
+
+    return conversations
+      .map((conversation, index) => this.convertSafely(conversation, index, onFailure))
+      .filter(Boolean);
+  }
+
+  /**
+   * Keep the records of a log that are rows of its format; any other record
+   * (e.g. an embeddings call in an API log) is reported and left out rather
+   * than converted on its own
+   * @param {Array} records - Raw records from the file
+   * @param {Object} logConverter - Converter whose log the file is
+   * @param {Function} onFailure - Called with a failure for each record left out; without it the first one throws
+   * @param {Object} options - { lineNumbers } of the records in their file
+   * @returns {Array} - The log rows
+   */
+  takeLogRecords(records, logConverter, onFailure, { lineNumbers = [] } = {}) {
+    return records.filter((record, index) => {
+      if (!logConverter.isLogRecord || logConverter.isLogRecord(record)) {
+        return true;
+      }
+
+      const where = lineNumbers[index] ? `Line ${lineNumbers[index]}` : `Record ${index + 1}`;
+      const error = new Error(`${where} does not match the ${logConverter.name} log format of the rest of the file and was skipped`);
+      if (!onFailure) {
+        throw error;
+      }
+      onFailure(this.describeFailure(record, index, error));
+      return false;
+    });
+  }
+
+  /**
+   * Convert one conversation, reporting a failure instead of throwing
+   * @param {Object} conversation - Raw conversation
+   * @param {number} index - Position of the conversation in its file
+   * @param {Function} onFailure - Called with the failure if it cannot be converted
+   * @returns {Object|null} - Unified conversation, or null if it failed
+   */
+  convertSafely(conversation, index, onFailure) {
+    try {
+      return this.convertToUnifiedSchema(conversation);
+    } catch (error) {
+      onFailure(this.describeFailure(conversation, index, error));
+      return null;
+    }
+  }
+
+  /**
+   * Describe a conversation that could not be converted, for the import error report
+   * @param {*} conversation - Raw conversation
+   * @param {number} index - Position of the conversation in its file
+   * @param {Error} error - Why it failed
+   * @returns {Object} - { index, conversation_id, title, reason, snippet }
+   */
+  describeFailure(conversation, index, error) {
+    const record = conversation && typeof conversation === 'object' ? conversation : {};
+    const id = record.conversation_id ?? record.id ?? record.uuid ?? null;
+    const title = record.title ?? record.name ?? null;
+
+    let snippet;
+    try {
+      snippet = JSON.stringify(conversation);
+    } catch (stringifyError) {
+      snippet = String(conversation);
+    }
+
+    return {
+      index,
+      conversation_id: id === null ? null : String(id),
+      title: typeof title === 'string' ? title : null,
+      reason: error?.message || String(error),
+      snippet: snippet === undefined ? '' : snippet.slice(0, SNIPPET_LENGTH)
+    };
+  }
+  
+  /**
+   * Check whether a raw record must be grouped with others before conversion
+   * (Gemini activity entries, Copilot message rows, registered log formats)
+   * @param {Object} record - Raw record from the file
+   * @returns {boolean} - True if the record is a log row
+   */
+  needsGrouping(record) {
+    return this.formatDetector.isLogRecord(record);
+  }
+  
+  /**
+   * Convert projects (Claude Projects) to the unified project schema
+   * @param {Array} projects - Raw projects from an export
+   * @returns {Array} - Array of unified projects
+   */
+  processProjects(projects) {
+    if (!Array.isArray(projects)) {
+      return [];
+    }
+
+    return projects
+      .filter(project => project && typeof project === 'object')
+      .map(project => this.converters.claude.convertProject(project));
   }
   
   /**
@@ -50,7 +294,18 @@ export class ConversationConverter {
     // Detect format and convert accordingly
     const format = this.formatDetector.detectFormat(conversation);
     
-    // Use appropriate converter
-    return this.converters[format].convert(conversation);
+    // Use the most confident registered converter
+    const unified = this.registry.get(format).convert(conversation);
+
+    // Storage needs these; a record without them would fail its whole batch
+    if (!unified || unified.conversation_id === undefined || unified.conversation_id === null) {
+      throw new Error(`The ${format} converter returned a conversation without a conversation_id`);
+    }
+    if (!Array.isArray(unified.messages)) {
+      throw new Error(`The ${format} converter returned a conversation without a messages array`);
+    }
+
+    // Stored conversations are exported to the backup schema, so they must already fit it
+    return normalizeConversation(unified);
   }
 }
@@ -0,0 +1,35 @@
+/**
+ * Converter Plugins Module
+ *
+ * Registers converters shipped as separate modules. Every module in
+ * ./plugins/ default-exports a converter definition ({ name, detect, convert },
+ * see ConverterRegistry.register) or an array of them. Loading them here means
+ * the main thread and the import worker see the same formats.
+ */
+
+const pluginModules = import.meta.glob('./plugins/*.js', { eager: true });
+
+/**
+ * Register every plugin converter
+ * @param {ConversationConverter} conversationConverter - Converter to register them with
+ * @returns {string[]} - Names of the registered converters
+ */
+export function loadConverterPlugins(conversationConverter) {
+  const registered = [];
+
+  Object.entries(pluginModules).forEach(([path, module]) => {
+    const definitions = [].concat(module.default || []);
+
+    definitions.forEach(definition => {
+      try {
+        conversationConverter.registerConverter(definition);
+        registered.push(definition.name);
+      } catch (error) {
+        // A broken plugin must not stop the built-in formats from importing
+        console.error(`Skipping converter from ${path}:`, error);
+      }
+    });
+  });
+
+  return registered;
+}
@@ -0,0 +1,142 @@
+/**
+ * ConverterRegistry Module
+ *
+ * Holds the converters that turn exported conversations into the unified
+ * schema. Each converter supplies a name, a detect function that scores how
+ * confident it is that a record is in its format, and a convert function.
+ * Detection picks the highest-confidence match, so new formats can be added
+ * by registering a converter instead of editing the detector.
+ */
+
+export class ConverterRegistry {
+  constructor() {
+    // Registration order breaks ties between equally confident converters
+    this.converters = new Map();
+  }
+
+  /**
+   * Register a converter
+   * @param {Object} definition - The converter
+   * @param {string} definition.name - Format identifier, stored as the conversation source by convention
+   * @param {Function} definition.detect - (record) => confidence from 0 (not this format) to 1 (certain);
+   *   true and false count as 1 and 0
+   * @param {Function} definition.convert - (record) => conversation in the unified schema
+   * @param {Function} definition.isLogRecord - Optional: (record) => true if the record is one row of a
+   *   log (e.g. one message) that must be grouped with the rest of the file before conversion
+   * @param {Function} definition.group - Optional: (records, options) => conversations; groups a file of
+   *   log rows. Used when detectLog says the records are this converter's log; options are the grouping
+   *   options given to the import (e.g. { conversationKey })
+   * @param {Function} definition.detectLog - Optional: (records) => true if the records are this format's log
+   * @returns {Function} - Unregisters the converter
+   */
+  register(definition) {
+    const { name, detect, convert } = definition || {};
+
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('A converter needs a name');
+    }
+    if (typeof detect !== 'function' || typeof convert !== 'function') {
+      throw new Error(`Converter "${name}" needs detect and convert functions`);
+    }
+    if (definition.group && typeof definition.detectLog !== 'function') {
+      throw new Error(`Converter "${name}" groups log rows, so it needs a detectLog function`);
+    }
+    if (this.converters.has(name)) {
+      throw new Error(`A converter named "${name}" is already registered`);
+    }
+
+    this.converters.set(name, { ...definition });
+
+    return () => this.unregister(name);
+  }
+
+  /**
+   * Remove a converter
+   * @param {string} name - Format identifier
+   * @returns {boolean} - True if a converter was removed
+   */
+  unregister(name) {
+    return this.converters.delete(name);
+  }
+
+  /**
+   * Get a converter by name
+   * @param {string} name - Format identifier
+   * @returns {Object|undefined} - The converter definition
+   */
+  get(name) {
+    return this.converters.get(name);
+  }
+
+  /**
+   * List the registered format identifiers, in registration order
+   * @returns {string[]} - Format identifiers
+   */
+  names() {
+    return Array.from(this.converters.keys());
+  }
+
+  /**
+   * Find the converter most confident it can convert a record
+   * A converter whose detect throws is treated as not matching.
+   * @param {Object|Array} record - Raw record from an export
+   * @returns {Object|null} - { name, confidence, converter }, or null if none matches
+   */
+  detect(record) {
+    let best = null;
+
+    this.converters.forEach((converter, name) => {
+      const confidence = this._score(converter, record);
+      if (confidence > 0 && (!best || confidence > best.confidence)) {
+        best = { name, confidence, converter };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Find the converter whose log format a file of records is in
+   * @param {Array} records - Raw records from a file
+   * @returns {Object|null} - The converter definition, or null
+   */
+  detectLog(records) {
+    for (const converter of this.converters.values()) {
+      if (converter.group && converter.detectLog(records)) {
+        return converter;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether any converter treats a record as a log row
+   * @param {Object} record - Raw record from a file
+   * @returns {boolean} - True if the record must be grouped before conversion
+   */
+  isLogRecord(record) {
+    for (const converter of this.converters.values()) {
+      if (converter.isLogRecord && converter.isLogRecord(record)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Run a converter's detect function and clamp the result to 0..1
+   * @param {Object} converter - Converter definition
+   * @param {Object|Array} record - Raw record
+   * @returns {number} - Confidence
+   */
+  _score(converter, record) {
+    try {
+      const result = converter.detect(record);
+      const confidence = typeof result === 'boolean' ? Number(result) : Number(result) || 0;
+      return Math.min(Math.max(confidence, 0), 1);
+    } catch (error) {
+      console.warn(`Converter "${converter.name}" failed to detect a record:`, error);
+      return 0;
+    }
+  }
+}
@@ -0,0 +1,442 @@
+/**
+ * ApiLogConverter Module
+ *
+ * Specialized converter for API request logs: JSONL files with one
+ * { request, response } pair per line, from the OpenAI chat completions API
+ * or the Anthropic Messages API. Every request resends the conversation so
+ * far, so lines are grouped into conversations either by a configured key
+ * or by matching each request's history against the earlier lines. Shared
+ * history is stored once; resent or regenerated turns become branches.
+ */
+
+import { BaseConverter } from './baseConverter.js';
+import { hashString } from '../../utils/idUtils.js';
+
+// Fields a log line may record its time under
+const TIME_FIELDS = ['timestamp', 'created_at', 'time', 'request_time', 'logged_at'];
+
+export class ApiLogConverter extends BaseConverter {
+  /**
+   * Convert a group of log lines to unified schema
+   * @param {Object} thread - Lines of one conversation ({ conversationKey, records }, from groupRecords())
+   * @returns {Object} - Unified conversation object
+   */
+  convert(thread) {
+    const records = thread.records.map(record => this.normalizeRecord(record));
+    const messages = this.extractMessages(records);
+    const first = records[0];
+    const last = records[records.length - 1];
+    const systemPrompt = first.system;
+    const firstUserMessage = messages.find(message => message.role === 'user');
+
+    return {
+      conversation_id: `api_${hashString(thread.conversationKey
+        ? `key|${thread.conversationKey}`
+        : `${first.time || ''}|${first.transcript[0]?.path || ''}`)}`,
+      title: this.createTitle(firstUserMessage?.content, 'API Conversation'),
+      created_at: this.formatTimestamp(first.time),
+      updated_at: this.formatTimestamp(last.time),
+      source: 'api',
+      model: last.model || first.model || 'api-unknown',
+      messages: messages,
+      metadata: {
+        provider: first.provider,
+        conversation_key: thread.conversationKey,
+        system_prompt: systemPrompt,
+        request_count: records.length,
+        usage: this.sumUsage(records),
+      },
+    };
+  }
+
+  /**
+   * Group log lines into conversations. Lines with the same value at the
+   * conversation key belong together; the rest continue the conversation
+   * whose history their request starts with, or start a new one.
+   * @param {Array} records - Log lines
+   * @param {Object} options - Grouping options
+   * @param {string} options.conversationKey - Optional dot path to a field identifying the
+   *   conversation (e.g. 'metadata.session_id' or 'request.user')
+   * @returns {Array} - Array of { conversationKey, records }
+   */
+  groupRecords(records, { conversationKey = '' } = {}) {
+    const threads = [];
+    const threadsByKey = new Map();
+    // Key of every message path seen so far, pointing at its conversation
+    const threadsByPath = new Map();
+
+    records.forEach(record => {
+      const keyValue = conversationKey ? this.getPath(record, conversationKey) : undefined;
+
+      if (keyValue !== undefined && keyValue !== null && keyValue !== '') {
+        const key = String(keyValue);
+        if (!threadsByKey.has(key)) {
+          const thread = { conversationKey: key, records: [] };
+          threadsByKey.set(key, thread);
+          threads.push(thread);
+        }
+        threadsByKey.get(key).records.push(record);
+        return;
+      }
+
+      const { transcript, requestLength } = this.normalizeRecord(record);
+
+      // Longest part of the request already seen in a conversation: a history
+      // up to a reply, or the whole request when an answer was regenerated.
+      // A shared system prompt or opening alone does not make lines one conversation.
+      let thread = null;
+      for (let index = requestLength - 1; index >= 0 && !thread; index--) {
+        if (transcript[index].role === 'assistant' || index === requestLength - 1) {
+          thread = threadsByPath.get(transcript[index].path) || null;
+        }
+      }
+
+      if (!thread) {
+        thread = { conversationKey: null, records: [] };
+        threads.push(thread);
+      }
+
+      thread.records.push(record);
+      transcript.forEach(entry => {
+        if (!threadsByPath.has(entry.path)) {
+          threadsByPath.set(entry.path, thread);
+        }
+      });
+    });
+
+    return threads;
+  }
+
+  /**
+   * Build the message tree of one conversation
+   * @param {Array} records - Normalized log lines, in log order
+   * @returns {Array} - Array of messages, each stored once
+   */
+  extractMessages(records) {
+    const messages = [];
+    const byPath = new Map();
+
+    records.forEach(record => {
+      record.transcript.forEach(entry => {
+        if (byPath.has(entry.path)) return;
+
+        const message = {
+          id: this.messageId(entry.path),
+          role: entry.role,
+          content: this.blocksToContent(entry.blocks),
+          blocks: entry.blocks,
+          created_at: this.formatTimestamp(record.time),
+          parent_id: entry.parentPath ? this.messageId(entry.parentPath) : null,
+          sibling_index: 0,
+          sibling_count: 1,
+          is_active: false,
+          metadata: entry.metadata || {},
+        };
+        byPath.set(entry.path, message);
+        messages.push(message);
+      });
+    });
+
+    // Later lines carry the conversation on, so the latest branch is the active one
+    this.markActiveBranch(messages);
+    this.assignSiblingPositions(messages);
+
+    return messages;
+  }
+
+  /**
+   * Derive a stable message id from the history leading to the message
+   * @param {string} path - Transcript path
+   * @returns {string} - Message id
+   */
+  messageId(path) {
+    return `api_msg_${hashString(path)}`;
+  }
+
+  /**
+   * Read the request and response of a log line into a common shape
+   * @param {Object} record - Log line
+   * @returns {Object} - { provider, model, time, system, usage, transcript, requestLength }
+   */
+  normalizeRecord(record) {
+    const request = this.unwrapBody(record.request);
+    const response = this.unwrapBody(record.response) || {};
+    const provider = this.detectProvider(request, response);
+    const system = provider === 'anthropic' ? this.textOf(request.system) : this.openAiSystemPrompt(request.messages);
+    const usage = this.normalizeUsage(response.usage);
+    const model = response.model || request.model;
+
+    const entries = [];
+    if (provider === 'anthropic' && system) {
+      entries.push({ role: 'system', blocks: [{ type: 'text', text: system }] });
+    }
+    request.messages.forEach(message => entries.push(provider === 'anthropic'
+      ? this.anthropicEntry(message)
+      : this.openAiEntry(message)));
+
+    const requestLength = entries.length;
+    const replyMetadata = { model, usage, response_id: response.id };
+
+    if (provider === 'anthropic') {
+      if (Array.isArray(response.content)) {
+        entries.push({
+          ...this.anthropicEntry({ role: 'assistant', content: response.content }),
+          metadata: { ...replyMetadata, stop_reason: response.stop_reason },
+        });
+      }
+    } else if (Array.isArray(response.choices)) {
+      // Several choices (n > 1) are alternative answers to the same request
+      response.choices.forEach(choice => {
+        if (choice?.message) {
+          entries.push({
+            ...this.openAiEntry(choice.message),
+            metadata: { ...replyMetadata, finish_reason: choice.finish_reason },
+          });
+        }
+      });
+    }
+
+    // Each entry's path is the history up to and including it. Every reply
+    // follows the last request message, so several choices become siblings
+    let path = '';
+    const transcript = entries.map((entry, index) => {
+      const parentPath = path;
+      const entryPath = `${parentPath}|${hashString(this.fingerprint(entry))}`;
+      if (index < requestLength) {
+        path = entryPath;
+      }
+      return { ...entry, path: entryPath, parentPath };
+    });
+
+    return {
+      provider,
+      model,
+      time: this.getTime(record, response),
+      system,
+      usage,
+      transcript,
+      requestLength,
+    };
+  }
+
+  /**
+   * Request and response bodies are logged bare or wrapped in { body }
+   * @param {Object} value - Logged request or response
+   * @returns {Object|undefined} - The API body
+   */
+  unwrapBody(value) {
+    return value && typeof value.body === 'object' && value.body !== null ? value.body : value;
+  }
+
+  /**
+   * Tell which API a log line came from
+   * @param {Object} request - Request body
+   * @param {Object} response - Response body
+   * @returns {string} - 'anthropic' or 'openai'
+   */
+  detectProvider(request, response) {
+    if (response.type === 'message' || Array.isArray(response.content)
+      || request.system !== undefined || response.usage?.input_tokens !== undefined) {
+      return 'anthropic';
+    }
+    return 'openai';
+  }
+
+  /**
+   * Map an OpenAI chat message onto a transcript entry
+   * @param {Object} message - { role, content, tool_calls, tool_call_id, name }
+   * @returns {Object} - { role, blocks }
+   */
+  openAiEntry(message) {
+    const role = message.role === 'developer' ? 'system' : this.normalizeRole(message.role);
+
+    if (role === 'tool') {
+      return {
+        role,
+        blocks: [{
+          type: 'tool_result',
+          name: message.name || 'tool',
+          tool_use_id: message.tool_call_id,
+          output: this.textOf(message.content),
+          is_error: false,
+        }],
+      };
+    }
+
+    const blocks = [];
+    const parts = typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content;
+    (Array.isArray(parts) ? parts : []).forEach(part => {
+      if (part?.type === 'text' && part.text) {
+        blocks.push({ type: 'text', text: part.text });
+      } else if (part?.type === 'image_url') {
+        blocks.push({ type: 'image', alt: '' });
+      } else if (part?.type === 'file') {
+        blocks.push({ type: 'file', name: part.file?.filename || 'file' });
+      }
+    });
+
+    if (message.refusal) {
+      blocks.push({ type: 'text', text: message.refusal });
+    }
+
+    (message.tool_calls || []).forEach(call => {
+      blocks.push({
+        type: 'tool_use',
+        name: call.function?.name || 'tool',
+        tool_use_id: call.id,
+        input: this.parseArguments(call.function?.arguments),
+      });
+    });
+
+    return { role, blocks };
+  }
+
+  /**
+   * Map an Anthropic message onto a transcript entry
+   * @param {Object} message - { role, content } with string or block content
+   * @returns {Object} - { role, blocks }
+   */
+  anthropicEntry(message) {
+    const items = typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content;
+    const blocks = (Array.isArray(items) ? items : [])
+      .map(item => {
+        switch (item?.type) {
+          case 'text':
+            return item.text ? { type: 'text', text: item.text } : null;
+          case 'thinking':
+            return { type: 'thinking', text: item.thinking || '' };
+          case 'tool_use':
+            return { type: 'tool_use', name: item.name || 'tool', tool_use_id: item.id, input: item.input ?? {} };
+          case 'tool_result':
+            return {
+              type: 'tool_result',
+              name: 'tool',
+              tool_use_id: item.tool_use_id,
+              output: this.textOf(item.content),
+              is_error: Boolean(item.is_error),
+            };
+          case 'image':
+            return { type: 'image', alt: '' };
+          case 'document':
+            return { type: 'file', name: item.title || 'document' };
+          default:
+            return null;
+        }
+      })
+      .filter(Boolean);
+
+    return { role: this.normalizeRole(message.role), blocks };
+  }
+
+  /**
+   * Identify a message by what it says, so a reply and the same reply resent
+   * in the next request match. Thinking is left out: clients often drop it
+   * before resending.
+   * @param {Object} entry - Transcript entry
+   * @returns {string} - Fingerprint
+   */
+  fingerprint(entry) {
+    const parts = entry.blocks
+      .filter(block => block.type !== 'thinking')
+      .map(block => (block.type === 'text'
+        ? block.text.trim()
+        : JSON.stringify([block.type, block.tool_use_id, block.name, block.type === 'tool_use' ? block.input : block.output])));
+
+    return `${entry.role}:${parts.join('\n')}`;
+  }
+
+  /**
+   * Read the system prompt from an OpenAI request's leading system messages
+   * @param {Array} messages - Request messages
+   * @returns {string} - System prompt, or an empty string
+   */
+  openAiSystemPrompt(messages) {
+    return messages
+      .filter(message => message.role === 'system' || message.role === 'developer')
+      .map(message => this.textOf(message.content))
+      .join('\n\n');
+  }
+
+  /**
+   * Flatten string or text-part content to a string
+   * @param {*} content - String, array of parts or object
+   * @returns {string} - Text
+   */
+  textOf(content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+
+    if (Array.isArray(content)) {
+      return content.map(part => (typeof part === 'string' ? part : part?.text || '')).filter(Boolean).join('\n');
+    }
+
+    return content === undefined || content === null ? '' : JSON.stringify(content);
+  }
+
+  /**
+   * Parse tool call arguments, keeping the raw string if it is not JSON
+   * @param {string} args - JSON-encoded arguments
+   * @returns {*} - Parsed arguments
+   */
+  parseArguments(args) {
+    if (typeof args !== 'string') {
+      return args ?? {};
+    }
+
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      return args;
+    }
+  }
+
+  /**
+   * Map token usage from either API onto { input_tokens, output_tokens }
+   * @param {Object} usage - Response usage
+   * @returns {Object|null} - Token counts, or null when not logged
+   */
+  normalizeUsage(usage) {
+    if (!usage) return null;
+
+    return {
+      input_tokens: usage.input_tokens ?? usage.prompt_tokens ?? 0,
+      output_tokens: usage.output_tokens ?? usage.completion_tokens ?? 0,
+      ...(usage.cache_read_input_tokens !== undefined && { cache_read_input_tokens: usage.cache_read_input_tokens }),
+      ...(usage.cache_creation_input_tokens !== undefined && { cache_creation_input_tokens: usage.cache_creation_input_tokens }),
+    };
+  }
+
+  /**
+   * Add up the token usage of a conversation's requests
+   * @param {Array} records - Normalized log lines
+   * @returns {Object} - { input_tokens, output_tokens }
+   */
+  sumUsage(records) {
+    return records.reduce((total, record) => ({
+      input_tokens: total.input_tokens + (record.usage?.input_tokens || 0),
+      output_tokens: total.output_tokens + (record.usage?.output_tokens || 0),
+    }), { input_tokens: 0, output_tokens: 0 });
+  }
+
+  /**
+   * Find when a log line was written
+   * @param {Object} record - Log line
+   * @param {Object} response - Response body
+   * @returns {string|number|undefined} - Timestamp
+   */
+  getTime(record, response) {
+    const field = TIME_FIELDS.find(name => record[name] !== undefined && record[name] !== null);
+    return field ? record[field] : response.created;
+  }
+
+  /**
+   * Read a value by dot path, e.g. 'metadata.session_id'
+   * @param {Object} record - Log line
+   * @param {string} path - Dot-separated field path
+   * @returns {*} - Value, or undefined
+   */
+  getPath(record, path) {
+    return path.split('.').reduce((value, field) => (value === null || value === undefined ? undefined : value[field]), record);
+  }
+}
@@ -66,4 +66,124 @@ export class BaseConverter {
   generateId(prefix) {
     return this.idGenerator(prefix);
   }
+
+  /**
+   * Build a conversation title from the first line of a message, shortened
+   * to 80 characters
+   * @param {string} text - Message text, usually the first user message
+   * @param {string} fallback - Title when the text has no first line
+   * @returns {string} - Title
+   */
+  createTitle(text, fallback) {
+    const firstLine = (text || '').split('\n')[0].trim();
+    if (!firstLine) return fallback;
+
+    return firstLine.length > 80 ? `${firstLine.substring(0, 77)}...` : firstLine;
+  }
+
+  /**
+   * Record each message's position among the messages sharing its parent
+   * (sets sibling_index and sibling_count for branched conversations)
+   * @param {Array} messages - Unified messages with parent_id
+   */
+  assignSiblingPositions(messages) {
+    const siblingsByParent = new Map();
+    
+    messages.forEach(message => {
+      const key = message.parent_id ?? '';
+      if (!siblingsByParent.has(key)) {
+        siblingsByParent.set(key, []);
+      }
+      siblingsByParent.get(key).push(message);
+    });
+    
+    siblingsByParent.forEach(siblings => {
+      siblings.forEach((message, index) => {
+        message.sibling_index = index;
+        message.sibling_count = siblings.length;
+      });
+    });
+  }
+
+  /**
+   * Flag the messages on the active branch (sets is_active): the path from
+   * the root to leafId, or, without a known leaf, the latest child at each fork
+   * @param {Array} messages - Unified messages with parent_id, in sibling order
+   * @param {string|null} leafId - Last message of the active branch, if the export records it
+   */
+  markActiveBranch(messages, leafId = null) {
+    const byId = new Map(messages.map(message => [message.id, message]));
+    const activeIds = new Set();
+
+    if (leafId && byId.has(leafId)) {
+      let message = byId.get(leafId);
+      while (message && !activeIds.has(message.id)) {
+        activeIds.add(message.id);
+        message = byId.get(message.parent_id);
+      }
+    } else {
+      const childrenByParent = new Map();
+      messages.forEach(message => {
+        const key = byId.has(message.parent_id) ? message.parent_id : '';
+        if (!childrenByParent.has(key)) {
+          childrenByParent.set(key, []);
+        }
+        childrenByParent.get(key).push(message);
+      });
+
+      let children = childrenByParent.get('') || [];
+      while (children.length > 0) {
+        const latest = children[children.length - 1];
+        if (activeIds.has(latest.id)) break;
+        activeIds.add(latest.id);
+        children = childrenByParent.get(latest.id) || [];
+      }
+    }
+
+    messages.forEach(message => {
+      message.is_active = activeIds.has(message.id);
+    });
+  }
+
+  /**
+   * Flatten typed content blocks into the plain-text `content` field,
+   * which search and list views rely on
+   * @param {Array} blocks - Typed content blocks
+   * @returns {string} - Markdown text
+   */
+  blocksToContent(blocks) {
+    return blocks
+      .map(block => {
+        switch (block.type) {
+          case 'text':
+            return block.text;
+          case 'code':
+            return '```' + (block.language || '') + '\n' + block.code + '\n```';
+          case 'execution_output':
+            return '```\n' + block.output + '\n```';
+          case 'image':
+            return '[Image]';
+          case 'file':
+            return `[File: ${block.name}]`;
+          case 'quote':
+            return [block.text && `> ${block.text.split('\n').join('\n> ')}`, block.title || block.url]
+              .filter(Boolean)
+              .join('\n');
+          case 'browsing':
+            return block.text;
+          case 'error':
+            return `Error: ${block.text}`;
+          case 'thinking':
+            return '';
+          case 'tool_use':
+            return `[Tool call: ${block.name}]`;
+          case 'tool_result':
+            return block.output;
+          default:
+            return block.text || '';
+        }
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
 }
@@ -29,24 +29,26 @@ export class ChatGptConverter extends BaseConverter {
         is_archived: conversation.is_archived,
         default_model_slug: conversation.default_model_slug,
         original_id: conversation.id,
+        current_node: conversation.current_node,
       },
     };
   }
   
   /**
    * Extract messages from the ChatGPT mapping structure
+   * Every node is kept (edited prompts and regenerated answers included) and
+   * linked to its parent, so the branch structure survives conversion.
    * @param {Object} conversation - The conversation to extract messages from
-   * @returns {Array} - Array of messages
+   * @returns {Array} - Array of messages in depth-first order
    */
   extractMessages(conversation) {
     const messages = [];
     const mapping = conversation.mapping || {};
     
-    // Find the root message
-    let currentNodeId = conversation.current_node;
-    let rootNodeId = currentNodeId;
+    // Find the root message, tracing back from the current node when we have one
+    let rootNodeId = conversation.current_node
+      || Object.keys(mapping).find(nodeId => !mapping[nodeId].parent);
     
-    // Trace back to find the root
     while (mapping[rootNodeId]?.parent && mapping[mapping[rootNodeId].parent]) {
       rootNodeId = mapping[rootNodeId].parent;
     }
@@ -54,13 +56,16 @@ export class ChatGptConverter extends BaseConverter {
     // Walk the tree from root to build messages in order
     const visitedNodes = new Set();
     
-    this.traverseMessages(rootNodeId, mapping, visitedNodes, messages);
+    this.traverseMessages(rootNodeId, mapping, visitedNodes, messages, null);
     
     // If traversal failed or no messages, try fallback approach
     if (messages.length === 0) {
       this.fallbackExtractMessages(mapping, messages);
     }
     
+    this.markActivePath(messages, this.getActiveNodeIds(conversation, mapping, rootNodeId));
+    this.assignSiblingPositions(messages);
+    
     return messages;
   }
   
@@ -70,39 +75,25 @@ export class ChatGptConverter extends BaseConverter {
    * @param {Object} mapping - Mapping of node IDs to nodes
    * @param {Set} visitedNodes - Set of visited node IDs
    * @param {Array} messages - Array to store extracted messages
+   * @param {string|null} parentMessageId - ID of the nearest ancestor that produced a message
    */
-  traverseMessages(nodeId, mapping, visitedNodes, messages) {
+  traverseMessages(nodeId, mapping, visitedNodes, messages, parentMessageId) {
     if (!nodeId || visitedNodes.has(nodeId) || !mapping[nodeId]) return;
     
     visitedNodes.add(nodeId);
     const node = mapping[nodeId];
+    let childParentId = parentMessageId;
     
     if (node.message) {
-      const message = node.message;
-      
-      // Extract content from message parts
-      let content = '';
-      if (message.content && Array.isArray(message.content.parts)) {
-        content = message.content.parts.join('\n');
-      }
-      
-      messages.push({
-        id: message.id || nodeId,
-        role: message.author?.role || 'unknown',
-        content: content,
-        created_at: this.formatTimestamp(message.create_time),
-        metadata: {
-          model_slug: message.metadata?.model_slug,
-          weight: message.weight,
-          status: message.status,
-        },
-      });
+      const message = this.buildMessage(node.message, nodeId, parentMessageId);
+      messages.push(message);
+      childParentId = message.id;
     }
     
     // Process children in order
     if (Array.isArray(node.children)) {
       for (const childId of node.children) {
-        this.traverseMessages(childId, mapping, visitedNodes, messages);
+        this.traverseMessages(childId, mapping, visitedNodes, messages, childParentId);
       }
     }
   }
@@ -115,23 +106,12 @@ export class ChatGptConverter extends BaseConverter {
   fallbackExtractMessages(mapping, messages) {
     for (const nodeId in mapping) {
       if (mapping[nodeId].message) {
-        const message = mapping[nodeId].message;
+        const parentNode = mapping[mapping[nodeId].parent];
+        const parentMessageId = parentNode?.message
+          ? parentNode.message.id || mapping[nodeId].parent
+          : null;
         
-        let content = '';
-        if (message.content && Array.isArray(message.content.parts)) {
-          content = message.content.parts.join('\n');
-        }
-        
-        messages.push({
-          id: message.id || nodeId,
-          role: message.author?.role || 'unknown',
-          content: content,
-          created_at: this.formatTimestamp(message.create_time),
-          metadata: {
-            model_slug: message.metadata?.model_slug,
-            status: message.status,
-          },
-        });
+        messages.push(this.buildMessage(mapping[nodeId].message, nodeId, parentMessageId));
       }
     }
     
@@ -139,6 +119,197 @@ export class ChatGptConverter extends BaseConverter {
     messages.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
   }
   
+  /**
+   * Build a unified message from a ChatGPT mapping node message
+   * @param {Object} message - ChatGPT message object
+   * @param {string} nodeId - Mapping node ID
+   * @param {string|null} parentMessageId - Parent message ID in the unified messages
+   * @returns {Object} - Unified message
+   */
+  buildMessage(message, nodeId, parentMessageId) {
+    // Map the content into typed blocks, then flatten for search and list views
+    const blocks = [
+      ...this.extractBlocks(message.content, message.recipient),
+      ...this.extractUploadBlocks(message),
+    ];
+    
+    return {
+      id: message.id || nodeId,
+      role: message.author?.role || 'unknown',
+      content: this.blocksToContent(blocks),
+      blocks: blocks,
+      created_at: this.formatTimestamp(message.create_time),
+      parent_id: parentMessageId,
+      sibling_index: 0,
+      sibling_count: 1,
+      is_active: false,
+      metadata: {
+        model_slug: message.metadata?.model_slug,
+        weight: message.weight,
+        status: message.status,
+      },
+    };
+  }
+  
+  /**
+   * Map a ChatGPT message content object onto typed content blocks
+   * @param {Object} content - ChatGPT message content ({ content_type, parts, text, ... })
+   * @param {string} recipient - Tool the message was addressed to (e.g. 'python')
+   * @returns {Array} - Typed content blocks
+   */
+  extractBlocks(content, recipient) {
+    if (!content) return [];
+    
+    switch (content.content_type) {
+      case 'code':
+        return [{ type: 'code', language: this.normalizeLanguage(content.language, recipient), code: content.text || '' }];
+      
+      case 'execution_output':
+        return [{ type: 'execution_output', output: content.text || '' }];
+      
+      case 'tether_quote':
+        return [{
+          type: 'quote',
+          text: content.text || '',
+          url: content.url,
+          title: content.title,
+          domain: content.domain,
+        }];
+      
+      case 'tether_browsing_display':
+        return content.result || content.summary
+          ? [{ type: 'browsing', text: content.result || content.summary }]
+          : [];
+      
+      case 'system_error':
+        return [{ type: 'error', name: content.name, text: content.text || '' }];
+      
+      case 'text':
+      case 'multimodal_text':
+      default:
+        if (Array.isArray(content.parts)) {
+          return content.parts.map(part => this.partToBlock(part)).filter(Boolean);
+        }
+        return typeof content.text === 'string' && content.text
+          ? [{ type: 'text', text: content.text }]
+          : [];
+    }
+  }
+  
+  /**
+   * Map a single part of a text or multimodal_text message onto a block
+   * @param {string|Object} part - Message part
+   * @returns {Object|null} - Typed content block, or null for empty parts
+   */
+  partToBlock(part) {
+    if (typeof part === 'string') {
+      return part ? { type: 'text', text: part } : null;
+    }
+    
+    if (!part || typeof part !== 'object') {
+      return null;
+    }
+    
+    if (part.content_type === 'image_asset_pointer') {
+      return {
+        type: 'image',
+        asset_pointer: part.asset_pointer,
+        width: part.width,
+        height: part.height,
+        size_bytes: part.size_bytes,
+        alt: part.metadata?.dalle?.prompt || '',
+      };
+    }
+    
+    // Audio transcriptions and similar parts carry their text inline
+    if (typeof part.text === 'string' && part.text) {
+      return { type: 'text', text: part.text };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Map user uploads listed in message metadata onto file blocks,
+   * skipping images that already appear as image parts
+   * @param {Object} message - ChatGPT message object
+   * @returns {Array} - File blocks
+   */
+  extractUploadBlocks(message) {
+    const uploads = message.metadata?.attachments;
+    if (!Array.isArray(uploads)) return [];
+    
+    const imageParts = Array.isArray(message.content?.parts) ? message.content.parts : [];
+    const imagePointers = imageParts
+      .filter(part => part && typeof part === 'object' && part.asset_pointer)
+      .map(part => part.asset_pointer);
+    
+    return uploads
+      .filter(upload => upload?.id && !imagePointers.some(pointer => pointer.endsWith(`://${upload.id}`)))
+      .map(upload => ({
+        type: 'file',
+        asset_pointer: `file-service://${upload.id}`,
+        name: upload.name || upload.id,
+        mime_type: upload.mime_type || upload.mimeType,
+        size_bytes: upload.size,
+      }));
+  }
+  
+  /**
+   * Normalize the language label ChatGPT attaches to code cells
+   * @param {string} language - Language label ('unknown' when not specified)
+   * @param {string} recipient - Tool the code was sent to
+   * @returns {string} - Language for syntax highlighting, or '' if unknown
+   */
+  normalizeLanguage(language, recipient) {
+    if (language && language !== 'unknown') {
+      return language;
+    }
+    
+    return recipient === 'python' ? 'python' : '';
+  }
+  
+  /**
+   * Collect the node IDs on the active branch (root to current_node).
+   * Without a current_node, the most recent child is followed at each fork.
+   * @param {Object} conversation - The conversation
+   * @param {Object} mapping - Mapping of node IDs to nodes
+   * @param {string} rootNodeId - Root node ID
+   * @returns {Set<string>} - Node IDs on the active branch
+   */
+  getActiveNodeIds(conversation, mapping, rootNodeId) {
+    const activeIds = new Set();
+    
+    if (conversation.current_node && mapping[conversation.current_node]) {
+      let nodeId = conversation.current_node;
+      while (nodeId && mapping[nodeId] && !activeIds.has(nodeId)) {
+        activeIds.add(nodeId);
+        nodeId = mapping[nodeId].parent;
+      }
+      return activeIds;
+    }
+    
+    let nodeId = rootNodeId;
+    while (nodeId && mapping[nodeId] && !activeIds.has(nodeId)) {
+      activeIds.add(nodeId);
+      const children = mapping[nodeId].children || [];
+      nodeId = children[children.length - 1];
+    }
+    
+    return activeIds;
+  }
+  
+  /**
+   * Flag messages that sit on the active branch
+   * @param {Array} messages - Unified messages
+   * @param {Set<string>} activeNodeIds - Node IDs on the active branch
+   */
+  markActivePath(messages, activeNodeIds) {
+    messages.forEach(message => {
+      message.is_active = activeNodeIds.has(message.id);
+    });
+  }
+  
   /**
    * Extract model info from ChatGPT conversation
    * @param {Object} conversation - The conversation to extract model from
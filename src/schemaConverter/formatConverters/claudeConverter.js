@@ -26,6 +26,10 @@ export class ClaudeConverter extends BaseConverter {
       messages: messages,
       metadata: {
         account_uuid: conversation.account?.uuid,
+        account_name: conversation.account?.full_name,
+        account_email: conversation.account?.email_address,
+        project_uuid: conversation.project?.uuid || conversation.project_uuid,
+        project_name: conversation.project?.name,
         original_id: conversation.id,
       },
     };
@@ -54,10 +58,18 @@ export class ClaudeConverter extends BaseConverter {
           .join('\n');
       }
 
+      // Viewers show the blocks instead of the content, so the text must be among
+      // them even when the export only has it in message.text
+      const blocks = this.extractBlocks(message.content);
+      if (blocks.length > 0 && message.text && !blocks.some(block => block.type === 'text')) {
+        blocks.push({ type: 'text', text: message.text });
+      }
+
       return {
         id: message.uuid || this.generateId('msg'),
         role: this.normalizeRole(message.sender),
         content: content,
+        blocks: blocks,
         created_at: message.created_at || new Date().toISOString(),
         metadata: {
           attachments: message.attachments,
@@ -67,6 +79,118 @@ export class ClaudeConverter extends BaseConverter {
     });
   }
 
+  /**
+   * Map Claude content items to typed blocks, keeping thinking,
+   * tool calls, tool results and citations alongside the text
+   * @param {Array} items - message.content from a Claude export
+   * @returns {Array} - Typed content blocks
+   */
+  extractBlocks(items) {
+    if (!Array.isArray(items)) {
+      return [];
+    }
+
+    return items
+      .map(item => {
+        switch (item?.type) {
+          case 'text': {
+            const citations = this.extractCitations(item.citations);
+            return {
+              type: 'text',
+              text: item.text || '',
+              ...(citations.length > 0 && { citations }),
+            };
+          }
+          case 'thinking':
+            return { type: 'thinking', text: item.thinking || '' };
+          case 'tool_use':
+            return {
+              type: 'tool_use',
+              name: item.name || 'tool',
+              tool_use_id: item.id,
+              input: item.input ?? {},
+            };
+          case 'tool_result':
+            return {
+              type: 'tool_result',
+              name: item.name || 'tool',
+              tool_use_id: item.tool_use_id,
+              output: this.getToolResultOutput(item.content),
+              is_error: Boolean(item.is_error),
+            };
+          default:
+            return null;
+        }
+      })
+      .filter(block => block && (block.type !== 'text' || block.text));
+  }
+
+  /**
+   * Flatten tool result content to a string
+   * Text parts are joined; anything else is kept as JSON
+   * @param {*} content - tool_result content (string, array of parts or object)
+   * @returns {string} - Output text
+   */
+  getToolResultOutput(content) {
+    if (typeof content === 'string') {
+      return content;
+    }
+
+    if (Array.isArray(content) && content.every(part => part?.type === 'text')) {
+      return content.map(part => part.text).join('\n');
+    }
+
+    return content === undefined ? '' : JSON.stringify(content);
+  }
+
+  /**
+   * Normalize citations attached to a text item
+   * @param {Array} citations - Claude citations
+   * @returns {Array} - Array of { url, title }
+   */
+  extractCitations(citations) {
+    if (!Array.isArray(citations)) {
+      return [];
+    }
+
+    return citations
+      .map(citation => ({
+        url: citation.details?.url || citation.url,
+        title: citation.details?.title || citation.title,
+      }))
+      .filter(citation => citation.url);
+  }
+
+  /**
+   * Convert a Claude project (from projects.json) to a unified project
+   * @param {Object} project - Claude project with its prompt and knowledge docs
+   * @returns {Object} - Unified project object
+   */
+  convertProject(project) {
+    const docs = Array.isArray(project.docs) ? project.docs : [];
+
+    return {
+      project_id: project.uuid || this.generateId('proj'),
+      name: project.name || 'Untitled Project',
+      description: project.description || '',
+      prompt: project.prompt_template || '',
+      docs: docs.map(doc => ({
+        doc_id: doc.uuid || this.generateId('doc'),
+        filename: doc.filename || 'Untitled document',
+        content: doc.content || '',
+        created_at: doc.created_at || null,
+      })),
+      created_at: project.created_at || new Date().toISOString(),
+      updated_at: project.updated_at || project.created_at || new Date().toISOString(),
+      source: 'claude',
+      metadata: {
+        is_private: project.is_private,
+        is_starter_project: project.is_starter_project,
+        creator_uuid: project.creator?.uuid,
+      },
+    };
+  }
+
   /**
    * Extract model info from Claude conversation
    * @param {Object} conversation - The conversation to extract model from
@@ -3,7 +3,8 @@
  *
  * Handles conversion of ConvoKeep backup format to unified schema.
  * Since ConvoKeep backups are already in unified schema format,
- * this converter acts as a passthrough with validation.
+ * this converter acts as a passthrough with validation, turning the
+ * attachments of full backups back into blobs.
  */
 
 import { BaseConverter } from './baseConverter.js';
@@ -29,9 +30,11 @@ export class ConvoKeepConverter extends BaseConverter {
       throw new Error('ConvoKeep conversation missing messages array');
     }
 
-    // The conversation is already in unified schema format
-    // Just ensure it has all required fields with defaults if needed
-    return {
+    // The conversation is already in unified schema format; everything it
+    // carries (organisation fields included) is kept, with defaults for the required fields
+    const { id, attachments, ...fields } = conversation;
+    const converted = {
+      ...fields,
       conversation_id: conversation.conversation_id,
       title: conversation.title,
       created_at: conversation.created_at || new Date().toISOString(),
@@ -41,5 +44,32 @@ export class ConvoKeepConverter extends BaseConverter {
       messages: conversation.messages,
       metadata: conversation.metadata || {}
     };
+
+    // Backups carry attachments as base64 data
+    if (Array.isArray(attachments)) {
+      converted.attachments = attachments.map(attachment => this.restoreAttachment(attachment));
+    }
+
+    return converted;
+  }
+
+  /**
+   * Turn a backed-up attachment back into a stored attachment record
+   * @param {Object} attachment - Attachment with base64 data, or already with a blob
+   * @returns {Object} - Attachment record with a blob
+   */
+  restoreAttachment(attachment) {
+    if (typeof attachment.data !== 'string') {
+      return attachment;
+    }
+
+    const { data, ...fields } = attachment;
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index++) {
+      bytes[index] = binary.charCodeAt(index);
+    }
+
+    return { ...fields, blob: new Blob([bytes], { type: attachment.mime_type || '' }) };
   }
 }
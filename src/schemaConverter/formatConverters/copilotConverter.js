@@ -0,0 +1,185 @@
+/**
+ * CopilotConverter Module
+ *
+ * Specialized converter for Microsoft Copilot exports from the privacy dashboard.
+ * The dashboard delivers one row per message (CSV or JSON), so rows are
+ * grouped into conversations before conversion.
+ */
+
+import { BaseConverter } from './baseConverter.js';
+import { hashString } from '../../utils/idUtils.js';
+
+// Column names seen in dashboard exports, compared after normalizeKey()
+const FIELD_ALIASES = {
+  conversationId: ['conversationid', 'conversation', 'threadid', 'chatid', 'sessionid'],
+  title: ['conversationtitle', 'title', 'threadtitle', 'chattitle'],
+  time: ['time', 'timestamp', 'createdat', 'createddate', 'date', 'activitydate', 'datetime'],
+  author: ['author', 'role', 'sender', 'from', 'speaker'],
+  text: ['message', 'text', 'content', 'messagetext', 'body'],
+  messageId: ['messageid', 'id'],
+};
+
+// Rows without a conversation id are split into sessions on gaps this large
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+export class CopilotConverter extends BaseConverter {
+  /**
+   * Convert a Copilot conversation to unified schema
+   * @param {Object} conversation - Conversation with a messages array (from groupRows() or a JSON export)
+   * @returns {Object} - Unified conversation object
+   */
+  convert(conversation) {
+    const messages = this.extractMessages(conversation);
+    const firstUserMessage = messages.find(message => message.role === 'user');
+    const originalId = this.getField(conversation, 'conversationId');
+    const createdAt = this.getField(conversation, 'time') || messages[0]?.created_at;
+    const updatedAt = conversation.updatedAt || conversation.updated_at || messages[messages.length - 1]?.created_at;
+
+    return {
+      conversation_id: originalId
+        ? String(originalId)
+        : `copilot_${hashString(`${createdAt}|${firstUserMessage?.content || ''}`)}`,
+      title: this.getField(conversation, 'title') || this.createTitle(firstUserMessage?.content, 'Copilot Conversation'),
+      created_at: this.formatTimestamp(createdAt),
+      updated_at: this.formatTimestamp(updatedAt),
+      source: 'copilot',
+      model: conversation.model || 'copilot-unknown',
+      messages: messages,
+      metadata: {
+        original_id: originalId,
+      },
+    };
+  }
+
+  /**
+   * Group flat message rows into conversations
+   * @param {Array} rows - Message rows from a CSV or JSON export
+   * @returns {Array} - Array of conversation objects ({ conversationId, title, messages })
+   */
+  groupRows(rows) {
+    const sorted = [...rows].sort((a, b) =>
+      new Date(this.getField(a, 'time')) - new Date(this.getField(b, 'time')));
+
+    const conversations = [];
+    const byId = new Map();
+    let currentSession = null;
+    let lastTime = 0;
+
+    for (const row of sorted) {
+      const conversationId = this.getField(row, 'conversationId');
+      const time = new Date(this.getField(row, 'time')).getTime() || 0;
+      let conversation;
+
+      if (conversationId) {
+        conversation = byId.get(conversationId);
+        if (!conversation) {
+          conversation = { conversationId, title: '', messages: [] };
+          byId.set(conversationId, conversation);
+          conversations.push(conversation);
+        }
+      } else {
+        if (!currentSession || time - lastTime > SESSION_GAP_MS) {
+          currentSession = { title: '', messages: [] };
+          conversations.push(currentSession);
+        }
+        conversation = currentSession;
+        lastTime = time;
+      }
+
+      if (!conversation.title) {
+        conversation.title = this.getField(row, 'title') || '';
+      }
+
+      conversation.messages.push(row);
+    }
+
+    return conversations;
+  }
+
+  /**
+   * Extract messages from a Copilot conversation
+   * @param {Object} conversation - Conversation with a messages array
+   * @returns {Array} - Array of messages
+   */
+  extractMessages(conversation) {
+    if (!Array.isArray(conversation.messages)) {
+      return [];
+    }
+
+    return conversation.messages
+      .map((message, index) => {
+        const time = this.getField(message, 'time');
+        const messageId = this.getField(message, 'messageId');
+
+        return {
+          id: messageId ? String(messageId) : `copilot_msg_${hashString(`${time}|${index}`)}`,
+          role: this.normalizeAuthor(this.getField(message, 'author')),
+          content: String(this.getField(message, 'text') || ''),
+          created_at: this.formatTimestamp(time),
+          metadata: {},
+        };
+      })
+      .filter(message => message.content.trim() !== '');
+  }
+
+  /**
+   * Map Copilot author labels onto unified roles
+   * @param {string} author - Author value from the export
+   * @returns {string} - Normalized role
+   */
+  normalizeAuthor(author) {
+    const value = String(author || '').trim().toLowerCase();
+
+    if (['user', 'human', 'you', 'me'].includes(value)) {
+      return 'user';
+    }
+
+    if (['bot', 'copilot', 'assistant', 'ai', 'microsoft copilot'].includes(value)) {
+      return 'assistant';
+    }
+
+    return this.normalizeRole(value);
+  }
+
+  /**
+   * Read a field by any of its known column names
+   * @param {Object} record - Row or conversation object
+   * @param {string} field - Logical field name (key of FIELD_ALIASES)
+   * @returns {*} - Field value or undefined
+   */
+  getField(record, field) {
+    return getCopilotField(record, field);
+  }
+}
+
+/**
+ * Read a Copilot export field by any of its known column names
+ * @param {Object} record - Row or conversation object
+ * @param {string} field - Logical field name ('conversationId', 'title', 'time', 'author', 'text', 'messageId')
+ * @returns {*} - Field value or undefined
+ */
+export function getCopilotField(record, field) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return undefined;
+
+  const aliases = FIELD_ALIASES[field];
+
+  for (const key of Object.keys(record)) {
+    if (aliases.includes(normalizeKey(key))) {
+      const value = record[key];
+      if (value !== undefined && value !== null && value !== '') {
+        return value;
+      }
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Normalize a column name for alias matching ("Conversation Id" -> "conversationid")
+ * @param {string} key - Column name
+ * @returns {string} - Normalized key
+ */
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
@@ -0,0 +1,146 @@
+/**
+ * GeminiConverter Module
+ *
+ * Specialized converter for Google Takeout "Gemini Apps" activity exports.
+ * Takeout records every prompt/response pair as a separate activity entry,
+ * so conversations have to be reconstructed by grouping entries into sessions.
+ */
+
+import { BaseConverter } from './baseConverter.js';
+import { htmlToMarkdown } from '../../utils/markdownUtils.js';
+import { hashString } from '../../utils/idUtils.js';
+
+// Entries further apart than this start a new conversation
+const SESSION_GAP_MS = 30 * 60 * 1000;
+
+// Activity titles that carry a user prompt (the rest is product usage noise)
+const PROMPT_PREFIXES = ['Prompted ', 'Asked ', 'Said '];
+
+export class GeminiConverter extends BaseConverter {
+  /**
+   * Convert a Gemini session (or a single activity entry) to unified schema
+   * @param {Object} conversation - Session object from groupActivities() or a raw activity entry
+   * @returns {Object} - Unified conversation object
+   */
+  convert(conversation) {
+    const activities = Array.isArray(conversation.activities)
+      ? conversation.activities
+      : [conversation];
+
+    const messages = this.extractMessages(activities);
+    const firstPrompt = messages.find(message => message.role === 'user');
+    const firstTime = activities[0]?.time;
+    const lastTime = activities[activities.length - 1]?.time;
+
+    return {
+      conversation_id: `gemini_${hashString(`${firstTime}|${firstPrompt?.content || ''}`)}`,
+      title: this.createTitle(firstPrompt?.content, 'Gemini Conversation'),
+      created_at: this.formatTimestamp(firstTime),
+      updated_at: this.formatTimestamp(lastTime),
+      source: 'gemini',
+      model: 'gemini-unknown',
+      messages: messages,
+      metadata: {
+        product: activities[0]?.header,
+        activity_count: activities.length,
+      },
+    };
+  }
+
+  /**
+   * Group raw activity entries into conversation sessions
+   * @param {Array} activities - Raw Takeout activity entries
+   * @returns {Array} - Array of session objects ({ header, activities })
+   */
+  groupActivities(activities) {
+    const promptEntries = activities
+      .filter(activity => this.getPrompt(activity) !== null)
+      .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+    const sessions = [];
+    let current = null;
+    let lastTime = 0;
+
+    for (const activity of promptEntries) {
+      const time = new Date(activity.time).getTime() || 0;
+
+      if (!current || time - lastTime > SESSION_GAP_MS) {
+        current = { header: activity.header, activities: [] };
+        sessions.push(current);
+      }
+
+      current.activities.push(activity);
+      lastTime = time;
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Turn activity entries into alternating user/assistant messages
+   * @param {Array} activities - Activity entries in chronological order
+   * @returns {Array} - Array of messages
+   */
+  extractMessages(activities) {
+    const messages = [];
+
+    activities.forEach((activity, index) => {
+      const prompt = this.getPrompt(activity);
+      const createdAt = this.formatTimestamp(activity.time);
+
+      if (prompt !== null) {
+        messages.push({
+          id: `gemini_msg_${hashString(`${activity.time}|${index}|user`)}`,
+          role: 'user',
+          content: prompt,
+          created_at: createdAt,
+          metadata: {
+            attachments: activity.attachedFiles,
+          },
+        });
+      }
+
+      const response = this.getResponse(activity);
+
+      if (response) {
+        messages.push({
+          id: `gemini_msg_${hashString(`${activity.time}|${index}|assistant`)}`,
+          role: 'assistant',
+          content: response,
+          created_at: createdAt,
+          metadata: {},
+        });
+      }
+    });
+
+    return messages;
+  }
+
+  /**
+   * Get the user prompt from an activity entry
+   * @param {Object} activity - Activity entry
+   * @returns {string|null} - Prompt text, or null if the entry is not a prompt
+   */
+  getPrompt(activity) {
+    const title = (activity?.title || '').replace(/\u00a0/g, ' ');
+    const prefix = PROMPT_PREFIXES.find(candidate => title.startsWith(candidate));
+
+    return prefix ? title.slice(prefix.length).trim() : null;
+  }
+
+  /**
+   * Get the model response from an activity entry
+   * @param {Object} activity - Activity entry
+   * @returns {string} - Response as markdown
+   */
+  getResponse(activity) {
+    if (!Array.isArray(activity?.safeHtmlItem)) {
+      return '';
+    }
+
+    return activity.safeHtmlItem
+      .map(item => htmlToMarkdown(item.html || ''))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+}
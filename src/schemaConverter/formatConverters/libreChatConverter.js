@@ -0,0 +1,195 @@
+/**
+ * LibreChatConverter Module
+ *
+ * Specialized converter for LibreChat conversation exports. Messages link
+ * to their parent through parentMessageId; exports made with "include
+ * branches" nest replies under each message's children instead, so both
+ * shapes are flattened into one list that keeps every branch.
+ */
+
+import { BaseConverter } from './baseConverter.js';
+
+// parentMessageId LibreChat gives the first message of a conversation
+const ROOT_PARENT_ID = '00000000-0000-0000-0000-000000000000';
+
+export class LibreChatConverter extends BaseConverter {
+  /**
+   * Convert a LibreChat export to unified schema
+   * @param {Object} conversation - Exported conversation ({ conversationId, title, options, messages })
+   * @returns {Object} - Unified conversation object
+   */
+  convert(conversation) {
+    const messages = this.extractMessages(conversation);
+    const times = messages.map(message => message.created_at).sort();
+
+    return {
+      conversation_id: conversation.conversationId || this.generateId('conv'),
+      title: conversation.title || 'Untitled Conversation',
+      created_at: this.formatTimestamp(conversation.createdAt || times[0]),
+      updated_at: this.formatTimestamp(conversation.updatedAt || times[times.length - 1]),
+      source: 'librechat',
+      model: this.extractModel(conversation, messages),
+      messages: messages,
+      metadata: {
+        original_id: conversation.conversationId,
+        endpoint: conversation.endpoint || conversation.options?.endpoint,
+        exported_at: conversation.exportAt,
+      },
+    };
+  }
+
+  /**
+   * Flatten the exported messages, depth-first so siblings stay together
+   * @param {Object} conversation - Exported conversation
+   * @returns {Array} - Array of messages
+   */
+  extractMessages(conversation) {
+    const exported = conversation.messagesTree || conversation.messages || [];
+    const records = [];
+    const flatten = (list) => list.forEach(record => {
+      records.push(record);
+      if (Array.isArray(record.children)) {
+        flatten(record.children);
+      }
+    });
+    flatten(exported);
+
+    const knownIds = new Set(records.map(record => record.messageId));
+    const childrenByParent = new Map();
+    records.forEach(record => {
+      const key = knownIds.has(record.parentMessageId) ? record.parentMessageId : ROOT_PARENT_ID;
+      if (!childrenByParent.has(key)) {
+        childrenByParent.set(key, []);
+      }
+      childrenByParent.get(key).push(record);
+    });
+
+    const messages = [];
+    const visited = new Set();
+    const visit = (record) => {
+      if (visited.has(record.messageId)) return;
+
+      visited.add(record.messageId);
+      messages.push(this.buildMessage(record, knownIds));
+      (childrenByParent.get(record.messageId) || []).forEach(visit);
+    };
+    (childrenByParent.get(ROOT_PARENT_ID) || []).forEach(visit);
+
+    this.markActiveBranch(messages);
+    this.assignSiblingPositions(messages);
+
+    return messages;
+  }
+
+  /**
+   * Build a unified message from a LibreChat message
+   * @param {Object} record - LibreChat message
+   * @param {Set} knownIds - Ids of the messages in the export
+   * @returns {Object} - Unified message
+   */
+  buildMessage(record, knownIds) {
+    const blocks = [
+      ...this.extractBlocks(record),
+      ...this.extractFileBlocks(record.files),
+    ];
+
+    return {
+      id: record.messageId,
+      role: record.isCreatedByUser ? 'user' : 'assistant',
+      content: this.blocksToContent(blocks),
+      blocks: blocks,
+      created_at: this.formatTimestamp(record.createdAt),
+      parent_id: knownIds.has(record.parentMessageId) ? record.parentMessageId : null,
+      sibling_index: 0,
+      sibling_count: 1,
+      is_active: false,
+      metadata: {
+        model: record.model,
+        sender: record.sender,
+        endpoint: record.endpoint,
+        unfinished: record.unfinished,
+        token_count: record.tokenCount,
+      },
+    };
+  }
+
+  /**
+   * Map a message's content parts onto typed blocks; older messages only
+   * have the text field
+   * @param {Object} record - LibreChat message
+   * @returns {Array} - Typed content blocks
+   */
+  extractBlocks(record) {
+    if (!Array.isArray(record.content) || record.content.length === 0) {
+      if (!record.text) return [];
+      return [record.error ? { type: 'error', text: record.text } : { type: 'text', text: record.text }];
+    }
+
+    return record.content.flatMap(part => this.partToBlocks(part));
+  }
+
+  /**
+   * Map a single content part onto blocks
+   * @param {Object} part - Content part ({ type, text | think | tool_call | error })
+   * @returns {Array} - Typed content blocks, empty for parts with nothing to show
+   */
+  partToBlocks(part) {
+    if (!part || typeof part !== 'object') return [];
+
+    switch (part.type) {
+      case 'text': {
+        const text = typeof part.text === 'string' ? part.text : part.text?.value;
+        return text ? [{ type: 'text', text }] : [];
+      }
+      case 'think': {
+        const text = typeof part.think === 'string' ? part.think : part.think?.value;
+        return text ? [{ type: 'thinking', text }] : [];
+      }
+      case 'tool_call': {
+        const call = part.tool_call;
+        if (!call) return [];
+
+        const blocks = [{ type: 'tool_use', name: call.name, tool_use_id: call.id, input: call.args }];
+        if (call.output) {
+          blocks.push({ type: 'tool_result', name: call.name, tool_use_id: call.id, output: call.output, is_error: false });
+        }
+        return blocks;
+      }
+      case 'error':
+        return [{ type: 'error', text: part.error || part.text || '' }];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Map the files attached to a message onto file blocks
+   * @param {Array} files - Attached files ({ filename, type, bytes })
+   * @returns {Array} - File blocks
+   */
+  extractFileBlocks(files) {
+    if (!Array.isArray(files)) return [];
+
+    return files.map(file => ({
+      type: 'file',
+      name: file.filename || file.file_id || 'file',
+      mime_type: file.type,
+      size_bytes: file.bytes,
+    }));
+  }
+
+  /**
+   * Find the model the conversation was held with
+   * @param {Object} conversation - Exported conversation
+   * @param {Array} messages - Unified messages
+   * @returns {string} - Model name
+   */
+  extractModel(conversation, messages) {
+    if (conversation.options?.model || conversation.model) {
+      return conversation.options?.model || conversation.model;
+    }
+
+    const lastAnswer = [...messages].reverse().find(message => message.metadata.model);
+    return lastAnswer ? lastAnswer.metadata.model : 'librechat-unknown';
+  }
+}
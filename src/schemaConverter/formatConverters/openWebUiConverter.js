@@ -0,0 +1,175 @@
+/**
+ * OpenWebUiConverter Module
+ *
+ * Specialized converter for Open WebUI chat exports. Each chat keeps its
+ * messages in history.messages, keyed by id and linked through parentId and
+ * childrenIds, with history.currentId pointing at the message the chat was
+ * left on, so regenerated answers and edited prompts survive as branches.
+ */
+
+import { BaseConverter } from './baseConverter.js';
+
+// Open WebUI inlines reasoning into the answer as a collapsible block
+const REASONING_PATTERN = /<details\s+type="reasoning"[^>]*>\s*(?:<summary>[\s\S]*?<\/summary>)?([\s\S]*?)<\/details>/g;
+
+export class OpenWebUiConverter extends BaseConverter {
+  /**
+   * Convert an Open WebUI chat to unified schema
+   * @param {Object} record - Exported chat ({ id, title, chat: { history, models, ... } }) or a bare chat object
+   * @returns {Object} - Unified conversation object
+   */
+  convert(record) {
+    const chat = record.chat || record;
+    const messages = this.extractMessages(chat.history);
+    const times = messages.map(message => message.created_at).sort();
+
+    return {
+      conversation_id: record.id || chat.id || this.generateId('conv'),
+      title: record.title || chat.title || 'Untitled Conversation',
+      created_at: this.formatTimestamp(record.created_at || chat.timestamp || times[0]),
+      updated_at: this.formatTimestamp(record.updated_at || times[times.length - 1]),
+      source: 'openwebui',
+      model: this.extractModel(chat, messages),
+      messages: messages,
+      metadata: {
+        original_id: record.id || chat.id,
+        current_node: chat.history?.currentId,
+        models: chat.models,
+        tags: this.extractTags(record, chat),
+        is_archived: record.archived,
+        pinned: record.pinned,
+        folder_id: record.folder_id,
+      },
+    };
+  }
+
+  /**
+   * Extract messages from the history tree, depth-first from each root so
+   * siblings stay together in the order Open WebUI lists them
+   * @param {Object} history - Chat history ({ messages, currentId })
+   * @returns {Array} - Array of messages
+   */
+  extractMessages(history) {
+    const nodes = history?.messages || {};
+    const messages = [];
+    const visited = new Set();
+
+    const visit = (nodeId) => {
+      const node = nodes[nodeId];
+      if (!node || visited.has(nodeId)) return;
+
+      visited.add(nodeId);
+      messages.push(this.buildMessage(node, nodeId, nodes));
+      (node.childrenIds || []).forEach(visit);
+    };
+
+    const nodeIds = Object.keys(nodes);
+    nodeIds.filter(nodeId => !nodes[nodes[nodeId].parentId]).forEach(visit);
+    // Nodes cut off from every root (e.g. a parent missing from the export)
+    nodeIds.forEach(visit);
+
+    this.markActiveBranch(messages, history?.currentId);
+    this.assignSiblingPositions(messages);
+
+    return messages;
+  }
+
+  /**
+   * Build a unified message from an Open WebUI history node
+   * @param {Object} node - History node
+   * @param {string} nodeId - Key of the node in history.messages
+   * @param {Object} nodes - All history nodes
+   * @returns {Object} - Unified message
+   */
+  buildMessage(node, nodeId, nodes) {
+    const blocks = [
+      ...this.extractBlocks(node.content),
+      ...this.extractFileBlocks(node.files),
+    ];
+
+    if (node.error) {
+      blocks.push({ type: 'error', text: node.error.content || String(node.error) });
+    }
+
+    return {
+      id: node.id || nodeId,
+      role: this.normalizeRole(node.role),
+      content: this.blocksToContent(blocks),
+      blocks: blocks,
+      created_at: this.formatTimestamp(node.timestamp),
+      parent_id: nodes[node.parentId] ? node.parentId : null,
+      sibling_index: 0,
+      sibling_count: 1,
+      is_active: false,
+      metadata: {
+        model: node.model,
+        model_name: node.modelName,
+        usage: node.usage || node.info,
+      },
+    };
+  }
+
+  /**
+   * Split message text into thinking and text blocks
+   * @param {string} content - Message content, possibly with reasoning blocks
+   * @returns {Array} - Typed content blocks
+   */
+  extractBlocks(content) {
+    if (typeof content !== 'string') return [];
+
+    const blocks = [];
+    const answer = content.replace(REASONING_PATTERN, (match, reasoning) => {
+      const text = reasoning.replace(/^>\s?/gm, '').trim();
+      if (text) {
+        blocks.push({ type: 'thinking', text });
+      }
+      return '';
+    }).trim();
+
+    if (answer) {
+      blocks.push({ type: 'text', text: answer });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Map the files attached to a message onto blocks. Image urls are inline
+   * data urls, so only a placeholder is kept
+   * @param {Array} files - Attached files ({ type, name, url })
+   * @returns {Array} - Image and file blocks
+   */
+  extractFileBlocks(files) {
+    if (!Array.isArray(files)) return [];
+
+    return files.map(file => (file.type === 'image'
+      ? { type: 'image', alt: file.name || '' }
+      : { type: 'file', name: file.name || file.file?.filename || 'file', size_bytes: file.size }));
+  }
+
+  /**
+   * Find the model the chat was held with
+   * @param {Object} chat - Chat object
+   * @param {Array} messages - Unified messages
+   * @returns {string} - Model name
+   */
+  extractModel(chat, messages) {
+    if (Array.isArray(chat.models) && chat.models[0]) {
+      return chat.models[0];
+    }
+
+    const lastAnswer = [...messages].reverse().find(message => message.metadata.model);
+    return lastAnswer ? lastAnswer.metadata.model : 'openwebui-unknown';
+  }
+
+  /**
+   * Collect the chat's tag names
+   * @param {Object} record - Exported chat
+   * @param {Object} chat - Chat object
+   * @returns {Array} - Tag names
+   */
+  extractTags(record, chat) {
+    const tags = record.meta?.tags || chat.tags || [];
+    return tags.map(tag => (typeof tag === 'string' ? tag : tag.name)).filter(Boolean);
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * TranscriptConverter Module
+ *
+ * Specialized converter for plain-text and Markdown transcripts, after
+ * TranscriptParser has split them into role-tagged messages, and for chat
+ * pages read from their markup (HtmlChatExtractor). Transcripts carry no
+ * times and usually no ids, so ids are derived from the text to keep
+ * re-imports of the same file matching.
+ */
+
+import { BaseConverter } from './baseConverter.js';
+import { hashString } from '../../utils/idUtils.js';
+
+export class TranscriptConverter extends BaseConverter {
+  /**
+   * Convert a parsed transcript to unified schema
+   * @param {Object} transcript - { format: 'transcript', title, model, file_name, created_at, messages },
+   *   optionally with the source app, conversation_id and url of a saved chat page
+   * @returns {Object} - Unified conversation object
+   */
+  convert(transcript) {
+    const firstUserMessage = transcript.messages.find(message => message.role === 'user');
+    const title = transcript.title || this.titleFromFileName(transcript.file_name) || this.createTitle(firstUserMessage?.content, 'Transcript');
+    const source = transcript.source || 'transcript';
+    const conversationId = transcript.conversation_id
+      || `transcript_${hashString(`${title}|${transcript.messages[0]?.content || ''}`)}`;
+    const createdAt = this.formatTimestamp(transcript.created_at);
+
+    return {
+      conversation_id: conversationId,
+      title: title,
+      created_at: createdAt,
+      updated_at: createdAt,
+      source: source,
+      model: transcript.model || `${source}-unknown`,
+      messages: transcript.messages.map((message, index) => ({
+        id: `${conversationId}_msg_${index}`,
+        role: message.role,
+        content: message.content,
+        created_at: createdAt,
+        metadata: {
+          speaker: message.speaker,
+        },
+      })),
+      metadata: {
+        file_name: transcript.file_name,
+        url: transcript.url,
+        speakers: [...new Set(transcript.messages.map(message => message.speaker))],
+      },
+    };
+  }
+
+  /**
+   * Use a file name as the title, unless it is a generic export name
+   * @param {string} fileName - Name of the imported file
+   * @returns {string} - Title, or an empty string
+   */
+  titleFromFileName(fileName) {
+    const name = String(fileName || '').replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+    return /^(chat|conversation|transcript|export|pasted transcript)s?$/i.test(name) ? '' : name;
+  }
+}
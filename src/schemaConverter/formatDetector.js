@@ -2,24 +2,33 @@
  * FormatDetector Module
  * 
  * Detects the format of conversation data to determine which converter to use.
+ * The format checks for the built-in formats live here; picking a format asks
+ * every converter in the registry and takes the most confident match.
  */
 
+import { getCopilotField } from './formatConverters/copilotConverter.js';
+
+// Author labels Copilot uses for its own messages
+const COPILOT_AUTHORS = ['bot', 'copilot', 'microsoft copilot'];
+
 export class FormatDetector {
+  /**
+   * @param {ConverterRegistry} registry - Registered converters to choose from
+   */
+  constructor(registry) {
+    this.registry = registry;
+  }
+
   /**
    * Detect the format of a conversation
    * @param {Object} conversation - The conversation to check
-   * @returns {string} - Format identifier ('chatgpt', 'claude', 'convokeep', or 'generic')
+   * @returns {string} - Name of the most confident registered converter
+   *   ('chatgpt', 'claude', 'openwebui', 'librechat', 'gemini', 'copilot', 'api', 'transcript', 'convokeep',
+   *   a registered format, or 'generic')
    */
   detectFormat(conversation) {
-    if (this.isConvoKeepFormat(conversation)) {
-      return 'convokeep';
-    } else if (this.isChatGptFormat(conversation)) {
-      return 'chatgpt';
-    } else if (this.isClaudeFormat(conversation)) {
-      return 'claude';
-    } else {
-      return 'generic';
-    }
+    const match = this.registry.detect(conversation);
+    return match ? match.name : 'generic';
   }
   
   /**
@@ -45,6 +54,202 @@ export class FormatDetector {
       && (conversation.uuid !== undefined || conversation.name !== undefined);
   }
 
+  /**
+   * Check if the conversation is an Open WebUI chat export, or the bare chat
+   * object inside one
+   * @param {Object} conversation - The conversation to check
+   * @returns {boolean} - True if it's in Open WebUI format
+   */
+  isOpenWebUiFormat(conversation) {
+    const history = conversation?.chat ? conversation.chat.history : conversation?.history;
+    return Boolean(history)
+      && typeof history.messages === 'object'
+      && history.messages !== null
+      && !Array.isArray(history.messages);
+  }
+
+  /**
+   * Check if the conversation is a LibreChat export
+   * @param {Object} conversation - The conversation to check
+   * @returns {boolean} - True if it's in LibreChat format
+   */
+  isLibreChatFormat(conversation) {
+    const messages = conversation?.messagesTree || conversation?.messages;
+    return Boolean(conversation)
+      && conversation.conversationId !== undefined
+      && Array.isArray(messages)
+      && messages.every(message => message && message.messageId !== undefined);
+  }
+
+  /**
+   * Check if the conversation is a plain-text or Markdown transcript parsed by TranscriptParser
+   * @param {Object} conversation - The conversation to check
+   * @returns {boolean} - True if it's a parsed transcript
+   */
+  isTranscriptFormat(conversation) {
+    return Boolean(conversation)
+      && conversation.format === 'transcript'
+      && Array.isArray(conversation.messages);
+  }
+
+  /**
+   * Check if a record is one line of an API request log: a chat completions
+   * or Messages API request with its response
+   * @param {Object} record - The record to check
+   * @returns {boolean} - True if it's an API log line
+   */
+  isApiLogRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return false;
+    }
+
+    const request = record.request?.body && typeof record.request.body === 'object'
+      ? record.request.body
+      : record.request;
+
+    return Boolean(request)
+      && Array.isArray(request.messages)
+      && Boolean(record.response)
+      && typeof record.response === 'object';
+  }
+
+  /**
+   * Check if an array of records is an API request log
+   * Logs often mix in lines that are not chat requests (embeddings, legacy
+   * completions, failed calls); those are skipped when the log is grouped.
+   * @param {Array} records - Records from a file
+   * @returns {boolean} - True if the records start with an API log line
+   */
+  isApiLog(records) {
+    return Array.isArray(records)
+      && records.length > 0
+      && this.isApiLogRecord(records[0]);
+  }
+
+  /**
+   * Check if the conversation is a group of API log lines (from the API log converter)
+   * @param {Object} conversation - The conversation to check
+   * @returns {boolean} - True if it's a group of API log lines
+   */
+  isApiLogThread(conversation) {
+    return Boolean(conversation)
+      && !Array.isArray(conversation)
+      && conversation.conversationKey !== undefined
+      && Array.isArray(conversation.records)
+      && conversation.records.length > 0
+      && conversation.records.every(record => this.isApiLogRecord(record));
+  }
+
+  /**
+   * Check if the conversation is a Google Takeout Gemini activity entry,
+   * or a session of entries grouped by the Gemini converter
+   * @param {Object} conversation - The conversation to check
+   * @returns {boolean} - True if it's in Gemini activity format
+   */
+  isGeminiFormat(conversation) {
+    if (!conversation || typeof conversation !== 'object') {
+      return false;
+    }
+
+    if (Array.isArray(conversation.activities)) {
+      return conversation.activities.length > 0
+        && conversation.activities.every(activity => this.isGeminiActivity(activity));
+    }
+
+    return this.isGeminiActivity(conversation);
+  }
+
+  /**
+   * Check if an array of records is a Gemini activity log that needs
+   * grouping into conversations before conversion
+   * @param {Array} records - Raw records from the file
+   * @returns {boolean} - True if every record is a Gemini activity entry
+   */
+  isGeminiActivityLog(records) {
+    return Array.isArray(records)
+      && records.length > 0
+      && records.every(record => this.isGeminiActivity(record));
+  }
+
+  /**
+   * Check a single Takeout "My Activity" record for the Gemini product
+   * (older exports still label it "Bard")
+   * @param {Object} activity - Activity record
+   * @returns {boolean} - True if it's a Gemini activity entry
+   */
+  isGeminiActivity(activity) {
+    if (!activity || typeof activity.title !== 'string' || activity.time === undefined) {
+      return false;
+    }
+
+    const products = Array.isArray(activity.products) ? activity.products : [];
+    const labels = [activity.header, ...products].filter(Boolean);
+
+    return labels.some(label => /^(gemini apps|gemini|bard)$/i.test(label));
+  }
+
+  /**
+   * Check if the conversation is a Copilot conversation (a JSON export
+   * conversation or a group of rows made by the Copilot converter)
+   * @param {Object} conversation - The conversation to check
+   * @returns {boolean} - True if it's in Copilot format
+   */
+  isCopilotFormat(conversation) {
+    return conversation
+      && !Array.isArray(conversation)
+      && this.isCopilotMessageLog(conversation.messages);
+  }
+
+  /**
+   * Check if an array of records is a flat Copilot message export
+   * (one row per message) that needs grouping into conversations
+   * @param {Array} records - Raw records from the file
+   * @returns {boolean} - True if the records are Copilot message rows
+   */
+  isCopilotMessageLog(records) {
+    if (!Array.isArray(records) || records.length === 0) {
+      return false;
+    }
+
+    const allRows = records.every(record =>
+      getCopilotField(record, 'author') !== undefined
+      && getCopilotField(record, 'text') !== undefined);
+
+    // Require Copilot's own author label so generic role/content arrays are left alone
+    return allRows && records.some(record =>
+      COPILOT_AUTHORS.includes(String(getCopilotField(record, 'author')).trim().toLowerCase()));
+  }
+
+  /**
+   * Check whether a single raw record is one Copilot message row rather
+   * than a whole conversation
+   * @param {Object} record - Raw record from the file
+   * @returns {boolean} - True if the record is a Copilot message row
+   */
+  isCopilotMessageRow(record) {
+    return Boolean(record)
+      && typeof record === 'object'
+      && !Array.isArray(record)
+      && getCopilotField(record, 'author') !== undefined
+      && getCopilotField(record, 'text') !== undefined
+      && !Array.isArray(record.messages);
+  }
+
+  /**
+   * Check whether a single raw record is one row of a log (a Gemini activity
+   * entry, a Copilot message row or a registered log format) rather than a
+   * whole conversation. Such records must be collected and grouped before conversion.
+   * @param {Object} record - Raw record from the file
+   * @returns {boolean} - True if the record is a log row
+   */
+  isLogRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return false;
+    }
+
+    return this.registry.isLogRecord(record);
+  }
+
   /**
    * Check if the conversation is in ConvoKeep's unified format
    * @param {Object} conversation - The conversation to check
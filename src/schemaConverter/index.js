@@ -6,17 +6,35 @@
  */
 
 import { ConversationConverter } from './conversationConverter.js';
+import { loadConverterPlugins } from './converterPlugins.js';
 
 // Create singleton instance
 const conversationConverter = new ConversationConverter();
 
+// Converters shipped as separate modules (./plugins) register themselves
+loadConverterPlugins(conversationConverter);
+
 /**
  * Process a batch of conversations and convert them to unified schema
  * @param {Array|Object} conversations - Array of conversations or single conversation
+ * @param {Function} onFailure - Optional: called with { index, conversation_id, title, reason, snippet }
+ *   for each conversation that cannot be converted, which is left out instead of failing the batch
+ * @param {Object} options - Grouping options for log formats
+ * @param {string} options.conversationKey - Dot path to the field that identifies the conversation
+ *   of an API log line; without it lines are grouped by matching their message histories
  * @returns {Array} - Array of unified conversations
  */
-export function processConversations(conversations) {
-  return conversationConverter.processConversations(conversations);
+export function processConversations(conversations, onFailure, options) {
+  return conversationConverter.processConversations(conversations, onFailure, options);
+}
+
+/**
+ * Convert exported projects (e.g. Claude Projects) to the unified project schema
+ * @param {Array} projects - Raw projects from an export
+ * @returns {Array} - Array of unified projects
+ */
+export function processProjects(projects) {
+  return conversationConverter.processProjects(projects);
 }
 
 /**
@@ -27,3 +45,66 @@ export function processConversations(conversations) {
 export function convertToUnifiedSchema(conversation) {
   return conversationConverter.convertToUnifiedSchema(conversation);
 }
+
+/**
+ * Convert one conversation, reporting a failure instead of throwing
+ * @param {Object} conversation - Raw conversation
+ * @param {number} index - Position of the conversation in its file
+ * @param {Function} onFailure - Called with { index, conversation_id, title, reason, snippet }
+ * @returns {Object|null} - Unified conversation, or null if it failed
+ */
+export function convertSafely(conversation, index, onFailure) {
+  return conversationConverter.convertSafely(conversation, index, onFailure);
+}
+
+/**
+ * Check whether a raw record is a log row (Gemini activity, Copilot message)
+ * that has to be grouped with the rest of the file before conversion
+ * @param {Object} record - Raw record from the file
+ * @returns {boolean} - True if the record needs grouping
+ */
+export function needsGrouping(record) {
+  return conversationConverter.needsGrouping(record);
+}
+
+/**
+ * Register a converter for another export format, so extra formats can ship
+ * as separate modules. Detection picks the converter with the highest
+ * confidence; built-in formats score between 0.7 and 1, the generic fallback 0.01.
+ * Imports run in a worker with its own copy of this module, so converters
+ * should be registered from a module both load (see converterPlugins.js).
+ * @param {Object} definition - The converter
+ * @param {string} definition.name - Format identifier
+ * @param {Function} definition.detect - (record) => confidence from 0 to 1
+ * @param {Function} definition.convert - (record) => conversation in the unified schema
+ * @returns {Function} - Unregisters the converter
+ */
+export function registerConverter(definition) {
+  return conversationConverter.registerConverter(definition);
+}
+
+/**
+ * Remove a registered converter
+ * @param {string} name - Format identifier
+ * @returns {boolean} - True if a converter was removed
+ */
+export function unregisterConverter(name) {
+  return conversationConverter.unregisterConverter(name);
+}
+
+/**
+ * Detect the format of a raw conversation
+ * @param {Object} conversation - Raw conversation from an export
+ * @returns {string} - Name of the most confident converter
+ */
+export function detectFormat(conversation) {
+  return conversationConverter.formatDetector.detectFormat(conversation);
+}
+
+/**
+ * List the registered formats
+ * @returns {string[]} - Format identifiers, in registration order
+ */
+export function getConverterNames() {
+  return conversationConverter.registry.names();
+}
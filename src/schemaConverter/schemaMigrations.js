@@ -0,0 +1,84 @@
+/**
+ * Schema Migrations Module
+ *
+ * Upgrades backups written with an older version of the unified schema to
+ * the current one, one version at a time, so older backups restore instead
+ * of being rejected. Add an upgrade function here whenever SCHEMA_VERSION
+ * is raised.
+ */
+
+import { SCHEMA_VERSION } from './unifiedSchema.js';
+
+// Upgrade functions by the version they upgrade from; each returns a backup one version newer
+const MIGRATIONS = {
+  1: upgradeFromVersion1
+};
+
+/**
+ * Read the schema version a backup was written with
+ * The major number of "version" decides: 1.0 backups stored the database
+ * version in "schema_version", so that field cannot be trusted on its own.
+ * @param {Object} backup - Parsed backup
+ * @returns {number} - Schema version, or NaN if the backup does not say
+ */
+export function getSchemaVersion(backup) {
+  const match = /^(\d+)\./.exec(String(backup?.version ?? ''));
+  return match ? Number(match[1]) : NaN;
+}
+
+/**
+ * Upgrade a backup to the current schema version
+ * @param {Object} backup - Parsed backup
+ * @returns {Object} - { backup, fromVersion } with the upgraded backup (the
+ *   input itself when it is already current)
+ */
+export function migrateBackup(backup) {
+  const fromVersion = getSchemaVersion(backup);
+
+  if (Number.isNaN(fromVersion) || fromVersion < 1) {
+    throw new Error(`Unknown backup version: ${JSON.stringify(backup?.version)}`);
+  }
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`This backup uses schema version ${fromVersion}; this version of ConvoKeep reads up to ${SCHEMA_VERSION}. Update ConvoKeep to restore it.`);
+  }
+
+  let upgraded = backup;
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    upgraded = MIGRATIONS[version](upgraded);
+  }
+
+  return { backup: upgraded, fromVersion };
+}
+
+/**
+ * 1 -> 2: version 1.0 exports held conversations as stored, with their
+ * database key and the database version in schema_version, and no projects
+ * or attachments
+ * @param {Object} backup - Version 1 backup
+ * @returns {Object} - Version 2 backup
+ */
+function upgradeFromVersion1(backup) {
+  return {
+    ...backup,
+    version: '2.0',
+    schema_version: 2,
+    projects: Array.isArray(backup.projects) ? backup.projects : [],
+    conversations: backup.conversations.map(conversation => {
+      if (!conversation || typeof conversation !== 'object') {
+        return conversation;
+      }
+
+      const { id, ...record } = conversation;
+      return {
+        ...record,
+        metadata: record.metadata || {},
+        messages: Array.isArray(record.messages)
+          // Messages without text (e.g. image-only) could lack content
+          ? record.messages.map(message => (message && typeof message === 'object' && message.content == null
+            ? { ...message, content: '' }
+            : message))
+          : record.messages
+      };
+    })
+  };
+}
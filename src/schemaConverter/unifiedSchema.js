@@ -0,0 +1,311 @@
+/**
+ * Unified Schema Module
+ *
+ * The versioned JSON Schema for ConvoKeep's unified conversation format and
+ * the backup files it is exported in, with a small validator for the
+ * keywords the schema uses (no schema library is bundled).
+ * Converters may add fields of their own, so objects allow extra properties.
+ */
+
+// Version of the unified format; backups write it as "version": "2.0" and "schema_version": 2.
+// Older backups are upgraded by schemaMigrations.js
+export const SCHEMA_VERSION = 2;
+
+export const BACKUP_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:convokeep:backup:${SCHEMA_VERSION}`,
+  title: 'ConvoKeep backup',
+  type: 'object',
+  required: ['version', 'source', 'conversations'],
+  properties: {
+    version: { type: 'string', pattern: '^\\d+\\.\\d+$' },
+    source: { const: 'convokeep' },
+    schema_version: { type: 'integer', minimum: 1 },
+    exported_at: { type: 'string', format: 'date-time' },
+    conversation_count: { type: 'integer', minimum: 0 },
+    attachment_count: { type: 'integer', minimum: 0 },
+    export_context: { type: 'object' },
+    projects: { type: 'array', items: { $ref: '#/$defs/project' } },
+    conversations: { type: 'array', items: { $ref: '#/$defs/conversation' } }
+  },
+  $defs: {
+    conversation: {
+      type: 'object',
+      required: ['conversation_id', 'title', 'created_at', 'messages'],
+      properties: {
+        conversation_id: { type: 'string', minLength: 1 },
+        title: { type: 'string', minLength: 1 },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+        // When the source last changed the conversation; updated_at also moves with local edits
+        source_updated_at: { type: 'string', format: 'date-time' },
+        source: { type: 'string' },
+        model: { type: ['string', 'null'] },
+        messages: { type: 'array', items: { $ref: '#/$defs/message' } },
+        metadata: { type: 'object' },
+        // Organisation fields set in ConvoKeep
+        tags: { type: 'array', items: { type: 'string' } },
+        starred: { type: 'boolean' },
+        archived: { type: 'boolean' },
+        // Backups only: the conversation's stored images and files
+        attachments: { type: 'array', items: { $ref: '#/$defs/attachment' } }
+      }
+    },
+    message: {
+      type: 'object',
+      required: ['id', 'role', 'content'],
+      properties: {
+        id: { type: ['string', 'number'] },
+        role: { type: 'string', minLength: 1 },
+        content: { type: 'string' },
+        blocks: { type: 'array', items: { $ref: '#/$defs/block' } },
+        created_at: { type: ['string', 'null'] },
+        parent_id: { type: ['string', 'number', 'null'] },
+        sibling_index: { type: 'integer', minimum: 0 },
+        sibling_count: { type: 'integer', minimum: 1 },
+        is_active: { type: 'boolean' },
+        metadata: { type: 'object' }
+      }
+    },
+    block: {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', minLength: 1 }
+      }
+    },
+    attachment: {
+      type: 'object',
+      required: ['asset_pointer', 'data'],
+      properties: {
+        asset_pointer: { type: 'string', minLength: 1 },
+        conversation_id: { type: 'string' },
+        message_id: { type: ['string', 'number', 'null'] },
+        file_name: { type: ['string', 'null'] },
+        mime_type: { type: ['string', 'null'] },
+        size_bytes: { type: 'integer', minimum: 0 },
+        // Base64 file content
+        data: { type: ['string', 'null'] }
+      }
+    },
+    project: {
+      type: 'object',
+      required: ['project_id'],
+      properties: {
+        project_id: { type: 'string', minLength: 1 },
+        name: { type: 'string' }
+      }
+    }
+  }
+};
+
+/**
+ * Validate a value against the schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema, or one of its definitions
+ * @param {Object} options - { root, path, maxErrors }; root resolves $ref (defaults to BACKUP_SCHEMA)
+ * @returns {string[]} - Errors such as 'conversations[2].messages[0]: missing "role"', empty if valid
+ */
+export function validateSchema(value, schema, { root = BACKUP_SCHEMA, path = '', maxErrors = 20 } = {}) {
+  const errors = [];
+  checkValue(value, schema, path, root, errors, maxErrors);
+  return errors;
+}
+
+/**
+ * Validate one conversation of the unified format
+ * @param {Object} conversation - Conversation (as stored or as backed up)
+ * @returns {string[]} - Errors, empty if valid
+ */
+export function validateConversation(conversation) {
+  return validateSchema(conversation, BACKUP_SCHEMA.$defs.conversation, { path: 'conversation' });
+}
+
+/**
+ * Repair what converters are known to get wrong so a conversation fits the
+ * schema: a numeric conversation_id, an empty role, or message content that
+ * is an array or object rather than text. Valid conversations and messages
+ * are returned as they are
+ * @param {Object} conversation - Unified conversation
+ * @returns {Object} - The conversation, or a repaired copy
+ */
+export function normalizeConversation(conversation) {
+  const repaired = { ...conversation };
+  let changed = false;
+
+  if (typeof repaired.conversation_id !== 'string' && repaired.conversation_id !== undefined && repaired.conversation_id !== null) {
+    repaired.conversation_id = String(repaired.conversation_id);
+    changed = true;
+  }
+  if (typeof repaired.title !== 'string' || !repaired.title) {
+    repaired.title = repaired.title ? String(repaired.title) : 'Untitled Conversation';
+    changed = true;
+  }
+  if (!isDate(repaired.created_at)) {
+    repaired.created_at = isDate(repaired.updated_at) ? repaired.updated_at : new Date().toISOString();
+    changed = true;
+  }
+  if (repaired.updated_at !== undefined && !isDate(repaired.updated_at)) {
+    repaired.updated_at = repaired.created_at;
+    changed = true;
+  }
+
+  if (Array.isArray(repaired.messages)) {
+    const messages = repaired.messages.map(normalizeMessage);
+    if (messages.some((message, index) => message !== repaired.messages[index])) {
+      repaired.messages = messages;
+      changed = true;
+    }
+  }
+
+  return changed ? repaired : conversation;
+}
+
+/**
+ * Repair one message for the schema (see normalizeConversation)
+ * @param {Object} message - Unified message
+ * @param {number} index - Position of the message, for a missing ID
+ * @returns {Object} - The message, or a repaired copy
+ */
+function normalizeMessage(message, index) {
+  const repaired = { ...message };
+  let changed = false;
+
+  if (typeof repaired.id !== 'string' && typeof repaired.id !== 'number') {
+    repaired.id = `msg-${index + 1}`;
+    changed = true;
+  }
+  if (typeof repaired.role !== 'string' || !repaired.role) {
+    repaired.role = repaired.role ? String(repaired.role) : 'unknown';
+    changed = true;
+  }
+  if (typeof repaired.content !== 'string') {
+    repaired.content = contentToText(repaired.content);
+    changed = true;
+  }
+
+  return changed ? repaired : message;
+}
+
+/**
+ * Flatten message content that is not text: arrays of parts are joined,
+ * parts with a text field give their text, anything else is written as JSON
+ * @param {*} content - Message content
+ * @returns {string} - Content as text
+ */
+function contentToText(content) {
+  if (content === undefined || content === null) {
+    return '';
+  }
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content.map(contentToText).filter(Boolean).join('\n');
+  }
+  if (typeof content === 'object') {
+    return typeof content.text === 'string' ? content.text : JSON.stringify(content);
+  }
+  return String(content);
+}
+
+/**
+ * Check whether a value is a date string the schema accepts
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a parseable date string
+ */
+function isDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Check a value against a schema, collecting errors
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} path - Where the value sits, e.g. 'conversations[0].title'
+ * @param {Object} root - Schema that $ref paths resolve against
+ * @param {string[]} errors - Errors found so far
+ * @param {number} maxErrors - Stop collecting after this many
+ */
+function checkValue(value, schema, path, root, errors, maxErrors) {
+  if (errors.length >= maxErrors) return;
+
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+    if (!target) {
+      throw new Error(`Unknown schema reference: ${schema.$ref}`);
+    }
+    checkValue(value, target, path, root, errors, maxErrors);
+    return;
+  }
+
+  const where = path || 'backup';
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${where}: expected ${JSON.stringify(schema.const)}`);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${where}: expected ${types.join(' or ')}`);
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: does not match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${where}: not a valid date`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${where}: must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, root, errors, maxErrors));
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined && errors.length < maxErrors) {
+        errors.push(`${where}: missing "${key}"`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        checkValue(value[key], propertySchema, path ? `${path}.${key}` : key, root, errors, maxErrors);
+      }
+    });
+  }
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - 'string', 'number', 'integer', 'boolean', 'object', 'array' or 'null'
+ * @returns {boolean} - True if the value has the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
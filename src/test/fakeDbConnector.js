@@ -0,0 +1,74 @@
+/**
+ * In-memory stand-in for DbConnector, for repository tests: enough of
+ * IndexedDB for the repositories, with the stores and indexes of DB_CONFIG.
+ * Requests are answered in microtasks and transactions complete after them.
+ */
+
+import { DB_CONFIG } from '../database/dbConfig.js';
+
+const STORES = {
+  [DB_CONFIG.stores.conversations]: { keyPath: 'id', autoIncrement: true, indexes: DB_CONFIG.indexes },
+  [DB_CONFIG.stores.attachments]: { keyPath: DB_CONFIG.attachmentKeyPath, indexes: DB_CONFIG.attachmentIndexes },
+  [DB_CONFIG.stores.projects]: { keyPath: 'project_id', indexes: [] },
+  [DB_CONFIG.stores.importJournal]: { keyPath: 'entry_id', indexes: DB_CONFIG.importJournalIndexes },
+  [DB_CONFIG.stores.imports]: { keyPath: 'import_id', indexes: DB_CONFIG.importIndexes },
+};
+
+/**
+ * Create a connector over empty in-memory stores
+ * @returns {Object} - { stores, createTransaction, getObjectStore }; stores maps
+ *   each store name to { keyPath, indexes, records } with records keyed by JSON key
+ */
+export function createFakeDbConnector() {
+  const stores = Object.fromEntries(Object.entries(STORES).map(([name, store]) => [name, { ...store, records: new Map() }]));
+
+  const keyOf = (store, record) => JSON.stringify(
+    Array.isArray(store.keyPath) ? store.keyPath.map(path => record[path]) : record[store.keyPath]
+  );
+  const request = (getResult) => {
+    const req = {};
+    queueMicrotask(() => {
+      req.result = getResult();
+      req.onsuccess?.({ target: req });
+    });
+    return req;
+  };
+  const objectStore = (name) => {
+    const store = stores[name];
+    const matching = (field, value) => Array.from(store.records.entries()).filter(([, record]) => record[field] === value);
+    const write = (record) => {
+      if (store.autoIncrement && record[store.keyPath] === undefined) {
+        record[store.keyPath] = store.records.size + 1;
+      }
+      store.records.set(keyOf(store, record), record);
+      return JSON.parse(keyOf(store, record));
+    };
+    return {
+      get: (key) => request(() => store.records.get(JSON.stringify(key))),
+      getAll: () => request(() => Array.from(store.records.values())),
+      add: (record) => request(() => write(record)),
+      put: (record) => request(() => write(record)),
+      delete: (key) => request(() => store.records.delete(JSON.stringify(key))),
+      clear: () => request(() => store.records.clear()),
+      index: (indexName) => {
+        const field = store.indexes.find(index => index.name === indexName).keyPath;
+        return {
+          get: (value) => request(() => matching(field, value).map(([, record]) => record)[0]),
+          getAll: (value) => request(() => matching(field, value).map(([, record]) => record)),
+          getAllKeys: (value) => request(() => matching(field, value).map(([key]) => JSON.parse(key))),
+        };
+      },
+    };
+  };
+  const createTransaction = () => {
+    const transaction = { objectStore };
+    setTimeout(() => transaction.oncomplete?.(), 0);
+    return transaction;
+  };
+
+  return {
+    stores,
+    createTransaction,
+    getObjectStore: (name) => createTransaction().objectStore(name),
+  };
+}
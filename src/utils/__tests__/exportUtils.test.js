@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { exportAllConversations } from '../exportUtils.js';
+import { forEachConversationPage } from '../../database/index.js';
+import { GenericConverter } from '../../schemaConverter/formatConverters/genericConverter.js';
+import { validateSchema, BACKUP_SCHEMA } from '../../schemaConverter/unifiedSchema.js';
+import { FileReader } from '../../fileProcessor/fileReader.js';
+
+vi.mock('../../database/index.js', () => ({
+  forEachConversationPage: vi.fn(),
+  getConversationById: vi.fn(),
+  getAttachmentsByConversation: vi.fn(async () => []),
+  getAttachmentStats: vi.fn(async () => ({ count: 0, totalBytes: 0 })),
+  getProjects: vi.fn(async () => []),
+}));
+
+// What the generic converter stored before imports were normalized to the schema
+const genericRecord = {
+  id: 1,
+  ...new GenericConverter().convert({
+    id: 1234,
+    title: 'Notes',
+    created_at: '2024-07-01T10:00:00.000Z',
+    messages: [
+      { id: 'm1', role: '', content: 'Hello' },
+      { id: 'm2', role: 'assistant', content: [{ type: 'text', text: 'Hi' }, { type: 'text', text: 'there' }] },
+    ],
+  }),
+};
+
+describe('exportAllConversations', () => {
+  let blobs;
+
+  beforeEach(() => {
+    blobs = [];
+    URL.createObjectURL = vi.fn(blob => {
+      blobs.push(blob);
+      return 'blob:backup';
+    });
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  });
+
+  it('repairs stored records the generic converter produced, and skips what cannot be repaired', async () => {
+    const broken = { id: 2, conversation_id: 'conv-2', title: 'Broken', created_at: '2024-07-01T10:00:00.000Z', messages: 'none' };
+    vi.mocked(forEachConversationPage).mockImplementation(async (callback) => callback([genericRecord, broken]));
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await exportAllConversations();
+
+    expect(result.conversationCount).toBe(1);
+    expect(result.skippedConversations).toEqual([
+      { conversation_id: 'conv-2', title: 'Broken', reason: 'Does not match the ConvoKeep schema: conversation.messages: expected array' },
+    ]);
+
+    const backup = JSON.parse(await new FileReader().readAsText(blobs[0]));
+    expect(validateSchema(backup, BACKUP_SCHEMA)).toEqual([]);
+    expect(backup.conversation_count).toBe(1);
+    expect(backup.conversations[0].conversation_id).toBe('1234');
+    expect(backup.conversations[0].messages.map(message => [message.role, message.content])).toEqual([
+      ['unknown', 'Hello'],
+      ['assistant', 'Hi\nthere'],
+    ]);
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import { hashFile } from '../fileHashUtils.js';
+
+const MB = 1024 * 1024;
+
+describe('hashFile', () => {
+  it('hashes a small file whole', async () => {
+    const text = '[{"title":"Trip ideas"}]';
+
+    expect(await hashFile(new File([text], 'conversations.json')))
+      .toBe(createHash('sha256').update(text).digest('hex'));
+  });
+
+  it('fingerprints a large file by its size and both ends', async () => {
+    const large = (middle, extra = '') => new File(['a'.repeat(MB), middle.repeat(MB), 'z'.repeat(MB), extra], 'export.json');
+
+    const fingerprint = await hashFile(large('b'));
+    expect(fingerprint).toMatch(/^[0-9a-f]{64}$/);
+    expect(await hashFile(large('c'))).toBe(fingerprint);
+    expect(await hashFile(large('b', 'z'))).not.toBe(fingerprint);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { createHtmlArchive } from '../htmlExportUtils.js';
+import { createMarkdownRenderer } from '../markdownUtils.js';
+
+const renderer = createMarkdownRenderer();
+const renderMarkdown = (text) => renderer.render(text);
+
+const conversations = [
+  {
+    conversation_id: 'conv-1',
+    title: 'Trip <ideas>',
+    created_at: '2024-07-01T10:00:00.000Z',
+    source: 'chatgpt',
+    model: 'gpt-4o',
+    tags: ['travel'],
+    messages: [
+      { id: 'm1', role: 'user', content: 'Where should I go in Japan?' },
+      {
+        id: 'm2',
+        role: 'assistant',
+        content: 'Kyoto',
+        blocks: [
+          { type: 'text', text: 'Try <script>alert(1)</script> Kyoto', citations: [{ url: 'javascript:alert(1)', title: 'Bad link' }] },
+          { type: 'image', asset_pointer: 'file-service://file-1', width: 640, height: 480 },
+        ],
+      },
+    ],
+  },
+  {
+    conversation_id: 'conv-2',
+    title: 'Trip <ideas>',
+    created_at: '2024-07-02T10:00:00.000Z',
+    source: 'claude',
+    messages: [{ id: 'm1', role: 'user', content: 'Packing list' }],
+  },
+];
+
+describe('createHtmlArchive', () => {
+  it('builds one self-contained file with an index and every conversation', () => {
+    const files = createHtmlArchive(conversations, { renderMarkdown });
+    const html = files[0].text;
+
+    expect(files.map(file => file.name)).toEqual(['index.html']);
+    expect(html).toContain("content=\"default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'; img-src data:\"");
+    expect(html).toContain('id="archive-search"');
+    expect(html).toContain('<li data-conversation="c1"><a href="#c1">Trip &lt;ideas&gt;</a>');
+    expect(html).toContain('<article class="conversation" id="c2">');
+    expect(html).toContain('prefers-color-scheme: dark');
+    expect(html).toContain('Image (640\u00d7480)');
+    expect(html).toContain('<span class="tag">travel</span>');
+  });
+
+  it('makes no external requests and escapes message content', () => {
+    const html = createHtmlArchive(conversations, { renderMarkdown })[0].text;
+
+    expect(html).not.toMatch(/\s(src|href)="(https?:)?\/\//);
+    expect(html).not.toContain('<script>alert');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('href="javascript:');
+  });
+
+  it('splits a multi-page archive into an index and one page per conversation', () => {
+    const files = createHtmlArchive(conversations, { renderMarkdown, multiPage: true });
+
+    expect(files.map(file => file.name)).toEqual([
+      'index.html',
+      'conversations/Trip-ideas.html',
+      'conversations/Trip-ideas-2.html',
+    ]);
+    expect(files[0].text).toContain('<li data-text="Trip &lt;ideas&gt; Where should I go in Japan? Kyoto"><a href="conversations/Trip-ideas.html">');
+    expect(files[0].text).not.toContain('<article');
+    expect(files[2].text).toContain('<body class="archive-page">');
+    expect(files[2].text).toContain('<a href="../index.html">');
+    expect(files[2].text).toContain('Packing list');
+  });
+});
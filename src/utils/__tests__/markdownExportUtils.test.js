@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { conversationToMarkdown, createMarkdownFiles } from '../markdownExportUtils.js';
+
+const conversation = {
+  conversation_id: 'conv-1',
+  title: 'Regex "help": part 1',
+  created_at: '2024-07-01T10:00:00.000Z',
+  updated_at: '2024-07-01T10:05:00.000Z',
+  source: 'claude',
+  model: 'claude-3-5-sonnet',
+  tags: ['work', 'regex'],
+  starred: true,
+  messages: [
+    { id: 'm1', role: 'user', content: 'Match a fenced block', parent_id: null, sibling_index: 0, sibling_count: 1, is_active: true },
+    // Regenerated answer: only the active one is exported
+    { id: 'm2', role: 'assistant', content: 'Old answer', parent_id: 'm1', sibling_index: 0, sibling_count: 2, is_active: false },
+    {
+      id: 'm3',
+      role: 'assistant',
+      content: '',
+      parent_id: 'm1',
+      sibling_index: 1,
+      sibling_count: 2,
+      is_active: true,
+      blocks: [
+        { type: 'thinking', text: 'They want a regex.' },
+        { type: 'text', text: 'Here it is:\n\n<antArtifact identifier="re" type="application/vnd.ant.code" language="python" title="fence.py">\nFENCE = "```"\n</antArtifact>' },
+        { type: 'code', language: 'markdown', code: '````\n```js\nx\n```\n````' },
+        { type: 'tool_use', name: 'search', input: { query: 'regex' } },
+      ],
+    },
+  ],
+};
+
+describe('conversationToMarkdown', () => {
+  it('writes YAML front matter with the conversation details', () => {
+    const markdown = conversationToMarkdown(conversation);
+    const frontMatter = markdown.split('---\n')[1];
+
+    expect(markdown.startsWith('---\n')).toBe(true);
+    expect(frontMatter).toContain('title: "Regex \\"help\\": part 1"\n');
+    expect(frontMatter).toContain('source: "claude"\n');
+    expect(frontMatter).toContain('model: "claude-3-5-sonnet"\n');
+    expect(frontMatter).toContain('created: "2024-07-01T10:00:00.000Z"\n');
+    expect(frontMatter).toContain('updated: "2024-07-01T10:05:00.000Z"\n');
+    expect(frontMatter).toContain('tags: ["work","regex"]\n');
+    expect(frontMatter).toContain('conversation_id: "conv-1"\n');
+  });
+
+  it('writes the active branch under role headings', () => {
+    const markdown = conversationToMarkdown(conversation);
+
+    expect(markdown).toContain('# Regex "help": part 1\n\n## User\n\nMatch a fenced block\n\n## Assistant\n\n');
+    expect(markdown).not.toContain('Old answer');
+    expect(markdown).toContain('<details>\n<summary>Thinking</summary>\n\nThey want a regex.\n\n</details>');
+    expect(markdown).toContain('```json\n{\n  "query": "regex"\n}\n```');
+  });
+
+  it('keeps code and artifacts verbatim with fences they cannot close', () => {
+    const markdown = conversationToMarkdown(conversation);
+
+    expect(markdown).toContain('**fence.py**\n\n````python\nFENCE = "```"\n````');
+    expect(markdown).toContain('`````markdown\n````\n```js\nx\n```\n````\n`````');
+    expect(markdown).not.toContain('antArtifact');
+  });
+
+  it('uses the message content when there are no blocks', () => {
+    const markdown = conversationToMarkdown({
+      conversation_id: 'conv-2',
+      title: 'Plain',
+      source: 'chatgpt',
+      messages: [{ id: 'a', role: 'system', content: 'Be brief.' }, { id: 'b', role: 'tool', content: '' }],
+    });
+
+    expect(markdown).toContain('tags: []\n');
+    expect(markdown).not.toContain('model:');
+    expect(markdown).toContain('## System\n\nBe brief.\n');
+    expect(markdown).not.toContain('## Tool');
+  });
+});
+
+describe('createMarkdownFiles', () => {
+  it('names files after their titles and keeps the names unique', () => {
+    const files = createMarkdownFiles([
+      { conversation_id: 'a', title: 'Trip ideas / Japan?', messages: [] },
+      { conversation_id: 'b', title: 'Trip ideas / Japan?', messages: [] },
+      { conversation_id: 'c', title: '', messages: [] },
+    ]);
+
+    expect(files.map(file => file.name)).toEqual(['Trip-ideas-Japan.md', 'Trip-ideas-Japan-2.md', 'c.md']);
+    expect(files[1].text).toContain('conversation_id: "b"');
+  });
+});
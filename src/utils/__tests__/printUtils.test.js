@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { createPrintDocument } from '../printUtils.js';
+
+// Stand-in for the viewer's renderer, which escapes when markdown-it is not loaded
+const renderMarkdown = (text) => `<p>${text.replace(/</g, '&lt;')}</p>`;
+
+const conversations = [
+  {
+    conversation_id: 'conv-1',
+    title: 'Regex <help>',
+    created_at: '2024-07-01T10:00:00.000Z',
+    source: 'claude',
+    model: 'claude-3-5-sonnet',
+    tags: ['work'],
+    messages: [
+      { id: 'm1', role: 'user', content: 'Match a date' },
+      {
+        id: 'm2',
+        role: 'assistant',
+        content: '',
+        blocks: [
+          { type: 'thinking', text: 'ISO dates' },
+          { type: 'tool_use', name: 'search', input: { query: 'regex' } },
+          { type: 'execution_output', output: 'ok' },
+        ],
+      },
+    ],
+  },
+  {
+    conversation_id: 'conv-2',
+    title: 'Packing list',
+    created_at: '2024-07-02T10:00:00.000Z',
+    source: 'chatgpt',
+    messages: [{ id: 'm1', role: 'user', content: 'What to pack?' }],
+  },
+];
+
+describe('createPrintDocument', () => {
+  it('starts with a title page listing the conversations', () => {
+    const html = createPrintDocument(conversations, { renderMarkdown });
+
+    expect(html).toContain('<title>ConvoKeep - 2 conversations</title>');
+    expect(html).toContain('<section class="title-page">\n<h1>ConvoKeep</h1>\n<p>2 conversations \u00b7 printed ');
+    expect(html).toContain('<li>Regex &lt;help&gt; <span>claude \u00b7 claude-3-5-sonnet \u00b7 ');
+    expect(html).toContain('.title-page { padding-top: 30vh; text-align: center; break-after: page; }');
+  });
+
+  it('puts each conversation on new pages under a repeating header', () => {
+    const html = createPrintDocument(conversations, { renderMarkdown });
+
+    expect(html.match(/<table class="conversation">/g)).toHaveLength(2);
+    expect(html).toContain('.conversation { width: 100%; border-collapse: collapse; break-before: page; }');
+    expect(html).toContain('.conversation > thead { display: table-header-group; }');
+    expect(html).toContain('<thead><tr><td><div class="page-header"><span>Packing list</span>');
+  });
+
+  it('shows code and collapsed sections in full', () => {
+    const html = createPrintDocument(conversations, { renderMarkdown });
+
+    expect(html).toContain('<details open><summary class="message-block-label">Thinking</summary>');
+    expect(html).toContain('<details open><summary class="message-block-label">Tool call \u00b7 search</summary>');
+    expect(html).not.toMatch(/<details>/);
+    expect(html).toContain('pre { white-space: pre-wrap; overflow: visible;');
+    expect(html).toContain('<span class="tag">work</span>');
+  });
+
+  it('uses the conversation title when printing one conversation', () => {
+    const html = createPrintDocument([conversations[1]], { renderMarkdown });
+
+    expect(html).toContain('<title>Packing list</title>');
+    expect(html).toContain('<h1>Packing list</h1>\n<p>1 conversation \u00b7 printed ');
+  });
+});
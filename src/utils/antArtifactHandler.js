@@ -5,6 +5,8 @@
  * and converts them to markdown code blocks for the markdown parser.
  */
 
+import { fencedCodeBlock } from './markdownUtils.js';
+
 /**
  * Parse content for Ant Artifacts and convert to markdown code blocks
  * @param {string} content - The content to parse
@@ -38,6 +40,60 @@ export function parseAntArtifacts(content) {
   });
 }
 
+/**
+ * Convert Ant Artifacts to markdown code blocks for a Markdown file
+ * Unlike parseAntArtifacts, which prepares content for rendering in the
+ * viewer, the artifact is kept verbatim: the fence is made longer than any
+ * backtick run inside it instead of the content being altered.
+ * @param {string} content - The content to convert
+ * @returns {string} - The content with each artifact as a titled code block
+ */
+export function antArtifactsToMarkdown(content) {
+  if (!content || typeof content !== 'string') {
+    return content;
+  }
+
+  const artifactRegex = /<antArtifact\s+([^>]*)>([\s\S]*?)<\/antArtifact>/g;
+
+  return content.replace(artifactRegex, (match, attributesStr, artifactContent) => {
+    const attributes = {};
+    const attrRegex = /([\w-]+)=(["'])(.*?)\2/g;
+    let attrMatch;
+    while ((attrMatch = attrRegex.exec(attributesStr)) !== null) {
+      attributes[attrMatch[1]] = attrMatch[3];
+    }
+
+    const language = /^[a-zA-Z0-9+#.-]+$/.test(attributes.language || '')
+      ? attributes.language
+      : languageForType(attributes.type);
+    const titleLine = attributes.title ? `**${attributes.title}**\n\n` : '';
+
+    return titleLine + fencedCodeBlock(artifactContent.replace(/^\n+|\n+$/g, ''), language);
+  });
+}
+
+/**
+ * Get the code block language for an artifact type
+ * @param {string} type - Artifact MIME type, e.g. 'application/vnd.ant.react'
+ * @returns {string} - Language name for the code fence
+ */
+function languageForType(type) {
+  switch (type) {
+    case 'text/markdown':
+      return 'markdown';
+    case 'text/html':
+      return 'html';
+    case 'image/svg+xml':
+      return 'xml';
+    case 'application/vnd.ant.mermaid':
+      return 'mermaid';
+    case 'application/vnd.ant.react':
+      return 'jsx';
+    default:
+      return 'plaintext';
+  }
+}
+
 /**
  * Add context information from surrounding paragraphs to artifacts
  * @param {string} content - The original content
@@ -157,28 +213,7 @@ function convertToMarkdownCodeBlock(attributes, content) {
 
   // If no language specified, determine from type
   if (!codeLanguage) {
-    switch (type) {
-      case 'application/vnd.ant.code':
-        codeLanguage = 'plaintext';
-        break;
-      case 'text/markdown':
-        codeLanguage = 'markdown';
-        break;
-      case 'text/html':
-        codeLanguage = 'html';
-        break;
-      case 'image/svg+xml':
-        codeLanguage = 'xml';
-        break;
-      case 'application/vnd.ant.mermaid':
-        codeLanguage = 'mermaid';
-        break;
-      case 'application/vnd.ant.react':
-        codeLanguage = 'jsx';
-        break;
-      default:
-        codeLanguage = 'plaintext';
-    }
+    codeLanguage = languageForType(type);
   }
 
   // Add filename as first line inside code block if available
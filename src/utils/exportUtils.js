@@ -2,70 +2,114 @@
  * Export Utilities Module
  *
  * Handles exporting ConvoKeep data in native unified schema format.
- * Exported data can be re-imported without transformation.
+ * Exported data can be re-imported without transformation; a full backup
+ * (exportAllConversations) restores the archive as it was.
  */
 
-import { getConversations } from '../database/index.js';
+import {
+  forEachConversationPage,
+  getConversationById,
+  getAttachmentsByConversation,
+  getAttachmentStats,
+  getProjects
+} from '../database/index.js';
+import {
+  SCHEMA_VERSION,
+  BACKUP_SCHEMA,
+  validateSchema,
+  validateConversation,
+  normalizeConversation
+} from '../schemaConverter/unifiedSchema.js';
+import { FileReader } from '../fileProcessor/fileReader.js';
+
+// Format version every export writes; its major number is the schema version
+export const BACKUP_VERSION = `${SCHEMA_VERSION}.0`;
 
 /**
- * Export all conversations to a JSON file
+ * Export a full backup of the archive to a JSON file: every conversation with
+ * its messages, metadata and organisation fields (tags, starred, archived),
+ * its attachments (base64 encoded) and all projects. The file restores
+ * through the upload flow.
+ * Conversations are read and serialized a page at a time; the file is built
+ * from those pieces rather than one string of the whole archive. Stored
+ * records that do not fit the schema are repaired where they can be; the
+ * rest are left out and listed in the result rather than failing the backup.
+ * @returns {Promise<Object>} Export statistics, with skippedConversations
+ *   listing { conversation_id, title, reason } for each conversation left out
  * @param {Object} options - Export options
  * @param {boolean} options.pretty - Whether to pretty-print JSON (default: true)
+ * @param {Function} options.onProgress - Called with the number of conversations written so far
  * @returns {Promise<Object>} Export statistics
  */
 export async function exportAllConversations(options = {}) {
-  const { pretty = true } = options;
+  const { pretty = true, onProgress } = options;
 
   try {
-    // Get all conversations from database
-    const conversations = await getConversations({
-      limit: -1,  // Get all conversations
-      sortBy: 'created_at',
-      order: 'asc'
+    const projects = await getProjects();
+    assertValid(validateSchema(projects, BACKUP_SCHEMA.properties.projects, { path: 'projects' }), 'The projects');
+
+    const parts = [];
+    let conversationCount = 0;
+    let attachmentCount = 0;
+    const skippedConversations = [];
+
+    parts.push(
+      '{\n' +
+      backupField('version', BACKUP_VERSION, pretty) + ',\n' +
+      backupField('source', 'convokeep', pretty) + ',\n' +
+      backupField('exported_at', new Date().toISOString(), pretty) + ',\n' +
+      backupField('schema_version', SCHEMA_VERSION, pretty) + ',\n' +
+      backupField('projects', projects, pretty) + ',\n' +
+      '  "conversations": ['
+    );
+
+    await forEachConversationPage(async (page) => {
+      const records = [];
+      for (const conversation of page) {
+        const attachments = await getAttachmentsByConversation(conversation.conversation_id);
+        const record = checkBackupRecord(await createBackupRecord(conversation, attachments), skippedConversations);
+        if (record) {
+          records.push(record);
+          attachmentCount += attachments.length;
+        }
+      }
+
+      // Each page becomes its own blob, so the serialized text can be released
+      const text = records
+        .map((record, index) => (conversationCount + index === 0 ? '\n    ' : ',\n    ') + serialize(record, pretty, 4))
+        .join('');
+      parts.push(new Blob([text]));
+
+      conversationCount += records.length;
+      if (onProgress) {
+        onProgress(conversationCount + skippedConversations.length);
+      }
     });
 
-    if (!conversations || conversations.length === 0) {
-      throw new Error('No conversations to export');
+    if (conversationCount === 0) {
+      throw new Error(skippedConversations.length > 0
+        ? `None of the ${skippedConversations.length} conversations could be exported: ${skippedConversations[0].reason}`
+        : 'No conversations to export');
     }
 
-    // Create export envelope with metadata
-    const exportData = {
-      version: '1.0',
-      source: 'convokeep',
-      exported_at: new Date().toISOString(),
-      conversation_count: conversations.length,
-      schema_version: 2,  // Matches DB_CONFIG.version
-      conversations: conversations
-    };
-
-    // Convert to JSON
-    const jsonString = pretty
-      ? JSON.stringify(exportData, null, 2)
-      : JSON.stringify(exportData);
+    parts.push(
+      '\n  ],\n' +
+      backupField('conversation_count', conversationCount, pretty) + ',\n' +
+      backupField('attachment_count', attachmentCount, pretty) + '\n}\n'
+    );
 
     // Create blob and download
-    const blob = new Blob([jsonString], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-
-    // Generate filename with timestamp
+    const blob = new Blob(parts, { type: 'application/json' });
     const timestamp = new Date().toISOString().split('T')[0];
     const filename = `convokeep-backup-${timestamp}.json`;
-
-    // Create temporary link and trigger download
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.style.display = 'none';
-    document.body.appendChild(a);
-    a.click();
-
-    // Cleanup
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadBlob(blob, filename);
 
     return {
       success: true,
-      conversationCount: conversations.length,
+      conversationCount: conversationCount,
+      attachmentCount: attachmentCount,
+      projectCount: projects.length,
+      skippedConversations: skippedConversations,
       filename: filename,
       sizeBytes: blob.size
     };
@@ -75,6 +119,153 @@ export async function exportAllConversations(options = {}) {
   }
 }
 
+/**
+ * Turn a stored conversation into its backup record
+ * @param {Object} conversation - Stored conversation
+ * @param {Array} attachments - Its stored attachments (with blobs)
+ * @returns {Promise<Object>} The conversation without its database key, with
+ *   attachments whose blobs are replaced by base64 data
+ */
+export async function createBackupRecord(conversation, attachments = []) {
+  // The database key is local; restores are matched by conversation_id
+  const { id, ...record } = conversation;
+
+  if (attachments.length > 0) {
+    record.attachments = [];
+    for (const attachment of attachments) {
+      const { blob, stored_at, ...fields } = attachment;
+      record.attachments.push({ ...fields, data: blob ? await blobToBase64(blob) : null });
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Repair a backup record to the schema, or leave it out if it still does not fit
+ * @param {Object} record - Backup record from createBackupRecord
+ * @param {Array} skipped - Collects { conversation_id, title, reason } for records left out
+ * @returns {Object|null} - The record to write, or null if it was left out
+ */
+function checkBackupRecord(record, skipped) {
+  const repaired = normalizeConversation(record);
+  const errors = validateConversation(repaired);
+  if (errors.length === 0) {
+    return repaired;
+  }
+
+  console.warn(`Left conversation ${record.conversation_id} out of the export:`, errors);
+  skipped.push({
+    conversation_id: record.conversation_id ?? null,
+    title: record.title ?? null,
+    reason: `Does not match the ConvoKeep schema: ${errors.join(', ')}`
+  });
+  return null;
+}
+
+/**
+ * Turn stored conversations into backup records, leaving out those that do not fit the schema
+ * @param {Array} conversations - Stored conversations
+ * @param {Array} skipped - Collects the conversations left out
+ * @returns {Promise<Array>} Backup records
+ */
+async function createBackupRecords(conversations, skipped) {
+  const records = [];
+  for (const conversation of conversations) {
+    const record = checkBackupRecord(await createBackupRecord(conversation), skipped);
+    if (record) {
+      records.push(record);
+    }
+  }
+
+  if (records.length === 0) {
+    throw new Error(`None of the ${skipped.length} conversations could be exported: ${skipped[0].reason}`);
+  }
+  return records;
+}
+
+/**
+ * Stop an export that would write something the schema rejects, since it could not be restored
+ * @param {string[]} errors - Schema errors
+ * @param {string} subject - What was checked, e.g. 'Conversation "Trip ideas" (conv-1)'
+ */
+function assertValid(errors, subject) {
+  if (errors.length > 0) {
+    throw new Error(`${subject} does not match the ConvoKeep schema: ${errors.join(', ')}`);
+  }
+}
+
+/**
+ * Serialize a value, indenting it for its place in the backup when pretty-printing
+ * @param {*} value - Value to serialize
+ * @param {boolean} pretty - Whether to pretty-print
+ * @param {number} indent - Indentation of the value's first line
+ * @returns {string} - JSON text
+ */
+function serialize(value, pretty, indent) {
+  return pretty
+    ? JSON.stringify(value, null, 2).replace(/\n/g, `\n${' '.repeat(indent)}`)
+    : JSON.stringify(value);
+}
+
+/**
+ * Serialize a top-level field of the backup envelope
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @param {boolean} pretty - Whether to pretty-print
+ * @returns {string} - e.g. '  "version": "2.0"'
+ */
+function backupField(key, value, pretty) {
+  return `  ${JSON.stringify(key)}: ${serialize(value, pretty, 2)}`;
+}
+
+/**
+ * Encode a blob as base64
+ * @param {Blob} blob - Attachment data
+ * @returns {Promise<string>} - Base64 text
+ */
+async function blobToBase64(blob) {
+  const dataUrl = await new FileReader().readAsDataURL(blob);
+  return dataUrl.slice(dataUrl.indexOf(',') + 1);
+}
+
+/**
+ * Read full conversations by ID, skipping any that no longer exist
+ * @param {string[]} conversationIds - Conversation IDs
+ * @returns {Promise<Array>} Conversations
+ */
+export async function loadConversations(conversationIds) {
+  const conversations = [];
+  for (const id of conversationIds) {
+    const conversation = await getConversationById(id);
+    if (conversation) {
+      conversations.push(conversation);
+    }
+  }
+  return conversations;
+}
+
+/**
+ * Download a blob through a temporary link
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+
+  // Create temporary link and trigger download
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+
+  // Cleanup
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Export a specific conversation to a JSON file
  * @param {string} conversationId - The conversation ID to export
@@ -95,13 +286,14 @@ export async function exportConversation(conversationId, options = {}) {
 
     // Create export envelope
     const exportData = {
-      version: '1.0',
+      version: BACKUP_VERSION,
       source: 'convokeep',
       exported_at: new Date().toISOString(),
       conversation_count: 1,
-      schema_version: 2,
-      conversations: [conversation]
+      schema_version: SCHEMA_VERSION,
+      conversations: await createBackupRecords([conversation], [])
     };
+    assertValid(validateSchema(exportData, BACKUP_SCHEMA), 'The export');
 
     // Convert to JSON
     const jsonString = pretty
@@ -148,14 +340,20 @@ export async function exportConversation(conversationId, options = {}) {
  */
 export async function getExportStats() {
   try {
-    const conversations = await getConversations({ limit: -1 });
+    let conversationCount = 0;
+    let sizeBytes = 0;
 
-    // Calculate approximate size
-    const dataStr = JSON.stringify({ conversations });
-    const sizeBytes = new Blob([dataStr]).size;
+    // Approximate size: the conversations as JSON plus the attachments, which grow by a third as base64
+    await forEachConversationPage((page) => {
+      conversationCount += page.length;
+      sizeBytes += new Blob([JSON.stringify(page)]).size;
+    });
+    const attachments = await getAttachmentStats();
+    sizeBytes += Math.ceil(attachments.totalBytes * 4 / 3);
 
     return {
-      conversationCount: conversations.length,
+      conversationCount: conversationCount,
+      attachmentCount: attachments.count,
       estimatedSizeBytes: sizeBytes,
       estimatedSizeMB: (sizeBytes / (1024 * 1024)).toFixed(2)
     };
@@ -163,6 +361,7 @@ export async function getExportStats() {
     console.error('Error getting export stats:', error);
     return {
       conversationCount: 0,
+      attachmentCount: 0,
       estimatedSizeBytes: 0,
       estimatedSizeMB: '0.00'
     };
@@ -198,19 +397,24 @@ export async function exportSelected(conversationIds, options = {}) {
       throw new Error('No conversations found for export');
     }
 
+    // Conversations that do not fit the schema are left out and listed in the result
+    const skippedConversations = [];
+    const records = await createBackupRecords(conversations, skippedConversations);
+
     // Create export envelope with selection metadata
     const exportData = {
-      version: '1.0',
+      version: BACKUP_VERSION,
       source: 'convokeep',
       exported_at: new Date().toISOString(),
-      conversation_count: conversations.length,
-      schema_version: 3,
+      conversation_count: records.length,
+      schema_version: SCHEMA_VERSION,
       export_context: {
         type: 'selected',
         selection_ids: conversationIds
       },
-      conversations: conversations
+      conversations: records
     };
+    assertValid(validateSchema(exportData, BACKUP_SCHEMA), 'The export');
 
     // Convert to JSON
     const jsonString = pretty
@@ -223,7 +427,7 @@ export async function exportSelected(conversationIds, options = {}) {
 
     // Generate filename
     const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `convokeep-selected-${conversations.length}-${timestamp}.json`;
+    const filename = `convokeep-selected-${records.length}-${timestamp}.json`;
 
     // Create temporary link and trigger download
     const a = document.createElement('a');
@@ -239,7 +443,8 @@ export async function exportSelected(conversationIds, options = {}) {
 
     return {
       success: true,
-      conversationCount: conversations.length,
+      conversationCount: records.length,
+      skippedConversations: skippedConversations,
       filename: filename,
       sizeBytes: blob.size
     };
@@ -282,19 +487,24 @@ export async function exportByTag(tag, options = {}) {
       }
     }
 
+    // Conversations that do not fit the schema are left out and listed in the result
+    const skippedConversations = [];
+    const records = await createBackupRecords(conversations, skippedConversations);
+
     // Create export envelope with tag metadata
     const exportData = {
-      version: '1.0',
+      version: BACKUP_VERSION,
       source: 'convokeep',
       exported_at: new Date().toISOString(),
-      conversation_count: conversations.length,
-      schema_version: 3,
+      conversation_count: records.length,
+      schema_version: SCHEMA_VERSION,
       export_context: {
         type: 'tag',
         tag: tag
       },
-      conversations: conversations
+      conversations: records
     };
+    assertValid(validateSchema(exportData, BACKUP_SCHEMA), 'The export');
 
     // Convert to JSON
     const jsonString = pretty
@@ -324,7 +534,8 @@ export async function exportByTag(tag, options = {}) {
 
     return {
       success: true,
-      conversationCount: conversations.length,
+      conversationCount: records.length,
+      skippedConversations: skippedConversations,
       filename: filename,
       sizeBytes: blob.size
     };
@@ -343,37 +554,33 @@ export async function exportStarred(options = {}) {
   const { pretty = true } = options;
 
   try {
-    // Get all conversations and filter for starred ones
-    const allConversations = await getConversations({ limit: -1 });
-    const conversations = allConversations.filter(conv => conv.starred);
+    // Read the full conversations and keep the starred ones
+    const fullConversations = [];
+    await forEachConversationPage((page) => {
+      fullConversations.push(...page.filter(conv => conv.starred));
+    });
 
-    if (conversations.length === 0) {
+    if (fullConversations.length === 0) {
       throw new Error('No starred conversations found');
     }
 
-    // Fetch full conversation data
-    const { getConversationById } = await import('../database/index.js');
-    const fullConversations = [];
-
-    for (const item of conversations) {
-      const conv = await getConversationById(item.conversation_id);
-      if (conv) {
-        fullConversations.push(conv);
-      }
-    }
+    // Conversations that do not fit the schema are left out and listed in the result
+    const skippedConversations = [];
+    const records = await createBackupRecords(fullConversations, skippedConversations);
 
     // Create export envelope with starred metadata
     const exportData = {
-      version: '1.0',
+      version: BACKUP_VERSION,
       source: 'convokeep',
       exported_at: new Date().toISOString(),
-      conversation_count: fullConversations.length,
-      schema_version: 3,
+      conversation_count: records.length,
+      schema_version: SCHEMA_VERSION,
       export_context: {
         type: 'starred'
       },
-      conversations: fullConversations
+      conversations: records
     };
+    assertValid(validateSchema(exportData, BACKUP_SCHEMA), 'The export');
 
     // Convert to JSON
     const jsonString = pretty
@@ -386,7 +593,7 @@ export async function exportStarred(options = {}) {
 
     // Generate filename
     const timestamp = new Date().toISOString().split('T')[0];
-    const filename = `convokeep-starred-${fullConversations.length}-${timestamp}.json`;
+    const filename = `convokeep-starred-${records.length}-${timestamp}.json`;
 
     // Create temporary link and trigger download
     const a = document.createElement('a');
@@ -402,7 +609,8 @@ export async function exportStarred(options = {}) {
 
     return {
       success: true,
-      conversationCount: fullConversations.length,
+      conversationCount: records.length,
+      skippedConversations: skippedConversations,
       filename: filename,
       sizeBytes: blob.size
     };
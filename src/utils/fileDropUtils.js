@@ -0,0 +1,83 @@
+/**
+ * File Drop Utilities
+ *
+ * Functions for turning dropped or picked files and folders into a flat
+ * list of files, keeping each file's path inside any folder it came from.
+ */
+
+/**
+ * Read every entry of a dropped folder (readEntries returns them in pages)
+ * @param {FileSystemDirectoryEntry} directory - The folder entry
+ * @returns {Promise<Array>} - Child entries
+ */
+function readDirectory(directory) {
+  const reader = directory.createReader();
+  const entries = [];
+
+  return new Promise((resolve, reject) => {
+    const readPage = () => {
+      reader.readEntries(page => {
+        if (page.length === 0) {
+          resolve(entries);
+          return;
+        }
+        entries.push(...page);
+        readPage();
+      }, reject);
+    };
+    readPage();
+  });
+}
+
+/**
+ * Collect the files under a dropped entry, descending into folders
+ * @param {FileSystemEntry} entry - A dropped file or folder
+ * @returns {Promise<Array>} - Array of { file, path }
+ */
+async function collectEntry(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+  }
+
+  if (entry.isDirectory) {
+    const children = await readDirectory(entry);
+    const nested = await Promise.all(children.map(collectEntry));
+    return nested.flat();
+  }
+
+  return [];
+}
+
+/**
+ * Collect the files from a drop, including the contents of dropped folders
+ * @param {DataTransfer} dataTransfer - The drop event's data
+ * @returns {Promise<Array>} - Array of { file, path }; path contains '/' for files found inside folders
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+
+  // Entries must be taken synchronously, before the drop data is released
+  const entries = items
+    .filter(item => item.kind === 'file')
+    .map(item => (typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null));
+
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return collectPickedFiles(dataTransfer.files);
+  }
+
+  const collected = await Promise.all(entries.map(collectEntry));
+  return collected.flat();
+}
+
+/**
+ * Collect files chosen with a file or folder picker
+ * @param {FileList|Array} files - The chosen files
+ * @returns {Array} - Array of { file, path }
+ */
+export function collectPickedFiles(files) {
+  return Array.from(files || []).map(file => ({
+    file,
+    path: file.webkitRelativePath || file.name
+  }));
+}
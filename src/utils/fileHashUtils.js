@@ -0,0 +1,43 @@
+/**
+ * File Hash Utilities
+ *
+ * Functions for fingerprinting uploaded files by their contents, so an
+ * import of a file that was imported before can be recognised whatever
+ * it is called.
+ */
+
+import { FileReader } from '../fileProcessor/fileReader.js';
+
+// Bytes read from each end of a large file; the middle is not read at all
+const SLICE_BYTES = 1024 * 1024;
+
+/**
+ * Fingerprint a file's contents with SHA-256. Files up to two slices long are
+ * hashed whole; larger ones by their size and first and last slice, so a
+ * multi-gigabyte export is never read into memory just to fingerprint it
+ * @param {Blob} file - The file
+ * @returns {Promise<string|null>} - Lower-case hex digest, or null where Web Crypto is unavailable
+ */
+export async function hashFile(file) {
+  if (!globalThis.crypto?.subtle) {
+    return null;
+  }
+
+  const reader = new FileReader();
+  let bytes;
+  if (file.size <= SLICE_BYTES * 2) {
+    bytes = new Uint8Array(await reader.readAsArrayBuffer(file));
+  } else {
+    const head = new Uint8Array(await reader.readAsArrayBuffer(file.slice(0, SLICE_BYTES)));
+    const tail = new Uint8Array(await reader.readAsArrayBuffer(file.slice(file.size - SLICE_BYTES)));
+    const size = new TextEncoder().encode(`${file.size}:`);
+
+    bytes = new Uint8Array(size.length + head.length + tail.length);
+    bytes.set(size, 0);
+    bytes.set(head, size.length);
+    bytes.set(tail, size.length + head.length);
+  }
+
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,419 @@
+/**
+ * HTML Archive Export Module
+ *
+ * Exports conversations as a static, offline HTML archive that opens in any
+ * browser: an index with search over titles and message text, and one page
+ * per conversation rendered with the viewer's markdown renderer. Styles and
+ * the search script are inlined and a Content Security Policy blocks every
+ * external request. Small selections become a single file; larger ones a ZIP
+ * with index.html and one page per conversation.
+ */
+
+import JSZip from 'jszip';
+import { downloadBlob, loadConversations } from './exportUtils.js';
+import { createFileNames, formatJson } from './markdownExportUtils.js';
+import { createMarkdownRenderer, escapeHtml, fencedCodeBlock, stripMarkdown } from './markdownUtils.js';
+import { formatters } from './formatUtils.js';
+import { getVisiblePath } from './messageTreeUtils.js';
+
+// Selections larger than this are exported as a ZIP of pages rather than one file
+export const MULTI_PAGE_THRESHOLD = 25;
+
+// Inline styles and scripts only; nothing is loaded from anywhere else
+const CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'; img-src data:";
+
+const ARCHIVE_STYLES = `
+:root { color-scheme: light; --bg: #f9fafb; --surface: #ffffff; --text: #111827; --muted: #6b7280; --border: #e5e7eb; --accent: #2563eb; --user: #eff6ff; --code: #f3f4f6; --error: #b91c1c; }
+:root[data-theme="dark"] { color-scheme: dark; --bg: #030712; --surface: #111827; --text: #f3f4f6; --muted: #9ca3af; --border: #374151; --accent: #60a5fa; --user: #1e3a5f; --code: #1f2937; --error: #fca5a5; }
+@media (prefers-color-scheme: dark) {
+  :root:not([data-theme="light"]) { color-scheme: dark; --bg: #030712; --surface: #111827; --text: #f3f4f6; --muted: #9ca3af; --border: #374151; --accent: #60a5fa; --user: #1e3a5f; --code: #1f2937; --error: #fca5a5; }
+}
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--bg); color: var(--text); font: 16px/1.6 system-ui, -apple-system, "Segoe UI", sans-serif; }
+a { color: var(--accent); }
+.archive-header { display: flex; align-items: center; justify-content: space-between; gap: 1rem; padding: 1rem 1.5rem; background: var(--surface); border-bottom: 1px solid var(--border); }
+.archive-header h1 { margin: 0; font-size: 1.25rem; }
+.archive-header p { margin: 0; color: var(--muted); font-size: 0.875rem; }
+.archive-theme { padding: 0.375rem 0.75rem; border: 1px solid var(--border); border-radius: 0.5rem; background: var(--bg); color: var(--text); cursor: pointer; }
+main { max-width: 56rem; margin: 0 auto; padding: 1.5rem; }
+.archive-search { width: 100%; padding: 0.5rem 0.75rem; margin-bottom: 1rem; border: 1px solid var(--border); border-radius: 0.5rem; background: var(--surface); color: var(--text); font: inherit; }
+.archive-list { list-style: none; margin: 0; padding: 0; }
+.archive-list li { padding: 0.75rem 1rem; margin-bottom: 0.5rem; background: var(--surface); border: 1px solid var(--border); border-radius: 0.5rem; }
+.archive-list li[hidden] { display: none; }
+.archive-list a { font-weight: 600; text-decoration: none; }
+.archive-meta, .conversation-meta { color: var(--muted); font-size: 0.875rem; }
+.conversation { display: none; }
+.conversation:target, .archive-page .conversation { display: block; }
+body:has(.conversation:target) .archive-index { display: none; }
+.conversation-title { margin: 0.5rem 0 0.25rem; }
+.tag { display: inline-block; padding: 0 0.5rem; margin-right: 0.25rem; border-radius: 9999px; background: var(--code); font-size: 0.75rem; }
+.message { margin: 1rem 0; padding: 1rem; background: var(--surface); border: 1px solid var(--border); border-radius: 0.75rem; }
+.message-user { background: var(--user); }
+.message-role { margin-bottom: 0.25rem; font-weight: 600; font-size: 0.875rem; }
+.message-timestamp { margin-left: 0.5rem; color: var(--muted); font-weight: 400; }
+.message-content { overflow-wrap: anywhere; }
+.message-content pre { overflow-x: auto; padding: 0.75rem; border-radius: 0.5rem; background: var(--code); }
+.message-content code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.875em; }
+.message-content blockquote { margin: 0.5rem 0; padding-left: 0.75rem; border-left: 4px solid var(--border); }
+.message-block-label, .message-block-placeholder { color: var(--muted); font-size: 0.75rem; font-weight: 500; }
+.message-block-error { color: var(--error); }
+details summary { cursor: pointer; }
+`;
+
+// Search the index and switch themes; conversation pages only use the theme switch
+const ARCHIVE_SCRIPT = `
+(function () {
+  var root = document.documentElement;
+  var toggle = document.getElementById('archive-theme');
+  if (toggle) {
+    toggle.addEventListener('click', function () {
+      var theme = root.getAttribute('data-theme');
+      var dark = theme ? theme === 'dark' : window.matchMedia('(prefers-color-scheme: dark)').matches;
+      root.setAttribute('data-theme', dark ? 'light' : 'dark');
+    });
+  }
+
+  var input = document.getElementById('archive-search');
+  if (!input) return;
+  var items = Array.prototype.slice.call(document.querySelectorAll('.archive-list li'));
+  var empty = document.getElementById('archive-empty');
+  var texts = items.map(function (item) {
+    var conversation = document.getElementById(item.getAttribute('data-conversation') || '');
+    return (item.getAttribute('data-text') || (conversation ? conversation.textContent : item.textContent)).toLowerCase();
+  });
+
+  input.addEventListener('input', function () {
+    var terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    var shown = 0;
+    items.forEach(function (item, index) {
+      var match = terms.every(function (term) { return texts[index].indexOf(term) !== -1; });
+      item.hidden = !match;
+      if (match) shown++;
+    });
+    empty.hidden = shown > 0;
+  });
+})();
+`;
+
+/**
+ * Build the files of an HTML archive
+ * @param {Array} conversations - Unified conversations
+ * @param {Object} options - Archive options
+ * @param {Function} options.renderMarkdown - Renders markdown to safe HTML (the viewer's renderer)
+ * @param {boolean} options.multiPage - One page per conversation instead of a single file
+ * @param {Date} options.exportedAt - Export time shown in the header
+ * @returns {Array} - Array of { name, text }: index.html, plus conversations/*.html when multi-page
+ */
+export function createHtmlArchive(conversations, { renderMarkdown, multiPage = false, exportedAt = new Date() }) {
+  const subtitle = `${conversations.length} conversation${conversations.length === 1 ? '' : 's'} \u00b7 exported ${formatters.fullDate(exportedAt.toISOString())}`;
+
+  if (!multiPage) {
+    const articles = conversations.map((conversation, index) =>
+      conversationToHtml(conversation, renderMarkdown, { id: `c${index + 1}`, indexHref: '#index' }));
+    const items = conversations.map((conversation, index) =>
+      indexItem(conversation, `#c${index + 1}`, { 'data-conversation': `c${index + 1}` }));
+
+    return [{
+      name: 'index.html',
+      text: htmlDocument('ConvoKeep archive', subtitle, `${indexSection(items)}\n${articles.join('\n')}`)
+    }];
+  }
+
+  const pageNames = createFileNames(conversations, 'html');
+  const pages = conversations.map((conversation, index) => ({
+    name: `conversations/${pageNames[index]}`,
+    text: htmlDocument(
+      conversation.title || 'Untitled',
+      subtitle,
+      conversationToHtml(conversation, renderMarkdown, { id: 'conversation', indexHref: '../index.html' }),
+      'archive-page'
+    )
+  }));
+  const items = conversations.map((conversation, index) =>
+    indexItem(conversation, encodeURI(pages[index].name), { 'data-text': searchText(conversation) }));
+
+  return [
+    { name: 'index.html', text: htmlDocument('ConvoKeep archive', subtitle, indexSection(items)) },
+    ...pages
+  ];
+}
+
+/**
+ * Export selected conversations as an offline HTML archive
+ * @param {string[]} conversationIds - Array of conversation IDs
+ * @returns {Promise<Object>} Export statistics
+ */
+export async function exportSelectedHtml(conversationIds) {
+  try {
+    if (!conversationIds || conversationIds.length === 0) {
+      throw new Error('No conversations selected for export');
+    }
+
+    const conversations = await loadConversations(conversationIds);
+    if (conversations.length === 0) {
+      throw new Error('No conversations found for export');
+    }
+
+    const renderer = await createMarkdownRenderer();
+    const multiPage = conversations.length > MULTI_PAGE_THRESHOLD;
+    const files = createHtmlArchive(conversations, {
+      renderMarkdown: (text) => renderer.render(text),
+      multiPage
+    });
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    let blob;
+    let filename;
+
+    if (multiPage) {
+      const zip = new JSZip();
+      files.forEach(file => zip.file(file.name, file.text));
+      blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+      filename = `convokeep-archive-${conversations.length}-${timestamp}.zip`;
+    } else {
+      blob = new Blob([files[0].text], { type: 'text/html' });
+      filename = `convokeep-archive-${conversations.length}-${timestamp}.html`;
+    }
+
+    downloadBlob(blob, filename);
+
+    return {
+      success: true,
+      conversationCount: conversations.length,
+      filename: filename,
+      sizeBytes: blob.size
+    };
+  } catch (error) {
+    console.error('Error exporting HTML archive:', error);
+    throw error;
+  }
+}
+
+/**
+ * Wrap content in a complete, self-contained HTML document
+ * @param {string} title - Page title
+ * @param {string} subtitle - Line under the archive name
+ * @param {string} body - Page content
+ * @param {string} bodyClass - Class for the body element
+ * @returns {string} - HTML document
+ */
+function htmlDocument(title, subtitle, body, bodyClass = 'archive') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}">
+<meta name="generator" content="ConvoKeep">
+<title>${escapeHtml(title)}</title>
+<style>${ARCHIVE_STYLES}</style>
+</head>
+<body class="${bodyClass}">
+<header class="archive-header">
+<div><h1>ConvoKeep archive</h1><p>${escapeHtml(subtitle)}</p></div>
+<button type="button" id="archive-theme" class="archive-theme" aria-label="Switch between light and dark mode">Light / dark</button>
+</header>
+<main>
+${body}
+</main>
+<script>${ARCHIVE_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the searchable list of conversations
+ * @param {string[]} items - List items from indexItem
+ * @returns {string} - Index section
+ */
+function indexSection(items) {
+  return `<section id="index" class="archive-index">
+<input type="search" id="archive-search" class="archive-search" placeholder="Search titles and messages" aria-label="Search conversations">
+<ol class="archive-list">
+${items.join('\n')}
+</ol>
+<p id="archive-empty" class="archive-meta" hidden>No matching conversations</p>
+</section>`;
+}
+
+/**
+ * Render one entry of the index
+ * @param {Object} conversation - Unified conversation
+ * @param {string} href - Link to the conversation
+ * @param {Object} attributes - Extra attributes for the list item (what search reads)
+ * @returns {string} - List item
+ */
+function indexItem(conversation, href, attributes) {
+  const attributeText = Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+    .join('');
+
+  return `<li${attributeText}><a href="${href}">${escapeHtml(conversation.title || 'Untitled')}</a>
+<div class="archive-meta">${escapeHtml(metaLine(conversation))}</div></li>`;
+}
+
+/**
+ * Render a conversation: header, then the messages on its active branch
+ * @param {Object} conversation - Unified conversation
+ * @param {Function} renderMarkdown - Markdown renderer
+ * @param {Object} options - { id, indexHref } for the article and its link back to the index
+ * @returns {string} - Article element
+ */
+function conversationToHtml(conversation, renderMarkdown, { id, indexHref }) {
+  return `<article class="conversation" id="${id}">
+<nav><a href="${indexHref}">\u2190 All conversations</a></nav>
+<h2 class="conversation-title">${escapeHtml(conversation.title || 'Untitled')}</h2>
+<div class="conversation-meta">${escapeHtml(metaLine(conversation))}</div>
+${tagsToHtml(conversation)}
+${messagesToHtml(conversation, renderMarkdown)}
+</article>`;
+}
+
+/**
+ * Render the messages on a conversation's active branch
+ * @param {Object} conversation - Unified conversation
+ * @param {Function} renderMarkdown - Markdown renderer
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.expanded - Show thinking, tool calls and browsing results opened
+ * @returns {string} - Message elements
+ */
+export function messagesToHtml(conversation, renderMarkdown, { expanded = false } = {}) {
+  return getVisiblePath(conversation.messages || []).map(message => {
+    const content = Array.isArray(message.blocks) && message.blocks.length > 0
+      ? message.blocks.map(block => blockToHtml(block, renderMarkdown, expanded)).join('\n')
+      : renderMarkdown(message.content || '');
+    const timestamp = message.created_at
+      ? `<span class="message-timestamp">${escapeHtml(formatters.fullDate(message.created_at))}</span>`
+      : '';
+
+    return `<div class="message message-${roleClass(message.role)}">
+<div class="message-role">${escapeHtml(roleLabel(message.role))}${timestamp}</div>
+<div class="message-content">${content}</div>
+</div>`;
+  }).join('\n');
+}
+
+/**
+ * Render a conversation's tags
+ * @param {Object} conversation - Unified conversation
+ * @returns {string} - Tag list, empty without tags
+ */
+export function tagsToHtml(conversation) {
+  const tags = (conversation.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+  return tags ? `<div class="conversation-tags">${tags}</div>` : '';
+}
+
+/**
+ * Render a content block the way MessageBlock shows it
+ * @param {Object} block - Content block
+ * @param {Function} renderMarkdown - Markdown renderer
+ * @param {boolean} expanded - Open collapsible sections
+ * @returns {string} - HTML for the block
+ */
+function blockToHtml(block, renderMarkdown, expanded) {
+  switch (block.type) {
+    case 'code':
+      return `<div class="message-block-label">Code${block.language ? ` \u00b7 ${escapeHtml(block.language)}` : ''}</div>
+${renderMarkdown(fencedCodeBlock(block.code || '', block.language || ''))}`;
+    case 'execution_output':
+      return `<div class="message-block-label">Output</div><pre><code>${escapeHtml(block.output)}</code></pre>`;
+    case 'quote': {
+      const source = block.title || block.url
+        ? `<footer class="message-block-label">${link(block.url, block.title || block.domain || block.url)}</footer>`
+        : '';
+      return `<blockquote><p>${escapeHtml(block.text)}</p>${source}</blockquote>`;
+    }
+    case 'browsing':
+      return collapsible('Browsing result', renderMarkdown(block.text || ''), expanded);
+    case 'thinking':
+      return collapsible('Thinking', renderMarkdown(block.text || ''), expanded);
+    case 'tool_use':
+      return collapsible(`Tool call \u00b7 ${block.name || ''}`, `<pre><code>${escapeHtml(formatJson(block.input))}</code></pre>`, expanded);
+    case 'tool_result':
+      return collapsible(
+        `Tool result \u00b7 ${block.name || ''}${block.is_error ? ' (error)' : ''}`,
+        `<pre><code>${escapeHtml(formatJson(block.output))}</code></pre>`,
+        expanded
+      );
+    case 'image':
+      return `<div class="message-block-placeholder">Image${block.width && block.height ? ` (${block.width}\u00d7${block.height})` : ''}${block.alt ? `: ${escapeHtml(block.alt)}` : ''}</div>`;
+    case 'file':
+      return `<div class="message-block-placeholder">File: ${escapeHtml(block.name || block.asset_pointer)}</div>`;
+    case 'error':
+      return `<div class="message-block-error" role="note">${escapeHtml(block.name ? `${block.name}: ` : '')}${escapeHtml(block.text)}</div>`;
+    default: {
+      const citations = (block.citations || [])
+        .map(citation => `<li>${link(citation.url, citation.title || citation.url)}</li>`)
+        .join('');
+      return renderMarkdown(block.text || '') + (citations ? `<ul class="message-block-label">${citations}</ul>` : '');
+    }
+  }
+}
+
+/**
+ * Render a collapsible section
+ * @param {string} summary - Section label
+ * @param {string} body - Section HTML
+ * @param {boolean} open - Start opened
+ * @returns {string} - Details element
+ */
+function collapsible(summary, body, open) {
+  return `<details${open ? ' open' : ''}><summary class="message-block-label">${escapeHtml(summary)}</summary>${body}</details>`;
+}
+
+/**
+ * Render a link to a web page; anything else is shown as plain text
+ * @param {string} url - Link target
+ * @param {string} label - Link text
+ * @returns {string} - Anchor element or escaped text
+ */
+function link(url, label) {
+  return url && /^https?:\/\//i.test(url)
+    ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`
+    : escapeHtml(label);
+}
+
+/**
+ * Get the source, model and date line for a conversation
+ * @param {Object} conversation - Unified conversation
+ * @returns {string} - Source, model and date separated by middle dots
+ */
+export function metaLine(conversation) {
+  return [conversation.source || 'Unknown Source', conversation.model, formatters.fullDate(conversation.created_at)]
+    .filter(Boolean)
+    .join(' \u00b7 ');
+}
+
+/**
+ * Get the text the index searches for a conversation in a multi-page archive
+ * @param {Object} conversation - Unified conversation
+ * @returns {string} - Title and message text
+ */
+function searchText(conversation) {
+  const messages = getVisiblePath(conversation.messages || []).map(message => stripMarkdown(message.content || ''));
+  return [conversation.title || '', ...messages].join('\n').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the style class for a message role, as in MessageViewer
+ * @param {string} role - Message role
+ * @returns {string} - 'user', 'assistant', 'system' or 'other'
+ */
+function roleClass(role) {
+  const normalizedRole = String(role || '').toLowerCase();
+  if (normalizedRole.includes('user') || normalizedRole.includes('human')) return 'user';
+  if (normalizedRole.includes('assistant') || normalizedRole.includes('ai')) return 'assistant';
+  if (normalizedRole.includes('system')) return 'system';
+  return 'other';
+}
+
+/**
+ * Get the label for a message role, as in MessageViewer
+ * @param {string} role - Message role
+ * @returns {string} - e.g. 'You' or 'Assistant'
+ */
+function roleLabel(role) {
+  const labels = { user: 'You', assistant: 'Assistant', system: 'System' };
+  return labels[roleClass(role)] || String(role || '');
+}
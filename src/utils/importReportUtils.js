@@ -0,0 +1,58 @@
+/**
+ * Import Report Utilities
+ *
+ * Builds and downloads the error report for an upload: every conversation
+ * that could not be imported, per file, with the reason and a snippet of
+ * the raw record so it can be fixed or reported.
+ */
+
+/**
+ * Build the error report for an upload
+ * @param {Array} files - { path, size, failures } per file, failures as reported by the import
+ * @returns {Object} - Report with failures grouped by file; files without failures are left out
+ */
+export function buildImportErrorReport(files) {
+  const withFailures = files.filter(file => file.failures && file.failures.length > 0);
+
+  return {
+    generated_at: new Date().toISOString(),
+    source: 'convokeep',
+    failure_count: withFailures.reduce((total, file) => total + file.failures.length, 0),
+    files: withFailures.map(file => ({
+      file: file.path,
+      size: file.size,
+      failures: file.failures
+    }))
+  };
+}
+
+/**
+ * Download the error report for an upload as a JSON file
+ * @param {Array} files - { path, size, failures } per file
+ * @returns {Object} - { filename, failureCount }
+ */
+export function downloadImportErrorReport(files) {
+  const report = buildImportErrorReport(files);
+
+  // Create blob and download
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  // Generate filename with timestamp
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const filename = `convokeep-import-errors-${timestamp}.json`;
+
+  // Create temporary link and trigger download
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+
+  // Cleanup
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+
+  return { filename, failureCount: report.failure_count };
+}
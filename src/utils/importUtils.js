@@ -3,16 +3,25 @@
  *
  * Handles importing ConvoKeep backup files.
  * ConvoKeep backups contain conversations in native unified schema format
- * and can be imported directly without transformation.
+ * and can be imported directly without transformation. The upload flow
+ * validates a backup with validateConvoKeepBackup before restoring it.
  */
 
+import { BACKUP_SCHEMA, validateSchema } from '../schemaConverter/unifiedSchema.js';
+import { migrateBackup } from '../schemaConverter/schemaMigrations.js';
+
 /**
  * Validate if a JSON object is a valid ConvoKeep backup
+ * Backups written with an older schema version are upgraded first, then
+ * checked against the current schema (see unifiedSchema.js).
  * @param {Object} data - Parsed JSON data
- * @returns {Object} Validation result with isValid and errors
+ * @returns {Object} Validation result with isValid, errors, schemaVersion (the version
+ *   the backup was written with) and backup (upgraded to the current version, or null)
  */
 export function validateConvoKeepBackup(data) {
   const errors = [];
+  let backup = null;
+  let schemaVersion = null;
 
   // Check required top-level fields
   if (!data.source || data.source !== 'convokeep') {
@@ -27,51 +36,58 @@ export function validateConvoKeepBackup(data) {
     errors.push('Missing or invalid "conversations" array');
   }
 
+  // Upgrade older backups, then check everything against the schema
+  if (errors.length === 0) {
+    try {
+      const migration = migrateBackup(data);
+      backup = migration.backup;
+      schemaVersion = migration.fromVersion;
+      errors.push(...validateSchema(backup, BACKUP_SCHEMA));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
   if (data.conversation_count !== undefined &&
+      Array.isArray(data.conversations) &&
       data.conversations.length !== data.conversation_count) {
     errors.push(`Conversation count mismatch: expected ${data.conversation_count}, found ${data.conversations.length}`);
   }
 
-  // Validate conversations structure
-  if (data.conversations && Array.isArray(data.conversations)) {
-    data.conversations.forEach((conv, index) => {
-      // Check required fields for unified schema
-      if (!conv.conversation_id) {
-        errors.push(`Conversation ${index}: missing "conversation_id"`);
-      }
-      if (!conv.title) {
-        errors.push(`Conversation ${index}: missing "title"`);
-      }
-      if (!conv.messages || !Array.isArray(conv.messages)) {
-        errors.push(`Conversation ${index}: missing or invalid "messages" array`);
-      }
-    });
-  }
-
   return {
     isValid: errors.length === 0,
     errors: errors,
     conversationCount: data.conversations ? data.conversations.length : 0,
     version: data.version,
-    exportedAt: data.exported_at
+    schemaVersion: schemaVersion,
+    exportedAt: data.exported_at,
+    backup: errors.length === 0 ? backup : null
   };
 }
 
 /**
- * Extract conversations from a ConvoKeep backup
+ * Validate a ConvoKeep backup and upgrade it to the current schema version
  * @param {Object} backupData - Parsed backup JSON
- * @returns {Array} Array of conversations in unified schema
+ * @returns {Object} The backup in the current schema
  */
-export function extractConversations(backupData) {
-  // Validate first
+export function upgradeBackup(backupData) {
   const validation = validateConvoKeepBackup(backupData);
 
   if (!validation.isValid) {
     throw new Error(`Invalid ConvoKeep backup: ${validation.errors.join(', ')}`);
   }
 
-  // Return conversations directly - they're already in unified schema
-  return backupData.conversations;
+  return validation.backup;
+}
+
+/**
+ * Extract conversations from a ConvoKeep backup
+ * @param {Object} backupData - Parsed backup JSON
+ * @returns {Array} Array of conversations in unified schema
+ */
+export function extractConversations(backupData) {
+  // Validated and upgraded, they're in the current unified schema
+  return upgradeBackup(backupData).conversations;
 }
 
 /**
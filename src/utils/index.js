@@ -11,13 +11,18 @@ import { text } from './textUtils.js';
 import { ui } from './uiUtils.js';
 import { debounce } from './performanceUtils.js';
 import { createMarkdownRenderer } from './markdownUtils.js';
+import { getVisiblePath, getVisibleMessageCount, hasBranches } from './messageTreeUtils.js';
 import { copyToClipboard } from './clipboardUtils.js';
 import { generateUniqueId } from './idUtils.js';
 import { scrollIntoView, isElementInViewport } from './scrollUtils.js';
 import { resetDatabase } from './databaseUtils.js';
 import { exportAllConversations, exportConversation, getExportStats } from './exportUtils.js';
+import { conversationToMarkdown, exportConversationMarkdown } from './markdownExportUtils.js';
 import { importBackup, isConvoKeepBackup, readBackupFile } from './importUtils.js';
 import { getStorageInfo, checkStorageWarning, getStorageStatus, formatBytes } from './storageQuotaUtils.js';
+import { collectDroppedFiles, collectPickedFiles } from './fileDropUtils.js';
+import { hashFile } from './fileHashUtils.js';
+import { buildImportErrorReport, downloadImportErrorReport } from './importReportUtils.js';
 
 // Export all utilities
 export {
@@ -27,6 +32,9 @@ export {
   ui,
   debounce,
   createMarkdownRenderer,
+  getVisiblePath,
+  getVisibleMessageCount,
+  hasBranches,
   copyToClipboard,
   generateUniqueId,
   scrollIntoView,
@@ -35,11 +43,18 @@ export {
   exportAllConversations,
   exportConversation,
   getExportStats,
+  conversationToMarkdown,
+  exportConversationMarkdown,
   importBackup,
   isConvoKeepBackup,
   readBackupFile,
   getStorageInfo,
   checkStorageWarning,
   getStorageStatus,
-  formatBytes
+  formatBytes,
+  collectDroppedFiles,
+  collectPickedFiles,
+  hashFile,
+  buildImportErrorReport,
+  downloadImportErrorReport
 };
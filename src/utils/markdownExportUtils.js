@@ -0,0 +1,337 @@
+/**
+ * Markdown Export Module
+ *
+ * Exports conversations as Markdown files: YAML front matter with the
+ * conversation's details, then its messages under role headings. One
+ * conversation downloads as a .md file; several are bundled into a ZIP with
+ * one .md per conversation.
+ * Messages follow the active branch, as the viewer shows them on opening.
+ */
+
+import JSZip from 'jszip';
+import {
+  forEachConversationPage,
+  getConversationById,
+  getConversationsByTags
+} from '../database/index.js';
+import { downloadBlob, loadConversations } from './exportUtils.js';
+import { antArtifactsToMarkdown } from './antArtifactHandler.js';
+import { fencedCodeBlock } from './markdownUtils.js';
+import { getVisiblePath } from './messageTreeUtils.js';
+
+const ROLE_HEADINGS = {
+  user: 'User',
+  assistant: 'Assistant',
+  system: 'System',
+  tool: 'Tool'
+};
+
+/**
+ * Convert a conversation to a Markdown document
+ * @param {Object} conversation - Unified conversation
+ * @returns {string} - Markdown with YAML front matter
+ */
+export function conversationToMarkdown(conversation) {
+  const frontMatter = [
+    '---',
+    `title: ${yamlValue(conversation.title || 'Untitled')}`,
+    `source: ${yamlValue(conversation.source || 'unknown')}`,
+    conversation.model ? `model: ${yamlValue(conversation.model)}` : null,
+    conversation.created_at ? `created: ${yamlValue(conversation.created_at)}` : null,
+    conversation.updated_at ? `updated: ${yamlValue(conversation.updated_at)}` : null,
+    `tags: ${yamlValue(conversation.tags || [])}`,
+    conversation.starred ? 'starred: true' : null,
+    `conversation_id: ${yamlValue(conversation.conversation_id)}`,
+    conversation.metadata?.url ? `url: ${yamlValue(conversation.metadata.url)}` : null,
+    '---'
+  ].filter(line => line !== null);
+
+  const sections = getVisiblePath(conversation.messages || [])
+    .map(message => {
+      const body = messageToMarkdown(message);
+      return body ? `## ${roleHeading(message.role)}\n\n${body}` : null;
+    })
+    .filter(Boolean);
+
+  return `${frontMatter.join('\n')}\n\n# ${conversation.title || 'Untitled'}\n\n${sections.join('\n\n')}\n`;
+}
+
+/**
+ * Convert conversations to Markdown files with unique names
+ * @param {Array} conversations - Unified conversations
+ * @returns {Array} - Array of { name, text }
+ */
+export function createMarkdownFiles(conversations) {
+  const names = createFileNames(conversations, 'md');
+  return conversations.map((conversation, index) => ({
+    name: names[index],
+    text: conversationToMarkdown(conversation)
+  }));
+}
+
+/**
+ * Name one file per conversation after its title, numbering repeated names
+ * @param {Array} conversations - Unified conversations
+ * @param {string} extension - File extension, e.g. 'md'
+ * @returns {string[]} - Unique file names, in the order of the conversations
+ */
+export function createFileNames(conversations, extension) {
+  const usedNames = new Set();
+
+  return conversations.map(conversation => {
+    const base = fileNameFor(conversation);
+    let name = `${base}.${extension}`;
+    for (let count = 2; usedNames.has(name.toLowerCase()); count++) {
+      name = `${base}-${count}.${extension}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Export one conversation as a Markdown file
+ * @param {string} conversationId - The conversation ID to export
+ * @returns {Promise<Object>} Export statistics
+ */
+export async function exportConversationMarkdown(conversationId) {
+  try {
+    const conversation = await getConversationById(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation not found: ${conversationId}`);
+    }
+
+    return await downloadMarkdown([conversation], 'conversation');
+  } catch (error) {
+    console.error('Error exporting conversation as Markdown:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export selected conversations as Markdown (a ZIP when there are several)
+ * @param {string[]} conversationIds - Array of conversation IDs
+ * @returns {Promise<Object>} Export statistics
+ */
+export async function exportSelectedMarkdown(conversationIds) {
+  try {
+    if (!conversationIds || conversationIds.length === 0) {
+      throw new Error('No conversations selected for export');
+    }
+
+    const conversations = await loadConversations(conversationIds);
+    if (conversations.length === 0) {
+      throw new Error('No conversations found for export');
+    }
+
+    return await downloadMarkdown(conversations, `selected-${conversations.length}`);
+  } catch (error) {
+    console.error('Error exporting selected conversations as Markdown:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export all conversations with a tag as Markdown
+ * @param {string} tag - Tag name to filter by
+ * @returns {Promise<Object>} Export statistics
+ */
+export async function exportTagMarkdown(tag) {
+  try {
+    if (!tag) {
+      throw new Error('Tag name is required');
+    }
+
+    const conversationsList = await getConversationsByTags([tag], false);
+    const conversations = await loadConversations((conversationsList || []).map(item => item.conversation_id));
+    if (conversations.length === 0) {
+      throw new Error(`No conversations found with tag "${tag}"`);
+    }
+
+    return await downloadMarkdown(conversations, `tag-${safeName(tag).substring(0, 30)}`);
+  } catch (error) {
+    console.error('Error exporting tag as Markdown:', error);
+    throw error;
+  }
+}
+
+/**
+ * Export all starred conversations as Markdown
+ * @returns {Promise<Object>} Export statistics
+ */
+export async function exportStarredMarkdown() {
+  try {
+    const conversations = [];
+    await forEachConversationPage((page) => {
+      conversations.push(...page.filter(conversation => conversation.starred));
+    });
+
+    if (conversations.length === 0) {
+      throw new Error('No starred conversations found');
+    }
+
+    return await downloadMarkdown(conversations, `starred-${conversations.length}`);
+  } catch (error) {
+    console.error('Error exporting starred conversations as Markdown:', error);
+    throw error;
+  }
+}
+
+/**
+ * Download conversations as one .md file, or as a ZIP of .md files
+ * @param {Array} conversations - Conversations to export
+ * @param {string} label - Part of the ZIP name describing what was exported
+ * @returns {Promise<Object>} Export statistics
+ */
+async function downloadMarkdown(conversations, label) {
+  const files = createMarkdownFiles(conversations);
+  let blob;
+  let filename;
+
+  if (files.length === 1) {
+    blob = new Blob([files[0].text], { type: 'text/markdown' });
+    filename = files[0].name;
+  } else {
+    const zip = new JSZip();
+    files.forEach(file => zip.file(file.name, file.text));
+    blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+
+    const timestamp = new Date().toISOString().split('T')[0];
+    filename = `convokeep-${label}-${timestamp}.zip`;
+  }
+
+  downloadBlob(blob, filename);
+
+  return {
+    success: true,
+    conversationCount: conversations.length,
+    filename: filename,
+    sizeBytes: blob.size
+  };
+}
+
+/**
+ * Convert one message's content to Markdown
+ * @param {Object} message - Unified message
+ * @returns {string} - Markdown body, empty if the message has nothing to show
+ */
+function messageToMarkdown(message) {
+  if (Array.isArray(message.blocks) && message.blocks.length > 0) {
+    return message.blocks.map(blockToMarkdown).filter(Boolean).join('\n\n');
+  }
+  return antArtifactsToMarkdown(message.content || '').trim();
+}
+
+/**
+ * Convert a content block to Markdown
+ * @param {Object} block - Content block
+ * @returns {string} - Markdown for the block
+ */
+function blockToMarkdown(block) {
+  switch (block.type) {
+    case 'code':
+      return fencedCodeBlock(block.code || '', block.language || '');
+    case 'execution_output':
+      return `**Output**\n\n${fencedCodeBlock(block.output || '')}`;
+    case 'quote': {
+      const quote = (block.text || '').split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+      const source = block.url ? `[${block.title || block.domain || block.url}](${block.url})` : block.title;
+      return source ? `${quote}\n>\n> \u2014 ${source}` : quote;
+    }
+    case 'browsing':
+      return details('Browsing result', block.text || '');
+    case 'thinking':
+      return details('Thinking', block.text || '');
+    case 'tool_use':
+      return details(`Tool call \u00b7 ${block.name || 'tool'}`, fencedCodeBlock(formatJson(block.input), 'json'));
+    case 'tool_result':
+      return details(
+        `Tool result \u00b7 ${block.name || 'tool'}${block.is_error ? ' (error)' : ''}`,
+        fencedCodeBlock(formatJson(block.output), 'json')
+      );
+    case 'image':
+      return `*[Image${block.alt ? `: ${block.alt}` : ''}]*`;
+    case 'file':
+      return `*[File: ${block.name || block.asset_pointer || 'attachment'}]*`;
+    case 'error':
+      return `> **Error:** ${block.name ? `${block.name}: ` : ''}${block.text || ''}`;
+    default: {
+      const text = antArtifactsToMarkdown(block.text || '').trim();
+      const citations = (block.citations || [])
+        .filter(citation => citation.url)
+        .map(citation => `- [${citation.title || citation.url}](${citation.url})`);
+      return citations.length > 0 ? `${text}\n\n${citations.join('\n')}` : text;
+    }
+  }
+}
+
+/**
+ * Wrap Markdown in a collapsible section
+ * @param {string} summary - Section label
+ * @param {string} body - Section content
+ * @returns {string} - HTML details element with Markdown inside
+ */
+function details(summary, body) {
+  return `<details>\n<summary>${summary}</summary>\n\n${body.trim()}\n\n</details>`;
+}
+
+/**
+ * Pretty-print tool input or output; strings that hold JSON are reformatted too
+ * @param {*} value - Tool input or output
+ * @returns {string} - JSON text, or the string as it was
+ */
+export function formatJson(value) {
+  if (typeof value === 'string') {
+    try {
+      return JSON.stringify(JSON.parse(value), null, 2);
+    } catch {
+      return value;
+    }
+  }
+  return JSON.stringify(value ?? {}, null, 2);
+}
+
+/**
+ * Get the heading for a message role
+ * @param {string} role - Message role
+ * @returns {string} - Heading text, e.g. 'Assistant'
+ */
+function roleHeading(role) {
+  const name = String(role || 'unknown');
+  return ROLE_HEADINGS[name.toLowerCase()] || name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Write a value for the front matter; JSON strings and arrays are valid YAML
+ * and need no further escaping
+ * @param {string|Array} value - Value to write
+ * @returns {string} - YAML value
+ */
+function yamlValue(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * Get a file name (without extension) for a conversation
+ * @param {Object} conversation - Unified conversation
+ * @returns {string} - Name from the title, or the conversation ID
+ */
+function fileNameFor(conversation) {
+  return safeName(conversation.title).substring(0, 80).replace(/-+$/, '')
+    || safeName(conversation.conversation_id)
+    || 'conversation';
+}
+
+/**
+ * Replace characters that are not safe in file names
+ * @param {string} text - Text to use in a file name
+ * @returns {string} - Text with runs of other characters replaced by '-'
+ */
+function safeName(text) {
+  return String(text || '')
+    .replace(/[^\p{L}\p{N}._ ]+/gu, '-')
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-.]+|-+$/g, '');
+}
@@ -73,10 +73,10 @@ function isAllowedLanguage(lang) {
  * @param {string} text - Text to escape
  * @returns {string} - Escaped text
  */
-function escapeHtml(text) {
+export function escapeHtml(text) {
   if (!text) return '';
   
-  return text
+  return String(text)
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;')
@@ -129,3 +129,125 @@ export function stripMarkdown(markdown) {
     // Remove list markers
     .replace(/^[\s-*+]*\s+/gm, '');
 }
+
+/**
+ * Wrap code in a fenced code block
+ * The fence is longer than any backtick run in the code, so the code is kept
+ * as it is and cannot close the block early.
+ * @param {string} code - Code to wrap
+ * @param {string} language - Language for the fence, e.g. 'python'
+ * @returns {string} - Fenced code block
+ */
+export function fencedCodeBlock(code, language = '') {
+  const text = String(code ?? '');
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Named HTML entities found in exported chat pages
+ */
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ensp: ' ',
+  emsp: ' ',
+  thinsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  middot: '·',
+  copy: '©',
+  reg: '®',
+  trade: '™'
+};
+
+/**
+ * Decode HTML entities without touching the DOM (safe to use in workers)
+ * @param {string} text - Text containing HTML entities
+ * @returns {string} - Decoded text
+ */
+export function decodeHtmlEntities(text) {
+  if (!text) return '';
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+
+      try {
+        return String.fromCodePoint(codePoint);
+      } catch (e) {
+        return match;
+      }
+    }
+
+    const decoded = HTML_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Convert an HTML fragment to markdown
+ * Covers the tags that show up in exported chat responses (paragraphs, lists,
+ * headings, emphasis, links and code). Anything else is reduced to its text.
+ * @param {string} html - HTML fragment
+ * @returns {string} - Markdown text
+ */
+export function htmlToMarkdown(html) {
+  if (!html) return '';
+
+  // Pull code blocks out first so their contents are left untouched
+  const codeBlocks = [];
+  const stash = (block) => {
+    codeBlocks.push(block);
+    return `\n\n\u0000${codeBlocks.length - 1}\u0000\n\n`;
+  };
+
+  let markdown = html
+    .replace(/<pre[^>]*>\s*<code([^>]*)>([\s\S]*?)<\/code>\s*<\/pre>/gi, (match, attrs, code) => {
+      const lang = (attrs.match(/language-([\w+#-]+)/i) || [])[1] || '';
+      return stash('```' + lang + '\n' + decodeHtmlEntities(code.replace(/<[^>]+>/g, '')).replace(/\n$/, '') + '\n```');
+    })
+    .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (match, code) =>
+      stash('```\n' + decodeHtmlEntities(code.replace(/<[^>]+>/g, '')).replace(/\n$/, '') + '\n```'));
+
+  // Number ordered list items before the generic list handling
+  markdown = markdown.replace(/<ol[^>]*>([\s\S]*?)<\/ol>/gi, (match, items) => {
+    let counter = 0;
+    return '\n' + items.replace(/<li[^>]*>/gi, () => `\n${++counter}. `) + '\n';
+  });
+
+  markdown = markdown
+    .replace(/<script[\s\S]*?<\/script>|<style[\s\S]*?<\/style>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.trim()}\n\n`)
+    .replace(/<(strong|b)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '**$3**')
+    .replace(/<(em|i)(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, '*$3*')
+    .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, '`$1`')
+    .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, '[$2]($1)')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<blockquote[^>]*>([\s\S]*?)<\/blockquote>/gi, (match, inner) =>
+      '\n\n' + inner.replace(/<[^>]+>/g, '').trim().split('\n').map(line => `> ${line}`).join('\n') + '\n\n')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|ul|ol|table|tr|section|article)>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<[^>]+>/g, '');
+
+  markdown = decodeHtmlEntities(markdown)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => codeBlocks[Number(index)]);
+
+  return markdown.trim();
+}
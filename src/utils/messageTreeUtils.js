@@ -0,0 +1,87 @@
+/**
+ * Message Tree Utilities
+ *
+ * Functions for working with branched conversations, where messages carry
+ * parent_id / sibling_index / is_active (e.g. edited prompts and regenerated
+ * answers in ChatGPT exports).
+ */
+
+/**
+ * Check whether a conversation's messages contain any forks
+ * @param {Array} messages - Unified messages
+ * @returns {boolean} - True if at least one message has siblings
+ */
+export function hasBranches(messages) {
+  return Array.isArray(messages) && messages.some(message => (message.sibling_count || 1) > 1);
+}
+
+/**
+ * Count the messages on the active branch, as the viewer shows them on opening
+ * @param {Array} messages - Unified messages
+ * @returns {number} - Number of visible messages; inactive branches are not counted
+ */
+export function getVisibleMessageCount(messages) {
+  if (!Array.isArray(messages)) {
+    return 0;
+  }
+  return hasBranches(messages) ? getVisiblePath(messages).length : messages.length;
+}
+
+/**
+ * Get the key used to identify a group of sibling messages
+ * @param {Object} message - Unified message
+ * @returns {string} - Key shared by all messages with the same parent
+ */
+export function getBranchKey(message) {
+  return message.parent_id ?? '';
+}
+
+/**
+ * Resolve the linear path of messages to display.
+ * Starts at the root and, at each fork, follows the sibling chosen in
+ * `selections` (keyed by getBranchKey), falling back to the active branch.
+ * Messages without tree information are returned unchanged.
+ * @param {Array} messages - Unified messages
+ * @param {Object|Map} selections - Chosen sibling index per branch key
+ * @returns {Array} - Messages on the visible path
+ */
+export function getVisiblePath(messages, selections = {}) {
+  if (!Array.isArray(messages) || !messages.some(message => 'parent_id' in message)) {
+    return messages || [];
+  }
+
+  const childrenByParent = new Map();
+  messages.forEach(message => {
+    const key = getBranchKey(message);
+    if (!childrenByParent.has(key)) {
+      childrenByParent.set(key, []);
+    }
+    childrenByParent.get(key).push(message);
+  });
+
+  const getSelection = (key) => selections instanceof Map ? selections.get(key) : selections[key];
+
+  const path = [];
+  const visited = new Set();
+  let siblings = childrenByParent.get('') || [];
+
+  while (siblings.length > 0) {
+    const key = getBranchKey(siblings[0]);
+    const selected = getSelection(key);
+
+    let chosen;
+    if (selected !== undefined && siblings[selected]) {
+      chosen = siblings[selected];
+    } else {
+      chosen = siblings.find(message => message.is_active) || siblings[siblings.length - 1];
+    }
+
+    if (visited.has(chosen.id)) break;
+    visited.add(chosen.id);
+
+    path.push(chosen);
+    siblings = childrenByParent.get(chosen.id) || [];
+  }
+
+  return path;
+}
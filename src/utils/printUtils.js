@@ -0,0 +1,176 @@
+/**
+ * Print Utilities Module
+ *
+ * Prints conversations without the app around them: the conversations are
+ * laid out in a separate print document (a title page, then each
+ * conversation starting on a new page under a header with its title and
+ * date, with code blocks and collapsed sections shown in full) and the
+ * browser's print dialog is opened on it, where "Save as PDF" writes a PDF.
+ */
+
+import { loadConversations } from './exportUtils.js';
+import { messagesToHtml, tagsToHtml, metaLine } from './htmlExportUtils.js';
+import { createMarkdownRenderer, escapeHtml } from './markdownUtils.js';
+import { formatters } from './formatUtils.js';
+
+// The print document holds no scripts and loads nothing
+const CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src data:";
+
+// How long to keep the print frame if the browser never reports the dialog closing
+const PRINT_FRAME_TIMEOUT_MS = 60000;
+
+const PRINT_STYLES = `
+@page { margin: 15mm; }
+* { box-sizing: border-box; }
+html { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+body { margin: 0; color: #111827; background: #ffffff; font: 11pt/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; }
+a { color: #1d4ed8; }
+.title-page { padding-top: 30vh; text-align: center; break-after: page; }
+.title-page h1 { margin: 0 0 4mm; font-size: 24pt; }
+.title-page p { margin: 0; color: #4b5563; }
+.contents { display: inline-block; margin: 10mm 0 0; padding-left: 6mm; text-align: left; }
+.contents li { margin-bottom: 1.5mm; }
+.contents span { color: #6b7280; font-size: 9pt; }
+.conversation { width: 100%; border-collapse: collapse; break-before: page; }
+.conversation > thead { display: table-header-group; }
+.conversation > thead td, .conversation > tbody td { padding: 0; }
+.page-header { display: flex; justify-content: space-between; gap: 6mm; padding-bottom: 2mm; margin-bottom: 5mm; border-bottom: 1px solid #d1d5db; color: #6b7280; font-size: 8pt; }
+.page-header span:first-child { overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+.conversation-title { margin: 0 0 1mm; font-size: 16pt; }
+.conversation-meta { color: #6b7280; font-size: 9pt; }
+.conversation-tags { margin-top: 2mm; }
+.tag { display: inline-block; padding: 0 2mm; margin-right: 1mm; border: 1px solid #d1d5db; border-radius: 2mm; font-size: 8pt; }
+.message { margin: 5mm 0; padding-left: 3mm; border-left: 2px solid #d1d5db; }
+.message-user { border-left-color: #2563eb; }
+.message-role { font-weight: 600; font-size: 9pt; break-after: avoid; }
+.message-timestamp { margin-left: 2mm; color: #6b7280; font-weight: 400; }
+.message-content { overflow-wrap: anywhere; }
+pre { white-space: pre-wrap; overflow: visible; overflow-wrap: anywhere; padding: 3mm; border: 1px solid #e5e7eb; border-radius: 1mm; background: #f3f4f6; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 9pt; }
+blockquote { margin: 2mm 0; padding-left: 3mm; border-left: 3px solid #d1d5db; }
+details > summary { list-style: none; }
+details > summary::-webkit-details-marker { display: none; }
+.message-block-label, .message-block-placeholder { color: #6b7280; font-size: 8pt; font-weight: 500; }
+.message-block-error { color: #b91c1c; }
+`;
+
+/**
+ * Build the print document for conversations
+ * @param {Array} conversations - Unified conversations
+ * @param {Object} options - Layout options
+ * @param {Function} options.renderMarkdown - Renders markdown to safe HTML (the viewer's renderer)
+ * @param {Date} options.printedAt - Date shown on the title page
+ * @returns {string} - HTML document
+ */
+export function createPrintDocument(conversations, { renderMarkdown, printedAt = new Date() }) {
+  const single = conversations.length === 1;
+  const title = single
+    ? conversations[0].title || 'Untitled'
+    : `ConvoKeep - ${conversations.length} conversations`;
+
+  const contents = conversations
+    .map(conversation => `<li>${escapeHtml(conversation.title || 'Untitled')} <span>${escapeHtml(metaLine(conversation))}</span></li>`)
+    .join('\n');
+
+  const pages = conversations.map(conversation => `<table class="conversation">
+<thead><tr><td><div class="page-header"><span>${escapeHtml(conversation.title || 'Untitled')}</span><span>${escapeHtml(formatters.fullDate(conversation.created_at))}</span></div></td></tr></thead>
+<tbody><tr><td>
+<h2 class="conversation-title">${escapeHtml(conversation.title || 'Untitled')}</h2>
+<div class="conversation-meta">${escapeHtml(metaLine(conversation))}</div>
+${tagsToHtml(conversation)}
+${messagesToHtml(conversation, renderMarkdown, { expanded: true })}
+</td></tr></tbody>
+</table>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}">
+<title>${escapeHtml(title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<section class="title-page">
+<h1>${escapeHtml(single ? title : 'ConvoKeep')}</h1>
+<p>${conversations.length} conversation${single ? '' : 's'} \u00b7 printed ${escapeHtml(formatters.fullDate(printedAt.toISOString()))}</p>
+<ol class="contents">
+${contents}
+</ol>
+</section>
+${pages.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Open the print dialog for conversations, from which they can be saved as a PDF
+ * @param {string[]} conversationIds - Array of conversation IDs
+ * @returns {Promise<Object>} Print statistics
+ */
+export async function printConversations(conversationIds) {
+  try {
+    if (!conversationIds || conversationIds.length === 0) {
+      throw new Error('No conversations selected for printing');
+    }
+
+    const conversations = await loadConversations(conversationIds);
+    if (conversations.length === 0) {
+      throw new Error('No conversations found for printing');
+    }
+
+    const renderer = await createMarkdownRenderer();
+    await printDocument(createPrintDocument(conversations, {
+      renderMarkdown: (text) => renderer.render(text)
+    }));
+
+    return {
+      success: true,
+      conversationCount: conversations.length
+    };
+  } catch (error) {
+    console.error('Error printing conversations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Print an HTML document through a hidden frame, so the app itself is not printed
+ * @param {string} html - Document to print
+ * @returns {Promise<void>} Resolves once the print dialog has been opened
+ */
+function printDocument(html) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement('iframe');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.style.position = 'fixed';
+    frame.style.right = '0';
+    frame.style.bottom = '0';
+    frame.style.width = '0';
+    frame.style.height = '0';
+    frame.style.border = '0';
+
+    const removeFrame = () => frame.remove();
+
+    frame.onload = () => {
+      const view = frame.contentWindow;
+      if (!view) {
+        removeFrame();
+        reject(new Error('Could not open the print view'));
+        return;
+      }
+
+      // Not every browser reports the dialog closing, so the frame is also removed after a while
+      view.addEventListener('afterprint', () => setTimeout(removeFrame, 0));
+      setTimeout(removeFrame, PRINT_FRAME_TIMEOUT_MS);
+
+      view.focus();
+      view.print();
+      resolve();
+    };
+
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  });
+}
@@ -94,9 +94,10 @@ export async function isStoragePersistent() {
 
 /**
  * Get comprehensive storage status
+ * @param {Object} attachments - Attachment stats from the database ({ count, totalBytes })
  * @returns {Promise<Object>} Complete storage status
  */
-export async function getStorageStatus() {
+export async function getStorageStatus(attachments = { count: 0, totalBytes: 0 }) {
   const [info, isPersistent] = await Promise.all([
     getStorageInfo(),
     isStoragePersistent()
@@ -105,6 +106,9 @@ export async function getStorageStatus() {
   return {
     ...info,
     isPersistent: isPersistent,
+    attachmentCount: attachments.count,
+    attachmentBytes: attachments.totalBytes,
+    attachmentsMB: (attachments.totalBytes / (1024 * 1024)).toFixed(2),
     recommendation: getStorageRecommendation(info, isPersistent)
   };
 }